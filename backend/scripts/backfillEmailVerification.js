@@ -0,0 +1,32 @@
+// scripts/backfillEmailVerification.js - GRANDFATHER ACCOUNTS FROM BEFORE EMAIL VERIFICATION
+//
+// Accounts created before `isEmailVerified` existed have no value for it and would be treated
+// as unverified (no chat requests, no offline-message emails). Marks them verified; accounts
+// created since keep the value sign-up gave them. Run it before deploying the verification gate.
+// Safe to run more than once.
+//
+// Usage: npm run migrate:email-verification
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import connectDB from '../src/config/db.js';
+import User from '../src/models/User.js';
+
+dotenv.config();
+
+const migrate = async () => {
+  await connectDB();
+
+  const result = await User.updateMany(
+    { isEmailVerified: { $exists: false } },
+    { $set: { isEmailVerified: true } }
+  );
+  console.log(`✉️ Marked ${result.modifiedCount} existing account(s) as verified`);
+};
+
+migrate()
+  .then(() => mongoose.disconnect())
+  .catch(async (error) => {
+    console.error('❌ Email verification backfill failed:', error);
+    await mongoose.disconnect();
+    process.exit(1);
+  });
@@ -0,0 +1,110 @@
+// scripts/migrateConversations.js - MOVE MESSAGES FROM chatId STRINGS TO CONVERSATIONS
+//
+// Creates a Conversation for every legacy direct chat (user1_user2), links each Message
+// to its conversation and rebuilds the last message pointer and unread counters.
+// Safe to run more than once.
+//
+// Usage: npm run migrate:conversations
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import connectDB from '../src/config/db.js';
+import Conversation from '../src/models/Conversation.js';
+import Message from '../src/models/Message.js';
+
+dotenv.config();
+
+const resolveConversation = async (chatId) => {
+  if (chatId.includes('_')) {
+    const [userA, userB] = chatId.split('_');
+    if (!mongoose.isValidObjectId(userA) || !mongoose.isValidObjectId(userB)) return null;
+    return Conversation.findOrCreateDirect(userA, userB);
+  }
+
+  if (!mongoose.isValidObjectId(chatId)) return null;
+  return Conversation.findById(chatId);
+};
+
+const countUnread = (conversation, memberId) => {
+  const query = {
+    conversation: conversation._id,
+    sender: { $ne: memberId },
+    isRead: false
+  };
+
+  // Group messages are unread per member until that member shows up in readBy
+  if (conversation.type === 'group') {
+    delete query.isRead;
+    query.messageType = { $ne: 'system' };
+    query['readBy.user'] = { $ne: memberId };
+  }
+
+  return Message.countDocuments(query);
+};
+
+const migrate = async () => {
+  await connectDB();
+
+  // Conversations created before the `type` field are groups
+  const typed = await Conversation.updateMany(
+    { type: { $exists: false } },
+    { $set: { type: 'group' } }
+  );
+  console.log(`👥 Marked ${typed.modifiedCount} existing conversation(s) as groups`);
+
+  // Link messages to conversations
+  const chatIds = await Message.distinct('chatId', { conversation: { $exists: false } });
+  console.log(`📚 Found ${chatIds.length} chat(s) with unlinked messages`);
+
+  let linked = 0;
+  for (const chatId of chatIds) {
+    const conversation = await resolveConversation(chatId);
+    if (!conversation) {
+      console.warn(`⚠️ Skipping unknown chatId: ${chatId}`);
+      continue;
+    }
+
+    const result = await Message.updateMany(
+      { chatId, conversation: { $exists: false } },
+      { $set: { conversation: conversation._id } }
+    );
+    linked += result.modifiedCount;
+  }
+  console.log(`🔗 Linked ${linked} message(s) to conversations`);
+
+  // Rebuild last message pointers and unread counters
+  const conversations = await Conversation.find({});
+  for (const conversation of conversations) {
+    const lastMessage = await Message.findOne({ conversation: conversation._id })
+      .sort({ createdAt: -1 })
+      .select('_id createdAt');
+
+    const unreadCounts = {};
+    for (const memberId of conversation.getMemberIds()) {
+      unreadCounts[memberId] = await countUnread(conversation, memberId);
+    }
+
+    await Conversation.updateOne(
+      { _id: conversation._id },
+      {
+        $set: {
+          lastMessage: lastMessage?._id || null,
+          lastMessageAt: lastMessage?.createdAt || null,
+          unreadCounts
+        }
+      }
+    );
+  }
+  console.log(`✅ Rebuilt summaries for ${conversations.length} conversation(s)`);
+
+  await Conversation.syncIndexes();
+  await Message.syncIndexes();
+  console.log('✅ Indexes synced');
+};
+
+migrate()
+  .then(() => mongoose.disconnect())
+  .catch(async (error) => {
+    console.error('❌ Conversation migration failed:', error);
+    await mongoose.disconnect();
+    process.exit(1);
+  });
@@ -11,8 +11,12 @@ import authRoutes from './src/routes/auth.js';
 import messageRoutes from './src/routes/messages.js';
 import userRoutes from './src/routes/user.routes.js';
 import uploadRoutes from './src/routes/uploadRoutes.js';
+import callRoutes from './src/routes/calls.js';
+import conversationRoutes from './src/routes/conversations.js';
+import scheduledMessageRoutes from './src/routes/scheduledMessages.js';
 import { errorHandler, notFound } from './src/middlewares/errorHandler.js';
 import { initializeSocket } from './src/sockets/index.js';
+import { TRUSTED_PROXY_HOPS } from './src/services/sessionService.js';
 
 dotenv.config();
 connectDB();
@@ -21,6 +25,9 @@ const app = express();
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+// req.ip is the address the hosting proxy saw, not a client-supplied X-Forwarded-For entry
+app.set('trust proxy', TRUSTED_PROXY_HOPS);
+
 // CORS configuration - REQUIRED for cross-origin requests
 app.use(cors({
     origin: ['https://lovebirdsph.netlify.app', 'http://localhost:3000'],
@@ -49,10 +56,13 @@ app.get('/api/health', (req, res) => {
         features: [
             'Chat Requests',
             'Block Users',
-            'Incognito Mode (3-hour auto-delete)',
+            'Incognito Mode (shared, 1-3 hour auto-delete)',
             'Real-time Messaging',
             'File Sharing',
-            'Video Calls'
+            'Video Calls',
+            'Group Chats',
+            'Scheduled Messages',
+            'Two-Factor Authentication (TOTP)'
         ]
     });
 });
@@ -62,6 +72,9 @@ app.use('/api/auth', authRoutes);
 app.use('/api/messages', messageRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/upload', uploadRoutes);
+app.use('/api/calls', callRoutes);
+app.use('/api/conversations', conversationRoutes);
+app.use('/api/scheduled-messages', scheduledMessageRoutes);
 
 // Root endpoint
 app.get('/', (req, res) => {
@@ -129,18 +142,34 @@ server.listen(PORT, () => {
     console.log('\n🎯 Features enabled:');
     console.log('   - ✉️  Chat Requests');
     console.log('   - 🚫 Block Users');
-    console.log('   - 🕵️  Incognito Mode (3-hour auto-delete)');
+    console.log('   - 🕵️  Incognito Mode (shared, 1-3 hour auto-delete)');
     console.log('   - 💬 Real-time Messaging');
     console.log('   - 📎 File Sharing');
     console.log('   - 📹 Video Calls');
+    console.log('   - 👥 Group Chats');
+    console.log('   - 🔐 Two-Factor Authentication (TOTP)');
     console.log('\n📡 API Endpoints:');
     console.log('   - POST   /api/auth/register');
     console.log('   - POST   /api/auth/login');
+    console.log('   - POST   /api/auth/verify-email');
+    console.log('   - POST   /api/auth/resend-verification');
+    console.log('   - GET    /api/auth/sign-in-methods');
+    console.log('   - POST   /api/auth/password');
+    console.log('   - POST   /api/auth/google/link');
+    console.log('   - DELETE /api/auth/google/link');
+    console.log('   - POST   /api/auth/2fa/login');
+    console.log('   - POST   /api/auth/2fa/setup | enable | disable | backup-codes');
+    console.log('   - POST   /api/auth/refresh');
+    console.log('   - POST   /api/auth/logout-all');
+    console.log('   - GET    /api/auth/sessions');
+    console.log('   - DELETE /api/auth/sessions/:id');
     console.log('   - GET    /api/users/search?q=<query>');
     console.log('   - GET    /api/users/search/users?q=<query>');
     console.log('   - GET    /api/users/friends/list');
     console.log('   - GET    /api/users/blocked/list');
     console.log('   - PATCH  /api/users/status/update');
+    console.log('   - GET    /api/calls');
+    console.log('   - GET    /api/conversations');
     console.log('='.repeat(60) + '\n');
 });
 
@@ -1,37 +1,69 @@
 import { OAuth2Client } from 'google-auth-library';
-import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
+import { startSession } from '../services/sessionService.js';
+import { sendEmailVerification } from '../services/emailVerificationService.js';
+import { createLoginChallenge } from '../services/twoFactorService.js';
 
 const client = new OAuth2Client(process.env.GOOGLE_CLIENT_ID);
 
+const verifyGoogleToken = async (token) => {
+  const ticket = await client.verifyIdToken({
+    idToken: token,
+    audience: process.env.GOOGLE_CLIENT_ID,
+  });
+  return ticket.getPayload();
+};
+
 export const googleLogin = async (req, res) => {
   const { token } = req.body;
   try {
-    const ticket = await client.verifyIdToken({
-      idToken: token,
-      audience: process.env.GOOGLE_CLIENT_ID,
-    });
-    const { name, email, picture, sub: googleId } = ticket.getPayload();
+    const { name, email, picture, sub: googleId, email_verified: googleEmailVerified } = await verifyGoogleToken(token);
 
     let user = await User.findOne({ googleId });
 
     if (!user) {
-      const emailExists = await User.findOne({ email });
-      if (emailExists) {
-        return res.status(400).json({ message: "An account with this email already exists. Please log in with your password." });
+      user = await User.findOne({ email: email.toLowerCase() });
+
+      if (user) {
+        // Link Google to the existing account - only when Google vouches for the address
+        if (googleEmailVerified !== true || user.googleId) {
+          return res.status(400).json({ message: "An account with this email already exists. Please log in with your password." });
+        }
+
+        // Nobody has proved they own the address this account was made with, so its password may
+        // belong to someone else, who would keep access once Google is attached. The owner can
+        // verify the email (or link Google from the profile) after logging in with the password.
+        if (!user.isEmailVerified) {
+          return res.status(400).json({
+            message: "An account with this email already exists. Log in with your password and verify your email to use Google sign-in."
+          });
+        }
+
+        user.googleId = googleId;
+        await user.save();
+        console.log(`🔗 [GOOGLE] Linked Google sign-in to existing account ${user.email}`);
+      } else {
+        user = await User.create({
+          googleId,
+          name,
+          email,
+          avatar: picture,
+          isEmailVerified: googleEmailVerified === true,
+        });
       }
-      
-      user = await User.create({
-        googleId,
-        name,
-        email,
-        avatar: picture,
-      });
+    } else if (!user.isEmailVerified && googleEmailVerified === true) {
+      user.isEmailVerified = true;
+      await user.save();
     }
 
-    const jwtToken = jwt.sign({ id: user._id }, process.env.JWT_SECRET, { expiresIn: '7d' });
-    const userToReturn = { _id: user._id, name: user.name, email: user.email, avatar: user.avatar, googleId: user.googleId };
-    res.status(200).json({ token: jwtToken, user: userToReturn });
+    // Second step at /api/auth/2fa/login before any session starts
+    if (user.twoFactorEnabled) {
+      return res.status(200).json({ twoFactorRequired: true, twoFactorToken: createLoginChallenge(user) });
+    }
+
+    const { token: jwtToken, refreshToken } = await startSession(user, req);
+    const userToReturn = { _id: user._id, name: user.name, email: user.email, avatar: user.avatar, googleId: user.googleId, isEmailVerified: user.isEmailVerified };
+    res.status(200).json({ token: jwtToken, refreshToken, user: userToReturn });
 
   } catch (error) {
     console.error('DATABASE or GOOGLE LOGIN ERROR:', error);
@@ -70,16 +102,20 @@ export const signUp = async (req, res) => {
 
         console.log('✅ [SIGNUP] User created successfully:', user._id);
 
-        const token = jwt.sign({ id: user._id }, process.env.JWT_SECRET, { expiresIn: '7d' });
+        // Not awaited - a slow or failed email shouldn't block sign-up; the user can resend it
+        sendEmailVerification(user);
+
+        const { token, refreshToken } = await startSession(user, req);
         
         const userToReturn = { 
             _id: user._id, 
             name: user.name, 
             email: user.email, 
-            avatar: user.avatar 
+            avatar: user.avatar,
+            isEmailVerified: user.isEmailVerified
         };
 
-        res.status(201).json({ token, user: userToReturn });
+        res.status(201).json({ token, refreshToken, user: userToReturn });
 
     } catch (error) {
         console.error('❌ [SIGNUP] Database error:', error);
@@ -103,7 +139,7 @@ export const directLogin = async (req, res) => {
 
         if (!user.password) {
             console.log('❌ [LOGIN] User has no password (Google user):', email);
-            return res.status(401).json({ message: "Invalid credentials or user signed up with Google." });
+            return res.status(401).json({ message: "This account signs in with Google. Log in with Google, then set a password from your profile." });
         }
 
         console.log('🔍 [LOGIN] Comparing passwords...');
@@ -118,7 +154,13 @@ export const directLogin = async (req, res) => {
 
         console.log('✅ [LOGIN] Password matched successfully');
 
-        const token = jwt.sign({ id: user._id }, process.env.JWT_SECRET, { expiresIn: '7d' });
+        // Second step at /api/auth/2fa/login before any session starts
+        if (user.twoFactorEnabled) {
+            console.log('🔐 [LOGIN] Waiting for two-factor code:', email);
+            return res.status(200).json({ twoFactorRequired: true, twoFactorToken: createLoginChallenge(user) });
+        }
+
+        const { token, refreshToken } = await startSession(user, req);
         
         const userToReturn = { 
             _id: user._id, 
@@ -126,12 +168,13 @@ export const directLogin = async (req, res) => {
             email: user.email, 
             avatar: user.avatar, 
             googleId: user.googleId,
+            isEmailVerified: user.isEmailVerified,
             isOnline: user.isOnline,
             status: user.status
         };
 
         console.log('✅ [LOGIN] Login successful for:', email);
-        res.status(200).json({ token, user: userToReturn });
+        res.status(200).json({ token, refreshToken, user: userToReturn });
 
     } catch (error) {
         console.error('❌ [LOGIN] Database error:', error);
@@ -139,6 +182,70 @@ export const directLogin = async (req, res) => {
     }
 };
 
+// ==================== Linking Google from the profile ====================
+
+export const linkGoogleAccount = async (req, res) => {
+  try {
+    const { sub: googleId, email, email_verified: googleEmailVerified } = await verifyGoogleToken(req.body.token);
+
+    if (googleEmailVerified !== true || email.toLowerCase() !== req.user.email) {
+      return res.status(400).json({ message: `Choose the Google account for ${req.user.email}.` });
+    }
+
+    const linkedElsewhere = await User.exists({ googleId, _id: { $ne: req.user._id } });
+    if (linkedElsewhere) {
+      return res.status(400).json({ message: "This Google account is already linked to another account." });
+    }
+
+    await User.updateOne({ _id: req.user._id }, { $set: { googleId, isEmailVerified: true } });
+
+    console.log(`🔗 [GOOGLE] Linked Google sign-in for ${req.user.email}`);
+    res.status(200).json({ message: "Google account linked." });
+  } catch (error) {
+    console.error('GOOGLE LINK ERROR:', error);
+    res.status(500).json({ message: "Server error while linking Google." });
+  }
+};
+
+// A Google sign-in older than this doesn't count as proof that the user is at the keyboard
+const GOOGLE_REAUTH_MAX_AGE_SECONDS = 5 * 60;
+
+/**
+ * True when `token` is a Google ID token just issued for the Google account linked to `user` -
+ * proof of ownership that a stolen or leftover access token can't provide
+ */
+export const confirmGoogleAccount = async (user, token) => {
+  if (!user.googleId || typeof token !== 'string') return false;
+
+  try {
+    const { sub: googleId, iat } = await verifyGoogleToken(token);
+    return googleId === user.googleId && Date.now() / 1000 - iat <= GOOGLE_REAUTH_MAX_AGE_SECONDS;
+  } catch (error) {
+    return false;
+  }
+};
+
+export const unlinkGoogleAccount = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    if (!user.googleId) {
+      return res.status(400).json({ message: "No Google account is linked." });
+    }
+    // Without a password the account would have no way to sign in
+    if (!user.password) {
+      return res.status(400).json({ message: "Set a password before unlinking Google." });
+    }
+
+    await User.updateOne({ _id: user._id }, { $unset: { googleId: 1 } });
+
+    console.log(`🔗 [GOOGLE] Unlinked Google sign-in for ${user.email}`);
+    res.status(200).json({ message: "Google account unlinked." });
+  } catch (error) {
+    console.error('GOOGLE UNLINK ERROR:', error);
+    res.status(500).json({ message: "Server error while unlinking Google." });
+  }
+};
+
 export const getMe = async (req, res) => {
     try {
         const user = await User.findById(req.user.id).select('-password');
@@ -1,5 +1,6 @@
 import Message from '../models/Message.js';
 import User from '../models/User.js';
+import Upload from '../models/Upload.js';
 import { uploadProfilePhotoToDrive } from '../services/googleDrive.js';
 
 // Existing uploadAttachment function
@@ -15,6 +16,14 @@ export const uploadAttachment = async (req, res) => {
       return res.status(500).json({ message: 'Failed to upload file to Google Drive.' });
     }
 
+    // The link Drive returned is https://drive.google.com/uc?id=<file id>&export=download
+    await Upload.create({
+      uploader: req.user._id,
+      fileUrl,
+      storage: 'drive',
+      key: new URL(fileUrl).searchParams.get('id')
+    });
+
     res.status(201).json({
       message: 'File uploaded successfully',
       fileUrl: fileUrl,
@@ -1,6 +1,7 @@
 // src/middlewares/auth.js - FIXED VERSION WITH BOTH EXPORTS
 import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
+import { resolveSession, getClientIp } from '../services/sessionService.js';
 
 /**
  * Main authentication middleware
@@ -16,6 +17,13 @@ export const protect = async (req, res, next) => {
       
       // Verify token
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+      // The device may have been signed out since the token was issued
+      const session = await resolveSession(decoded, getClientIp(req));
+      if (!session) {
+        return res.status(401).json({ message: 'Not authorized, session has ended' });
+      }
+      req.sessionId = session.sessionId;
       
       // Get user from token and attach to request
       req.user = await User.findById(decoded.id).select('-password');
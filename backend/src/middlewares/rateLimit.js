@@ -0,0 +1,31 @@
+// src/middlewares/rateLimit.js - PER-EMAIL / PER-IP LIMITS FOR SENSITIVE AUTH ENDPOINTS
+import RateLimit from '../models/RateLimit.js';
+
+const formatWait = (seconds) => (
+  seconds < 60 ? `${seconds} seconds` : `${Math.ceil(seconds / 60)} minutes`
+);
+
+/**
+ * Build a middleware that counts the request against every limit `getLimits(req)` returns
+ * ([{ key, limit, windowMs }]) and answers 429 once any of them is used up
+ */
+export const rateLimit = (getLimits) => async (req, res, next) => {
+  try {
+    for (const { key, limit, windowMs } of getLimits(req)) {
+      const { limited, retryAfterSeconds } = await RateLimit.hit(key, { limit, windowMs });
+      if (limited) {
+        res.set('Retry-After', String(retryAfterSeconds));
+        return res.status(429).json({
+          message: `Too many attempts. Please try again in ${formatWait(retryAfterSeconds)}.`,
+          retryAfterSeconds
+        });
+      }
+    }
+    next();
+  } catch (error) {
+    console.error('Rate limit error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+export default rateLimit;
@@ -0,0 +1,66 @@
+// src/models/Call.js - CALL LOG FOR VIDEO/VOICE CALLS
+import mongoose from 'mongoose';
+
+const callSchema = new mongoose.Schema({
+  caller: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  callee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  chatId: {
+    type: String,
+    required: true
+  },
+  callType: {
+    type: String,
+    enum: ['video', 'audio'],
+    default: 'video'
+  },
+  // Signaling state of the call, updated as it rings, connects and ends
+  status: {
+    type: String,
+    enum: ['ringing', 'accepted', 'declined', 'busy', 'missed', 'cancelled', 'ended'],
+    default: 'ringing'
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  answeredAt: {
+    type: Date,
+    default: null
+  },
+  endedAt: {
+    type: Date,
+    default: null
+  },
+  endedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Final result shown in call history, set once the call is over
+  outcome: {
+    type: String,
+    enum: ['missed', 'declined', 'completed'],
+    default: null
+  },
+  // Talk time in seconds (0 unless the call was answered)
+  duration: {
+    type: Number,
+    default: 0
+  }
+}, { timestamps: true });
+
+// Index for loading the call log of a chat
+callSchema.index({ chatId: 1, startedAt: -1 });
+callSchema.index({ caller: 1, startedAt: -1 });
+callSchema.index({ callee: 1, startedAt: -1 });
+
+const Call = mongoose.model('Call', callSchema);
+export default Call;
@@ -0,0 +1,333 @@
+// src/models/Conversation.js - DIRECT & GROUP CONVERSATIONS
+import mongoose from 'mongoose';
+
+const conversationSchema = new mongoose.Schema({
+  // Conversations created before direct chats existed are all groups
+  type: {
+    type: String,
+    enum: ['direct', 'group'],
+    default: 'group'
+  },
+  // Legacy chat key for direct chats (two sorted user ids joined by '_').
+  // Still used as the socket room and Message.chatId for 1:1 chats.
+  directKey: {
+    type: String,
+    default: undefined
+  },
+  title: {
+    type: String,
+    required: [function() { return this.type === 'group'; }, 'Please provide a group title'],
+    trim: true,
+    maxlength: 100
+  },
+  avatar: {
+    type: String,
+    default: ''
+  },
+  members: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // Admins are a subset of members and can invite, kick and manage roles (groups only)
+  admins: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: function() { return this.type === 'group'; }
+  },
+  lastMessage: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message',
+    default: null
+  },
+  lastMessageAt: {
+    type: Date,
+    default: null
+  },
+  // userId -> number of messages that user hasn't read yet
+  unreadCounts: {
+    type: Map,
+    of: Number,
+    default: {}
+  },
+  // Pinned messages, oldest pin first (at most MAX_PINNED_MESSAGES)
+  pinnedMessages: [{
+    message: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Message',
+      required: true
+    },
+    pinnedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    pinnedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // userId -> when that user last cleared the chat; older messages are hidden for them only
+  clearedAt: {
+    type: Map,
+    of: Date,
+    default: {}
+  },
+  // Incognito (direct chats only), shared by both members: messages expire at expiresAt.
+  // It only starts once the other member accepts the request.
+  incognito: {
+    enabledAt: {
+      type: Date,
+      default: null
+    },
+    expiresAt: {
+      type: Date,
+      default: null
+    },
+    // Who asked for it - the other member accepted
+    requestedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    }
+  },
+  // A request to turn incognito on, waiting for the other member
+  incognitoRequest: {
+    requestedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    durationHours: {
+      type: Number,
+      default: null
+    },
+    requestedAt: {
+      type: Date,
+      default: null
+    }
+  }
+}, { timestamps: true });
+
+export const MAX_PINNED_MESSAGES = 5;
+
+// How long an incognito session may last (hours)
+export const INCOGNITO_DURATION_OPTIONS = [1, 2, 3];
+
+// Members and admins may be populated, so compare by the underlying id
+const toId = (ref) => (ref?._id || ref).toString();
+
+const getDirectKey = (userA, userB) => [userA.toString(), userB.toString()].sort().join('_');
+
+// Index for loading a user's conversations (sidebar), most recent first
+conversationSchema.index({ members: 1, lastMessageAt: -1 });
+conversationSchema.index(
+  { directKey: 1 },
+  { unique: true, partialFilterExpression: { directKey: { $type: 'string' } } }
+);
+// The expiry sweeper looks for incognito sessions that have run out
+conversationSchema.index({ 'incognito.expiresAt': 1 });
+
+// Method to get the socket room / Message.chatId for this conversation
+conversationSchema.methods.getRoomId = function() {
+  return this.type === 'direct' ? this.directKey : this._id.toString();
+};
+
+// Method to get member ids as strings
+conversationSchema.methods.getMemberIds = function() {
+  return this.members.map(toId);
+};
+
+// Method to check if user is a member
+conversationSchema.methods.isMember = function(userId) {
+  return this.members.some(member => toId(member) === userId.toString());
+};
+
+// Method to check if user is an admin
+conversationSchema.methods.isAdmin = function(userId) {
+  return this.admins.some(admin => toId(admin) === userId.toString());
+};
+
+// Method to get when a user last cleared this chat (null if never)
+conversationSchema.methods.getClearedAt = function(userId) {
+  return this.clearedAt?.get(userId.toString()) || null;
+};
+
+// Method to get the incognito state both members see: { enabled, expiresAt, request }
+conversationSchema.methods.getIncognitoStatus = function() {
+  const expiresAt = this.incognito?.expiresAt;
+  const enabled = !!expiresAt && expiresAt > new Date();
+  const request = this.incognitoRequest?.requestedBy ? {
+    requestedBy: this.incognitoRequest.requestedBy.toString(),
+    durationHours: this.incognitoRequest.durationHours,
+    requestedAt: this.incognitoRequest.requestedAt
+  } : null;
+
+  return { enabled, expiresAt: enabled ? expiresAt : null, request };
+};
+
+// Method to check if a user still sees a message - not deleted for themselves, not cleared away
+conversationSchema.methods.isVisibleTo = function(message, userId) {
+  const clearedAt = this.getClearedAt(userId);
+  return !message.deletedFor.some(id => id.toString() === userId.toString()) &&
+    !(clearedAt && message.createdAt <= clearedAt);
+};
+
+// Method to check if a message is pinned
+conversationSchema.methods.isPinned = function(messageId) {
+  return this.pinnedMessages.some(pin => toId(pin.message) === messageId.toString());
+};
+
+// Method to list pins as a user sees them - messages they deleted or cleared away are left out
+conversationSchema.methods.getPinsFor = async function(userId) {
+  await this.populate([
+    {
+      path: 'pinnedMessages.message',
+      select: 'sender chatId messageType content isDeleted deletedFor createdAt',
+      populate: { path: 'sender', select: 'name' }
+    },
+    { path: 'pinnedMessages.pinnedBy', select: 'name' }
+  ]);
+
+  return this.pinnedMessages
+    .filter(pin => pin.message && this.isVisibleTo(pin.message, userId))
+    .map(pin => ({
+      message: {
+        _id: pin.message._id,
+        sender: pin.message.sender,
+        messageType: pin.message.messageType,
+        content: pin.message.content,
+        createdAt: pin.message.createdAt
+      },
+      pinnedBy: pin.pinnedBy,
+      pinnedAt: pin.pinnedAt
+    }));
+};
+
+// Method describing who the chat is with, as the sidebar lists it: the group itself or the
+// other user of a direct chat (members must be populated)
+conversationSchema.methods.getChatSummaryFor = function(userId) {
+  if (this.type === 'group') {
+    return { type: 'group', _id: this._id, name: this.title, avatar: this.avatar };
+  }
+
+  const otherUser = this.members.find(member => toId(member) !== userId.toString());
+  return { type: 'direct', _id: otherUser?._id, name: otherUser?.name, avatar: otherUser?.avatar };
+};
+
+// Method listing the members (other than the sender) for whom a message still counts as unread
+conversationSchema.methods.getUnreadMemberIds = function(message) {
+  if (message.messageType === 'system') return [];
+
+  const senderId = toId(message.sender);
+  const readerIds = this.type === 'group'
+    ? message.readBy.map(receipt => toId(receipt.user))
+    : (message.isRead ? this.getMemberIds() : []);
+
+  return this.getMemberIds().filter(memberId => memberId !== senderId && !readerIds.includes(memberId));
+};
+
+// Method to remove a member (and their admin role)
+conversationSchema.methods.removeMember = function(userId) {
+  this.members = this.members.filter(member => toId(member) !== userId.toString());
+  this.admins = this.admins.filter(admin => toId(admin) !== userId.toString());
+  this.unreadCounts.delete(userId.toString());
+
+  // Never leave a group without an admin - promote the longest-standing member
+  if (this.admins.length === 0 && this.members.length > 0) {
+    this.admins.push(toId(this.members[0]));
+  }
+};
+
+// Static to get (or lazily create) the direct conversation between two users
+conversationSchema.statics.findOrCreateDirect = function(userA, userB) {
+  const directKey = getDirectKey(userA, userB);
+
+  return this.findOneAndUpdate(
+    { directKey },
+    { $setOnInsert: { type: 'direct', directKey, members: [userA, userB] } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+// Static to find a conversation by room id (direct key or conversation id)
+conversationSchema.statics.findByRoomId = function(roomId) {
+  if (roomId.includes('_')) return this.findOne({ directKey: roomId });
+  if (!mongoose.isValidObjectId(roomId)) return Promise.resolve(null);
+  return this.findById(roomId);
+};
+
+// Static to move the last message pointer and bump unread counters of everyone but the sender
+conversationSchema.statics.recordMessage = function(conversation, message, { countsAsUnread = true } = {}) {
+  const senderId = toId(message.sender);
+  const update = {
+    $set: { lastMessage: message._id, lastMessageAt: message.createdAt }
+  };
+
+  const recipientIds = conversation.members.map(toId).filter(memberId => memberId !== senderId);
+
+  if (countsAsUnread && recipientIds.length > 0) {
+    update.$inc = {};
+    recipientIds.forEach(memberId => { update.$inc[`unreadCounts.${memberId}`] = 1; });
+  }
+
+  return this.updateOne({ _id: conversation._id }, update);
+};
+
+// Static to take back unread counts for a message that no longer exists for these users
+conversationSchema.statics.decrementUnread = function(conversationId, userIds) {
+  return Promise.all(userIds.map(userId => this.updateOne(
+    { _id: conversationId, [`unreadCounts.${userId}`]: { $gt: 0 } },
+    { $inc: { [`unreadCounts.${userId}`]: -1 } }
+  )));
+};
+
+// Static to point lastMessage back at the newest message that still exists
+conversationSchema.statics.refreshLastMessage = async function(conversationId) {
+  const lastMessage = await mongoose.model('Message').findOne({ conversation: conversationId })
+    .sort({ createdAt: -1, _id: -1 })
+    .select('_id createdAt');
+
+  await this.updateOne(
+    { _id: conversationId },
+    { $set: { lastMessage: lastMessage?._id || null, lastMessageAt: lastMessage?.createdAt || null } }
+  );
+
+  return lastMessage;
+};
+
+// Static to clear the chat history for one user only. Resolves to { clearedAt, clearedByAllBefore }:
+// messages up to clearedByAllBefore are cleared by every member, so no one can see them anymore and
+// they should be deleted for good (services/incognitoCleanup.js deleteClearedMessages). It is null
+// while some member still has them. Read from the updated document, so when two members clear at
+// once the later one sees both watermarks.
+conversationSchema.statics.clearFor = async function(conversation, userId) {
+  const clearedAt = new Date();
+
+  const updated = await this.findOneAndUpdate(
+    { _id: conversation._id },
+    { $set: { [`clearedAt.${userId}`]: clearedAt, [`unreadCounts.${userId}`]: 0 } },
+    { new: true }
+  );
+  if (!updated) return { clearedAt, clearedByAllBefore: null };
+
+  const watermarks = updated.getMemberIds().map(memberId => updated.getClearedAt(memberId));
+  const clearedByAllBefore = watermarks.every(Boolean)
+    ? new Date(Math.min(...watermarks.map(date => date.getTime())))
+    : null;
+
+  return { clearedAt, clearedByAllBefore };
+};
+
+// Static to reset a user's unread counter
+conversationSchema.statics.markReadBy = function(conversationId, userId) {
+  return this.updateOne(
+    { _id: conversationId },
+    { $set: { [`unreadCounts.${userId}`]: 0 } }
+  );
+};
+
+const Conversation = mongoose.model('Conversation', conversationSchema);
+export default Conversation;
@@ -7,13 +7,20 @@ const MessageSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
+  conversation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Conversation',
+    required: true
+  },
+  // Socket room key kept for clients: user1_user2 for direct chats, the conversation id for groups.
+  // Query by `conversation` instead.
   chatId: {
     type: String, // ✅ FIX: Allow storing custom chatId (user1_user2)
     required: true
   },
     messageType: {
     type: String,
-    enum: ['text', 'image', 'file', 'audio', 'video', 'voice'], // ✅ Added 'voice'
+    enum: ['text', 'image', 'file', 'audio', 'video', 'voice', 'call', 'system'], // ✅ Added 'voice'
     default: 'text'
   },
   // Store content directly in MongoDB instead of external storage
@@ -24,11 +31,60 @@ const MessageSchema = new mongoose.Schema({
     fileSize: Number,
     mimeType: String
   },
+  // Copied from another chat with forwardMessage
+  isForwarded: {
+    type: Boolean,
+    default: false
+  },
+  // The message this one replies to (always from the same conversation)
+  replyTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message',
+    default: null
+  },
+  // Call summary for 'call' messages shown inline in the chat timeline
+  call: {
+    callId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Call'
+    },
+    callType: String,
+    outcome: String,
+    duration: Number
+  },
+  // The uploaded file content.fileUrl points at, set by the server from the sender's own upload
+  // (models/Upload.js) - the file that is deleted with the message
+  storedFile: {
+    storage: String,
+    key: String
+  },
   // Keep Google Drive fields as optional for backward compatibility
   googleDriveFileId: {
     type: String,
     required: false
   },
+  // The message is deleted for everyone at this time - set by incognito chats, disappearing timers
+  // and view-once (see services/incognitoCleanup.js)
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  // Disappearing message: expiresAt is set this many seconds after the message has been read
+  disappearAfterSeconds: {
+    type: Number,
+    default: null
+  },
+  // View-once media: its content is only ever sent to a recipient once, when they open it
+  viewOnce: {
+    type: Boolean,
+    default: false
+  },
+  // Recipients who have opened a view-once message
+  viewedBy: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // Deleted for everyone: the message stays in the timeline as a tombstone without content
   isDeleted: {
     type: Boolean,
     default: false
@@ -36,9 +92,23 @@ const MessageSchema = new mongoose.Schema({
   deletedAt: {
     type: Date
   },
+  // Users who deleted this message only for themselves
+  deletedFor: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
   editedAt: {
     type: Date
   },
+  // Previous versions of an edited text message, oldest first
+  editHistory: [{
+    text: String,
+    // When this version was replaced by the next one
+    replacedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   // NEW: Message delivery and read status fields
   isDelivered: {
     type: Boolean,
@@ -56,7 +126,23 @@ const MessageSchema = new mongoose.Schema({
     type: Date,
     default: null
   },
-  // Keep existing readBy array for backward compatibility and multi-user support
+  // Emoji reactions, at most one per user (reacting again replaces it)
+  reactions: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    emoji: {
+      type: String,
+      required: true
+    },
+    reactedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Per-member read receipts (group chats set isRead once every member has read)
   readBy: [{
     user: {
       type: mongoose.Schema.Types.ObjectId,
@@ -71,10 +157,199 @@ const MessageSchema = new mongoose.Schema({
   timestamps: true
 });
 
-// Index for efficient querying
+// Lifetimes (in seconds after being read) a disappearing message may have
+export const DISAPPEARING_TIMER_OPTIONS = [10, 30, 60, 5 * 60, 60 * 60, 24 * 60 * 60];
+
+// Only media can be sent view-once
+export const VIEW_ONCE_TYPES = ['image', 'video', 'audio', 'voice'];
+
+// What a reply needs of the quoted message to render its snippet
+export const REPLY_PREVIEW_POPULATE = {
+  path: 'replyTo',
+  select: 'sender messageType content.text content.fileName isDeleted viewOnce',
+  populate: { path: 'sender', select: 'name' }
+};
+
+// Expired messages are deleted (and members notified) by the expiry sweeper. The TTL index is only a
+// backstop for when the sweeper isn't running, so it waits a little longer than the sweeper does.
+const EXPIRY_TTL_GRACE_SECONDS = 10 * 60;
+MessageSchema.index({ expiresAt: 1 }, { expireAfterSeconds: EXPIRY_TTL_GRACE_SECONDS });
+
+// Matches messages that haven't expired yet (including those that never expire)
+const notExpired = () => ({ $not: { $lte: new Date() } });
+
+// View-once content never leaves the server with the message itself (history, replies, sidebar...):
+// recipients get it once through openViewOnce. This covers documents sent with toJSON/toObject.
+const redactViewOnce = (doc, ret) => {
+  if (ret.viewOnce && ret.content) ret.content = {};
+  return ret;
+};
+MessageSchema.set('toJSON', { transform: redactViewOnce });
+MessageSchema.set('toObject', { transform: redactViewOnce });
+
+// Method for payloads built field by field
+MessageSchema.methods.getVisibleContent = function() {
+  return this.viewOnce ? {} : this.content;
+};
+
+// Expired attachments are deleted from storage unless another message (a forwarded copy) still uses them
+MessageSchema.index({ 'storedFile.key': 1 }, { sparse: true });
+
+// Full-text search over message text and attachment names (one text index per collection)
+MessageSchema.index(
+  { 'content.text': 'text', 'content.fileName': 'text' },
+  { name: 'message_text_search', weights: { 'content.text': 3, 'content.fileName': 1 } }
+);
+
+// Message search result size (GET /api/messages/search)
+const DEFAULT_SEARCH_LIMIT = 20;
+const MAX_SEARCH_LIMIT = 50;
+const SNIPPET_LENGTH = 120;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Cut a window of the text around the first match and mark every match in it as [start, end) ranges.
+// Terms match as word prefixes, since the text index matches stemmed words ("plans" finds "planning").
+const buildSnippet = (text = '', terms = []) => {
+  const pattern = terms.length
+    ? new RegExp(`\\b(${terms.map(escapeRegex).join('|')})\\w*`, 'gi')
+    : null;
+  const firstMatch = pattern ? text.search(pattern) : -1;
+
+  let start = 0;
+  if (firstMatch > SNIPPET_LENGTH / 3 && text.length > SNIPPET_LENGTH) {
+    start = Math.min(firstMatch - Math.floor(SNIPPET_LENGTH / 3), text.length - SNIPPET_LENGTH);
+  }
+  const end = Math.min(start + SNIPPET_LENGTH, text.length);
+
+  const prefix = start > 0 ? '…' : '';
+  const snippet = `${prefix}${text.slice(start, end)}${end < text.length ? '…' : ''}`;
+
+  const highlights = [];
+  if (pattern) {
+    for (const match of text.slice(start, end).matchAll(pattern)) {
+      highlights.push([match.index + prefix.length, match.index + prefix.length + match[0].length]);
+    }
+  }
+
+  return { snippet, highlights };
+};
+
+// Message history page size (loadMessages / GET /api/messages/:chatId)
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 100;
+
+// Index for efficient querying (_id breaks ties between messages sent in the same millisecond)
+MessageSchema.index({ conversation: 1, createdAt: -1, _id: -1 });
 MessageSchema.index({ chatId: 1, createdAt: -1 });
 MessageSchema.index({ sender: 1 });
 // NEW: Index for delivery and read status queries
 MessageSchema.index({ isDelivered: 1, isRead: 1 });
 
+// Static to load one page of a conversation's history, always returned oldest → newest.
+// `before` pages backwards from a message id, `after` forwards; without a cursor the newest page is returned.
+// Messages the viewer deleted for themselves, or sent before `since` (the viewer's clear-chat watermark),
+// are left out. Resolves to null when the cursor isn't a message of this conversation.
+MessageSchema.statics.findPage = async function(conversationId, { before, after, limit, viewerId, since } = {}) {
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  const cursorId = before || after;
+  const isForward = !before && !!after;
+  const query = { conversation: conversationId, expiresAt: notExpired() };
+  if (viewerId) query.deletedFor = { $ne: viewerId };
+  if (since) query.createdAt = { $gt: since };
+
+  if (cursorId) {
+    if (!mongoose.isValidObjectId(cursorId)) return null;
+
+    const cursor = await this.findOne({ _id: cursorId, conversation: conversationId }).select('createdAt');
+    if (!cursor) return null;
+
+    const op = isForward ? '$gt' : '$lt';
+    query.$or = [
+      { createdAt: { [op]: cursor.createdAt } },
+      { createdAt: cursor.createdAt, _id: { [op]: cursor._id } }
+    ];
+  }
+
+  const direction = isForward ? 1 : -1;
+  const messages = await this.find(query)
+    .select('-deletedFor')
+    .populate('sender', 'name avatar')
+    .populate('reactions.user', 'name')
+    .populate(REPLY_PREVIEW_POPULATE)
+    .sort({ createdAt: direction, _id: direction })
+    .limit(pageSize + 1);
+
+  // The extra document only tells us whether another page exists
+  const hasMore = messages.length > pageSize;
+  const page = messages.slice(0, pageSize);
+  if (!isForward) page.reverse();
+
+  return { messages: page, hasMore };
+};
+
+// Static to start the timers of read disappearing messages matching `filter`: each one expires
+// disappearAfterSeconds after it was read, unless it already expires sooner (incognito).
+// Resolves to the [{ messageId, expiresAt }] that changed.
+MessageSchema.statics.startDisappearingTimers = async function(filter) {
+  const messages = await this.find({ ...filter, isRead: true, disappearAfterSeconds: { $gt: 0 } })
+    .select('readAt disappearAfterSeconds expiresAt');
+
+  const timers = messages
+    .map(msg => ({
+      messageId: msg._id,
+      current: msg.expiresAt,
+      expiresAt: new Date((msg.readAt || new Date()).getTime() + msg.disappearAfterSeconds * 1000)
+    }))
+    .filter(({ current, expiresAt }) => !current || expiresAt < current);
+
+  if (timers.length > 0) {
+    await this.bulkWrite(timers.map(({ messageId, expiresAt }) => ({
+      updateOne: { filter: { _id: messageId }, update: { $set: { expiresAt } } }
+    })));
+  }
+
+  return timers.map(({ messageId, expiresAt }) => ({ messageId, expiresAt }));
+};
+
+// Static for full-text search. `scopes` lists the conversations to search as { conversation, since }:
+// only messages after `since` (the clear-chat watermark) are considered.
+// Deleted, call, system and view-once messages and messages the viewer deleted for themselves never match.
+// Best matches come first, newest first among equally good ones.
+MessageSchema.statics.search = async function(text, { scopes = [], viewerId, limit } = {}) {
+  const resultSize = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_SEARCH_LIMIT, 1), MAX_SEARCH_LIMIT);
+  if (!text || scopes.length === 0) return [];
+
+  const messages = await this.find({
+    $text: { $search: text },
+    $or: scopes.map(({ conversation, since }) => since
+      ? { conversation, createdAt: { $gt: since } }
+      : { conversation }
+    ),
+    messageType: { $nin: ['call', 'system'] },
+    viewOnce: { $ne: true },
+    isDeleted: { $ne: true },
+    deletedFor: { $ne: viewerId },
+    expiresAt: notExpired()
+  })
+    .select({ score: { $meta: 'textScore' }, sender: 1, conversation: 1, chatId: 1, messageType: 1, content: 1, createdAt: 1 })
+    .populate('sender', 'name avatar')
+    .sort({ score: { $meta: 'textScore' }, createdAt: -1 })
+    .limit(resultSize);
+
+  // Quoted phrases and excluded (-word) terms aren't highlighted separately
+  const terms = text.replace(/"/g, ' ').split(/\s+/).filter(term => term && !term.startsWith('-'));
+
+  return messages.map(msg => ({
+    _id: msg._id,
+    conversation: msg.conversation,
+    chatId: msg.chatId,
+    sender: msg.sender,
+    messageType: msg.messageType,
+    content: msg.content,
+    createdAt: msg.createdAt,
+    ...buildSnippet(msg.content?.text || msg.content?.fileName || '', terms)
+  }));
+};
+
 export default mongoose.model('Message', MessageSchema);
\ No newline at end of file
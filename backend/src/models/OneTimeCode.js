@@ -0,0 +1,142 @@
+// src/models/OneTimeCode.js - EMAILED VERIFICATION CODES (STORED HASHED)
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+
+export const OTP_PURPOSES = ['password_reset'];
+export const OTP_LENGTH = 6;
+export const OTP_TTL_MS = 10 * 60 * 1000;
+export const MAX_OTP_ATTEMPTS = 5;
+// How long the reset token from a verified code can be used
+export const RESET_TOKEN_TTL_MS = 15 * 60 * 1000;
+
+const oneTimeCodeSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  purpose: {
+    type: String,
+    enum: OTP_PURPOSES,
+    required: true
+  },
+  // Keyed hashes - a leaked collection doesn't reveal codes or tokens
+  codeHash: {
+    type: String,
+    required: true
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  verifiedAt: {
+    type: Date,
+    default: null
+  },
+  // Issued once the code is verified; used exactly once to finish the flow
+  resetTokenHash: {
+    type: String,
+    default: null
+  },
+  usedAt: {
+    type: Date,
+    default: null
+  },
+  // Pushed back to the reset token's expiry once the code is verified
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, { timestamps: true });
+
+oneTimeCodeSchema.index({ email: 1, purpose: 1 });
+oneTimeCodeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export const hashSecret = (value) => crypto
+  .createHmac('sha256', process.env.JWT_SECRET)
+  .update(String(value))
+  .digest('hex');
+
+const secretsMatch = (value, hash) => {
+  const valueHash = Buffer.from(hashSecret(value), 'hex');
+  const storedHash = Buffer.from(hash || '', 'hex');
+  return valueHash.length === storedHash.length && crypto.timingSafeEqual(valueHash, storedHash);
+};
+
+// Static to replace any earlier code for the email with a fresh random one - returns the plain code
+oneTimeCodeSchema.statics.issue = async function(email, purpose) {
+  const code = crypto.randomInt(0, 10 ** OTP_LENGTH).toString().padStart(OTP_LENGTH, '0');
+
+  await this.deleteMany({ email, purpose });
+  await this.create({
+    email,
+    purpose,
+    codeHash: hashSecret(code),
+    expiresAt: new Date(Date.now() + OTP_TTL_MS)
+  });
+
+  return code;
+};
+
+// Static to check a code - returns { resetToken } or { error }. Every wrong guess counts; after
+// MAX_OTP_ATTEMPTS the code is thrown away and a new one has to be requested.
+oneTimeCodeSchema.statics.verify = async function(email, purpose, code) {
+  const record = await this.findOne({
+    email,
+    purpose,
+    verifiedAt: null,
+    expiresAt: { $gt: new Date() }
+  });
+  if (!record) return { error: 'Code not found or expired' };
+
+  if (!secretsMatch(code, record.codeHash)) {
+    const updated = await this.findOneAndUpdate(
+      { _id: record._id },
+      { $inc: { attempts: 1 } },
+      { new: true }
+    );
+    if (updated.attempts >= MAX_OTP_ATTEMPTS) {
+      await this.deleteOne({ _id: record._id });
+      return { error: 'Too many wrong codes - request a new one' };
+    }
+    return { error: 'Invalid code' };
+  }
+
+  const resetToken = crypto.randomBytes(32).toString('hex');
+
+  // Conditional, so the same code can't be verified twice in parallel
+  const verified = await this.findOneAndUpdate(
+    { _id: record._id, verifiedAt: null },
+    {
+      $set: {
+        verifiedAt: new Date(),
+        resetTokenHash: hashSecret(resetToken),
+        expiresAt: new Date(Date.now() + RESET_TOKEN_TTL_MS)
+      }
+    }
+  );
+  if (!verified) return { error: 'Code not found or expired' };
+
+  return { resetToken };
+};
+
+// Static to use up a reset token - returns true only the first time, before it expires
+oneTimeCodeSchema.statics.consumeResetToken = async function(email, purpose, resetToken) {
+  if (!resetToken) return false;
+
+  const record = await this.findOneAndUpdate(
+    {
+      email,
+      purpose,
+      resetTokenHash: hashSecret(resetToken),
+      usedAt: null,
+      expiresAt: { $gt: new Date() }
+    },
+    { $set: { usedAt: new Date() } }
+  );
+  return !!record;
+};
+
+const OneTimeCode = mongoose.model('OneTimeCode', oneTimeCodeSchema);
+export default OneTimeCode;
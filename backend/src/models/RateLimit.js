@@ -0,0 +1,43 @@
+// src/models/RateLimit.js - FIXED-WINDOW REQUEST COUNTERS (SHARED BY ALL SERVER INSTANCES)
+import mongoose from 'mongoose';
+
+const rateLimitSchema = new mongoose.Schema({
+  // "<action>:<email or ip>:<window number>"
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  count: {
+    type: Number,
+    default: 0
+  },
+  // End of the window - MongoDB removes the counter after it
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+rateLimitSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static to count one hit against `key` - returns { limited, retryAfterSeconds }
+rateLimitSchema.statics.hit = async function(key, { limit, windowMs }) {
+  const now = Date.now();
+  const windowNumber = Math.floor(now / windowMs);
+  const windowEnd = (windowNumber + 1) * windowMs;
+
+  const counter = await this.findOneAndUpdate(
+    { key: `${key}:${windowNumber}` },
+    { $inc: { count: 1 }, $setOnInsert: { expiresAt: new Date(windowEnd) } },
+    { upsert: true, new: true }
+  );
+
+  return {
+    limited: counter.count > limit,
+    retryAfterSeconds: Math.ceil((windowEnd - now) / 1000)
+  };
+};
+
+const RateLimit = mongoose.model('RateLimit', rateLimitSchema);
+export default RateLimit;
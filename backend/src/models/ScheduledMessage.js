@@ -0,0 +1,84 @@
+// src/models/ScheduledMessage.js - MESSAGES COMPOSED NOW AND DELIVERED LATER
+import mongoose from 'mongoose';
+
+const scheduledMessageSchema = new mongoose.Schema({
+  sender: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Exactly one of receiver (direct chat) or conversation (group) is set
+  receiver: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  conversation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Conversation',
+    default: null
+  },
+  // Socket room key of the target chat, so the client can list a chat's pending messages
+  chatId: {
+    type: String,
+    required: true
+  },
+  content: {
+    text: {
+      type: String,
+      required: true,
+      trim: true
+    }
+  },
+  sendAt: {
+    type: Date,
+    required: true
+  },
+  // pending -> sending (claimed by the dispatcher) -> sent | failed; cancelled by the sender
+  status: {
+    type: String,
+    enum: ['pending', 'sending', 'sent', 'failed', 'cancelled'],
+    default: 'pending'
+  },
+  claimedAt: {
+    type: Date,
+    default: null
+  },
+  sentMessage: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message',
+    default: null
+  },
+  failureReason: {
+    type: String,
+    default: null
+  }
+}, { timestamps: true });
+
+// The dispatcher looks for due pending messages; users list their own by chat
+scheduledMessageSchema.index({ status: 1, sendAt: 1 });
+scheduledMessageSchema.index({ sender: 1, status: 1, sendAt: 1 });
+
+export const MAX_PENDING_SCHEDULED_MESSAGES = 50;
+export const MAX_SCHEDULE_AHEAD_MS = 365 * 24 * 60 * 60 * 1000;
+
+// Static to atomically claim the next due message, so two dispatchers never send the same one
+scheduledMessageSchema.statics.claimNextDue = function(now = new Date()) {
+  return this.findOneAndUpdate(
+    { status: 'pending', sendAt: { $lte: now } },
+    { $set: { status: 'sending', claimedAt: now } },
+    { sort: { sendAt: 1 }, new: true }
+  );
+};
+
+// Static to give up on messages whose dispatcher died mid-send. They are marked failed rather than
+// retried, because the message may already have been delivered.
+scheduledMessageSchema.statics.failStaleClaims = function(olderThan) {
+  return this.updateMany(
+    { status: 'sending', claimedAt: { $lt: olderThan } },
+    { $set: { status: 'failed', failureReason: 'Sending was interrupted' } }
+  );
+};
+
+const ScheduledMessage = mongoose.model('ScheduledMessage', scheduledMessageSchema);
+export default ScheduledMessage;
@@ -0,0 +1,85 @@
+// src/models/Session.js - SIGNED-IN DEVICES (ONE PER LOGIN)
+import mongoose from 'mongoose';
+
+// lastSeenAt is only written when it is at least this stale, so every request isn't a write
+const LAST_SEEN_UPDATE_INTERVAL_MS = 5 * 60 * 1000;
+
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  userAgent: {
+    type: String,
+    default: ''
+  },
+  ipAddress: {
+    type: String,
+    default: ''
+  },
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+  // SHA-256 of the current refresh token, and of the one it replaced (to spot a leaked copy)
+  refreshTokenHash: {
+    type: String,
+    select: false
+  },
+  previousRefreshTokenHash: {
+    type: String,
+    select: false
+  },
+  rotatedAt: {
+    type: Date,
+    default: null
+  },
+  // The refresh token's expiry, pushed back every time it rotates
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  // Set when the device is signed out - its access and refresh tokens stop working right away
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+}, { timestamps: true });
+
+// Listing a user's devices; expired sessions are removed by MongoDB
+sessionSchema.index({ user: 1, revokedAt: 1, lastSeenAt: -1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static to look up a session that can still be used
+sessionSchema.statics.findActive = function(sessionId, userId) {
+  if (!mongoose.isValidObjectId(sessionId)) return Promise.resolve(null);
+  return this.findOne({
+    _id: sessionId,
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+// Static for the user's signed-in devices, most recently used first
+sessionSchema.statics.listActive = function(userId) {
+  return this.find({ user: userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+    .select('userAgent ipAddress lastSeenAt createdAt')
+    .sort({ lastSeenAt: -1 });
+};
+
+// Method to record that the device was just used
+sessionSchema.methods.touch = function(ipAddress) {
+  if (Date.now() - this.lastSeenAt.getTime() < LAST_SEEN_UPDATE_INTERVAL_MS) return Promise.resolve();
+
+  this.lastSeenAt = new Date();
+  if (ipAddress) this.ipAddress = ipAddress;
+  return this.constructor.updateOne(
+    { _id: this._id },
+    { $set: { lastSeenAt: this.lastSeenAt, ipAddress: this.ipAddress } }
+  );
+};
+
+const Session = mongoose.model('Session', sessionSchema);
+export default Session;
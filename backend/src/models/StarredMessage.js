@@ -0,0 +1,104 @@
+// src/models/StarredMessage.js - MESSAGES A USER BOOKMARKED (private to that user)
+import mongoose from 'mongoose';
+
+const starredMessageSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  message: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message',
+    required: true
+  },
+  conversation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Conversation',
+    required: true
+  }
+}, { timestamps: true });
+
+// A message can be starred once per user; the starred list is paged newest first
+starredMessageSchema.index({ user: 1, message: 1 }, { unique: true });
+starredMessageSchema.index({ user: 1, createdAt: -1, _id: -1 });
+starredMessageSchema.index({ message: 1 });
+
+// Starred list page size (GET /api/messages/starred)
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 50;
+
+// Static returning the ids (as strings) of the given messages that the user starred
+starredMessageSchema.statics.findStarredIds = async function(userId, messageIds) {
+  if (!messageIds.length) return new Set();
+
+  const stars = await this.find({ user: userId, message: { $in: messageIds } }).select('message');
+  return new Set(stars.map(star => star.message.toString()));
+};
+
+// Static to load one page of a user's starred messages, newest star first. `before` is the id of
+// the last star of the previous page. Stars whose message is gone, was deleted (for everyone or
+// for this user) or was cleared from the user's chat are skipped. Resolves to null for a bad cursor.
+starredMessageSchema.statics.findPage = async function(userId, { before, limit } = {}) {
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  const query = { user: userId };
+
+  if (before) {
+    if (!mongoose.isValidObjectId(before)) return null;
+
+    const cursor = await this.findOne({ _id: before, user: userId }).select('createdAt');
+    if (!cursor) return null;
+
+    query.$or = [
+      { createdAt: { $lt: cursor.createdAt } },
+      { createdAt: cursor.createdAt, _id: { $lt: cursor._id } }
+    ];
+  }
+
+  const stars = await this.find(query)
+    .populate({
+      path: 'message',
+      select: 'sender chatId messageType content isDeleted deletedFor createdAt',
+      populate: { path: 'sender', select: 'name avatar' }
+    })
+    .populate({
+      path: 'conversation',
+      select: 'type title avatar members clearedAt',
+      populate: { path: 'members', select: 'name avatar' }
+    })
+    .sort({ createdAt: -1, _id: -1 })
+    .limit(pageSize + 1);
+
+  const hasMore = stars.length > pageSize;
+  const userKey = userId.toString();
+
+  const starred = stars.slice(0, pageSize)
+    .filter(({ message, conversation }) => {
+      if (!message || !conversation || message.isDeleted) return false;
+      if (message.deletedFor?.some(id => id.toString() === userKey)) return false;
+
+      const clearedAt = conversation.getClearedAt(userKey);
+      return !clearedAt || message.createdAt > clearedAt;
+    })
+    .map(({ _id, createdAt, message, conversation }) => ({
+      _id,
+      starredAt: createdAt,
+      message: {
+        _id: message._id,
+        sender: message.sender,
+        chatId: message.chatId,
+        messageType: message.messageType,
+        content: message.content,
+        createdAt: message.createdAt
+      },
+      chat: conversation.getChatSummaryFor(userKey)
+    }));
+
+  // The cursor has to be the last star we looked at, even if it was filtered out
+  const nextCursor = hasMore ? stars[pageSize - 1]._id : null;
+
+  return { starred, hasMore, nextCursor };
+};
+
+const StarredMessage = mongoose.model('StarredMessage', starredMessageSchema);
+export default StarredMessage;
@@ -0,0 +1,40 @@
+// src/models/Upload.js - FILES USERS UPLOADED FOR THEIR MESSAGES (who uploaded them and where they are stored)
+import mongoose from 'mongoose';
+
+const uploadSchema = new mongoose.Schema({
+  uploader: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // The URL the upload endpoint returned - messages carry it as content.fileUrl
+  fileUrl: {
+    type: String,
+    required: true
+  },
+  // 'uploads': public/uploads, key is the file name. 'drive': Google Drive, key is the file id
+  storage: {
+    type: String,
+    enum: ['uploads', 'drive'],
+    required: true
+  },
+  key: {
+    type: String,
+    required: true
+  }
+}, { timestamps: true });
+
+uploadSchema.index({ fileUrl: 1 }, { unique: true });
+uploadSchema.index({ storage: 1, key: 1 });
+
+// Static returning the stored file behind a URL the user uploaded themselves ({ storage, key }),
+// or null - a message can only attach files its sender uploaded to this server
+uploadSchema.statics.findStoredFile = async function(fileUrl, uploaderId) {
+  if (typeof fileUrl !== 'string') return null;
+
+  const upload = await this.findOne({ fileUrl, uploader: uploaderId }).select('storage key');
+  return upload ? { storage: upload.storage, key: upload.key } : null;
+};
+
+const Upload = mongoose.model('Upload', uploadSchema);
+export default Upload;
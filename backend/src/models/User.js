@@ -5,21 +5,6 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
 
-const incognitoChatSchema = new mongoose.Schema({
-    chatId: {
-        type: String,
-        required: true
-    },
-    enabledAt: {
-        type: Date,
-        default: Date.now
-    },
-    expiresAt: {
-        type: Date,
-        required: true
-    }
-}, { _id: false });
-
 const userSchema = new mongoose.Schema({
     name: {
         type: String,
@@ -48,6 +33,35 @@ const userSchema = new mongoose.Schema({
         type: String,
         sparse: true
     },
+    // Set once the user opens the emailed verification link (or Google vouches for the address)
+    isEmailVerified: {
+        type: Boolean,
+        default: false
+    },
+    // Two-factor authentication (TOTP) - the secret is stored encrypted, and it and the
+    // backup code hashes are only loaded when asked for
+    twoFactorEnabled: {
+        type: Boolean,
+        default: false
+    },
+    twoFactorSecret: {
+        type: String,
+        select: false
+    },
+    // Secret from enrollment, waiting for a first valid code before it replaces twoFactorSecret
+    twoFactorPendingSecret: {
+        type: String,
+        select: false
+    },
+    twoFactorBackupCodes: {
+        type: [String],
+        select: false
+    },
+    // Last accepted TOTP time step, so a code can't be replayed within its window
+    twoFactorLastStep: {
+        type: Number,
+        select: false
+    },
     isOnline: {
         type: Boolean,
         default: false
@@ -81,7 +95,6 @@ const userSchema = new mongoose.Schema({
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User'
     }],
-    incognitoChats: [incognitoChatSchema],
     createdAt: {
         type: Date,
         default: Date.now
@@ -160,48 +173,6 @@ userSchema.methods.unblockUser = async function(userId) {
     await this.save();
 };
 
-// Method to enable incognito for a chat
-userSchema.methods.enableIncognito = async function(chatId, hours = 3) {
-    const expiresAt = new Date(Date.now() + hours * 60 * 60 * 1000);
-    
-    this.incognitoChats = this.incognitoChats.filter(ic => ic.chatId !== chatId);
-    
-    this.incognitoChats.push({
-        chatId,
-        enabledAt: new Date(),
-        expiresAt
-    });
-    
-    await this.save();
-    return expiresAt;
-};
-
-// Method to disable incognito for a chat
-userSchema.methods.disableIncognito = async function(chatId) {
-    this.incognitoChats = this.incognitoChats.filter(ic => ic.chatId !== chatId);
-    await this.save();
-};
-
-// Method to check if incognito is enabled for a chat
-userSchema.methods.isIncognitoEnabled = function(chatId) {
-    const incognitoChat = this.incognitoChats.find(ic => ic.chatId === chatId);
-    if (!incognitoChat) return false;
-    
-    return incognitoChat.expiresAt > new Date();
-};
-
-// Clean up expired incognito chats
-userSchema.methods.cleanupExpiredIncognito = async function() {
-    const now = new Date();
-    const originalLength = this.incognitoChats.length;
-    
-    this.incognitoChats = this.incognitoChats.filter(ic => ic.expiresAt > now);
-    
-    if (this.incognitoChats.length !== originalLength) {
-        await this.save();
-    }
-};
-
 // Update lastSeen on certain operations
 userSchema.pre('findOneAndUpdate', function() {
     this.set({ updatedAt: new Date() });
@@ -1,18 +1,94 @@
 // src/routes/auth.js - YOUR ORIGINAL CODE (WORKS AS-IS)
 import express from 'express';
-import jwt from 'jsonwebtoken';
-import bcrypt from 'bcryptjs';
+import mongoose from 'mongoose';
 import User from '../models/User.js';
-import { googleLogin, getMe, signUp, directLogin } from '../controllers/auth.controller.js';
+import Session from '../models/Session.js';
+import OneTimeCode from '../models/OneTimeCode.js';
+import {
+    googleLogin,
+    getMe,
+    signUp,
+    directLogin,
+    linkGoogleAccount,
+    unlinkGoogleAccount,
+    confirmGoogleAccount
+} from '../controllers/auth.controller.js';
 import { protect } from '../middlewares/auth.js';
+import { rateLimit } from '../middlewares/rateLimit.js';
 import { upload } from '../services/cloudinaryService.js';
 import { sendPasswordResetEmail } from '../services/emailService.js';
+import { sendEmailVerification, confirmEmailVerification } from '../services/emailVerificationService.js';
+import { startSession, rotateSession, revokeSessions, getClientIp } from '../services/sessionService.js';
+import {
+    startEnrollment,
+    completeEnrollment,
+    disableTwoFactor,
+    regenerateBackupCodes,
+    countBackupCodes,
+    verifySecondFactor,
+    createLoginChallenge,
+    readLoginChallenge
+} from '../services/twoFactorService.js';
+import { getLiveSessionIds, disconnectSessions } from '../sockets/index.js';
 
 const router = express.Router();
 
-// ==================== OTP Store ====================
-const otpStore = new Map();
-const generateOTP = () => Math.floor(1000 + Math.random() * 9000).toString();
+// ==================== Helpers ====================
+const PASSWORD_REGEX = /^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&])[A-Za-z\d@$!%*?&]{8,}$/;
+
+const normalizeEmail = (email) => (typeof email === 'string' ? email.trim().toLowerCase() : '');
+
+// ==================== Rate Limits ====================
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+// Counted whether or not the account exists, so the limits don't reveal which emails are registered
+const otpSendLimits = rateLimit(req => {
+    const email = normalizeEmail(req.body.email);
+    const ip = getClientIp(req);
+    return [
+        { key: `otp-send-cooldown:${email}`, limit: 1, windowMs: MINUTE_MS },
+        { key: `otp-send:${email}`, limit: 5, windowMs: HOUR_MS },
+        { key: `otp-send-ip:${ip}`, limit: 20, windowMs: HOUR_MS }
+    ];
+});
+
+const otpVerifyLimits = rateLimit(req => [
+    { key: `otp-verify:${normalizeEmail(req.body.email)}`, limit: 10, windowMs: HOUR_MS },
+    { key: `otp-verify-ip:${getClientIp(req)}`, limit: 30, windowMs: HOUR_MS }
+]);
+
+const passwordResetLimits = rateLimit(req => [
+    { key: `password-reset-ip:${getClientIp(req)}`, limit: 20, windowMs: HOUR_MS }
+]);
+
+// Runs after protect - counted per account
+const verificationSendLimits = rateLimit(req => [
+    { key: `verify-email-send-cooldown:${req.user.id}`, limit: 1, windowMs: MINUTE_MS },
+    { key: `verify-email-send:${req.user.id}`, limit: 5, windowMs: HOUR_MS }
+]);
+
+const verifyEmailLimits = rateLimit(req => [
+    { key: `verify-email-ip:${getClientIp(req)}`, limit: 30, windowMs: HOUR_MS }
+]);
+
+// Counted per account the challenge token was issued for (a bad token only counts per IP)
+const twoFactorLoginLimits = rateLimit(req => {
+    const userId = readLoginChallenge(req.body.twoFactorToken);
+    const limits = [{ key: `2fa-login-ip:${getClientIp(req)}`, limit: 30, windowMs: HOUR_MS }];
+    if (userId) limits.unshift({ key: `2fa-login:${userId}`, limit: 10, windowMs: HOUR_MS });
+    return limits;
+});
+
+// Runs after protect - the current password (or a fresh Google sign-in) is checked
+const passwordChangeLimits = rateLimit(req => [
+    { key: `password-change:${req.user.id}`, limit: 10, windowMs: HOUR_MS }
+]);
+
+// Runs after protect - enabling, disabling and new backup codes all check a code
+const twoFactorManageLimits = rateLimit(req => [
+    { key: `2fa-manage:${req.user.id}`, limit: 10, windowMs: HOUR_MS }
+]);
 
 // ==================== Auth Routes ====================
 
@@ -28,36 +104,77 @@ router.post('/signup', upload.single('avatar'), signUp);
 // Get Current User
 router.get('/me', protect, getMe);
 
+// ==================== Email Verification ====================
+
+/**
+ * @route   POST /api/auth/verify-email
+ * @desc    Confirm the email address with the token from the emailed link
+ * @access  Public (the token proves ownership; rate limited per IP)
+ */
+router.post('/verify-email', verifyEmailLimits, async (req, res) => {
+    try {
+        const user = await confirmEmailVerification(req.body.token);
+        if (!user) {
+            return res.status(400).json({ message: 'Verification link is invalid or has expired - request a new one' });
+        }
+
+        console.log(`✉️ [VERIFY] Email verified for ${user.email}`);
+        res.status(200).json({ message: 'Email verified successfully', userId: user._id });
+    } catch (error) {
+        console.error('Verify email error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+/**
+ * @route   POST /api/auth/resend-verification
+ * @desc    Email a new verification link to the current user
+ * @access  Private (rate limited per account)
+ */
+router.post('/resend-verification', protect, verificationSendLimits, async (req, res) => {
+    try {
+        const user = req.user;
+        if (user.isEmailVerified) {
+            return res.status(400).json({ message: 'Your email is already verified' });
+        }
+
+        const emailSent = await sendEmailVerification(user);
+        if (!emailSent) {
+            return res.status(500).json({ message: 'Failed to send verification email' });
+        }
+
+        res.status(200).json({ message: `Verification link sent to ${user.email}` });
+    } catch (error) {
+        console.error('Resend verification error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
 // ==================== Forgot Password Flow ====================
 
 /**
  * @route   POST /api/auth/forgot-password
- * @desc    Send OTP to user's email for password reset
- * @access  Public
+ * @desc    Email a 6-digit code for resetting the password (a new request replaces the old code)
+ * @access  Public (rate limited per email and IP)
  */
-router.post('/forgot-password', async (req, res) => {
+router.post('/forgot-password', otpSendLimits, async (req, res) => {
     try {
-        const { email } = req.body;
-        const user = await User.findOne({ email });
+        const email = normalizeEmail(req.body.email);
+        const genericResponse = { message: 'If the email exists, a verification code has been sent' };
 
+        const user = email ? await User.findOne({ email }) : null;
         if (!user) {
-            return res.status(200).json({
-                message: 'If the email exists, a verification code has been sent'
-            });
+            return res.status(200).json(genericResponse);
         }
 
-        const otp = generateOTP();
-        otpStore.set(email, { otp, expiry: Date.now() + 10 * 60 * 1000 }); // 10 minutes
+        const otp = await OneTimeCode.issue(email, 'password_reset');
 
         const emailSent = await sendPasswordResetEmail(email, user.name, otp);
         if (!emailSent) {
             return res.status(500).json({ message: 'Failed to send verification email' });
         }
 
-        res.status(200).json({
-            message: 'Verification code sent to your email',
-            ...(process.env.NODE_ENV === 'development' && { otp })
-        });
+        res.status(200).json(genericResponse);
     } catch (error) {
         console.error('Forgot password error:', error);
         res.status(500).json({ message: 'Server error' });
@@ -66,22 +183,23 @@ router.post('/forgot-password', async (req, res) => {
 
 /**
  * @route   POST /api/auth/verify-otp
- * @desc    Verify OTP sent to user's email
- * @access  Public
+ * @desc    Check the emailed code - returns a single-use resetToken for /reset-password
+ *          (5 wrong codes and the code is discarded)
+ * @access  Public (rate limited per email and IP)
  */
-router.post('/verify-otp', (req, res) => {
+router.post('/verify-otp', otpVerifyLimits, async (req, res) => {
     try {
-        const { email, otp } = req.body;
-        const storedOtp = otpStore.get(email);
+        const email = normalizeEmail(req.body.email);
+        const otp = String(req.body.otp || '').trim();
 
-        if (!storedOtp) return res.status(400).json({ message: 'OTP not found or expired' });
-        if (Date.now() > storedOtp.expiry) {
-            otpStore.delete(email);
-            return res.status(400).json({ message: 'OTP has expired' });
+        if (!email || !/^\d{6}$/.test(otp)) {
+            return res.status(400).json({ message: 'Enter the 6-digit code from the email' });
         }
-        if (storedOtp.otp !== otp) return res.status(400).json({ message: 'Invalid OTP' });
 
-        res.status(200).json({ message: 'OTP verified successfully' });
+        const { resetToken, error } = await OneTimeCode.verify(email, 'password_reset', otp);
+        if (error) return res.status(400).json({ message: error });
+
+        res.status(200).json({ message: 'OTP verified successfully', resetToken });
     } catch (error) {
         console.error('Verify OTP error:', error);
         res.status(500).json({ message: 'Server error' });
@@ -90,27 +208,39 @@ router.post('/verify-otp', (req, res) => {
 
 /**
  * @route   POST /api/auth/reset-password
- * @desc    Reset password after OTP verification
- * @access  Public
+ * @desc    Set a new password with the resetToken from /verify-otp. Signs out every device.
+ * @access  Public (rate limited per IP)
  */
-router.post('/reset-password', async (req, res) => {
+router.post('/reset-password', passwordResetLimits, async (req, res) => {
     try {
-        const { email, otp, newPassword } = req.body;
-        const storedOtp = otpStore.get(email);
+        const email = normalizeEmail(req.body.email);
+        const { resetToken, newPassword } = req.body;
 
-        if (!storedOtp || storedOtp.otp !== otp || Date.now() > storedOtp.expiry) {
-            return res.status(400).json({ message: 'Invalid or expired OTP' });
+        if (!PASSWORD_REGEX.test(newPassword || '')) {
+            return res.status(400).json({
+                message: 'Password must be at least 8 characters long and contain at least one uppercase letter, one lowercase letter, one number, and one special character.'
+            });
+        }
+
+        const isValidToken = await OneTimeCode.consumeResetToken(email, 'password_reset', resetToken);
+        if (!isValidToken) {
+            return res.status(400).json({ message: 'Reset link is invalid or has expired - start again' });
         }
 
         const user = await User.findOne({ email });
         if (!user) return res.status(400).json({ message: 'User not found' });
 
-        const salt = await bcrypt.genSalt(10);
-        user.password = await bcrypt.hash(newPassword, salt);
+        // Plain password - the User model hashes it on save
+        user.password = newPassword;
         await user.save();
 
-        otpStore.delete(email);
+        await OneTimeCode.deleteMany({ email, purpose: 'password_reset' });
+
+        // Whoever knew the old password may still be signed in somewhere
+        const revokedIds = await revokeSessions({ user: user._id });
+        disconnectSessions(revokedIds);
 
+        console.log(`🔑 [RESET] Password reset for ${email} - ${revokedIds.length} session(s) signed out`);
         res.status(200).json({ message: 'Password reset successfully' });
     } catch (error) {
         console.error('Reset password error:', error);
@@ -128,26 +258,35 @@ router.post('/login', async (req, res) => {
             return res.status(401).json({ message: 'Invalid credentials' });
         }
 
+        if (!user.password) {
+            return res.status(401).json({
+                message: 'This account signs in with Google. Log in with Google, then set a password from your profile.'
+            });
+        }
+
         // Check password - this uses the matchPassword method
         const isPasswordValid = await user.matchPassword(password);
         if (!isPasswordValid) {
             return res.status(401).json({ message: 'Invalid credentials' });
         }
 
-        // Generate token and send response
-        const token = jwt.sign(
-            { id: user._id }, 
-            process.env.JWT_SECRET, 
-            { expiresIn: '30d' }
-        );
+        // Second step at /api/auth/2fa/login before any session starts
+        if (user.twoFactorEnabled) {
+            return res.json({ twoFactorRequired: true, twoFactorToken: createLoginChallenge(user) });
+        }
+
+        // Start a session for this device and send its tokens
+        const { token, refreshToken } = await startSession(user, req);
 
         res.json({
             token,
+            refreshToken,
             user: {
                 _id: user._id,
                 name: user.name,
                 email: user.email,
                 avatar: user.avatar,
+                isEmailVerified: user.isEmailVerified,
                 isOnline: user.isOnline,
                 status: user.status
             }
@@ -159,4 +298,322 @@ router.post('/login', async (req, res) => {
     }
 });
 
+// ==================== Sign-in Methods ====================
+
+/**
+ * @route   GET /api/auth/sign-in-methods
+ * @desc    Which ways the current user can log in (password and/or Google)
+ * @access  Private
+ */
+router.get('/sign-in-methods', protect, async (req, res) => {
+    try {
+        const user = await User.findById(req.user._id).select('email password googleId');
+        res.json({
+            email: user.email,
+            hasPassword: !!user.password,
+            hasGoogle: !!user.googleId
+        });
+    } catch (error) {
+        console.error('Sign-in methods error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+/**
+ * @route   POST /api/auth/password
+ * @desc    Set a password (accounts made with Google - googleToken from a fresh Google sign-in required)
+ *          or change it (currentPassword required). Signs out every other device.
+ * @access  Private (rate limited per account)
+ */
+router.post('/password', protect, passwordChangeLimits, async (req, res) => {
+    try {
+        const { currentPassword, newPassword, googleToken } = req.body;
+
+        if (!PASSWORD_REGEX.test(newPassword || '')) {
+            return res.status(400).json({
+                message: 'Password must be at least 8 characters long and contain at least one uppercase letter, one lowercase letter, one number, and one special character.'
+            });
+        }
+
+        const user = await User.findById(req.user._id);
+        const isChange = !!user.password;
+
+        if (isChange && !(await user.matchPassword(currentPassword || ''))) {
+            return res.status(400).json({ message: 'Current password is incorrect' });
+        }
+
+        // A session alone isn't enough to add a permanent way in - the Google account has to vouch for it
+        if (!isChange && !(await confirmGoogleAccount(user, googleToken))) {
+            return res.status(400).json({ message: 'Confirm with your Google account to set a password' });
+        }
+
+        // Plain password - the User model hashes it on save
+        user.password = newPassword;
+        await user.save();
+
+        // Whoever else holds a session may not be the account owner
+        const revokedIds = await revokeSessions({ user: user._id, _id: { $ne: req.sessionId } });
+        disconnectSessions(revokedIds);
+
+        console.log(`🔑 [PASSWORD] Password ${isChange ? 'changed' : 'set'} for ${user.email} - ${revokedIds.length} other session(s) signed out`);
+        res.json({ message: isChange ? 'Password changed' : 'Password set - you can now log in with your email too' });
+    } catch (error) {
+        console.error('Set password error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Link / unlink Google sign-in (the Google account's verified email must match)
+router.post('/google/link', protect, linkGoogleAccount);
+router.delete('/google/link', protect, unlinkGoogleAccount);
+
+// ==================== Two-Factor Authentication ====================
+
+/**
+ * @route   POST /api/auth/2fa/login
+ * @desc    Finish a login that answered { twoFactorRequired, twoFactorToken } with a code from
+ *          the authenticator app or a backup code
+ * @access  Public (rate limited per account and IP)
+ */
+router.post('/2fa/login', twoFactorLoginLimits, async (req, res) => {
+    try {
+        const userId = readLoginChallenge(req.body.twoFactorToken);
+        if (!userId) {
+            return res.status(401).json({ message: 'Login timed out - please log in again' });
+        }
+
+        const { method, backupCodesRemaining, error } = await verifySecondFactor(userId, req.body.code);
+        if (error) return res.status(400).json({ message: error });
+
+        const user = await User.findById(userId);
+        if (!user) return res.status(401).json({ message: 'Login timed out - please log in again' });
+
+        const { token, refreshToken } = await startSession(user, req);
+
+        console.log(`🔐 [2FA] Login completed with ${method === 'backup' ? 'a backup code' : 'an app code'} for ${user.email}`);
+        res.json({
+            token,
+            refreshToken,
+            backupCodesRemaining,
+            user: {
+                _id: user._id,
+                name: user.name,
+                email: user.email,
+                avatar: user.avatar,
+                googleId: user.googleId,
+                isEmailVerified: user.isEmailVerified,
+                isOnline: user.isOnline,
+                status: user.status
+            }
+        });
+    } catch (error) {
+        console.error('2FA login error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+/**
+ * @route   GET /api/auth/2fa
+ * @desc    Whether 2FA is on, and how many backup codes are left
+ * @access  Private
+ */
+router.get('/2fa', protect, async (req, res) => {
+    try {
+        const enabled = !!req.user.twoFactorEnabled;
+        res.json({
+            enabled,
+            backupCodesRemaining: enabled ? await countBackupCodes(req.user._id) : 0
+        });
+    } catch (error) {
+        console.error('2FA status error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+/**
+ * @route   POST /api/auth/2fa/setup
+ * @desc    Start enrollment - returns a new secret as an otpauth:// URI and a QR code to scan
+ * @access  Private
+ */
+router.post('/2fa/setup', protect, async (req, res) => {
+    try {
+        if (req.user.twoFactorEnabled) {
+            return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+        }
+
+        const { secret, otpauthUri, qrCode } = await startEnrollment(req.user);
+        res.json({ secret, otpauthUri, qrCode });
+    } catch (error) {
+        console.error('2FA setup error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+/**
+ * @route   POST /api/auth/2fa/enable
+ * @desc    Confirm enrollment with the first code from the app - returns the backup codes (shown once)
+ * @access  Private (rate limited per account)
+ */
+router.post('/2fa/enable', protect, twoFactorManageLimits, async (req, res) => {
+    try {
+        if (req.user.twoFactorEnabled) {
+            return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+        }
+
+        const { backupCodes, error } = await completeEnrollment(req.user._id, req.body.code);
+        if (error) return res.status(400).json({ message: error });
+
+        console.log(`🔐 [2FA] Enabled for ${req.user.email}`);
+        res.json({ message: 'Two-factor authentication enabled', backupCodes });
+    } catch (error) {
+        console.error('2FA enable error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+/**
+ * @route   POST /api/auth/2fa/disable
+ * @desc    Turn 2FA off - needs a current app code or a backup code
+ * @access  Private (rate limited per account)
+ */
+router.post('/2fa/disable', protect, twoFactorManageLimits, async (req, res) => {
+    try {
+        const { error } = await verifySecondFactor(req.user._id, req.body.code);
+        if (error) return res.status(400).json({ message: error });
+
+        await disableTwoFactor(req.user._id);
+
+        console.log(`🔓 [2FA] Disabled for ${req.user.email}`);
+        res.json({ message: 'Two-factor authentication disabled' });
+    } catch (error) {
+        console.error('2FA disable error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+/**
+ * @route   POST /api/auth/2fa/backup-codes
+ * @desc    Replace the backup codes with a new set - needs a current app code or a backup code
+ * @access  Private (rate limited per account)
+ */
+router.post('/2fa/backup-codes', protect, twoFactorManageLimits, async (req, res) => {
+    try {
+        const { error } = await verifySecondFactor(req.user._id, req.body.code);
+        if (error) return res.status(400).json({ message: error });
+
+        const backupCodes = await regenerateBackupCodes(req.user._id);
+        res.json({ message: 'New backup codes created - the old ones no longer work', backupCodes });
+    } catch (error) {
+        console.error('2FA backup codes error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// ==================== Sessions (signed-in devices) ====================
+
+/**
+ * @route   POST /api/auth/refresh
+ * @desc    Exchange a refresh token for a new access token and refresh token (the old one stops working)
+ * @access  Public (refresh token in the body)
+ */
+router.post('/refresh', async (req, res) => {
+    try {
+        const { token, refreshToken, error, revokedSessionId } = await rotateSession(req.body.refreshToken, req);
+
+        if (revokedSessionId) disconnectSessions([revokedSessionId]);
+        if (error) return res.status(401).json({ message: error });
+
+        res.json({ token, refreshToken });
+    } catch (error) {
+        console.error('Refresh token error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+/**
+ * @route   POST /api/auth/logout
+ * @desc    Sign out this device
+ * @access  Private
+ */
+router.post('/logout', protect, async (req, res) => {
+    try {
+        const revokedIds = await revokeSessions({ _id: req.sessionId });
+        disconnectSessions(revokedIds);
+
+        res.json({ message: 'Logged out' });
+    } catch (error) {
+        console.error('Logout error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+/**
+ * @route   POST /api/auth/logout-all
+ * @desc    Sign out every device, this one included, and disconnect their sockets
+ * @access  Private
+ */
+router.post('/logout-all', protect, async (req, res) => {
+    try {
+        const revokedIds = await revokeSessions({ user: req.user._id });
+        disconnectSessions(revokedIds);
+
+        console.log(`🔒 [SESSIONS] ${req.user.name} logged out of ${revokedIds.length} device(s)`);
+        res.json({ message: 'Logged out of all devices', count: revokedIds.length });
+    } catch (error) {
+        console.error('Logout all error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+/**
+ * @route   GET /api/auth/sessions
+ * @desc    List the devices signed in to this account, most recently used first
+ * @access  Private
+ */
+router.get('/sessions', protect, async (req, res) => {
+    try {
+        const sessions = await Session.listActive(req.user._id);
+        const liveSessionIds = getLiveSessionIds(req.user._id);
+
+        res.json(sessions.map(session => ({
+            _id: session._id,
+            userAgent: session.userAgent,
+            ipAddress: session.ipAddress,
+            createdAt: session.createdAt,
+            lastSeenAt: session.lastSeenAt,
+            isCurrent: session._id.toString() === req.sessionId,
+            isConnected: liveSessionIds.has(session._id.toString())
+        })));
+    } catch (error) {
+        console.error('Get sessions error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+/**
+ * @route   DELETE /api/auth/sessions/:id
+ * @desc    Sign a device out: its token stops working and its open sockets are disconnected
+ * @access  Private
+ */
+router.delete('/sessions/:id', protect, async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(400).json({ message: 'Invalid session id' });
+        }
+
+        const revokedIds = await revokeSessions({ _id: req.params.id, user: req.user._id });
+        if (revokedIds.length === 0) {
+            return res.status(404).json({ message: 'Session not found' });
+        }
+
+        disconnectSessions(revokedIds);
+
+        console.log(`🔒 [SESSIONS] ${req.user.name} signed out session ${req.params.id}`);
+        res.json({ message: 'Device signed out' });
+    } catch (error) {
+        console.error('Revoke session error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
 export default router;
\ No newline at end of file
@@ -0,0 +1,77 @@
+// src/routes/calls.js - CALL HISTORY
+import express from 'express';
+import { protect } from '../middlewares/auth.js';
+import Call from '../models/Call.js';
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/calls
+ * @desc    Call history for the current user, newest first
+ *          Optional filters: ?chatId=<id>&outcome=missed|declined|completed&page=1&limit=20
+ * @access  Private
+ */
+router.get('/', protect, async (req, res) => {
+  try {
+    const currentUserId = req.user._id.toString();
+    const { chatId, outcome } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    const query = {
+      $or: [{ caller: currentUserId }, { callee: currentUserId }],
+      outcome: { $ne: null }
+    };
+
+    if (chatId) {
+      if (!chatId.split('_').includes(currentUserId)) {
+        return res.status(403).json({ message: 'Access denied to this chat' });
+      }
+      query.chatId = chatId;
+    }
+
+    if (outcome) {
+      if (!['missed', 'declined', 'completed'].includes(outcome)) {
+        return res.status(400).json({ message: 'Invalid outcome filter' });
+      }
+      query.outcome = outcome;
+    }
+
+    const [calls, total] = await Promise.all([
+      Call.find(query)
+        .populate('caller', 'name avatar')
+        .populate('callee', 'name avatar')
+        .sort({ startedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Call.countDocuments(query)
+    ]);
+
+    res.json({
+      calls: calls.map(call => ({
+        _id: call._id,
+        chatId: call.chatId,
+        caller: call.caller,
+        callee: call.callee,
+        callType: call.callType,
+        outcome: call.outcome,
+        duration: call.duration,
+        direction: call.caller?._id?.toString() === currentUserId ? 'outgoing' : 'incoming',
+        startedAt: call.startedAt,
+        answeredAt: call.answeredAt,
+        endedAt: call.endedAt
+      })),
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalCalls: total,
+        hasMore: page * limit < total
+      }
+    });
+  } catch (error) {
+    console.error('❌ Error fetching call history:', error);
+    res.status(500).json({ message: 'Failed to fetch call history' });
+  }
+});
+
+export default router;
@@ -0,0 +1,103 @@
+// src/routes/conversations.js - CONVERSATION LIST (SIDEBAR) & GROUP DETAILS
+import express from 'express';
+import mongoose from 'mongoose';
+import { protect } from '../middlewares/auth.js';
+import Conversation from '../models/Conversation.js';
+
+const router = express.Router();
+
+const MEMBER_FIELDS = 'name email avatar isOnline lastSeen status';
+
+const formatGroup = (conversation) => ({
+  _id: conversation._id,
+  isGroup: true,
+  title: conversation.title,
+  avatar: conversation.avatar,
+  members: conversation.members,
+  admins: conversation.admins,
+  createdBy: conversation.createdBy,
+  createdAt: conversation.createdAt,
+  updatedAt: conversation.updatedAt
+});
+
+const formatConversation = (conversation, currentUserId) => {
+  // A last message the user deleted for themselves, or cleared away, isn't shown as the preview
+  const clearedAt = conversation.getClearedAt(currentUserId);
+  const isHidden = conversation.lastMessage?.deletedFor?.some(id => id.toString() === currentUserId) ||
+    (clearedAt && conversation.lastMessageAt <= clearedAt);
+  const lastMessage = isHidden ? null : conversation.lastMessage;
+
+  const summary = {
+    chatId: conversation.getRoomId(),
+    lastMessage,
+    lastMessageAt: conversation.lastMessageAt,
+    unreadCount: conversation.unreadCounts?.get(currentUserId) || 0
+  };
+
+  if (conversation.type === 'group') {
+    return { ...formatGroup(conversation), type: 'group', ...summary };
+  }
+
+  return {
+    _id: conversation._id,
+    type: 'direct',
+    otherUser: conversation.members.find(m => m._id.toString() !== currentUserId) || null,
+    ...summary
+  };
+};
+
+/**
+ * @route   GET /api/conversations
+ * @desc    All conversations (direct and group) of the current user, most recently active first,
+ *          with the last message and the user's unread count
+ * @access  Private
+ */
+router.get('/', protect, async (req, res) => {
+  try {
+    const currentUserId = req.user._id.toString();
+
+    const conversations = await Conversation.find({ members: req.user._id })
+      .populate('members', MEMBER_FIELDS)
+      .populate({
+        path: 'lastMessage',
+        select: 'sender chatId messageType content call createdAt isDelivered isRead isDeleted deletedFor',
+        populate: { path: 'sender', select: 'name avatar' }
+      })
+      .sort({ lastMessageAt: -1 });
+
+    // Direct chats without any messages have nothing to show yet
+    res.json(conversations
+      .filter(conversation => conversation.type === 'group' || conversation.lastMessage)
+      .map(conversation => formatConversation(conversation, currentUserId)));
+  } catch (error) {
+    console.error('❌ Error fetching conversations:', error);
+    res.status(500).json({ message: 'Failed to fetch conversations' });
+  }
+});
+
+/**
+ * @route   GET /api/conversations/:id
+ * @desc    A single conversation with its members
+ * @access  Private (members only)
+ */
+router.get('/:id', protect, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid conversation id' });
+    }
+
+    const conversation = await Conversation.findById(req.params.id)
+      .populate('members', MEMBER_FIELDS);
+
+    if (!conversation || !conversation.isMember(req.user._id)) {
+      return res.status(404).json({ message: 'Conversation not found' });
+    }
+
+    res.json(formatConversation(conversation, req.user._id.toString()));
+  } catch (error) {
+    console.error('❌ Error fetching conversation:', error);
+    res.status(500).json({ message: 'Failed to fetch conversation' });
+  }
+});
+
+export default router;
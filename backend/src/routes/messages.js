@@ -1,8 +1,12 @@
 import express from 'express';
+import mongoose from 'mongoose';
 import multer from 'multer';
 import { protect } from '../middlewares/auth.js';
 import { uploadAttachment } from '../controllers/message.controller.js';
 import Message from '../models/Message.js';
+import Conversation from '../models/Conversation.js';
+import StarredMessage from '../models/StarredMessage.js';
+import { deleteClearedMessages } from '../services/incognitoCleanup.js';
 
 const router = express.Router();
 const upload = multer({ storage: multer.memoryStorage() });
@@ -10,28 +14,198 @@ const upload = multer({ storage: multer.memoryStorage() });
 // 📌 Upload attachment
 router.post('/upload', protect, upload.single('file'), uploadAttachment);
 
-// 📌 Fetch all messages for a chat
+// 📌 Starred messages of the current user across all chats (?before=<cursor>, &limit=)
+// Registered before /:chatId so "starred" isn't taken for a chat id
+router.get('/starred', protect, async (req, res) => {
+  try {
+    const page = await StarredMessage.findPage(req.user._id, req.query);
+    if (!page) {
+      return res.status(400).json({ message: 'Invalid starred cursor' });
+    }
+
+    res.json(page); // { starred: newest first, hasMore, nextCursor }
+  } catch (error) {
+    console.error('❌ Error fetching starred messages:', error);
+    res.status(500).json({ message: 'Failed to fetch starred messages' });
+  }
+});
+
+// 📌 Full-text search across the current user's chats (?q=, &chatId= to search a single chat, &limit=)
+// Registered before /:chatId so "search" isn't taken for a chat id
+router.get('/search', protect, async (req, res) => {
+  try {
+    // A repeated parameter (?q=a&q=b) arrives as an array
+    const { q: rawQuery = '', chatId } = req.query;
+    if (typeof rawQuery !== 'string' || (chatId !== undefined && typeof chatId !== 'string')) {
+      return res.status(400).json({ message: 'Invalid search parameters' });
+    }
+
+    const q = rawQuery.trim();
+    if (q.length < 2) {
+      return res.status(400).json({ message: 'Search term must be at least 2 characters' });
+    }
+
+    const currentUserId = req.user._id.toString();
+    const filter = { members: req.user._id };
+
+    if (chatId) {
+      const conversation = await Conversation.findByRoomId(chatId);
+      if (!conversation || !conversation.isMember(req.user._id)) {
+        return res.json({ results: [] });
+      }
+      filter._id = conversation._id;
+    }
+
+    const conversations = await Conversation.find(filter)
+      .populate('members', 'name avatar');
+
+    // Expired (incognito / disappearing) messages are left out by Message.search itself
+    const scopes = conversations.map(conversation => ({
+      conversation: conversation._id,
+      since: conversation.getClearedAt(currentUserId)
+    }));
+
+    const matches = await Message.search(q, {
+      scopes,
+      viewerId: req.user._id,
+      limit: req.query.limit
+    });
+
+    const conversationsById = new Map(conversations.map(conversation => [conversation._id.toString(), conversation]));
+    const results = matches.map(({ conversation, ...match }) => ({
+      ...match,
+      chat: conversationsById.get(conversation.toString()).getChatSummaryFor(currentUserId)
+    }));
+
+    res.json({ results });
+  } catch (error) {
+    console.error('❌ Error searching messages:', error);
+    res.status(500).json({ message: 'Failed to search messages' });
+  }
+});
+
+// 📌 Star a message
+router.post('/:messageId/star', protect, async (req, res) => {
+  try {
+    const { messageId } = req.params;
+    if (!mongoose.isValidObjectId(messageId)) {
+      return res.status(400).json({ message: 'Invalid message id' });
+    }
+
+    const message = await Message.findById(messageId).select('conversation messageType isDeleted deletedFor viewOnce');
+    const conversation = message && await Conversation.findById(message.conversation);
+    if (!conversation || !conversation.isMember(req.user._id) ||
+      message.deletedFor.some(id => id.equals(req.user._id))) {
+      return res.status(404).json({ message: 'Message not found' });
+    }
+
+    if (message.isDeleted || message.viewOnce || message.messageType === 'system') {
+      return res.status(400).json({ message: 'This message cannot be starred' });
+    }
+
+    await StarredMessage.updateOne(
+      { user: req.user._id, message: message._id },
+      { $setOnInsert: { conversation: conversation._id } },
+      { upsert: true }
+    );
+
+    res.json({ messageId, isStarred: true });
+  } catch (error) {
+    console.error('❌ Error starring message:', error);
+    res.status(500).json({ message: 'Failed to star message' });
+  }
+});
+
+// 📌 Unstar a message
+router.delete('/:messageId/star', protect, async (req, res) => {
+  try {
+    const { messageId } = req.params;
+    if (!mongoose.isValidObjectId(messageId)) {
+      return res.status(400).json({ message: 'Invalid message id' });
+    }
+
+    await StarredMessage.deleteOne({ user: req.user._id, message: messageId });
+    res.json({ messageId, isStarred: false });
+  } catch (error) {
+    console.error('❌ Error unstarring message:', error);
+    res.status(500).json({ message: 'Failed to unstar message' });
+  }
+});
+
+// 📌 Fetch one page of messages for a chat (?before=<messageId> | ?after=<messageId>, &limit=)
 router.get('/:chatId', protect, async (req, res) => {
   try {
     const { chatId } = req.params;
+    const { before, after, limit } = req.query;
+
+    const conversation = await Conversation.findByRoomId(chatId);
+
+    // Direct chats only get a conversation once the first message is sent
+    if (!conversation && chatId.split('_').includes(req.user._id.toString())) {
+      return res.json({ messages: [], hasMore: false });
+    }
 
-    const messages = await Message.find({ chatId })
-      .populate('sender', 'name avatar')
-      .sort({ createdAt: 1 }); // oldest → newest
+    if (!conversation || !conversation.isMember(req.user._id)) {
+      return res.status(403).json({ message: 'Access denied to this chat' });
+    }
 
-    res.json(messages);
+    const page = await Message.findPage(conversation._id, {
+      before,
+      after,
+      limit,
+      viewerId: req.user._id,
+      since: conversation.getClearedAt(req.user._id)
+    });
+    if (!page) {
+      return res.status(400).json({ message: 'Invalid message cursor' });
+    }
+
+    const starredIds = await StarredMessage.findStarredIds(req.user._id, page.messages.map(msg => msg._id));
+
+    res.json({
+      messages: page.messages.map(msg => ({ ...msg.toObject(), isStarred: starredIds.has(msg._id.toString()) })),
+      hasMore: page.hasMore
+    }); // messages: oldest → newest
   } catch (error) {
     console.error('❌ Error fetching messages:', error);
     res.status(500).json({ message: 'Failed to fetch chat history' });
   }
 });
 
-// 📌 Delete all messages for a chat (3-dot menu)
+// 📌 Pinned messages of a chat (as the current user sees them)
+router.get('/:chatId/pins', protect, async (req, res) => {
+  try {
+    const conversation = await Conversation.findByRoomId(req.params.chatId);
+
+    // Direct chats only get a conversation once the first message is sent
+    if (!conversation && req.params.chatId.split('_').includes(req.user._id.toString())) {
+      return res.json([]);
+    }
+
+    if (!conversation || !conversation.isMember(req.user._id)) {
+      return res.status(403).json({ message: 'Access denied to this chat' });
+    }
+
+    res.json(await conversation.getPinsFor(req.user._id));
+  } catch (error) {
+    console.error('❌ Error fetching pinned messages:', error);
+    res.status(500).json({ message: 'Failed to fetch pinned messages' });
+  }
+});
+
+// 📌 Clear a chat for the current user only (3-dot menu) - the other members keep their history
 router.delete('/delete/:chatId', protect, async (req, res) => {
   try {
     const { chatId } = req.params;
-    await Message.deleteMany({ chatId });
-    res.json({ message: 'Chat history deleted successfully' });
+
+    const conversation = await Conversation.findByRoomId(chatId);
+    if (!conversation || !conversation.isMember(req.user._id)) {
+      return res.status(403).json({ message: 'Access denied to this chat' });
+    }
+
+    const { clearedByAllBefore } = await Conversation.clearFor(conversation, req.user._id);
+    if (clearedByAllBefore) await deleteClearedMessages(conversation._id, clearedByAllBefore);
+    res.json({ message: 'Chat history cleared successfully' });
   } catch (error) {
     console.error('❌ Error deleting chat history:', error);
     res.status(500).json({ message: 'Failed to delete chat history' });
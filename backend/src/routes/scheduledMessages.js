@@ -0,0 +1,206 @@
+// src/routes/scheduledMessages.js - SCHEDULE, EDIT AND CANCEL MESSAGES SENT LATER
+import express from 'express';
+import mongoose from 'mongoose';
+import { protect } from '../middlewares/auth.js';
+import Conversation from '../models/Conversation.js';
+import ScheduledMessage, {
+  MAX_PENDING_SCHEDULED_MESSAGES,
+  MAX_SCHEDULE_AHEAD_MS
+} from '../models/ScheduledMessage.js';
+
+const router = express.Router();
+
+// Only these can still be edited or cancelled
+const EDITABLE_STATUSES = ['pending', 'failed'];
+
+const SCHEDULED_FIELDS = 'receiver conversation chatId content sendAt status failureReason createdAt';
+
+/**
+ * Validate a requested send time - returns { sendAt } or { error }
+ */
+const parseSendAt = (value) => {
+  const sendAt = new Date(value);
+  if (!value || Number.isNaN(sendAt.getTime())) {
+    return { error: 'A valid send time is required' };
+  }
+  if (sendAt.getTime() <= Date.now()) {
+    return { error: 'The send time must be in the future' };
+  }
+  if (sendAt.getTime() - Date.now() > MAX_SCHEDULE_AHEAD_MS) {
+    return { error: 'Messages can be scheduled at most one year ahead' };
+  }
+  return { sendAt };
+};
+
+/**
+ * @route   GET /api/scheduled-messages
+ * @desc    The current user's pending (and failed) scheduled messages, soonest first
+ *          Optional filter: ?chatId=<id>
+ * @access  Private
+ */
+router.get('/', protect, async (req, res) => {
+  try {
+    const query = { sender: req.user._id, status: { $in: EDITABLE_STATUSES } };
+    if (req.query.chatId) query.chatId = req.query.chatId;
+
+    const scheduled = await ScheduledMessage.find(query)
+      .select(SCHEDULED_FIELDS)
+      .sort({ sendAt: 1 });
+
+    res.json(scheduled);
+  } catch (error) {
+    console.error('❌ Error fetching scheduled messages:', error);
+    res.status(500).json({ message: 'Failed to fetch scheduled messages' });
+  }
+});
+
+/**
+ * @route   POST /api/scheduled-messages
+ * @desc    Schedule a text message: { receiverId | conversationId, text, sendAt }
+ *          Friendship, blocks and group membership are checked again when it is sent
+ * @access  Private
+ */
+router.post('/', protect, async (req, res) => {
+  try {
+    const { receiverId, conversationId, sendAt: requestedSendAt } = req.body;
+    const text = (req.body.text || '').trim();
+    const currentUserId = req.user._id.toString();
+
+    if (!text) {
+      return res.status(400).json({ message: 'Message text is required' });
+    }
+
+    const { sendAt, error } = parseSendAt(requestedSendAt);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const target = { receiver: null, conversation: null };
+
+    if (conversationId) {
+      const conversation = mongoose.isValidObjectId(conversationId)
+        ? await Conversation.findById(conversationId)
+        : null;
+      if (!conversation || conversation.type !== 'group' || !conversation.isMember(currentUserId)) {
+        return res.status(403).json({ message: 'You are not a member of this group' });
+      }
+      target.conversation = conversation._id;
+      target.chatId = conversation.getRoomId();
+    } else {
+      if (!mongoose.isValidObjectId(receiverId) || !req.user.isFriendWith(receiverId)) {
+        return res.status(403).json({ message: 'You must be friends to send messages' });
+      }
+      target.receiver = receiverId;
+      target.chatId = [currentUserId, receiverId].sort().join('_');
+    }
+
+    const pendingCount = await ScheduledMessage.countDocuments({ sender: req.user._id, status: 'pending' });
+    if (pendingCount >= MAX_PENDING_SCHEDULED_MESSAGES) {
+      return res.status(400).json({
+        message: `You can have at most ${MAX_PENDING_SCHEDULED_MESSAGES} scheduled messages at a time`
+      });
+    }
+
+    const scheduled = await ScheduledMessage.create({
+      sender: req.user._id,
+      ...target,
+      content: { text },
+      sendAt
+    });
+
+    console.log(`⏰ ${req.user.name} scheduled a message for ${sendAt.toISOString()} in ${target.chatId}`);
+    res.status(201).json(await ScheduledMessage.findById(scheduled._id).select(SCHEDULED_FIELDS));
+  } catch (error) {
+    console.error('❌ Error scheduling message:', error);
+    res.status(500).json({ message: 'Failed to schedule message' });
+  }
+});
+
+/**
+ * @route   PATCH /api/scheduled-messages/:id
+ * @desc    Change the text and/or send time of a pending or failed scheduled message
+ *          (a failed one is queued again)
+ * @access  Private (sender only)
+ */
+router.patch('/:id', protect, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid scheduled message id' });
+    }
+
+    const existing = await ScheduledMessage.findOne({
+      _id: req.params.id,
+      sender: req.user._id,
+      status: { $in: EDITABLE_STATUSES }
+    });
+    if (!existing) {
+      return res.status(404).json({ message: 'Scheduled message not found or already sent' });
+    }
+
+    const updates = { status: 'pending', failureReason: null, claimedAt: null };
+
+    if (req.body.text !== undefined) {
+      const text = (req.body.text || '').trim();
+      if (!text) {
+        return res.status(400).json({ message: 'Message text is required' });
+      }
+      updates['content.text'] = text;
+    }
+
+    if (req.body.sendAt !== undefined) {
+      const { sendAt, error } = parseSendAt(req.body.sendAt);
+      if (error) {
+        return res.status(400).json({ message: error });
+      }
+      updates.sendAt = sendAt;
+    } else if (existing.sendAt.getTime() <= Date.now()) {
+      // Requeuing a failed message whose time has passed would send it right away
+      return res.status(400).json({ message: 'The send time has passed - pick a new one' });
+    }
+
+    // The status condition keeps us from editing a message the dispatcher already claimed
+    const scheduled = await ScheduledMessage.findOneAndUpdate(
+      { _id: req.params.id, sender: req.user._id, status: { $in: EDITABLE_STATUSES } },
+      { $set: updates },
+      { new: true }
+    ).select(SCHEDULED_FIELDS);
+
+    if (!scheduled) {
+      return res.status(404).json({ message: 'Scheduled message not found or already sent' });
+    }
+
+    res.json(scheduled);
+  } catch (error) {
+    console.error('❌ Error updating scheduled message:', error);
+    res.status(500).json({ message: 'Failed to update scheduled message' });
+  }
+});
+
+/**
+ * @route   DELETE /api/scheduled-messages/:id
+ * @desc    Cancel a pending or failed scheduled message
+ * @access  Private (sender only)
+ */
+router.delete('/:id', protect, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid scheduled message id' });
+    }
+
+    const result = await ScheduledMessage.updateOne(
+      { _id: req.params.id, sender: req.user._id, status: { $in: EDITABLE_STATUSES } },
+      { $set: { status: 'cancelled' } }
+    );
+
+    if (result.matchedCount === 0) {
+      return res.status(404).json({ message: 'Scheduled message not found or already sent' });
+    }
+
+    res.json({ message: 'Scheduled message cancelled' });
+  } catch (error) {
+    console.error('❌ Error cancelling scheduled message:', error);
+    res.status(500).json({ message: 'Failed to cancel scheduled message' });
+  }
+});
+
+export default router;
@@ -4,6 +4,8 @@ import multer from 'multer';
 import path from 'path';
 import fs from 'fs';
 import { fileURLToPath } from 'url';
+import { protect } from '../middlewares/auth.js';
+import Upload from '../models/Upload.js';
 
 const router = express.Router();
 const __filename = fileURLToPath(import.meta.url);
@@ -98,8 +100,8 @@ const multerErrorHandler = (err, req, res, next) => {
     next();
 };
 
-// Upload endpoint
-router.post('/', upload.single('file'), multerErrorHandler, (req, res) => {
+// Upload endpoint - the file is recorded as the user's, so only their own messages can attach it
+router.post('/', protect, upload.single('file'), multerErrorHandler, async (req, res) => {
     try {
         if (!req.file) {
             return res.status(400).json({ 
@@ -109,6 +111,13 @@ router.post('/', upload.single('file'), multerErrorHandler, (req, res) => {
 
         // Construct the file URL - make it accessible from frontend
         const fileUrl = `${req.protocol}://${req.get('host')}/uploads/${req.file.filename}`;
+
+        await Upload.create({
+            uploader: req.user._id,
+            fileUrl,
+            storage: 'uploads',
+            key: req.file.filename
+        });
         
         console.log('✅ File uploaded successfully:', {
             filename: req.file.filename,
@@ -0,0 +1,64 @@
+// src/services/attachmentStorage.js - REMOVE THE STORED FILES OF DELETED MESSAGES
+//
+// Attachments live either in public/uploads (POST /api/upload) or on Google Drive
+// (POST /api/messages/upload). Each upload is recorded with its uploader (models/Upload.js), and a
+// message that attaches it carries the recorded file as `storedFile`.
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import Message from '../models/Message.js';
+import Upload from '../models/Upload.js';
+import { deleteFileFromDrive } from './googleDrive.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Same directory uploadRoutes.js writes to
+const uploadsDir = path.join(__dirname, '../../public/uploads');
+
+const deleteUploadedFile = async (fileName) => {
+  try {
+    await fs.unlink(path.join(uploadsDir, fileName));
+    console.log(`🗑️ Deleted uploaded file: ${fileName}`);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error(`❌ Error deleting uploaded file ${fileName}:`, error.message);
+    }
+  }
+};
+
+/**
+ * Delete the stored files of messages that are being deleted for good.
+ * Needs `_id` and `storedFile` of each message: only the file the server recorded for a message is
+ * touched, never whatever its content.fileUrl says. A file that another message (e.g. a forwarded copy)
+ * still uses is kept. Failures are logged, never thrown.
+ */
+export const deleteStoredAttachments = async (messages) => {
+  try {
+    const messageIds = messages.map(msg => msg._id);
+    const files = new Map();
+    messages.forEach(({ storedFile }) => {
+      if (storedFile?.key) files.set(`${storedFile.storage}:${storedFile.key}`, storedFile);
+    });
+    if (files.size === 0) return;
+
+    const stillUsed = new Set((await Message.find({
+      'storedFile.key': { $in: [...files.values()].map(file => file.key) },
+      _id: { $nin: messageIds }
+    }).select('storedFile')).map(({ storedFile }) => `${storedFile.storage}:${storedFile.key}`));
+
+    for (const [id, { storage, key }] of files) {
+      if (stillUsed.has(id)) continue;
+
+      if (storage === 'uploads') {
+        // basename keeps a bad key from reaching outside the uploads directory
+        await deleteUploadedFile(path.basename(key));
+      } else if (storage === 'drive') {
+        await deleteFileFromDrive(key);
+      }
+      await Upload.deleteOne({ storage, key });
+    }
+  } catch (error) {
+    console.error('❌ Error deleting stored attachments:', error);
+  }
+};
@@ -99,3 +99,58 @@ export const sendPasswordResetEmail = async (recipientEmail, userName, otp) => {
     return false;
   }
 };
+
+// 4️⃣ Send email verification link
+export const sendVerificationEmail = async (recipientEmail, userName, verifyUrl) => {
+  const transporter = createTransporter();
+
+  const mailOptions = {
+    from: `"Lovebirds Support" <${process.env.EMAIL_USER}>`,
+    to: recipientEmail,
+    subject: '✉️ Verify your email address',
+    html: `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <style>
+          body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background: linear-gradient(135deg, #ff6b6b 0%, #ee5a24 100%); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+          .content { background: #f8fafc; padding: 30px; border-radius: 0 0 10px 10px; }
+          .verify-button { display: inline-block; padding: 12px 28px; margin: 20px 0; background-color: #ee5a24; color: white !important; text-decoration: none; border-radius: 5px; font-weight: bold; }
+          .warning { background: #fff3cd; border-left: 4px solid #ffc107; padding: 10px 15px; margin: 15px 0; }
+        </style>
+      </head>
+      <body>
+        <div class="header">
+          <h1>✉️ Verify Your Email</h1>
+        </div>
+        <div class="content">
+          <h2>Hello ${userName},</h2>
+          <p>Thanks for joining Lovebirds! Confirm this is your email address to start sending chat requests:</p>
+          <p style="text-align: center;"><a class="verify-button" href="${verifyUrl}">Verify Email</a></p>
+          <p style="font-size: 13px; color: #64748b;">Or paste this link into your browser:<br/>${verifyUrl}</p>
+          <div class="warning"><strong>⚠️ This link will expire in 24 hours.</strong></div>
+          <p>If you didn't create a Lovebirds account, please ignore this email.</p>
+        </div>
+        <div style="text-align: center; margin-top: 20px; color: #64748b; font-size: 14px;">
+          <p>Thanks,<br/>The Lovebirds Team</p>
+        </div>
+      </body>
+      </html>
+    `,
+    text: `Verify Your Email\n\nHello ${userName},\n\nConfirm your email address by opening this link:\n${verifyUrl}\n\nThis link expires in 24 hours.\n\nIf you didn't create a Lovebirds account, ignore this email.\n\nThanks,\nThe Lovebirds Team`,
+  };
+
+  try {
+    const result = await transporter.sendMail(mailOptions);
+    console.log('✅ Verification email sent successfully to:', recipientEmail);
+    console.log('📧 Message ID:', result.messageId);
+    return true;
+  } catch (error) {
+    console.error('❌ Failed to send verification email:', error);
+    if (error.code === 'EAUTH') console.error('🔐 Authentication failed. Check email credentials.');
+    if (error.code === 'EENVELOPE') console.error('📮 Invalid recipient address:', recipientEmail);
+    return false;
+  }
+};
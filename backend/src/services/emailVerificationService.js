@@ -0,0 +1,50 @@
+// src/services/emailVerificationService.js - CONFIRMING THE USER OWNS THEIR SIGN-UP EMAIL
+//
+// The emailed link carries a signed JWT with the user id and the address it was sent to, so a
+// link stops working once the address changes. The frontend posts it back to /api/auth/verify-email.
+import jwt from 'jsonwebtoken';
+import User from '../models/User.js';
+import { sendVerificationEmail } from './emailService.js';
+
+const VERIFICATION_TOKEN_TTL = '24h';
+const VERIFICATION_PURPOSE = 'email_verification';
+const DEFAULT_CLIENT_URL = 'https://lovebirdsph.netlify.app';
+
+/**
+ * Email the user a fresh verification link - returns true when the email went out
+ */
+export const sendEmailVerification = async (user) => {
+  const token = jwt.sign(
+    { id: user._id, email: user.email, purpose: VERIFICATION_PURPOSE },
+    process.env.JWT_SECRET,
+    { expiresIn: VERIFICATION_TOKEN_TTL }
+  );
+  const verifyUrl = `${process.env.CLIENT_URL || DEFAULT_CLIENT_URL}/?verifyEmail=${encodeURIComponent(token)}`;
+
+  try {
+    return await sendVerificationEmail(user.email, user.name, verifyUrl);
+  } catch (error) {
+    console.error('❌ Could not send verification email:', error.message);
+    return false;
+  }
+};
+
+/**
+ * Mark the user from a verification link as verified - returns the user, or null when the
+ * link is invalid, expired or was sent to an address the account no longer uses
+ */
+export const confirmEmailVerification = async (token) => {
+  let payload;
+  try {
+    payload = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    return null;
+  }
+  if (payload.purpose !== VERIFICATION_PURPOSE) return null;
+
+  return User.findOneAndUpdate(
+    { _id: payload.id, email: payload.email },
+    { $set: { isEmailVerified: true } },
+    { new: true }
+  );
+};
@@ -220,4 +220,30 @@ export const getMessageFromDrive = async (fileId) => {
         console.error('❌ Error getting message from Google Drive:', error.message);
         throw new Error(`Failed to retrieve message: ${error.message}`);
     }
-};
\ No newline at end of file
+};
+/**
+ * Permanently deletes a file (an attachment or a stored message) from Google Drive.
+ * @param {string} fileId - The Google Drive file ID.
+ * @returns {Promise<boolean>} Whether the file is gone (a file that no longer exists counts as deleted).
+ */
+export const deleteFileFromDrive = async (fileId) => {
+    try {
+        if (!fileId) {
+            throw new Error('File ID is required');
+        }
+
+        await drive.files.delete({
+            fileId: fileId,
+            supportsAllDrives: true,
+        });
+
+        console.log(`🗑️ Deleted file from Google Drive: ${fileId}`);
+        return true;
+    } catch (error) {
+        if (error.code === 404) {
+            return true;
+        }
+        console.error('❌ Error deleting file from Google Drive:', error.message);
+        return false;
+    }
+};
@@ -1,81 +1,152 @@
-// src/services/incognitoCleanup.js - AUTO-DELETE EXPIRED INCOGNITO MESSAGES
-import User from '../models/User.js';
+// src/services/incognitoCleanup.js - DELETE EXPIRED MESSAGES AND END EXPIRED INCOGNITO SESSIONS
+//
+// Incognito, disappearing and view-once messages carry an `expiresAt` date in the database, so deletion
+// survives server restarts. This sweeper deletes them (and their stored files) on time and tells the chat
+// members; the TTL index on Message.expiresAt removes anything left behind while the server was down.
+// Clearing a chat deletes messages for good through the same path once every member has cleared them.
 import Message from '../models/Message.js';
+import Conversation from '../models/Conversation.js';
+import StarredMessage from '../models/StarredMessage.js';
+import { deleteStoredAttachments } from './attachmentStorage.js';
+
+const SWEEP_INTERVAL_MS = 30 * 1000;
+// Upper bound on messages deleted per run, so one huge chat can't stall the sweeper
+const SWEEP_BATCH_SIZE = 500;
+
+/**
+ * Delete messages of one conversation for good, together with their stars, pins and stored files,
+ * and point lastMessage at what is left. Needs `_id` and `storedFile` of each message.
+ * Resolves to the new last message (null when the chat is now empty).
+ */
+export const deleteMessagesForGood = async (conversationId, messages) => {
+  const messageIds = messages.map(msg => msg._id);
+
+  await Message.deleteMany({ _id: { $in: messageIds } });
+  await StarredMessage.deleteMany({ message: { $in: messageIds } });
+  await deleteStoredAttachments(messages);
+
+  await Conversation.updateOne(
+    { _id: conversationId },
+    { $pull: { pinnedMessages: { message: { $in: messageIds } } } }
+  );
+  return Conversation.refreshLastMessage(conversationId);
+};
+
+/**
+ * Delete the messages every member has cleared (see Conversation.clearFor)
+ */
+export const deleteClearedMessages = async (conversationId, clearedByAllBefore) => {
+  const messages = await Message.find({ conversation: conversationId, createdAt: { $lte: clearedByAllBefore } })
+    .select('_id storedFile');
+  if (messages.length === 0) return;
+
+  await deleteMessagesForGood(conversationId, messages);
+  console.log(`🧹 Deleted ${messages.length} message(s) every member cleared from chat ${conversationId}`);
+};
+
+/**
+ * Delete a conversation's expired messages and fix everything that pointed at them
+ */
+const expireConversationMessages = async (conversationId, messages, emitToUsers) => {
+  const conversation = await Conversation.findById(conversationId);
+  const messageIds = messages.map(msg => msg._id);
+
+  const lastMessage = await deleteMessagesForGood(conversationId, messages);
+
+  if (!conversation) return;
 
-export const startIncognitoCleanup = (io) => {
-  console.log('🕵️ Starting incognito message cleanup service...');
-
-  // Run every 10 minutes
-  const CLEANUP_INTERVAL = 10 * 60 * 1000;
-
-  const cleanupExpiredMessages = async () => {
-    try {
-      console.log('🧹 Running incognito cleanup...');
-
-      // Get all users with active incognito chats
-      const usersWithIncognito = await User.find({
-        'incognitoChats.0': { $exists: true }
-      });
-
-      let totalDeleted = 0;
-
-      for (const user of usersWithIncognito) {
-        const now = new Date();
-
-        // Find expired incognito chats
-        const expiredChats = user.incognitoChats.filter(
-          ic => ic.expiresAt && ic.expiresAt < now
-        );
-
-        if (expiredChats.length > 0) {
-          for (const expiredChat of expiredChats) {
-            // Delete messages from this chat that were sent after incognito was enabled
-            const result = await Message.deleteMany({
-              chatId: expiredChat.chatId,
-              createdAt: { $gte: expiredChat.enabledAt }
-            });
-
-            totalDeleted += result.deletedCount;
-
-            // Notify users in the chat
-            io.to(expiredChat.chatId).emit('incognitoExpired', {
-              chatId: expiredChat.chatId,
-              deletedCount: result.deletedCount,
-              message: 'Incognito mode expired. Messages have been deleted.'
-            });
-
-            console.log(
-              `🗑️ Deleted ${result.deletedCount} messages from incognito chat ${expiredChat.chatId}`
-            );
-          }
-
-          // Remove expired incognito chats from user
-          user.incognitoChats = user.incognitoChats.filter(
-            ic => ic.expiresAt && ic.expiresAt >= now
-          );
-
-          await user.save();
-        }
-      }
-
-      if (totalDeleted > 0) {
-        console.log(`✅ Incognito cleanup complete. Deleted ${totalDeleted} messages.`);
-      }
-    } catch (error) {
-      console.error('❌ Error in incognito cleanup:', error);
+  const chatId = conversation.getRoomId();
+
+  // Unread counters only ever counted messages that still existed
+  const unreadTotals = {};
+  for (const msg of messages) {
+    for (const memberId of conversation.getUnreadMemberIds(msg)) {
+      unreadTotals[memberId] = (unreadTotals[memberId] || 0) + 1;
     }
-  };
+  }
+  const memberIds = Object.keys(unreadTotals);
+  if (memberIds.length > 0) {
+    const decrement = {};
+    const floor = {};
+    memberIds.forEach(memberId => {
+      decrement[`unreadCounts.${memberId}`] = -unreadTotals[memberId];
+      floor[`unreadCounts.${memberId}`] = 0;
+    });
+
+    // Never go below zero (a counter may already have been reset by reading the chat)
+    await Conversation.updateOne({ _id: conversation._id }, { $inc: decrement });
+    await Conversation.updateOne({ _id: conversation._id }, { $max: floor });
+  }
+
+  // Nothing left means the whole chat vanished - let clients reset it in one go
+  if (!lastMessage) {
+    emitToUsers(conversation.getMemberIds(), 'chatCleared', { chatId, reason: 'expired' });
+  } else {
+    messageIds.forEach(messageId => {
+      emitToUsers(conversation.getMemberIds(), 'messageDeleted', { messageId, chatId, reason: 'expired' });
+    });
+  }
+
+  console.log(`🗑️ [EXPIRY] Deleted ${messageIds.length} expired message(s) from chat ${chatId}`);
+};
 
-  // Run immediately on startup
-  cleanupExpiredMessages();
+/**
+ * End the incognito sessions that have run out
+ */
+const endExpiredIncognitoSessions = async (now, onIncognitoExpired) => {
+  const conversations = await Conversation.find({ 'incognito.expiresAt': { $lte: now } });
+
+  for (const conversation of conversations) {
+    // Conditional, so a session that was just turned off (or restarted) isn't ended twice
+    const result = await Conversation.updateOne(
+      { _id: conversation._id, 'incognito.expiresAt': conversation.incognito.expiresAt },
+      { $unset: { incognito: 1 } }
+    );
+    if (result.modifiedCount === 0) continue;
+
+    console.log(`🕵️ [INCOGNITO] Session expired for chat ${conversation.getRoomId()}`);
+    await onIncognitoExpired(conversation);
+  }
+};
 
-  // Then run at regular intervals
-  setInterval(cleanupExpiredMessages, CLEANUP_INTERVAL);
+/**
+ * One sweep: delete every message whose expiresAt has passed, then end expired incognito sessions
+ */
+const sweepExpiredMessages = async (emitToUsers, onIncognitoExpired) => {
+  try {
+    const now = new Date();
+
+    const expired = await Message.find({ expiresAt: { $lte: now } })
+      .select('_id conversation sender messageType isRead readBy storedFile')
+      .sort({ expiresAt: 1 })
+      .limit(SWEEP_BATCH_SIZE);
+
+    const byConversation = new Map();
+    for (const msg of expired) {
+      const key = msg.conversation.toString();
+      if (!byConversation.has(key)) byConversation.set(key, []);
+      byConversation.get(key).push(msg);
+    }
 
-  return cleanupExpiredMessages;
+    for (const [conversationId, messages] of byConversation) {
+      await expireConversationMessages(conversationId, messages, emitToUsers);
+    }
+
+    await endExpiredIncognitoSessions(now, onIncognitoExpired);
+  } catch (error) {
+    console.error('❌ [EXPIRY] Expiry sweep error:', error);
+  }
 };
 
-// Export for manual triggering if needed
-export const manualIncognitoCleanup = async (io) => {
-  await startIncognitoCleanup(io)();
-};
\ No newline at end of file
+/**
+ * Start the sweeper. `emitToUsers(userIds, event, payload)` reaches every connected member,
+ * whether or not they have the chat open; `onIncognitoExpired(conversation)` is called for each
+ * incognito session it ends.
+ */
+export const startIncognitoCleanup = (emitToUsers, onIncognitoExpired) => {
+  console.log(`⏳ [EXPIRY] Message expiry sweeper started (every ${SWEEP_INTERVAL_MS / 1000} seconds)`);
+
+  // Catch up on anything that expired while the server was down
+  sweepExpiredMessages(emitToUsers, onIncognitoExpired);
+  setInterval(() => sweepExpiredMessages(emitToUsers, onIncognitoExpired), SWEEP_INTERVAL_MS);
+};
@@ -0,0 +1,153 @@
+// src/services/sessionService.js - SIGN-IN SESSIONS AND THE TOKENS BOUND TO THEM
+//
+// Every login starts a Session. The client gets a short-lived access token (a JWT carrying the
+// session id as `sid`) and a refresh token. Refresh tokens are stored hashed and rotate on every use;
+// revoking the session ends both right away, since every request checks the session.
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import jwt from 'jsonwebtoken';
+import Session from '../models/Session.js';
+
+const ACCESS_TOKEN_TTL = '15m';
+const REFRESH_TOKEN_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+// Tabs of one browser share the refresh token; one that refreshes a moment after another
+// sent the old token, and isn't treated as a stolen one
+const REFRESH_REUSE_GRACE_MS = 30 * 1000;
+
+const hashToken = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+const signAccessToken = (userId, sessionId) => jwt.sign(
+  { id: userId, sid: sessionId },
+  process.env.JWT_SECRET,
+  { expiresIn: ACCESS_TOKEN_TTL }
+);
+
+/**
+ * Create a refresh token for a session - returns the token for the client and the hash to store
+ */
+const createRefreshToken = (sessionId) => {
+  const secret = crypto.randomBytes(48).toString('base64url');
+  return { refreshToken: `${sessionId}.${secret}`, refreshTokenHash: hashToken(secret) };
+};
+
+// Proxies in front of the server (the hosting load balancer). Only the X-Forwarded-For entries
+// they append can be trusted - anything further left is whatever the client sent.
+export const TRUSTED_PROXY_HOPS = 1;
+
+/**
+ * Client IP address as seen by the trusted proxy. Express requests use req.ip (server.js sets
+ * 'trust proxy' to the same hop count); raw socket handshakes pick the same entry by hand.
+ */
+export const getClientIp = (req) => {
+  if (req.ip) return req.ip;
+
+  const forwarded = req.headers['x-forwarded-for'];
+  if (forwarded) {
+    const hops = forwarded.split(',').map(hop => hop.trim());
+    return hops[Math.max(hops.length - TRUSTED_PROXY_HOPS, 0)];
+  }
+  return req.socket?.remoteAddress || '';
+};
+
+/**
+ * Record a new signed-in device - returns { token, refreshToken } for the login response
+ */
+export const startSession = async (user, req) => {
+  const sessionId = new mongoose.Types.ObjectId();
+  const { refreshToken, refreshTokenHash } = createRefreshToken(sessionId);
+
+  await Session.create({
+    _id: sessionId,
+    user: user._id,
+    userAgent: (req.headers['user-agent'] || '').slice(0, 512),
+    ipAddress: getClientIp(req),
+    refreshTokenHash,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS)
+  });
+
+  return { token: signAccessToken(user._id, sessionId), refreshToken };
+};
+
+/**
+ * Trade a refresh token for a new access token and a new refresh token.
+ * Returns { token, refreshToken } or { error }; when a refresh token that was already used comes
+ * back (a copy leaked), the session is revoked and its id returned as revokedSessionId.
+ */
+export const rotateSession = async (presentedToken, req) => {
+  const [sessionId, secret] = (presentedToken || '').split('.');
+  if (!secret || !mongoose.isValidObjectId(sessionId)) {
+    return { error: 'Invalid refresh token' };
+  }
+
+  const session = await Session.findOne({ _id: sessionId, revokedAt: null, expiresAt: { $gt: new Date() } })
+    .select('+refreshTokenHash +previousRefreshTokenHash');
+  if (!session) return { error: 'Session has ended' };
+
+  const presentedHash = hashToken(secret);
+
+  if (presentedHash === session.previousRefreshTokenHash) {
+    if (Date.now() - session.rotatedAt.getTime() < REFRESH_REUSE_GRACE_MS) {
+      return { error: 'Refresh token was already used' };
+    }
+    await revokeSessions({ _id: session._id });
+    console.log(`🚨 [SESSIONS] Reused refresh token - revoked session ${session._id}`);
+    return { error: 'Session has ended', revokedSessionId: session._id };
+  }
+
+  if (presentedHash !== session.refreshTokenHash) {
+    return { error: 'Invalid refresh token' };
+  }
+
+  const { refreshToken, refreshTokenHash } = createRefreshToken(session._id);
+  const now = new Date();
+
+  // Conditional on the current hash, so two refreshes racing with the same token can't both win
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, refreshTokenHash: presentedHash, revokedAt: null },
+    {
+      $set: {
+        refreshTokenHash,
+        previousRefreshTokenHash: presentedHash,
+        rotatedAt: now,
+        lastSeenAt: now,
+        ipAddress: getClientIp(req),
+        expiresAt: new Date(now.getTime() + REFRESH_TOKEN_TTL_MS)
+      }
+    }
+  );
+  if (!rotated) return { error: 'Refresh token was already used' };
+
+  return { token: signAccessToken(session.user, session._id), refreshToken };
+};
+
+/**
+ * Revoke every still-active session matching `filter` - returns their ids so the caller
+ * can disconnect their sockets
+ */
+export const revokeSessions = async (filter) => {
+  const sessions = await Session.find({ ...filter, revokedAt: null }).select('_id');
+  const sessionIds = sessions.map(session => session._id);
+
+  if (sessionIds.length > 0) {
+    await Session.updateMany(
+      { _id: { $in: sessionIds } },
+      { $set: { revokedAt: new Date() }, $unset: { refreshTokenHash: 1, previousRefreshTokenHash: 1 } }
+    );
+  }
+
+  return sessionIds;
+};
+
+/**
+ * Check the session a decoded access token belongs to - returns { sessionId }, or null when the
+ * token has no session or the session was revoked or has expired
+ */
+export const resolveSession = async (decoded, ipAddress) => {
+  if (!decoded.sid) return null;
+
+  const session = await Session.findActive(decoded.sid, decoded.id);
+  if (!session) return null;
+
+  await session.touch(ipAddress);
+  return { sessionId: session._id.toString() };
+};
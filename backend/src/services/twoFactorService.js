@@ -0,0 +1,236 @@
+// src/services/twoFactorService.js - TOTP TWO-FACTOR AUTHENTICATION AND BACKUP CODES
+//
+// Codes follow RFC 6238 (SHA-1, 6 digits, 30-second steps), so any authenticator app works.
+// The secret is encrypted at rest; backup codes are stored as keyed hashes and each works once.
+// A login that passes the password (or Google) check gets a short-lived challenge token instead
+// of a session, and trades it for one at /api/auth/2fa/login together with a code.
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import QRCode from 'qrcode';
+import User from '../models/User.js';
+import { hashSecret } from '../models/OneTimeCode.js';
+
+const ISSUER = 'Lovebirds';
+const TOTP_DIGITS = 6;
+const TOTP_STEP_SECONDS = 30;
+// Steps either side of the current one that are still accepted, for clock drift
+const TOTP_DRIFT_STEPS = 1;
+const SECRET_BYTES = 20;
+const BACKUP_CODE_COUNT = 10;
+const LOGIN_CHALLENGE_TTL = '5m';
+const LOGIN_CHALLENGE_PURPOSE = '2fa_login';
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// ==================== Secrets ====================
+
+// Authenticator apps take the secret in base32
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+
+  return output;
+};
+
+const encryptionKey = () => crypto.createHash('sha256').update(`2fa:${process.env.JWT_SECRET}`).digest();
+
+// Stored as "<iv>.<auth tag>.<ciphertext>"
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64url')).join('.');
+};
+
+const decryptSecret = (stored) => {
+  const [iv, authTag, encrypted] = stored.split('.').map(part => Buffer.from(part, 'base64url'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+  decipher.setAuthTag(authTag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]);
+};
+
+// ==================== Codes ====================
+
+const generateTotp = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', secret).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+};
+
+const codesMatch = (a, b) => (
+  a.length === b.length && crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b))
+);
+
+/**
+ * The time step `code` is valid for (allowing for drift), or null if it matches none
+ */
+const findMatchingStep = (secret, code) => {
+  const currentStep = Math.floor(Date.now() / 1000 / TOTP_STEP_SECONDS);
+  for (let step = currentStep - TOTP_DRIFT_STEPS; step <= currentStep + TOTP_DRIFT_STEPS; step++) {
+    if (codesMatch(generateTotp(secret, step), code)) return step;
+  }
+  return null;
+};
+
+// Codes are typed with spaces or dashes now and then ("123 456", "a1b2-c3d4")
+const normalizeCode = (code) => String(code || '').replace(/[\s-]/g, '').toLowerCase();
+
+/**
+ * A fresh set of backup codes - returns the plain codes to show once and the hashes to store
+ */
+const createBackupCodes = () => {
+  const codes = Array.from({ length: BACKUP_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(4).toString('hex');
+    return `${raw.slice(0, 4)}-${raw.slice(4)}`;
+  });
+  return { backupCodes: codes, backupCodeHashes: codes.map(code => hashSecret(normalizeCode(code))) };
+};
+
+// ==================== Enrollment ====================
+
+/**
+ * Generate a new secret for the user to scan - it only takes effect once confirmed with a code
+ * (returns { secret, otpauthUri, qrCode } where qrCode is a PNG data URL)
+ */
+export const startEnrollment = async (user) => {
+  const secret = crypto.randomBytes(SECRET_BYTES);
+  const base32Secret = base32Encode(secret);
+
+  await User.updateOne({ _id: user._id }, { $set: { twoFactorPendingSecret: encryptSecret(secret) } });
+
+  const label = encodeURIComponent(`${ISSUER}:${user.email}`);
+  const otpauthUri = `otpauth://totp/${label}?secret=${base32Secret}&issuer=${encodeURIComponent(ISSUER)}` +
+    `&algorithm=SHA1&digits=${TOTP_DIGITS}&period=${TOTP_STEP_SECONDS}`;
+  const qrCode = await QRCode.toDataURL(otpauthUri);
+
+  return { secret: base32Secret, otpauthUri, qrCode };
+};
+
+/**
+ * Turn 2FA on with the first code from the app - returns { backupCodes } or { error }
+ */
+export const completeEnrollment = async (userId, code) => {
+  const user = await User.findById(userId).select('+twoFactorPendingSecret');
+  if (!user?.twoFactorPendingSecret) return { error: 'Start the setup again' };
+
+  const pendingSecret = user.twoFactorPendingSecret;
+  const step = findMatchingStep(decryptSecret(pendingSecret), normalizeCode(code));
+  if (step === null) return { error: 'Invalid code - check the time on your device and try again' };
+
+  const { backupCodes, backupCodeHashes } = createBackupCodes();
+  await User.updateOne({ _id: userId }, {
+    $set: {
+      twoFactorEnabled: true,
+      twoFactorSecret: pendingSecret,
+      twoFactorBackupCodes: backupCodeHashes,
+      twoFactorLastStep: step
+    },
+    $unset: { twoFactorPendingSecret: 1 }
+  });
+
+  return { backupCodes };
+};
+
+export const disableTwoFactor = async (userId) => {
+  await User.updateOne({ _id: userId }, {
+    $set: { twoFactorEnabled: false },
+    $unset: {
+      twoFactorSecret: 1,
+      twoFactorPendingSecret: 1,
+      twoFactorBackupCodes: 1,
+      twoFactorLastStep: 1
+    }
+  });
+};
+
+/**
+ * Replace every backup code with a new set - returns the plain codes
+ */
+export const regenerateBackupCodes = async (userId) => {
+  const { backupCodes, backupCodeHashes } = createBackupCodes();
+  await User.updateOne({ _id: userId }, { $set: { twoFactorBackupCodes: backupCodeHashes } });
+  return backupCodes;
+};
+
+export const countBackupCodes = async (userId) => {
+  const user = await User.findById(userId).select('+twoFactorBackupCodes');
+  return user?.twoFactorBackupCodes?.length || 0;
+};
+
+// ==================== Verification ====================
+
+/**
+ * Check a code from the authenticator app or a backup code - returns { method } or { error }.
+ * Each TOTP code and each backup code is accepted only once.
+ */
+export const verifySecondFactor = async (userId, code) => {
+  const user = await User.findById(userId).select('+twoFactorSecret');
+  if (!user?.twoFactorEnabled || !user.twoFactorSecret) {
+    return { error: 'Two-factor authentication is not enabled' };
+  }
+
+  const normalized = normalizeCode(code);
+
+  if (/^\d+$/.test(normalized) && normalized.length === TOTP_DIGITS) {
+    const step = findMatchingStep(decryptSecret(user.twoFactorSecret), normalized);
+    if (step === null) return { error: 'Invalid code' };
+
+    // Conditional, so the same code can't be used twice - even by two requests at once
+    const accepted = await User.findOneAndUpdate(
+      { _id: userId, $or: [{ twoFactorLastStep: { $lt: step } }, { twoFactorLastStep: null }] },
+      { $set: { twoFactorLastStep: step } }
+    );
+    if (!accepted) return { error: 'That code was already used - wait for the next one' };
+
+    return { method: 'totp' };
+  }
+
+  const codeHash = hashSecret(normalized);
+  const updated = await User.findOneAndUpdate(
+    { _id: userId, twoFactorBackupCodes: codeHash },
+    { $pull: { twoFactorBackupCodes: codeHash } },
+    { new: true }
+  ).select('+twoFactorBackupCodes');
+  if (!updated) return { error: 'Invalid code' };
+
+  console.log(`🔐 [2FA] Backup code used - ${updated.twoFactorBackupCodes.length} left for ${userId}`);
+  return { method: 'backup', backupCodesRemaining: updated.twoFactorBackupCodes.length };
+};
+
+// ==================== Login Challenge ====================
+
+/**
+ * Token proving the first factor passed - no session is started until the code is checked
+ */
+export const createLoginChallenge = (user) => jwt.sign(
+  { id: user._id, purpose: LOGIN_CHALLENGE_PURPOSE },
+  process.env.JWT_SECRET,
+  { expiresIn: LOGIN_CHALLENGE_TTL }
+);
+
+/**
+ * The user id a challenge token was issued for, or null if it's invalid or expired
+ */
+export const readLoginChallenge = (token) => {
+  try {
+    const payload = jwt.verify(token, process.env.JWT_SECRET);
+    return payload.purpose === LOGIN_CHALLENGE_PURPOSE ? String(payload.id) : null;
+  } catch (error) {
+    return null;
+  }
+};
@@ -1,12 +1,23 @@
 // src/sockets/socketHandler.js - UPDATED WITH PERSISTENT INCOGNITO & AUTO-DELETION
 import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
 import User from '../models/User.js';
-import Message from '../models/Message.js';
+import Message, { REPLY_PREVIEW_POPULATE, DISAPPEARING_TIMER_OPTIONS, VIEW_ONCE_TYPES } from '../models/Message.js';
 import ChatRequest from '../models/ChatRequest.js';
+import Call from '../models/Call.js';
+import Conversation, { MAX_PINNED_MESSAGES, INCOGNITO_DURATION_OPTIONS } from '../models/Conversation.js';
+import StarredMessage from '../models/StarredMessage.js';
+import Upload from '../models/Upload.js';
+import ScheduledMessage from '../models/ScheduledMessage.js';
 import { sendNewMessageEmail } from '../services/emailService.js';
+import { startIncognitoCleanup, deleteClearedMessages } from '../services/incognitoCleanup.js';
+import { resolveSession, getClientIp } from '../services/sessionService.js';
 
+// userId -> Set of socket ids, one per open tab or device
 const userSockets = new Map();
 const userActivity = new Map();
+// Kept so REST routes can reach live sockets (e.g. to disconnect a signed-out device)
+let ioServer = null;
 
 const getChatId = (userA, userB) => [userA, userB].sort().join('_');
 
@@ -25,853 +36,2560 @@ const isUserBlocked = async (userId, otherUserId) => {
   return user?.blockedUsers?.some(b => b.toString() === otherUserId.toString()) || false;
 };
 
+// ==================== GROUP CHAT HELPERS ====================
+
+const GROUP_MEMBER_FIELDS = 'name email avatar isOnline lastSeen status';
+const MAX_GROUP_MEMBERS = 100;
+
+// Direct chat ids are two sorted user ids joined by '_', group chat ids are Conversation ids
+const isGroupChatId = (chatId) => !chatId.includes('_');
+
+/**
+ * Load a group conversation, or null if it doesn't exist or the user isn't a member
+ */
+const getGroupForMember = async (conversationId, userId) => {
+  if (!mongoose.isValidObjectId(conversationId)) return null;
+
+  const conversation = await Conversation.findById(conversationId);
+  if (!conversation || conversation.type !== 'group' || !conversation.isMember(userId)) return null;
+
+  return conversation;
+};
+
+/**
+ * Check chat access for both direct chat ids and group conversation ids
+ */
+const canAccessChat = async (chatId, userId) => {
+  if (!isGroupChatId(chatId)) return isUserInChat(chatId, userId);
+  return !!(await getGroupForMember(chatId, userId));
+};
+
+/**
+ * Shape a group the way the client renders it in the sidebar and chat header
+ */
+const formatGroup = async (conversation) => {
+  await conversation.populate('members', GROUP_MEMBER_FIELDS);
+
+  return {
+    _id: conversation._id,
+    isGroup: true,
+    title: conversation.title,
+    avatar: conversation.avatar,
+    members: conversation.members,
+    admins: conversation.admins,
+    createdBy: conversation.createdBy,
+    createdAt: conversation.createdAt,
+    updatedAt: conversation.updatedAt
+  };
+};
+
+// ==================== CONNECTED SESSIONS ====================
+
+const getUserSocketIds = (userId) => [...(userSockets.get(userId.toString()) || [])];
+
+// A user is online while any of their tabs or devices is connected
+const isOnline = (userId) => userSockets.has(userId.toString());
+
+const getSessionRoom = (sessionId) => `session:${sessionId}`;
+
+/**
+ * Track a new socket - returns true when it is the user's first live one
+ */
+const addUserSocket = (userId, socketId) => {
+  const socketIds = userSockets.get(userId);
+  if (socketIds) {
+    socketIds.add(socketId);
+    return false;
+  }
+  userSockets.set(userId, new Set([socketId]));
+  return true;
+};
+
+/**
+ * Forget a closed socket - returns true when it was the user's last live one
+ */
+const removeUserSocket = (userId, socketId) => {
+  const socketIds = userSockets.get(userId);
+  if (!socketIds) return true;
+
+  socketIds.delete(socketId);
+  if (socketIds.size > 0) return false;
+  userSockets.delete(userId);
+  return true;
+};
+
+/**
+ * Emit an event to every open tab and device of a user
+ */
+const emitToUser = (io, userId, event, payload) => {
+  const socketIds = getUserSocketIds(userId);
+  // io.to([]) would broadcast to everyone
+  if (socketIds.length > 0) {
+    io.to(socketIds).emit(event, payload);
+  }
+};
+
+/**
+ * Emit an event to every listed user that is connected
+ */
+const emitToUsers = (io, userIds, event, payload) => {
+  userIds.forEach(id => emitToUser(io, id, event, payload));
+};
+
+/**
+ * Remove a user's sockets from a chat room (e.g. after being kicked from a group)
+ */
+const removeUserFromRoom = (io, userId, chatId) => {
+  const socketIds = getUserSocketIds(userId);
+  if (socketIds.length > 0) {
+    io.in(socketIds).socketsLeave(chatId);
+  }
+};
+
+/**
+ * Ids of a user's sessions that have a socket connected right now
+ */
+export const getLiveSessionIds = (userId) => {
+  const sessionIds = new Set();
+  getUserSocketIds(userId).forEach(socketId => {
+    const sessionId = ioServer?.sockets.sockets.get(socketId)?.sessionId;
+    if (sessionId) sessionIds.add(sessionId);
+  });
+  return sessionIds;
+};
+
+/**
+ * Tell the sockets of signed-out sessions and disconnect them
+ */
+export const disconnectSessions = (sessionIds) => {
+  if (!ioServer) return;
+
+  sessionIds.forEach(sessionId => {
+    const room = getSessionRoom(sessionId.toString());
+    ioServer.to(room).emit('sessionRevoked');
+    ioServer.in(room).disconnectSockets(true);
+  });
+};
+
+/**
+ * Post a 'system' message (member joined, left, incognito changed, ...) into a chat timeline
+ */
+const postSystemMessage = async (io, conversation, actorId, text) => {
+  const chatId = conversation.getRoomId();
+  const isGroup = conversation.type === 'group';
+
+  const message = await Message.create({
+    sender: actorId,
+    conversation: conversation._id,
+    chatId,
+    messageType: 'system',
+    content: { text },
+    isDelivered: true,
+    isRead: true,
+    deliveredAt: new Date()
+  });
+
+  await Conversation.recordMessage(conversation, message, { countsAsUnread: false });
+  await message.populate('sender', 'name avatar');
+
+  const messageObj = {
+    _id: message._id,
+    sender: message.sender,
+    chatId,
+    // Direct chats are keyed by the other user in the sidebar
+    ...(isGroup
+      ? { conversationId: chatId, isGroup: true }
+      : { receiverId: conversation.getMemberIds().find(id => id !== actorId.toString()) }),
+    messageType: message.messageType,
+    content: message.content,
+    createdAt: message.createdAt,
+    isDelivered: message.isDelivered,
+    isRead: message.isRead,
+    readBy: []
+  };
+
+  io.to(chatId).emit('receiveMessage', messageObj);
+  emitToUsers(io, conversation.getMemberIds(), 'newMessageForSidebar', {
+    ...messageObj,
+    forSidebar: true
+  });
+};
+
+/**
+ * Validate users being added to a group: they must be friends of the inviter
+ * and neither side may have blocked the other
+ */
+const getInvitableUserIds = async (inviterId, userIds = []) => {
+  const requestedIds = [...new Set(userIds.map(id => id.toString()))]
+    .filter(id => id !== inviterId && mongoose.isValidObjectId(id));
+
+  if (requestedIds.length === 0) return [];
+
+  const inviter = await User.findById(inviterId);
+  const friendIds = new Set((inviter?.friends || []).map(f => f.toString()));
+  const blockedIds = new Set((inviter?.blockedUsers || []).map(b => b.toString()));
+
+  const blockedBy = await User.find({
+    _id: { $in: requestedIds },
+    blockedUsers: inviterId
+  }).select('_id');
+  blockedBy.forEach(u => blockedIds.add(u._id.toString()));
+
+  return requestedIds.filter(id => friendIds.has(id) && !blockedIds.has(id));
+};
+
+/**
+ * Record per-member read receipts for group messages and notify the room.
+ * A group message only counts as read once every other member has read it.
+ */
+const markGroupMessagesAsRead = async (io, conversation, readerId, filter = {}) => {
+  const chatId = conversation._id.toString();
+  const readAt = new Date();
+
+  const unreadMessages = await Message.find({
+    ...filter,
+    conversation: conversation._id,
+    sender: { $ne: readerId },
+    messageType: { $ne: 'system' },
+    'readBy.user': { $ne: readerId }
+  }).select('_id');
+
+  if (unreadMessages.length === 0) return 0;
+
+  const messageIds = unreadMessages.map(msg => msg._id);
+
+  // Conditional, so a receipt that arrives twice doesn't count the reader twice
+  const { modifiedCount } = await Message.updateMany(
+    { _id: { $in: messageIds }, 'readBy.user': { $ne: readerId } },
+    { $push: { readBy: { user: readerId, readAt } } }
+  );
+
+  const otherMemberCount = Math.max(conversation.members.length - 1, 1);
+  await Message.updateMany(
+    {
+      _id: { $in: messageIds },
+      isRead: false,
+      $expr: { $gte: [{ $size: '$readBy' }, otherMemberCount] }
+    },
+    { isRead: true, readAt }
+  );
+  await startDisappearingTimers(io, chatId, { _id: { $in: messageIds } });
+
+  const updatedMessages = await Message.find({ _id: { $in: messageIds } }).select('isRead readAt readBy');
+
+  io.to(chatId).emit('groupMessagesRead', {
+    chatId,
+    readBy: readerId,
+    readAt,
+    receipts: updatedMessages.map(msg => ({
+      messageId: msg._id,
+      isRead: msg.isRead,
+      readAt: msg.readAt,
+      readCount: msg.readBy.length
+    }))
+  });
+
+  return modifiedCount;
+};
+
+// ==================== DISAPPEARING MESSAGES ====================
+
+// A view-once message lingers this long after its last recipient opened it (so a voice note can finish
+// playing), and is deleted unopened after VIEW_ONCE_MAX_AGE_MS
+const VIEW_ONCE_GRACE_MS = 5 * 60 * 1000;
+const VIEW_ONCE_MAX_AGE_MS = 14 * 24 * 60 * 60 * 1000;
+
+/**
+ * Validate the disappearing options of a message being sent - returns { disappearAfterSeconds, viewOnce } or { error }
+ */
+const getDisappearingOptions = (messageType, { disappearAfterSeconds = null, viewOnce = false } = {}) => {
+  if (disappearAfterSeconds !== null && !DISAPPEARING_TIMER_OPTIONS.includes(disappearAfterSeconds)) {
+    return { error: 'Invalid disappearing message timer' };
+  }
+  if (viewOnce && !VIEW_ONCE_TYPES.includes(messageType)) {
+    return { error: 'Only photos, videos and voice messages can be sent view-once' };
+  }
+  return { disappearAfterSeconds, viewOnce: !!viewOnce };
+};
+
+/**
+ * Start the timers of disappearing messages that have just been read, and tell the chat when they expire
+ */
+const startDisappearingTimers = async (io, chatId, filter) => {
+  const timers = await Message.startDisappearingTimers(filter);
+  if (timers.length > 0) {
+    io.to(chatId).emit('messageTimersStarted', { chatId, timers });
+  }
+};
+
+// ==================== MESSAGE ACTION HELPERS ====================
+
+// Message types that can be forwarded, and how many chats one forward may target
+const FORWARDABLE_TYPES = ['text', 'image', 'file', 'audio', 'video', 'voice'];
+const MAX_FORWARD_TARGETS = 10;
+
+// Reactions are a single emoji (which may be several code points, e.g. skin tones / ZWJ sequences)
+const MAX_REACTION_LENGTH = 16;
+// One emoji element: a pictograph with optional variation selector / skin tone / tag sequence
+// (subdivision flags), a keycap, or a regional-indicator pair (country flags)
+const EMOJI_ELEMENT = String.raw`(?:\p{Extended_Pictographic}(?:\uFE0F|\p{Emoji_Modifier})*(?:[\u{E0020}-\u{E007E}]+\u{E007F})?|[#*0-9]\uFE0F?\u20E3|\p{Regional_Indicator}{2})`;
+const EMOJI_REACTION_REGEX = new RegExp(`^${EMOJI_ELEMENT}(?:\u200D${EMOJI_ELEMENT})*$`, 'u');
+
+// How long after sending a message its sender may still edit it / delete it for everyone
+const MESSAGE_EDIT_WINDOW_MS = (parseInt(process.env.MESSAGE_EDIT_WINDOW_MINUTES, 10) || 15) * 60 * 1000;
+const MESSAGE_DELETE_WINDOW_MS = (parseInt(process.env.MESSAGE_DELETE_WINDOW_MINUTES, 10) || 60) * 60 * 1000;
+
+/**
+ * Load a message together with its conversation, or null if the user isn't a member of that chat
+ */
+const getMessageForMember = async (messageId, userId) => {
+  if (!mongoose.isValidObjectId(messageId)) return null;
+
+  const message = await Message.findById(messageId);
+  if (!message) return null;
+
+  const conversation = await Conversation.findById(message.conversation);
+  if (!conversation || !conversation.isMember(userId)) return null;
+
+  return { message, conversation };
+};
+
+/**
+ * Check that a quoted message exists in the same conversation as the reply
+ */
+const isValidReplyTarget = async (replyTo, conversationId) => {
+  if (!mongoose.isValidObjectId(replyTo)) return false;
+  return !!(await Message.exists({ _id: replyTo, conversation: conversationId }));
+};
+
+/**
+ * Send every connected member the chat's pins as they see them
+ */
+const emitPinsUpdate = async (io, conversationId) => {
+  const conversation = await Conversation.findById(conversationId);
+  if (!conversation) return;
+
+  const chatId = conversation.getRoomId();
+
+  for (const memberId of conversation.getMemberIds()) {
+    if (!isOnline(memberId)) continue;
+
+    emitToUser(io, memberId, 'pinsUpdated', {
+      chatId,
+      pins: await conversation.getPinsFor(memberId)
+    });
+  }
+};
+
 // ==================== INCOGNITO MODE HELPERS ====================
 
 /**
- * Check if incognito mode is active for a chat
+ * Load the direct conversation of two friends for an incognito change (created if nobody wrote yet),
+ * or { error } when they may not chat
  */
-const getIncognitoStatus = async (userId, otherUserId) => {
-  const chatId = getChatId(userId, otherUserId);
-  const user = await User.findById(userId);
-  
-  if (!user || !user.incognitoChats) {
-    return { enabled: false, expiresAt: null };
+const getDirectChatForIncognito = async (userId, otherUserId) => {
+  if (!mongoose.isValidObjectId(otherUserId) || !(await areUsersFriends(userId, otherUserId))) {
+    return { error: 'You must be friends to use incognito mode' };
+  }
+
+  const blocked = await isUserBlocked(userId, otherUserId);
+  const blockedBy = await isUserBlocked(otherUserId, userId);
+  if (blocked || blockedBy) {
+    return { error: 'Cannot change incognito mode for this chat' };
+  }
+
+  return { conversation: await Conversation.findOrCreateDirect(userId, otherUserId) };
+};
+
+/**
+ * Send both members the incognito state of their chat
+ */
+const emitIncognitoStatus = (io, conversation) => {
+  emitToUsers(io, conversation.getMemberIds(), 'incognitoStatus', {
+    chatId: conversation.getRoomId(),
+    ...conversation.getIncognitoStatus()
+  });
+};
+
+const formatHours = (hours) => `${hours} hour${hours === 1 ? '' : 's'}`;
+
+// What clients report from an incognito chat, as it reads in the timeline
+const CAPTURE_ATTEMPT_NOTICES = {
+  screenshot: 'may have taken a screenshot',
+  print: 'tried to print the chat'
+};
+// One notice per user, chat and kind in this window, so a held key can't flood the chat
+const CAPTURE_NOTICE_COOLDOWN_MS = 60 * 1000;
+const lastCaptureNotices = new Map();
+
+/**
+ * Rate limit capture notices - returns false while `key` is still cooling down
+ */
+const shouldPostCaptureNotice = (key) => {
+  const now = Date.now();
+  for (const [noticeKey, postedAt] of lastCaptureNotices) {
+    if (now - postedAt >= CAPTURE_NOTICE_COOLDOWN_MS) lastCaptureNotices.delete(noticeKey);
+  }
+
+  if (lastCaptureNotices.has(key)) return false;
+  lastCaptureNotices.set(key, now);
+  return true;
+};
+
+/**
+ * Accept the pending incognito request: both members now share one session and expiry
+ */
+const acceptIncognitoRequest = async (io, conversation, acceptorId, acceptorName) => {
+  const { requestedBy, durationHours } = conversation.incognitoRequest;
+  const enabledAt = new Date();
+  const expiresAt = new Date(enabledAt.getTime() + durationHours * 60 * 60 * 1000);
+
+  // Conditional on the request, so it can only be accepted once
+  const updated = await Conversation.findOneAndUpdate(
+    { _id: conversation._id, 'incognitoRequest.requestedBy': requestedBy },
+    {
+      $set: { incognito: { enabledAt, expiresAt, requestedBy } },
+      $unset: { incognitoRequest: 1 }
+    },
+    { new: true }
+  );
+  if (!updated) return;
+
+  // Everything already in the chat expires with the session too (never later than it already would).
+  // The timeline entries about incognito itself stay.
+  const result = await Message.updateMany(
+    { conversation: conversation._id, messageType: { $ne: 'system' }, expiresAt: { $not: { $lte: expiresAt } } },
+    { $set: { expiresAt } }
+  );
+
+  await postSystemMessage(io, updated, acceptorId,
+    `${acceptorName} turned on incognito mode. Messages will disappear after ${formatHours(durationHours)}.`);
+  emitIncognitoStatus(io, updated);
+
+  console.log(`🕵️ [INCOGNITO] Enabled for chat ${updated.getRoomId()} until ${expiresAt.toISOString()} (${result.modifiedCount} existing messages)`);
+};
+
+/**
+ * The sweeper ended an incognito session - record it in the timeline and tell both members
+ */
+const endExpiredIncognito = async (io, conversation) => {
+  const actorId = conversation.incognito?.requestedBy || conversation.members[0];
+  await postSystemMessage(io, conversation, actorId, 'Incognito mode ended. New messages will be kept.');
+  emitIncognitoStatus(io, await Conversation.findById(conversation._id));
+};
+
+// ==================== MESSAGE DELIVERY HELPERS ====================
+
+/**
+ * Tell the sender their message was stored (and delivered, if a recipient is online)
+ */
+const confirmToSender = (io, senderId, message, tempId) => {
+  if (!isOnline(senderId)) return;
+
+  emitToUser(io, senderId, 'messageSent', {
+    messageId: message._id,
+    tempId,
+    success: true,
+    isDelivered: message.isDelivered,
+    deliveredAt: message.deliveredAt
+  });
+
+  if (message.isDelivered) {
+    emitToUser(io, senderId, 'messageDelivered', {
+      messageId: message._id,
+      deliveredAt: message.deliveredAt,
+      chatId: message.chatId
+    });
+  }
+};
+
+/**
+ * Email recipients who are offline (failures are logged, never thrown). Unverified addresses
+ * are skipped - they may not belong to the user who signed up with them.
+ */
+const notifyOfflineRecipients = async (recipientIds, senderName) => {
+  const offlineRecipients = await User.find({
+    _id: { $in: recipientIds.filter(id => !isOnline(id)) },
+    isEmailVerified: true
+  }).select('email');
+
+  for (const recipient of offlineRecipients) {
+    try {
+      if (recipient.email) {
+        await sendNewMessageEmail(recipient.email, senderName);
+      }
+    } catch (emailError) {
+      console.error('Email notification failed:', emailError);
+    }
+  }
+};
+
+const deliverGroupMessage = async (io, { senderId, senderName, conversationId, messageType, content, storedFile = null, replyTo, isForwarded, disappearAfterSeconds = null, viewOnce = false, tempId }) => {
+  const conversation = await getGroupForMember(conversationId, senderId);
+  if (!conversation) {
+    return { error: { message: 'You are not a member of this group', notMember: true } };
+  }
+
+  if (replyTo && !(await isValidReplyTarget(replyTo, conversation._id))) {
+    return { error: { message: 'The message you replied to is not in this chat' } };
+  }
+
+  const chatId = conversation._id.toString();
+  const recipientIds = conversation.getMemberIds().filter(id => id !== senderId);
+  const onlineRecipientIds = recipientIds.filter(id => isOnline(id));
+  const isDelivered = onlineRecipientIds.length > 0;
+
+  const message = await Message.create({
+    sender: senderId,
+    conversation: conversation._id,
+    chatId,
+    messageType: messageType,
+    content: content,
+    storedFile,
+    replyTo: replyTo || null,
+    isForwarded: !!isForwarded,
+    disappearAfterSeconds,
+    viewOnce,
+    expiresAt: viewOnce ? new Date(Date.now() + VIEW_ONCE_MAX_AGE_MS) : null,
+    isDelivered,
+    isRead: false,
+    deliveredAt: isDelivered ? new Date() : null,
+    readAt: null
+  });
+
+  await Conversation.recordMessage(conversation, message);
+
+  await message.populate([{ path: 'sender', select: 'name avatar' }, REPLY_PREVIEW_POPULATE]);
+
+  const messageObj = {
+    _id: message._id,
+    sender: message.sender,
+    chatId,
+    conversationId: chatId,
+    isGroup: true,
+    messageType: message.messageType,
+    content: message.getVisibleContent(),
+    replyTo: message.replyTo,
+    isForwarded: message.isForwarded,
+    disappearAfterSeconds: message.disappearAfterSeconds,
+    viewOnce: message.viewOnce,
+    viewedBy: [],
+    expiresAt: message.expiresAt,
+    createdAt: message.createdAt,
+    tempId,
+    isDelivered: message.isDelivered,
+    isRead: message.isRead,
+    deliveredAt: message.deliveredAt,
+    readAt: message.readAt,
+    readBy: []
+  };
+
+  io.to(chatId).emit('receiveMessage', messageObj);
+
+  emitToUsers(io, onlineRecipientIds, 'newMessageForSidebar', {
+    ...messageObj,
+    forSidebar: true,
+    isForReceiver: true,
+    isForSender: false
+  });
+
+  emitToUsers(io, [senderId], 'newMessageForSidebar', {
+    ...messageObj,
+    forSidebar: true,
+    isForReceiver: false,
+    isForSender: true
+  });
+
+  confirmToSender(io, senderId, message, tempId);
+
+  await notifyOfflineRecipients(recipientIds, senderName);
+
+  return { message, chatId };
+};
+
+const deliverDirectMessage = async (io, { senderId, senderName, receiverId, messageType, content, storedFile = null, replyTo, isForwarded, disappearAfterSeconds = null, viewOnce = false, tempId }) => {
+  const areFriends = await areUsersFriends(senderId, receiverId);
+  if (!areFriends) {
+    return { error: { message: 'You must be friends to send messages', requiresFriendship: true } };
+  }
+
+  const blocked = await isUserBlocked(senderId, receiverId);
+  const blockedBy = await isUserBlocked(receiverId, senderId);
+
+  if (blocked || blockedBy) {
+    return { error: { message: 'Cannot send message', isBlocked: true } };
+  }
+
+  const conversation = await Conversation.findOrCreateDirect(senderId, receiverId);
+  const chatId = conversation.getRoomId();
+
+  if (replyTo && !(await isValidReplyTarget(replyTo, conversation._id))) {
+    return { error: { message: 'The message you replied to is not in this chat' } };
+  }
+
+  const isRecipientOnline = isOnline(receiverId);
+  const incognitoExpiry = conversation.getIncognitoStatus().expiresAt;
+  const viewOnceExpiry = viewOnce ? new Date(Date.now() + VIEW_ONCE_MAX_AGE_MS) : null;
+  const expiresAt = incognitoExpiry && viewOnceExpiry
+    ? new Date(Math.min(incognitoExpiry, viewOnceExpiry))
+    : incognitoExpiry || viewOnceExpiry;
+
+  const message = await Message.create({
+    sender: senderId,
+    conversation: conversation._id,
+    chatId,
+    messageType: messageType,
+    content: content,
+    storedFile,
+    replyTo: replyTo || null,
+    isForwarded: !!isForwarded,
+    disappearAfterSeconds,
+    viewOnce,
+    expiresAt,
+    isDelivered: isRecipientOnline,
+    isRead: false,
+    deliveredAt: isRecipientOnline ? new Date() : null,
+    readAt: null
+  });
+
+  await Conversation.recordMessage(conversation, message);
+  await message.populate([{ path: 'sender', select: 'name avatar' }, REPLY_PREVIEW_POPULATE]);
+
+  const messageObj = {
+    _id: message._id,
+    sender: message.sender,
+    chatId: chatId,
+    messageType: message.messageType,
+    content: message.getVisibleContent(),
+    replyTo: message.replyTo,
+    isForwarded: message.isForwarded,
+    disappearAfterSeconds: message.disappearAfterSeconds,
+    viewOnce: message.viewOnce,
+    viewedBy: [],
+    expiresAt: message.expiresAt,
+    createdAt: message.createdAt,
+    tempId,
+    isDelivered: message.isDelivered,
+    isRead: message.isRead,
+    deliveredAt: message.deliveredAt,
+    readAt: message.readAt
+  };
+
+  io.to(chatId).emit('receiveMessage', messageObj);
+
+  emitToUser(io, receiverId, 'newMessageForSidebar', {
+    ...messageObj,
+    receiverId: receiverId,
+    forSidebar: true,
+    isForReceiver: true,
+    isForSender: false
+  });
+
+  emitToUsers(io, [senderId], 'newMessageForSidebar', {
+    ...messageObj,
+    receiverId: receiverId,
+    forSidebar: true,
+    isForReceiver: false,
+    isForSender: true
+  });
+
+  confirmToSender(io, senderId, message, tempId);
+
+  if (!isRecipientOnline) {
+    await notifyOfflineRecipients([receiverId], senderName);
+  }
+
+  if (incognitoExpiry) {
+    console.log(`🕵️ [INCOGNITO] Message ${message._id} expires at ${incognitoExpiry.toISOString()}`);
+  }
+
+  return { message, chatId };
+};
+
+/**
+ * Store a message and push it to everyone in the chat - used by sendMessage and forwardMessage.
+ * Pass `receiverId` for a direct chat or `conversationId` for a group.
+ * Resolves to { message, chatId }, or { error } when the sender may not write to that chat.
+ */
+const deliverMessage = (io, options) => (
+  options.conversationId ? deliverGroupMessage(io, options) : deliverDirectMessage(io, options)
+);
+
+// ==================== SCHEDULED MESSAGES ====================
+
+const SCHEDULED_DISPATCH_INTERVAL_MS = 30 * 1000;
+// A claim older than this means the dispatcher died while sending
+const SCHEDULED_CLAIM_TIMEOUT_MS = 5 * 60 * 1000;
+
+/**
+ * Send one claimed scheduled message through the normal delivery path, so friendship,
+ * blocks, group membership, offline emails and incognito apply exactly as for sendMessage
+ */
+const sendScheduledMessage = async (io, scheduled) => {
+  const senderId = scheduled.sender.toString();
+  const sender = await User.findById(senderId).select('name');
+
+  const result = sender
+    ? await deliverMessage(io, {
+      senderId,
+      senderName: sender.name,
+      ...(scheduled.conversation
+        ? { conversationId: scheduled.conversation.toString() }
+        : { receiverId: scheduled.receiver.toString() }),
+      messageType: 'text',
+      content: { text: scheduled.content.text },
+      tempId: `scheduled-${scheduled._id}`
+    })
+    : { error: { message: 'Sender no longer exists' } };
+
+  if (result.error) {
+    scheduled.status = 'failed';
+    scheduled.failureReason = result.error.message;
+  } else {
+    scheduled.status = 'sent';
+    scheduled.sentMessage = result.message._id;
+  }
+  await scheduled.save();
+
+  console.log(result.error
+    ? `⏰ Scheduled message ${scheduled._id} failed: ${result.error.message}`
+    : `⏰ Sent scheduled message ${scheduled._id} to ${result.chatId}`);
+
+  emitToUsers(io, [senderId], 'scheduledMessageUpdated', {
+    _id: scheduled._id,
+    chatId: scheduled.chatId,
+    status: scheduled.status,
+    failureReason: scheduled.failureReason
+  });
+};
+
+/**
+ * Send every scheduled message that is due. Each one is claimed atomically first,
+ * so overlapping runs (or several server instances) never send the same message twice.
+ */
+const dispatchScheduledMessages = async (io) => {
+  try {
+    await ScheduledMessage.failStaleClaims(new Date(Date.now() - SCHEDULED_CLAIM_TIMEOUT_MS));
+
+    let scheduled;
+    while ((scheduled = await ScheduledMessage.claimNextDue())) {
+      try {
+        await sendScheduledMessage(io, scheduled);
+      } catch (error) {
+        console.error(`❌ Error sending scheduled message ${scheduled._id}:`, error);
+        await ScheduledMessage.updateOne(
+          { _id: scheduled._id },
+          { $set: { status: 'failed', failureReason: 'Failed to send message' } }
+        );
+      }
+    }
+  } catch (error) {
+    console.error('❌ Scheduled message dispatch error:', error);
   }
+};
+
+// ==================== CALL SIGNALING HELPERS ====================
+
+const CALL_RING_TIMEOUT_MS = 45 * 1000;
 
-  const incognitoChat = user.incognitoChats.find(ic => ic.chatId === chatId);
-  
-  if (!incognitoChat) {
-    return { enabled: false, expiresAt: null };
+// callId -> { callId, callerId, calleeId, callerSocketId, calleeSocketId, chatId, callType, status, answeredAt, ringTimer }
+const activeCalls = new Map();
+// userId -> callId of the call the user is currently ringing or talking in
+const userCalls = new Map();
+
+const getOtherCallParty = (call, userId) => (
+  call.callerId === userId ? call.calleeId : call.callerId
+);
+
+/**
+ * Emit an event to one call participant. The call is tied to the caller's tab, and to the callee's
+ * once they answer; until then the callee rings on every tab and device.
+ */
+const emitToCallParty = (io, call, partyId, event, payload) => {
+  const callSocketId = partyId === call.callerId ? call.callerSocketId : call.calleeSocketId;
+  if (callSocketId) {
+    io.to(callSocketId).emit(event, payload);
+  } else {
+    emitToUser(io, partyId, event, payload);
   }
+};
+
+/**
+ * Emit an event to whichever call participants are connected
+ */
+const emitToCallParties = (io, call, event, payload) => {
+  [call.callerId, call.calleeId].forEach(partyId => emitToCallParty(io, call, partyId, event, payload));
+};
+
+/**
+ * Map a final signaling status to the outcome shown in call history
+ */
+const getCallOutcome = (status) => {
+  if (status === 'ended') return 'completed';
+  if (status === 'declined') return 'declined';
+  return 'missed';
+};
+
+/**
+ * Post a 'call' message so the call shows up inline in the chat timeline
+ */
+const postCallMessage = async (io, callLog) => {
+  const callerId = callLog.caller.toString();
+  const calleeId = callLog.callee.toString();
+  const kind = callLog.callType === 'audio' ? 'voice call' : 'video call';
+  const summaries = {
+    completed: `Call ended (${kind})`,
+    declined: `Declined ${kind}`,
+    missed: `Missed ${kind}`
+  };
+
+  const isCalleeOnline = isOnline(calleeId);
+  const conversation = await Conversation.findOrCreateDirect(callerId, calleeId);
+
+  const message = await Message.create({
+    sender: callerId,
+    conversation: conversation._id,
+    chatId: callLog.chatId,
+    messageType: 'call',
+    content: { text: summaries[callLog.outcome] },
+    call: {
+      callId: callLog._id,
+      callType: callLog.callType,
+      outcome: callLog.outcome,
+      duration: callLog.duration
+    },
+    isDelivered: isCalleeOnline,
+    deliveredAt: isCalleeOnline ? new Date() : null
+  });
+
+  await Conversation.recordMessage(conversation, message);
+  await message.populate('sender', 'name avatar');
+
+  const messageObj = {
+    _id: message._id,
+    sender: message.sender,
+    chatId: message.chatId,
+    messageType: message.messageType,
+    content: message.content,
+    call: message.call,
+    createdAt: message.createdAt,
+    isDelivered: message.isDelivered,
+    isRead: message.isRead,
+    deliveredAt: message.deliveredAt,
+    readAt: message.readAt
+  };
+
+  io.to(callLog.chatId).emit('receiveMessage', messageObj);
+
+  [callerId, calleeId].forEach(partyId => {
+    emitToUser(io, partyId, 'newMessageForSidebar', {
+      ...messageObj,
+      receiverId: calleeId,
+      forSidebar: true,
+      isForReceiver: partyId === calleeId,
+      isForSender: partyId === callerId
+    });
+  });
+};
+
+/**
+ * Release an active call and persist its final state to the call log
+ */
+const finishCall = async (io, callId, status, endedBy = null) => {
+  const call = activeCalls.get(callId);
+  if (!call) return null;
+
+  clearTimeout(call.ringTimer);
+  activeCalls.delete(callId);
+  userCalls.delete(call.callerId);
+  userCalls.delete(call.calleeId);
+
+  try {
+    const endedAt = new Date();
+    const callLog = await Call.findByIdAndUpdate(callId, {
+      status,
+      endedAt,
+      endedBy,
+      outcome: getCallOutcome(status),
+      duration: call.answeredAt ? Math.round((endedAt - call.answeredAt) / 1000) : 0
+    }, { new: true });
+
+    if (callLog) {
+      await postCallMessage(io, callLog);
+    }
+  } catch (error) {
+    console.error('❌ [CALL] Failed to update call log:', error);
+  }
+
+  console.log(`📞 [CALL] Call ${callId} finished with status: ${status}`);
+  return call;
+};
+
+/**
+ * Work out the final status when a participant hangs up
+ */
+const getHangupStatus = (call, userId) => {
+  if (call.status === 'accepted') return 'ended';
+  return call.callerId === userId ? 'cancelled' : 'declined';
+};
+
+export const initializeSocket = (io) => {
+  console.log("🚀 Socket server starting...");
+  ioServer = io;
+
+  // Incognito messages are deleted when their expiresAt passes
+  startIncognitoCleanup(
+    (userIds, event, payload) => emitToUsers(io, userIds, event, payload),
+    (conversation) => endExpiredIncognito(io, conversation)
+  );
+
+  setInterval(() => dispatchScheduledMessages(io), SCHEDULED_DISPATCH_INTERVAL_MS);
+  console.log("⏰ Scheduled message dispatcher started (every 30 seconds)");
+
+  io.use(async (socket, next) => {
+    try {
+      const token = socket.handshake.auth.token;
+      if (!token) return next(new Error('No token provided'));
+
+      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      const user = await User.findById(decoded.id);
+      if (!user) return next(new Error('User not found'));
+
+      const session = await resolveSession(decoded, getClientIp(socket.request));
+      if (!session) return next(new Error('Authentication failed: session has ended'));
+
+      socket.user = user;
+      socket.sessionId = session.sessionId;
+      next();
+    } catch (err) {
+      console.error('Auth error:', err.message);
+      // The client refreshes its access token and reconnects
+      next(new Error(err.name === 'TokenExpiredError' ? 'Token expired' : 'Authentication failed'));
+    }
+  });
+
+  io.on('connection', async (socket) => {
+    const userId = socket.user._id.toString();
+    const userName = socket.user.name;
+    const userStatus = socket.user.status || 'online';
+
+    console.log(`✅ User connected: ${userName} (${userId}) - Status: ${userStatus}`);
+    // Other tabs and devices of the user keep their own sockets
+    const isFirstSocket = addUserSocket(userId, socket.id);
+
+    // Lets a signed-out session's sockets be found and disconnected
+    if (socket.sessionId) {
+      socket.join(getSessionRoom(socket.sessionId));
+    }
+
+    if (isFirstSocket) {
+      userActivity.set(userId, {
+        sessionStart: new Date(),
+        lastActivity: new Date()
+      });
+    }
+
+    try {
+      if (isFirstSocket) {
+        await User.findByIdAndUpdate(userId, { 
+          isOnline: true,
+          lastSeen: new Date()
+        });
+
+        io.emit('userStatus', { 
+          userId, 
+          isOnline: true,
+          status: userStatus
+        });
+      }
+
+      // Load pending chat requests
+      const pendingRequests = await ChatRequest.find({
+        $or: [{ sender: userId }, { receiver: userId }],
+        status: 'pending'
+      })
+      .populate('sender', 'name email avatar')
+      .populate('receiver', 'name email avatar');
+
+      const received = pendingRequests.filter(r => r.receiver._id.toString() === userId);
+      const sent = pendingRequests.filter(r => r.sender._id.toString() === userId);
+
+      socket.emit('chatRequestsLoaded', {
+        received,
+        sent,
+        count: received.length
+      });
+
+      // Conversations (direct and group) the user belongs to
+      const conversations = await Conversation.find({ members: userId })
+        .select('_id type directKey unreadCounts clearedAt');
+
+      // Check for messages received while offline, using the per-user unread counters
+      const unreadByChat = {};
+      let offlineCount = 0;
+      conversations.forEach(conversation => {
+        const unread = conversation.unreadCounts?.get(userId) || 0;
+        if (unread > 0) {
+          unreadByChat[conversation.getRoomId()] = unread;
+          offlineCount += unread;
+        }
+      });
+
+      if (offlineCount > 0) {
+        console.log(`📬 User ${userName} has ${offlineCount} offline messages`);
+
+        socket.emit('offlineMessagesNotification', {
+          count: offlineCount,
+          chats: unreadByChat,
+          message: `You have ${offlineCount} new message(s) while you were offline`
+        });
+      }
+
+      // Mark undelivered messages as delivered (skipping anything this user cleared)
+      const undeliveredMessages = conversations.length === 0 ? [] : await Message.find({
+        $or: conversations.map(conversation => ({
+          conversation: conversation._id,
+          createdAt: { $gt: conversation.getClearedAt(userId) || new Date(0) }
+        })),
+        sender: { $ne: userId },
+        isDelivered: false 
+      });
+
+      for (const msg of undeliveredMessages) {
+        msg.isDelivered = true;
+        msg.deliveredAt = new Date();
+        await msg.save();
+
+        emitToUser(io, msg.sender, 'messageDelivered', {
+          messageId: msg._id,
+          deliveredAt: msg.deliveredAt,
+          chatId: msg.chatId
+        });
+      }
+
+    } catch (error) {
+      console.error('Error updating user status on connection:', error);
+    }
+
+    // ==================== INCOGNITO MODE ====================
+    // Incognito is shared by both members of a direct chat: one asks, the other accepts.
+    // Either of them can turn it off again.
+
+    socket.on('getIncognitoStatus', async (data = {}) => {
+      try {
+        const { otherUserId } = data;
+        const chatId = getChatId(userId, otherUserId);
+
+        const conversation = await Conversation.findOne({ directKey: chatId });
+        const status = conversation
+          ? conversation.getIncognitoStatus()
+          : { enabled: false, expiresAt: null, request: null };
+
+        socket.emit('incognitoStatus', { chatId, ...status });
+      } catch (error) {
+        console.error('Error getting incognito status:', error);
+      }
+    });
+
+    // enabled: true asks the other member (or accepts their pending request);
+    // enabled: false turns incognito off, or takes back your own request
+    socket.on('toggleIncognito', async (data = {}) => {
+      try {
+        const { otherUserId, enabled, durationHours = 3 } = data;
+
+        const { conversation, error } = await getDirectChatForIncognito(userId, otherUserId);
+        if (error) {
+          socket.emit('incognitoError', { message: error });
+          return;
+        }
+
+        const status = conversation.getIncognitoStatus();
+        const hasOwnRequest = status.request?.requestedBy === userId;
+
+        if (enabled) {
+          if (status.enabled) {
+            emitIncognitoStatus(io, conversation);
+            return;
+          }
+
+          if (status.request && !hasOwnRequest) {
+            await acceptIncognitoRequest(io, conversation, userId, userName);
+            return;
+          }
+
+          if (!INCOGNITO_DURATION_OPTIONS.includes(durationHours)) {
+            socket.emit('incognitoError', { message: 'Invalid incognito duration' });
+            return;
+          }
+
+          conversation.incognitoRequest = { requestedBy: userId, durationHours, requestedAt: new Date() };
+          await conversation.save();
+
+          await postSystemMessage(io, conversation, userId,
+            `${userName} asked to turn on incognito mode for ${formatHours(durationHours)}.`);
+          emitIncognitoStatus(io, conversation);
+
+          console.log(`🕵️ [INCOGNITO] ${userName} requested incognito for chat ${conversation.getRoomId()}`);
+          return;
+        }
+
+        if (status.enabled) {
+          await Conversation.updateOne({ _id: conversation._id }, { $unset: { incognito: 1 } });
+          conversation.incognito = undefined;
+
+          // Messages sent during the session still disappear on schedule
+          await postSystemMessage(io, conversation, userId,
+            `${userName} turned off incognito mode. New messages will be kept.`);
+          console.log(`👁️ [INCOGNITO] Disabled for chat ${conversation.getRoomId()} by ${userName}`);
+        } else if (hasOwnRequest) {
+          await Conversation.updateOne({ _id: conversation._id }, { $unset: { incognitoRequest: 1 } });
+          conversation.incognitoRequest = undefined;
+
+          await postSystemMessage(io, conversation, userId, `${userName} cancelled the incognito request.`);
+        }
+
+        emitIncognitoStatus(io, conversation);
+      } catch (error) {
+        console.error('Error toggling incognito:', error);
+        socket.emit('incognitoError', { message: 'Failed to toggle incognito mode' });
+      }
+    });
+
+    socket.on('respondToIncognitoRequest', async (data = {}) => {
+      try {
+        const { otherUserId, accept } = data;
+
+        const { conversation, error } = await getDirectChatForIncognito(userId, otherUserId);
+        if (error) {
+          socket.emit('incognitoError', { message: error });
+          return;
+        }
+
+        const { request } = conversation.getIncognitoStatus();
+        if (!request || request.requestedBy === userId) {
+          socket.emit('incognitoError', { message: 'There is no incognito request to answer' });
+          emitIncognitoStatus(io, conversation);
+          return;
+        }
+
+        if (accept) {
+          await acceptIncognitoRequest(io, conversation, userId, userName);
+          return;
+        }
+
+        await Conversation.updateOne({ _id: conversation._id }, { $unset: { incognitoRequest: 1 } });
+        conversation.incognitoRequest = undefined;
+
+        await postSystemMessage(io, conversation, userId, `${userName} declined incognito mode.`);
+        emitIncognitoStatus(io, conversation);
+      } catch (error) {
+        console.error('Error answering incognito request:', error);
+        socket.emit('incognitoError', { message: 'Failed to answer the incognito request' });
+      }
+    });
+
+    // The client saw a screenshot shortcut or a print in an incognito chat - tell the other member
+    // in the timeline. Browsers can't see every capture, so this is a hint, not a guarantee.
+    socket.on('captureAttempt', async (data = {}) => {
+      try {
+        const { otherUserId, kind } = data;
+        const notice = CAPTURE_ATTEMPT_NOTICES[kind];
+        if (!notice || !mongoose.isValidObjectId(otherUserId)) return;
+
+        const chatId = getChatId(userId, otherUserId);
+        const conversation = await Conversation.findOne({ directKey: chatId });
+        if (!conversation?.getIncognitoStatus().enabled) return;
+
+        if (!shouldPostCaptureNotice(`${chatId}:${userId}:${kind}`)) return;
+
+        await postSystemMessage(io, conversation, userId, `⚠️ ${userName} ${notice}.`);
+        console.log(`📸 [INCOGNITO] Capture attempt (${kind}) by ${userName} in chat ${chatId}`);
+      } catch (error) {
+        console.error('Error reporting capture attempt:', error);
+      }
+    });
+
+    // ==================== CHAT REQUEST HANDLERS ====================
+    
+    socket.on('sendChatRequest', async (data) => {
+      try {
+        const { receiverId } = data;
+
+        const sender = await User.findById(userId).select('isEmailVerified');
+        if (!sender?.isEmailVerified) {
+          socket.emit('chatRequestError', { message: 'Verify your email address before sending chat requests' });
+          return;
+        }
+        
+        const areFriends = await areUsersFriends(userId, receiverId);
+        if (areFriends) {
+          socket.emit('chatRequestError', { message: 'Already friends with this user' });
+          return;
+        }
+
+        const blocked = await isUserBlocked(receiverId, userId);
+        if (blocked) {
+          socket.emit('chatRequestError', { message: 'Cannot send request to this user' });
+          return;
+        }
+
+        const existingRequest = await ChatRequest.findOne({
+          $or: [
+            { sender: userId, receiver: receiverId, status: 'pending' },
+            { sender: receiverId, receiver: userId, status: 'pending' }
+          ]
+        });
+
+        if (existingRequest) {
+          socket.emit('chatRequestError', { message: 'Chat request already exists' });
+          return;
+        }
+
+        const chatRequest = await ChatRequest.create({
+          sender: userId,
+          receiver: receiverId,
+          status: 'pending'
+        });
+
+        await chatRequest.populate('sender', 'name email avatar');
+        await chatRequest.populate('receiver', 'name email avatar');
+
+        emitToUser(io, receiverId, 'newChatRequest', chatRequest);
+        emitToUser(io, userId, 'chatRequestSent', chatRequest);
+        console.log(`📨 Chat request sent from ${userName} to ${receiverId}`);
+
+      } catch (error) {
+        console.error('Error sending chat request:', error);
+        socket.emit('chatRequestError', { message: 'Failed to send chat request' });
+      }
+    });
+
+    socket.on('acceptChatRequest', async (data) => {
+      try {
+        const { requestId } = data;
+        
+        const chatRequest = await ChatRequest.findById(requestId);
+        if (!chatRequest) {
+          socket.emit('chatRequestError', { message: 'Request not found' });
+          return;
+        }
+
+        if (chatRequest.receiver.toString() !== userId) {
+          socket.emit('chatRequestError', { message: 'Unauthorized' });
+          return;
+        }
+
+        chatRequest.status = 'accepted';
+        await chatRequest.save();
+
+        await User.findByIdAndUpdate(userId, {
+          $addToSet: { friends: chatRequest.sender }
+        });
+
+        await User.findByIdAndUpdate(chatRequest.sender, {
+          $addToSet: { friends: userId }
+        });
+
+        await chatRequest.populate('sender', 'name email avatar');
+        await chatRequest.populate('receiver', 'name email avatar');
+
+        emitToUsers(io, [chatRequest.sender._id, userId], 'chatRequestAccepted', chatRequest);
+        console.log(`✅ Chat request accepted: ${requestId}`);
+
+      } catch (error) {
+        console.error('Error accepting chat request:', error);
+        socket.emit('chatRequestError', { message: 'Failed to accept request' });
+      }
+    });
+
+    socket.on('rejectChatRequest', async (data) => {
+      try {
+        const { requestId } = data;
+        
+        const chatRequest = await ChatRequest.findById(requestId);
+        if (!chatRequest) {
+          socket.emit('chatRequestError', { message: 'Request not found' });
+          return;
+        }
+
+        if (chatRequest.receiver.toString() !== userId) {
+          socket.emit('chatRequestError', { message: 'Unauthorized' });
+          return;
+        }
+
+        chatRequest.status = 'rejected';
+        await chatRequest.save();
+
+        emitToUsers(io, [chatRequest.sender, userId], 'chatRequestRejected', { requestId });
+        console.log(`❌ Chat request rejected: ${requestId}`);
+
+      } catch (error) {
+        console.error('Error rejecting chat request:', error);
+        socket.emit('chatRequestError', { message: 'Failed to reject request' });
+      }
+    });
+
+    socket.on('cancelChatRequest', async (data) => {
+      try {
+        const { requestId } = data;
+        
+        const chatRequest = await ChatRequest.findById(requestId);
+        if (!chatRequest) {
+          socket.emit('chatRequestError', { message: 'Request not found' });
+          return;
+        }
+
+        if (chatRequest.sender.toString() !== userId) {
+          socket.emit('chatRequestError', { message: 'Unauthorized' });
+          return;
+        }
+
+        await ChatRequest.findByIdAndDelete(requestId);
+
+        emitToUsers(io, [chatRequest.receiver, userId], 'chatRequestCancelled', { requestId });
+        console.log(`🗑️ Chat request cancelled: ${requestId}`);
+
+      } catch (error) {
+        console.error('Error cancelling chat request:', error);
+        socket.emit('chatRequestError', { message: 'Failed to cancel request' });
+      }
+    });
+
+    // ==================== BLOCK/UNBLOCK USER ====================
+    
+    socket.on('blockUser', async (data) => {
+      try {
+        const { userIdToBlock } = data;
+        
+        await User.findByIdAndUpdate(userId, {
+          $addToSet: { blockedUsers: userIdToBlock },
+          $pull: { friends: userIdToBlock }
+        });
+
+        await User.findByIdAndUpdate(userIdToBlock, {
+          $pull: { friends: userId }
+        });
+
+        socket.emit('userBlocked', { userId: userIdToBlock });
+        console.log(`🚫 User ${userName} blocked ${userIdToBlock}`);
+
+      } catch (error) {
+        console.error('Error blocking user:', error);
+        socket.emit('blockUserError', { message: 'Failed to block user' });
+      }
+    });
+
+    socket.on('unblockUser', async (data) => {
+      try {
+        const { userIdToUnblock } = data;
+        
+        await User.findByIdAndUpdate(userId, {
+          $pull: { blockedUsers: userIdToUnblock }
+        });
+
+        socket.emit('userUnblocked', { userId: userIdToUnblock });
+        console.log(`✅ User ${userName} unblocked ${userIdToUnblock}`);
+
+      } catch (error) {
+        console.error('Error unblocking user:', error);
+        socket.emit('unblockUserError', { message: 'Failed to unblock user' });
+      }
+    });
+
+    // ==================== REMOVE FRIEND ====================
+    
+    socket.on('removeFriend', async (data) => {
+      try {
+        const { friendId } = data;
+        
+        await User.findByIdAndUpdate(userId, {
+          $pull: { friends: friendId }
+        });
+
+        await User.findByIdAndUpdate(friendId, {
+          $pull: { friends: userId }
+        });
+
+        emitToUser(io, userId, 'friendRemoved', { userId: friendId });
+        emitToUser(io, friendId, 'friendRemoved', { userId });
+
+        console.log(`🔄 User ${userName} removed friend ${friendId}`);
+
+      } catch (error) {
+        console.error('Error removing friend:', error);
+        socket.emit('removeFriendError', { message: 'Failed to remove friend' });
+      }
+    });
+
+    // ==================== MESSAGE HANDLERS ====================
+
+    socket.on('joinChat', async (chatId) => {
+      try {
+        if (typeof chatId !== 'string' || !(await canAccessChat(chatId, userId))) {
+          console.log(`⚠️ User ${userName} cannot join chat room ${chatId}`);
+          return;
+        }
+
+        console.log(`📌 User ${userName} joined chat room ${chatId}`);
+        socket.join(chatId);
+      } catch (error) {
+        console.error('Error joining chat:', error);
+      }
+    });
+
+    socket.on('loadMessages', async (data) => {
+      try {
+        const { otherUserId, conversationId, before, after, limit } = data;
+        let chatId;
+        let conversation;
+
+        if (conversationId) {
+          conversation = await getGroupForMember(conversationId, userId);
+          if (!conversation) {
+            socket.emit('messagesLoadError', {
+              message: 'You are not a member of this group',
+              notMember: true
+            });
+            return;
+          }
+          chatId = conversation._id.toString();
+        } else {
+          chatId = getChatId(userId, otherUserId);
+
+          const areFriends = await areUsersFriends(userId, otherUserId);
+          if (!areFriends) {
+            socket.emit('messagesLoadError', { 
+              message: 'You must be friends to view messages',
+              requiresFriendship: true
+            });
+            return;
+          }
+
+          const blocked = await isUserBlocked(userId, otherUserId);
+          const blockedBy = await isUserBlocked(otherUserId, userId);
+          
+          if (blocked || blockedBy) {
+            socket.emit('messagesLoadError', { 
+              message: 'Cannot load messages',
+              isBlocked: true
+            });
+            return;
+          }
+
+          conversation = await Conversation.findOne({ directKey: chatId });
+        }
+        
+        console.log(`📚 Loading messages for chat: ${chatId}`, before ? `(before ${before})` : after ? `(after ${after})` : '');
+        
+        // No conversation yet means nobody has written in this chat
+        const page = conversation
+          ? await Message.findPage(conversation._id, {
+            before,
+            after,
+            limit,
+            viewerId: userId,
+            since: conversation.getClearedAt(userId)
+          })
+          : { messages: [], hasMore: false };
+
+        if (!page) {
+          socket.emit('messagesLoadError', { message: 'Invalid message cursor' });
+          return;
+        }
+
+        const starredIds = await StarredMessage.findStarredIds(userId, page.messages.map(msg => msg._id));
+
+        const messagesWithStatus = page.messages.map(msg => ({
+          _id: msg._id,
+          sender: msg.sender,
+          chatId: msg.chatId,
+          messageType: msg.messageType,
+          content: msg.getVisibleContent(),
+          call: msg.call,
+          createdAt: msg.createdAt,
+          isDelivered: msg.isDelivered || false,
+          isRead: msg.isRead || false,
+          deliveredAt: msg.deliveredAt,
+          readAt: msg.readAt,
+          readBy: msg.readBy,
+          editedAt: msg.editedAt,
+          editHistory: msg.editHistory,
+          isDeleted: msg.isDeleted || false,
+          deletedAt: msg.deletedAt,
+          reactions: msg.reactions,
+          replyTo: msg.replyTo,
+          isForwarded: msg.isForwarded || false,
+          disappearAfterSeconds: msg.disappearAfterSeconds,
+          viewOnce: msg.viewOnce || false,
+          viewedBy: msg.viewedBy,
+          expiresAt: msg.expiresAt,
+          isStarred: starredIds.has(msg._id.toString())
+        }));
+
+        socket.emit('messagesLoaded', {
+          chatId,
+          messages: messagesWithStatus,
+          hasMore: page.hasMore,
+          before: before || null,
+          after: after || null,
+          editWindowMs: MESSAGE_EDIT_WINDOW_MS,
+          deleteWindowMs: MESSAGE_DELETE_WINDOW_MS
+        });
+
+        console.log(`📚 Sent ${messagesWithStatus.length} messages for chat ${chatId}`);
+      } catch (error) {
+        console.error('Error loading messages:', error);
+        socket.emit('messagesLoadError', { message: 'Failed to load messages' });
+      }
+    });
+
+    socket.on('sendMessage', async (data) => {
+      console.log(`📨 Message from ${userName}:`, data);
+
+      if (userActivity.has(userId)) {
+        userActivity.get(userId).lastActivity = new Date();
+      }
+
+      try {
+        const { receiverId, conversationId, content, tempId, messageType = 'text', replyTo } = data;
+        if ((!receiverId && !conversationId) || !content) {
+          socket.emit('sendMessageError', { message: 'Invalid message data', tempId });
+          return;
+        }
+
+        const disappearing = getDisappearingOptions(messageType, data);
+        if (disappearing.error) {
+          socket.emit('sendMessageError', { message: disappearing.error, tempId });
+          return;
+        }
+
+        // Attachments must be the sender's own uploads to this server - never someone else's file
+        const storedFile = content.fileUrl ? await Upload.findStoredFile(content.fileUrl, userId) : null;
+        if (content.fileUrl && !storedFile) {
+          socket.emit('sendMessageError', { message: 'Attachment not found - upload it again', tempId });
+          return;
+        }
+
+        const result = await deliverMessage(io, {
+          senderId: userId,
+          senderName: userName,
+          receiverId,
+          conversationId,
+          messageType,
+          content,
+          storedFile,
+          replyTo,
+          ...disappearing,
+          tempId
+        });
+
+        if (result.error) {
+          socket.emit('sendMessageError', { ...result.error, tempId });
+        }
+
+      } catch (error) {
+        console.error('❌ Send message error:', error);
+        socket.emit('sendMessageError', {
+          message: 'Failed to send message: ' + error.message,
+          tempId: data.tempId
+        });
+      }
+    });
+
+    socket.on('typing', (data) => {
+      const { chatId } = data;
+      if (!chatId) return;
+      io.to(chatId).emit('typing', {
+        userId: userId,
+        userName: userName,
+        chatId: chatId
+      });
+    });
+
+    socket.on('stopTyping', (data) => {
+      const { chatId } = data;
+      if (!chatId) return;
+      io.to(chatId).emit('stopTyping', {
+        userId: userId,
+        chatId: chatId
+      });
+    });
+
+    socket.on('markMessageAsRead', async (data) => {
+      try {
+        const { messageId } = data;
+        
+        const message = await Message.findById(messageId);
+        if (!message) return;
+
+        const conversation = await Conversation.findById(message.conversation);
+        if (!conversation || !conversation.isMember(userId)) return;
+
+        // Only this message stops counting as unread - the rest of the chat may not have been seen yet
+        if (conversation.type === 'group') {
+          const readCount = await markGroupMessagesAsRead(io, conversation, userId, { _id: message._id });
+          if (readCount > 0) await Conversation.decrementUnread(conversation._id, [userId]);
+          return;
+        }
+
+        // Reading your own message doesn't count (it would also start its disappearing timer)
+        if (!message.isRead && message.sender.toString() !== userId) {
+          // Conditional, so a receipt that arrives twice is only counted once
+          const updatedMessage = await Message.findOneAndUpdate(
+            { _id: message._id, isRead: false },
+            { isRead: true, readAt: new Date() },
+            { new: true }
+          );
+
+          if (updatedMessage) {
+            await Conversation.decrementUnread(conversation._id, [userId]);
+            io.to(message.chatId).emit('messageRead', {
+              messageId,
+              readAt: updatedMessage.readAt,
+              chatId: message.chatId,
+              readBy: userId
+            });
+            await startDisappearingTimers(io, message.chatId, { _id: message._id });
+          }
+        }
+      } catch (error) {
+        console.error('❌ Error marking message as read:', error);
+      }
+    });
+
+    socket.on('markChatAsRead', async (data) => {
+      try {
+        const { otherUserId, conversationId } = data;
+
+        if (conversationId) {
+          const conversation = await getGroupForMember(conversationId, userId);
+          if (conversation) {
+            await Conversation.markReadBy(conversation._id, userId);
+            await markGroupMessagesAsRead(io, conversation, userId);
+          }
+          return;
+        }
+
+        const chatId = getChatId(userId, otherUserId);
+        const conversation = await Conversation.findOne({ directKey: chatId });
+        if (!conversation) return;
+
+        await Conversation.markReadBy(conversation._id, userId);
+
+        const result = await Message.updateMany(
+          { conversation: conversation._id, sender: otherUserId, isRead: false },
+          { isRead: true, readAt: new Date() }
+        );
+
+        if (result.modifiedCount > 0) {
+          io.to(chatId).emit('chatRead', {
+            chatId,
+            readAt: new Date(),
+            readCount: result.modifiedCount,
+            readBy: userId
+          });
+          await startDisappearingTimers(io, chatId, { conversation: conversation._id, sender: otherUserId });
+        }
+      } catch (error) {
+        console.error('❌ Error marking chat as read:', error);
+      }
+    });
+
+    // Clearing only resets this user's history - the other members keep theirs
+    socket.on('clearChat', async (data = {}) => {
+      try {
+        const { otherUserId, conversationId } = data;
+        let chatId;
+        let conversation;
+
+        if (conversationId) {
+          conversation = await getGroupForMember(conversationId, userId);
+          if (!conversation) {
+            socket.emit('chatClearError', { message: 'You are not a member of this group' });
+            return;
+          }
+          chatId = conversation._id.toString();
+        } else {
+          chatId = getChatId(userId, otherUserId);
+          conversation = await Conversation.findOne({ directKey: chatId });
+        }
+
+        if (conversation) {
+          const { clearedByAllBefore } = await Conversation.clearFor(conversation, userId);
+          if (clearedByAllBefore) await deleteClearedMessages(conversation._id, clearedByAllBefore);
+        }
+
+        console.log(`🧹 ${userName} cleared chat ${chatId}`);
+
+        socket.emit('chatCleared', { chatId });
+        socket.emit('chatClearSuccess', { chatId });
+        
+      } catch (error) {
+        console.error('Error clearing chat:', error);
+        socket.emit('chatClearError', { message: 'Failed to clear chat' });
+      }
+    });
+
+    socket.on('editMessage', async (data = {}) => {
+      try {
+        const { messageId } = data;
+        const text = data.text?.trim();
+
+        if (!text) {
+          socket.emit('editMessageError', { messageId, message: 'Message text cannot be empty' });
+          return;
+        }
+
+        const found = await getMessageForMember(messageId, userId);
+        if (!found) {
+          socket.emit('editMessageError', { messageId, message: 'Message not found' });
+          return;
+        }
+
+        const { message } = found;
+
+        if (message.sender.toString() !== userId) {
+          socket.emit('editMessageError', { messageId, message: 'You can only edit your own messages' });
+          return;
+        }
+
+        if (message.messageType !== 'text' || message.isDeleted) {
+          socket.emit('editMessageError', { messageId, message: 'This message cannot be edited' });
+          return;
+        }
+
+        if (Date.now() - message.createdAt.getTime() > MESSAGE_EDIT_WINDOW_MS) {
+          socket.emit('editMessageError', {
+            messageId,
+            message: `Messages can only be edited within ${Math.round(MESSAGE_EDIT_WINDOW_MS / 60000)} minutes of sending`,
+            windowExpired: true
+          });
+          return;
+        }
+
+        if (message.content?.text === text) return;
+
+        const editedAt = new Date();
+        message.editHistory.push({ text: message.content?.text || '', replacedAt: editedAt });
+        message.content.text = text;
+        message.editedAt = editedAt;
+        await message.save();
+
+        console.log(`✏️ ${userName} edited message ${messageId}`);
+
+        io.to(message.chatId).emit('messageEdited', {
+          messageId,
+          chatId: message.chatId,
+          content: message.content,
+          editedAt,
+          editHistory: message.editHistory
+        });
+      } catch (error) {
+        console.error('❌ Error editing message:', error);
+        socket.emit('editMessageError', { messageId: data.messageId, message: 'Failed to edit message' });
+      }
+    });
+
+    // scope 'me' hides the message for this user only, 'everyone' leaves a tombstone for the whole chat
+    socket.on('deleteMessage', async (data = {}) => {
+      try {
+        const { messageId, scope = 'me' } = data;
+
+        if (!['me', 'everyone'].includes(scope)) {
+          socket.emit('deleteMessageError', { messageId, message: 'Invalid delete scope' });
+          return;
+        }
+
+        const found = await getMessageForMember(messageId, userId);
+        if (!found) {
+          socket.emit('deleteMessageError', { messageId, message: 'Message not found' });
+          return;
+        }
+
+        const { message, conversation } = found;
+        const unreadMemberIds = conversation.getUnreadMemberIds(message);
+
+        if (scope === 'me') {
+          await Message.updateOne({ _id: message._id }, { $addToSet: { deletedFor: userId } });
+          await StarredMessage.deleteOne({ user: userId, message: message._id });
+
+          if (unreadMemberIds.includes(userId)) {
+            await Conversation.decrementUnread(conversation._id, [userId]);
+          }
+
+          socket.emit('messageDeleted', { messageId, chatId: message.chatId, scope });
+          return;
+        }
+
+        if (message.sender.toString() !== userId) {
+          socket.emit('deleteMessageError', { messageId, message: 'You can only delete your own messages for everyone' });
+          return;
+        }
+
+        if (message.isDeleted) return;
+
+        if (Date.now() - message.createdAt.getTime() > MESSAGE_DELETE_WINDOW_MS) {
+          socket.emit('deleteMessageError', {
+            messageId,
+            message: `Messages can only be deleted for everyone within ${Math.round(MESSAGE_DELETE_WINDOW_MS / 60000)} minutes of sending`,
+            windowExpired: true
+          });
+          return;
+        }
 
-  // Check if expired
-  if (new Date(incognitoChat.expiresAt) <= new Date()) {
-    // Remove expired incognito chat
-    user.incognitoChats = user.incognitoChats.filter(ic => ic.chatId !== chatId);
-    await user.save();
-    return { enabled: false, expiresAt: null };
-  }
+        // Keep the message as a tombstone, but drop everything it said
+        const deletedAt = new Date();
+        message.isDeleted = true;
+        message.deletedAt = deletedAt;
+        message.content = {};
+        message.editHistory = [];
+        message.editedAt = undefined;
+        message.reactions = [];
+        await message.save();
+
+        await Conversation.decrementUnread(conversation._id, unreadMemberIds);
+        await StarredMessage.deleteMany({ message: message._id });
+
+        // A deleted message can't stay pinned
+        if (conversation.isPinned(message._id)) {
+          await Conversation.updateOne(
+            { _id: conversation._id },
+            { $pull: { pinnedMessages: { message: message._id } } }
+          );
+          await emitPinsUpdate(io, conversation._id);
+        }
 
-  return {
-    enabled: true,
-    expiresAt: incognitoChat.expiresAt,
-    chatId
-  };
-};
+        console.log(`🗑️ ${userName} deleted message ${messageId} for everyone`);
 
-/**
- * Schedule message deletion for incognito mode
- */
-const scheduleMessageDeletion = (io, messageId, chatId, deleteAfterMs) => {
-  setTimeout(async () => {
-    try {
-      const deletedMessage = await Message.findByIdAndDelete(messageId);
-      if (deletedMessage) {
-        console.log(`🕵️ [INCOGNITO] Auto-deleted message: ${messageId} from chat: ${chatId}`);
-        io.to(chatId).emit('messageDeleted', { messageId, chatId, reason: 'incognito' });
+        io.to(message.chatId).emit('messageDeleted', {
+          messageId,
+          chatId: message.chatId,
+          scope,
+          deletedAt
+        });
+      } catch (error) {
+        console.error('❌ Error deleting message:', error);
+        socket.emit('deleteMessageError', { messageId: data.messageId, message: 'Failed to delete message' });
       }
-    } catch (error) {
-      console.error('❌ [INCOGNITO] Failed to delete message:', error);
-    }
-  }, deleteAfterMs);
-};
-
-/**
- * Clean up expired incognito chats and messages (runs periodically)
- */
-const cleanupExpiredIncognitoChats = async (io) => {
-  try {
-    const now = new Date();
-    
-    // Find all users with incognito chats
-    const users = await User.find({ 
-      'incognitoChats.0': { $exists: true } 
     });
 
-    for (const user of users) {
-      let hasExpired = false;
+    // Copy a message into other chats - attachments keep pointing at the same uploaded file.
+    // targets: [{ receiverId } | { conversationId }]
+    socket.on('forwardMessage', async (data = {}) => {
+      try {
+        const { messageId, targets } = data;
 
-      for (const incognitoChat of user.incognitoChats) {
-        if (new Date(incognitoChat.expiresAt) <= now) {
-          console.log(`🕵️ [INCOGNITO] Cleaning expired chat: ${incognitoChat.chatId}`);
-          
-          // Delete all messages in this chat
-          const deletedMessages = await Message.deleteMany({ 
-            chatId: incognitoChat.chatId 
-          });
-          
-          console.log(`🗑️ [INCOGNITO] Deleted ${deletedMessages.deletedCount} messages from ${incognitoChat.chatId}`);
-          
-          // Notify connected users
-          io.to(incognitoChat.chatId).emit('chatCleared', { 
-            chatId: incognitoChat.chatId,
-            reason: 'incognito_expired'
+        if (!Array.isArray(targets) || targets.length === 0 || targets.length > MAX_FORWARD_TARGETS) {
+          socket.emit('forwardMessageError', {
+            messageId,
+            message: `Choose between 1 and ${MAX_FORWARD_TARGETS} chats to forward to`
           });
-          
-          hasExpired = true;
+          return;
         }
-      }
 
-      if (hasExpired) {
-        // Remove expired incognito chats from user
-        user.incognitoChats = user.incognitoChats.filter(
-          ic => new Date(ic.expiresAt) > now
-        );
-        await user.save();
-      }
-    }
-  } catch (error) {
-    console.error('❌ [INCOGNITO] Cleanup error:', error);
-  }
-};
+        const found = await getMessageForMember(messageId, userId);
+        const source = found?.message;
+        if (!source || source.isDeleted || source.deletedFor.some(id => id.toString() === userId)) {
+          socket.emit('forwardMessageError', { messageId, message: 'Message not found' });
+          return;
+        }
 
-export const initializeSocket = (io) => {
-  console.log("🚀 Socket server starting...");
+        if (!FORWARDABLE_TYPES.includes(source.messageType)) {
+          socket.emit('forwardMessageError', { messageId, message: 'This message cannot be forwarded' });
+          return;
+        }
 
-  // Start periodic cleanup (every 5 minutes)
-  setInterval(() => cleanupExpiredIncognitoChats(io), 5 * 60 * 1000);
-  console.log("🕵️ [INCOGNITO] Periodic cleanup started (every 5 minutes)");
+        // A forwarded copy would outlive the original (incognito messages carry only expiresAt)
+        if (source.viewOnce || source.disappearAfterSeconds || source.expiresAt) {
+          socket.emit('forwardMessageError', { messageId, message: 'Disappearing, incognito and view-once messages cannot be forwarded' });
+          return;
+        }
 
-  io.use(async (socket, next) => {
-    try {
-      const token = socket.handshake.auth.token;
-      if (!token) return next(new Error('No token provided'));
+        const { text, fileUrl, fileName, fileSize, mimeType } = source.content || {};
+        const content = { text, fileUrl, fileName, fileSize, mimeType };
 
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      const user = await User.findById(decoded.id);
-      if (!user) return next(new Error('User not found'));
+        // Each target is checked (friendship / block / membership) on its own
+        const results = [];
+        for (const target of targets) {
+          const { receiverId, conversationId } = target || {};
+          if (!receiverId && !conversationId) {
+            results.push({ ...target, success: false, message: 'Invalid target' });
+            continue;
+          }
 
-      socket.user = user;
-      next();
-    } catch (err) {
-      console.error('Auth error:', err.message);
-      next(new Error('Authentication failed'));
-    }
-  });
+          const result = await deliverMessage(io, {
+            senderId: userId,
+            senderName: userName,
+            receiverId,
+            conversationId,
+            messageType: source.messageType,
+            content,
+            storedFile: source.storedFile?.key ? source.storedFile : null,
+            isForwarded: true
+          });
 
-  io.on('connection', async (socket) => {
-    const userId = socket.user._id.toString();
-    const userName = socket.user.name;
-    const userStatus = socket.user.status || 'online';
+          results.push(result.error
+            ? { receiverId, conversationId, success: false, ...result.error }
+            : { receiverId, conversationId, success: true, chatId: result.chatId, newMessageId: result.message._id });
+        }
 
-    console.log(`✅ User connected: ${userName} (${userId}) - Status: ${userStatus}`);
-    userSockets.set(userId, socket.id);
-    
-    userActivity.set(userId, {
-      sessionStart: new Date(),
-      lastActivity: new Date()
-    });
+        const forwardedCount = results.filter(r => r.success).length;
+        console.log(`↪️ ${userName} forwarded message ${messageId} to ${forwardedCount}/${targets.length} chat(s)`);
 
-    try {
-      await User.findByIdAndUpdate(userId, { 
-        isOnline: true,
-        lastSeen: new Date()
-      });
+        socket.emit('messageForwarded', { messageId, results });
+      } catch (error) {
+        console.error('❌ Error forwarding message:', error);
+        socket.emit('forwardMessageError', { messageId: data.messageId, message: 'Failed to forward message' });
+      }
+    });
 
-      io.emit('userStatus', { 
-        userId, 
-        isOnline: true,
-        status: userStatus
-      });
+    // ==================== VIEW-ONCE MESSAGES ====================
 
-      // Load pending chat requests
-      const pendingRequests = await ChatRequest.find({
-        $or: [{ sender: userId }, { receiver: userId }],
-        status: 'pending'
-      })
-      .populate('sender', 'name email avatar')
-      .populate('receiver', 'name email avatar');
+    // A recipient opens a view-once message: they get its content this one time only
+    socket.on('openViewOnce', async (data = {}) => {
+      try {
+        const { messageId } = data;
 
-      const received = pendingRequests.filter(r => r.receiver._id.toString() === userId);
-      const sent = pendingRequests.filter(r => r.sender._id.toString() === userId);
+        const found = await getMessageForMember(messageId, userId);
+        const message = found?.message;
+        if (!message || !message.viewOnce || message.isDeleted ||
+          (message.expiresAt && message.expiresAt <= new Date()) ||
+          message.deletedFor.some(id => id.toString() === userId)) {
+          socket.emit('viewOnceError', { messageId, message: 'This message is no longer available' });
+          return;
+        }
 
-      socket.emit('chatRequestsLoaded', {
-        received,
-        sent,
-        count: received.length
-      });
+        if (message.sender.toString() === userId) {
+          socket.emit('viewOnceError', { messageId, message: 'You can\'t open your own view-once message' });
+          return;
+        }
 
-      // Check for offline messages
-      const offlineMessages = await Message.find({
-        $or: [
-          { chatId: { $regex: `_${userId}$` } },
-          { chatId: { $regex: `^${userId}_` } }
-        ],
-        sender: { $ne: userId },
-      }).populate('sender', 'name avatar');
+        // The condition makes a second open fail even when both arrive at once
+        const opened = await Message.findOneAndUpdate(
+          { _id: message._id, viewedBy: { $ne: userId } },
+          { $push: { viewedBy: userId } },
+          { new: true }
+        );
+        if (!opened) {
+          socket.emit('viewOnceError', { messageId, message: 'You already opened this message' });
+          return;
+        }
 
-      if (offlineMessages.length > 0) {
-        console.log(`📬 User ${userName} has ${offlineMessages.length} offline messages`);
-        
-        const groupedByChat = {};
-        offlineMessages.forEach(msg => {
-          if (!groupedByChat[msg.chatId]) {
-            groupedByChat[msg.chatId] = [];
-          }
-          groupedByChat[msg.chatId].push(msg);
-        });
+        const chatId = found.conversation.getRoomId();
+        const { text, fileUrl, fileName, fileSize, mimeType } = message.content || {};
 
-        socket.emit('offlineMessagesNotification', {
-          count: offlineMessages.length,
-          chats: groupedByChat,
-          message: `You have ${offlineMessages.length} new message(s) while you were offline`
+        socket.emit('viewOnceOpened', {
+          messageId,
+          chatId,
+          messageType: message.messageType,
+          content: { text, fileUrl, fileName, fileSize, mimeType }
         });
-      }
 
-      // Mark undelivered messages as delivered
-      const undeliveredMessages = await Message.find({
-        $or: [
-          { chatId: { $regex: `_${userId}$` } },
-          { chatId: { $regex: `^${userId}_` } }
-        ],
-        sender: { $ne: userId },
-        isDelivered: false 
-      });
+        io.to(chatId).emit('viewOnceViewed', { messageId, chatId, viewedBy: userId });
 
-      for (const msg of undeliveredMessages) {
-        if (isUserInChat(msg.chatId, userId)) {
-          msg.isDelivered = true;
-          msg.deliveredAt = new Date();
-          await msg.save();
-
-          const senderSocketId = userSockets.get(msg.sender.toString());
-          if (senderSocketId) {
-            io.to(senderSocketId).emit('messageDelivered', {
-              messageId: msg._id,
-              deliveredAt: msg.deliveredAt,
-              chatId: msg.chatId
-            });
+        // Once every recipient has seen it, the message only lingers for VIEW_ONCE_GRACE_MS
+        const recipientCount = found.conversation.getMemberIds().length - 1;
+        if (opened.viewedBy.length >= recipientCount) {
+          const expiresAt = new Date(Date.now() + VIEW_ONCE_GRACE_MS);
+          const result = await Message.updateOne(
+            { _id: message._id, expiresAt: { $not: { $lte: expiresAt } } },
+            { $set: { expiresAt } }
+          );
+          if (result.modifiedCount > 0) {
+            io.to(chatId).emit('messageTimersStarted', { chatId, timers: [{ messageId: message._id, expiresAt }] });
           }
         }
-      }
-
-    } catch (error) {
-      console.error('Error updating user status on connection:', error);
-    }
 
-    // ==================== GET INCOGNITO STATUS ====================
-    
-    socket.on('getIncognitoStatus', async (data) => {
-      try {
-        const { otherUserId } = data;
-        const chatId = getChatId(userId, otherUserId);
-        
-        const status = await getIncognitoStatus(userId, otherUserId);
-        
-        socket.emit('incognitoStatus', {
-          chatId,
-          enabled: status.enabled,
-          expiresAt: status.expiresAt
-        });
-        
-        console.log(`🕵️ [INCOGNITO] Status requested for ${chatId}:`, status);
+        console.log(`👁️ ${userName} opened view-once message ${messageId}`);
       } catch (error) {
-        console.error('Error getting incognito status:', error);
+        console.error('❌ Error opening view-once message:', error);
+        socket.emit('viewOnceError', { messageId: data.messageId, message: 'Failed to open message' });
       }
     });
 
-    // ==================== TOGGLE INCOGNITO MODE ====================
-    
-    socket.on('toggleIncognito', async (data) => {
+    // ==================== PINNED MESSAGES ====================
+
+    socket.on('pinMessage', async (data = {}) => {
       try {
-        const { otherUserId, enabled, durationHours = 3 } = data;
-        const chatId = getChatId(userId, otherUserId);
-        
-        const user = await User.findById(userId);
-        
-        if (enabled) {
-          // Enable incognito mode with custom duration
-          const INCOGNITO_DURATION_HOURS = durationHours;
-          const expiresAt = new Date(Date.now() + INCOGNITO_DURATION_HOURS * 60 * 60 * 1000);
-          
-          // Remove any existing incognito setting for this chat
-          user.incognitoChats = user.incognitoChats.filter(
-            ic => ic.chatId !== chatId
-          );
-          
-          // Add new incognito setting
-          user.incognitoChats.push({
-            chatId,
-            enabledAt: new Date(),
-            expiresAt
-          });
-          
-          await user.save();
-          
-          // Notify both users
-          socket.emit('incognitoEnabled', { 
-            chatId, 
-            expiresAt,
-            message: `Incognito mode enabled. Messages will auto-delete after ${INCOGNITO_DURATION_HOURS} hours.`
-          });
-          
-          // Notify the other user if online
-          const otherUserSocketId = userSockets.get(otherUserId);
-          if (otherUserSocketId) {
-            io.to(otherUserSocketId).emit('incognitoEnabled', {
-              chatId,
-              expiresAt,
-              message: `${userName} enabled incognito mode for this chat.`
-            });
-          }
-          
-          console.log(`🕵️ [INCOGNITO] Enabled for chat ${chatId} by ${userName}, expires at ${expiresAt}`);
-          
-          // Schedule deletion of all existing messages in this chat
-          const existingMessages = await Message.find({ chatId });
-          const deleteAfterMs = expiresAt - new Date();
-          
-          for (const msg of existingMessages) {
-            scheduleMessageDeletion(io, msg._id, chatId, deleteAfterMs);
-          }
-          
-          console.log(`🕵️ [INCOGNITO] Scheduled deletion for ${existingMessages.length} existing messages`);
-          
-        } else {
-          // Disable incognito mode
-          user.incognitoChats = user.incognitoChats.filter(
-            ic => ic.chatId !== chatId
-          );
-          
-          await user.save();
-          
-          socket.emit('incognitoDisabled', { 
-            chatId,
-            message: 'Incognito mode disabled. Messages will no longer auto-delete.'
+        const { messageId } = data;
+
+        // Only a message the pinner can still see in the chat - the pin is shown to every member
+        const found = await getMessageForMember(messageId, userId);
+        if (!found || found.message.isDeleted || found.message.viewOnce || found.message.messageType === 'system' ||
+          !found.conversation.isVisibleTo(found.message, userId)) {
+          socket.emit('pinError', { messageId, message: 'This message cannot be pinned' });
+          return;
+        }
+
+        const { message, conversation } = found;
+        if (conversation.isPinned(message._id)) return;
+
+        // Only push while there is still room, so concurrent pins can't exceed the limit
+        const result = await Conversation.updateOne(
+          {
+            _id: conversation._id,
+            'pinnedMessages.message': { $ne: message._id },
+            [`pinnedMessages.${MAX_PINNED_MESSAGES - 1}`]: { $exists: false }
+          },
+          { $push: { pinnedMessages: { message: message._id, pinnedBy: userId } } }
+        );
+
+        if (result.modifiedCount === 0) {
+          socket.emit('pinError', {
+            messageId,
+            message: `You can pin up to ${MAX_PINNED_MESSAGES} messages in a chat. Unpin one first.`,
+            limitReached: true
           });
-          
-          // Notify the other user if online
-          const otherUserSocketId = userSockets.get(otherUserId);
-          if (otherUserSocketId) {
-            io.to(otherUserSocketId).emit('incognitoDisabled', {
-              chatId,
-              message: `${userName} disabled incognito mode for this chat.`
-            });
-          }
-          
-          console.log(`👁️ [INCOGNITO] Disabled for chat ${chatId} by ${userName}`);
+          return;
         }
 
+        console.log(`📌 ${userName} pinned message ${messageId}`);
+        await emitPinsUpdate(io, conversation._id);
       } catch (error) {
-        console.error('Error toggling incognito:', error);
-        socket.emit('incognitoError', { message: 'Failed to toggle incognito mode' });
+        console.error('❌ Error pinning message:', error);
+        socket.emit('pinError', { messageId: data.messageId, message: 'Failed to pin message' });
       }
     });
 
-    // ==================== CHAT REQUEST HANDLERS ====================
-    
-    socket.on('sendChatRequest', async (data) => {
+    socket.on('unpinMessage', async (data = {}) => {
       try {
-        const { receiverId } = data;
-        
-        const areFriends = await areUsersFriends(userId, receiverId);
-        if (areFriends) {
-          socket.emit('chatRequestError', { message: 'Already friends with this user' });
+        const { messageId } = data;
+
+        const found = await getMessageForMember(messageId, userId);
+        if (!found) {
+          socket.emit('pinError', { messageId, message: 'Message not found' });
           return;
         }
 
-        const blocked = await isUserBlocked(receiverId, userId);
-        if (blocked) {
-          socket.emit('chatRequestError', { message: 'Cannot send request to this user' });
+        await Conversation.updateOne(
+          { _id: found.conversation._id },
+          { $pull: { pinnedMessages: { message: found.message._id } } }
+        );
+
+        console.log(`📌 ${userName} unpinned message ${messageId}`);
+        await emitPinsUpdate(io, found.conversation._id);
+      } catch (error) {
+        console.error('❌ Error unpinning message:', error);
+        socket.emit('pinError', { messageId: data.messageId, message: 'Failed to unpin message' });
+      }
+    });
+
+    // ==================== REACTIONS ====================
+
+    const emitReactionUpdate = async (messageId) => {
+      const message = await Message.findById(messageId)
+        .select('chatId reactions')
+        .populate('reactions.user', 'name');
+      if (!message) return;
+
+      io.to(message.chatId).emit('reactionUpdated', {
+        messageId,
+        chatId: message.chatId,
+        reactions: message.reactions
+      });
+    };
+
+    socket.on('addReaction', async (data = {}) => {
+      try {
+        const { messageId } = data;
+        const emoji = typeof data.emoji === 'string' ? data.emoji.trim() : '';
+
+        if (!emoji || emoji.length > MAX_REACTION_LENGTH || !EMOJI_REACTION_REGEX.test(emoji)) {
+          socket.emit('reactionError', { messageId, message: 'Reactions must be a single emoji' });
           return;
         }
 
-        const existingRequest = await ChatRequest.findOne({
-          $or: [
-            { sender: userId, receiver: receiverId, status: 'pending' },
-            { sender: receiverId, receiver: userId, status: 'pending' }
-          ]
-        });
-
-        if (existingRequest) {
-          socket.emit('chatRequestError', { message: 'Chat request already exists' });
+        const found = await getMessageForMember(messageId, userId);
+        if (!found || found.message.isDeleted || found.message.messageType === 'system') {
+          socket.emit('reactionError', { messageId, message: 'You cannot react to this message' });
           return;
         }
 
-        const chatRequest = await ChatRequest.create({
-          sender: userId,
-          receiver: receiverId,
-          status: 'pending'
-        });
+        // One reaction per user - drop any previous one and append the new one in a single update,
+        // so two quick reactions can't both land. Pipeline updates skip schema casting, hence
+        // the explicit ObjectIds and reactedAt (the emoji was validated, so it can't be read as a $ path).
+        const reactorId = new mongoose.Types.ObjectId(userId);
+        await Message.updateOne({ _id: messageId }, [
+          {
+            $set: {
+              reactions: {
+                $concatArrays: [
+                  {
+                    $filter: {
+                      input: { $ifNull: ['$reactions', []] },
+                      cond: { $ne: ['$$this.user', reactorId] }
+                    }
+                  },
+                  [{ _id: new mongoose.Types.ObjectId(), user: reactorId, emoji, reactedAt: '$$NOW' }]
+                ]
+              }
+            }
+          }
+        ]);
 
-        await chatRequest.populate('sender', 'name email avatar');
-        await chatRequest.populate('receiver', 'name email avatar');
+        await emitReactionUpdate(messageId);
+      } catch (error) {
+        console.error('❌ Error adding reaction:', error);
+        socket.emit('reactionError', { messageId: data.messageId, message: 'Failed to add reaction' });
+      }
+    });
+
+    socket.on('removeReaction', async (data = {}) => {
+      try {
+        const { messageId } = data;
 
-        const receiverSocketId = userSockets.get(receiverId);
-        if (receiverSocketId) {
-          io.to(receiverSocketId).emit('newChatRequest', chatRequest);
+        const found = await getMessageForMember(messageId, userId);
+        if (!found) {
+          socket.emit('reactionError', { messageId, message: 'Message not found' });
+          return;
         }
 
-        socket.emit('chatRequestSent', chatRequest);
-        console.log(`📨 Chat request sent from ${userName} to ${receiverId}`);
+        await Message.updateOne({ _id: messageId }, { $pull: { reactions: { user: userId } } });
 
+        await emitReactionUpdate(messageId);
       } catch (error) {
-        console.error('Error sending chat request:', error);
-        socket.emit('chatRequestError', { message: 'Failed to send chat request' });
+        console.error('❌ Error removing reaction:', error);
+        socket.emit('reactionError', { messageId: data.messageId, message: 'Failed to remove reaction' });
       }
     });
 
-    socket.on('acceptChatRequest', async (data) => {
+    // ==================== GROUP CHAT HANDLERS ====================
+
+    socket.on('createGroup', async (data = {}) => {
       try {
-        const { requestId } = data;
-        
-        const chatRequest = await ChatRequest.findById(requestId);
-        if (!chatRequest) {
-          socket.emit('chatRequestError', { message: 'Request not found' });
+        const { title, memberIds = [], avatar = '' } = data;
+
+        if (!title || !title.trim()) {
+          socket.emit('groupError', { message: 'Group title is required' });
           return;
         }
 
-        if (chatRequest.receiver.toString() !== userId) {
-          socket.emit('chatRequestError', { message: 'Unauthorized' });
+        const invitedIds = await getInvitableUserIds(userId, memberIds);
+        if (invitedIds.length === 0) {
+          socket.emit('groupError', { message: 'Add at least one friend to the group' });
           return;
         }
 
-        chatRequest.status = 'accepted';
-        await chatRequest.save();
-
-        await User.findByIdAndUpdate(userId, {
-          $addToSet: { friends: chatRequest.sender }
-        });
+        if (invitedIds.length + 1 > MAX_GROUP_MEMBERS) {
+          socket.emit('groupError', { message: `Groups are limited to ${MAX_GROUP_MEMBERS} members` });
+          return;
+        }
 
-        await User.findByIdAndUpdate(chatRequest.sender, {
-          $addToSet: { friends: userId }
+        const conversation = await Conversation.create({
+          type: 'group',
+          title: title.trim(),
+          avatar,
+          members: [userId, ...invitedIds],
+          admins: [userId],
+          createdBy: userId
         });
 
-        await chatRequest.populate('sender', 'name email avatar');
-        await chatRequest.populate('receiver', 'name email avatar');
-
-        const senderSocketId = userSockets.get(chatRequest.sender._id.toString());
-        if (senderSocketId) {
-          io.to(senderSocketId).emit('chatRequestAccepted', chatRequest);
-        }
+        const group = await formatGroup(conversation);
+        emitToUsers(io, conversation.getMemberIds(), 'groupCreated', group);
 
-        socket.emit('chatRequestAccepted', chatRequest);
-        console.log(`✅ Chat request accepted: ${requestId}`);
+        await postSystemMessage(io, conversation, userId, `${userName} created the group "${conversation.title}"`);
+        console.log(`👥 [GROUP] ${userName} created group ${conversation._id} with ${conversation.members.length} members`);
 
       } catch (error) {
-        console.error('Error accepting chat request:', error);
-        socket.emit('chatRequestError', { message: 'Failed to accept request' });
+        console.error('Error creating group:', error);
+        socket.emit('groupError', { message: 'Failed to create group' });
       }
     });
 
-    socket.on('rejectChatRequest', async (data) => {
-      try {
-        const { requestId } = data;
-        
-        const chatRequest = await ChatRequest.findById(requestId);
-        if (!chatRequest) {
-          socket.emit('chatRequestError', { message: 'Request not found' });
+    socket.on('inviteToGroup', async (data = {}) => {
+      try {
+        const { conversationId, memberIds = [] } = data;
+
+        const conversation = await getGroupForMember(conversationId, userId);
+        if (!conversation || !conversation.isAdmin(userId)) {
+          socket.emit('groupError', { message: 'Only group admins can add members' });
+          return;
+        }
+
+        const existingIds = conversation.getMemberIds();
+        const invitedIds = (await getInvitableUserIds(userId, memberIds))
+          .filter(id => !existingIds.includes(id));
+
+        if (invitedIds.length === 0) {
+          socket.emit('groupError', { message: 'No new friends to add' });
           return;
         }
 
-        if (chatRequest.receiver.toString() !== userId) {
-          socket.emit('chatRequestError', { message: 'Unauthorized' });
+        if (existingIds.length + invitedIds.length > MAX_GROUP_MEMBERS) {
+          socket.emit('groupError', { message: `Groups are limited to ${MAX_GROUP_MEMBERS} members` });
           return;
         }
 
-        chatRequest.status = 'rejected';
-        await chatRequest.save();
+        conversation.members.push(...invitedIds);
+        await conversation.save();
 
-        const senderSocketId = userSockets.get(chatRequest.sender.toString());
-        if (senderSocketId) {
-          io.to(senderSocketId).emit('chatRequestRejected', { requestId });
-        }
+        const group = await formatGroup(conversation);
+        emitToUsers(io, existingIds, 'groupUpdated', group);
+        emitToUsers(io, invitedIds, 'addedToGroup', group);
 
-        socket.emit('chatRequestRejected', { requestId });
-        console.log(`❌ Chat request rejected: ${requestId}`);
+        const invitedNames = conversation.members
+          .filter(member => invitedIds.includes(member._id.toString()))
+          .map(member => member.name)
+          .join(', ');
+
+        await postSystemMessage(io, conversation, userId, `${userName} added ${invitedNames}`);
+        console.log(`👥 [GROUP] ${userName} added ${invitedIds.length} member(s) to ${conversationId}`);
 
       } catch (error) {
-        console.error('Error rejecting chat request:', error);
-        socket.emit('chatRequestError', { message: 'Failed to reject request' });
+        console.error('Error inviting to group:', error);
+        socket.emit('groupError', { message: 'Failed to add members' });
       }
     });
 
-    socket.on('cancelChatRequest', async (data) => {
+    socket.on('leaveGroup', async (data = {}) => {
       try {
-        const { requestId } = data;
-        
-        const chatRequest = await ChatRequest.findById(requestId);
-        if (!chatRequest) {
-          socket.emit('chatRequestError', { message: 'Request not found' });
+        const { conversationId } = data;
+
+        const conversation = await getGroupForMember(conversationId, userId);
+        if (!conversation) {
+          socket.emit('groupError', { message: 'You are not a member of this group' });
           return;
         }
 
-        if (chatRequest.sender.toString() !== userId) {
-          socket.emit('chatRequestError', { message: 'Unauthorized' });
+        const chatId = conversation._id.toString();
+        conversation.removeMember(userId);
+        socket.leave(chatId);
+        socket.emit('leftGroup', { conversationId: chatId });
+
+        // Last member out deletes the group and its history
+        if (conversation.members.length === 0) {
+          await Message.deleteMany({ conversation: conversation._id });
+          await Conversation.findByIdAndDelete(chatId);
+          console.log(`👥 [GROUP] Group ${chatId} deleted after last member left`);
           return;
         }
 
-        await ChatRequest.findByIdAndDelete(requestId);
+        await conversation.save();
 
-        const receiverSocketId = userSockets.get(chatRequest.receiver.toString());
-        if (receiverSocketId) {
-          io.to(receiverSocketId).emit('chatRequestCancelled', { requestId });
-        }
+        const group = await formatGroup(conversation);
+        emitToUsers(io, conversation.getMemberIds(), 'groupUpdated', group);
 
-        socket.emit('chatRequestCancelled', { requestId });
-        console.log(`🗑️ Chat request cancelled: ${requestId}`);
+        await postSystemMessage(io, conversation, userId, `${userName} left the group`);
+        console.log(`👥 [GROUP] ${userName} left group ${chatId}`);
 
       } catch (error) {
-        console.error('Error cancelling chat request:', error);
-        socket.emit('chatRequestError', { message: 'Failed to cancel request' });
+        console.error('Error leaving group:', error);
+        socket.emit('groupError', { message: 'Failed to leave group' });
       }
     });
 
-    // ==================== BLOCK/UNBLOCK USER ====================
-    
-    socket.on('blockUser', async (data) => {
+    socket.on('kickFromGroup', async (data = {}) => {
       try {
-        const { userIdToBlock } = data;
-        
-        await User.findByIdAndUpdate(userId, {
-          $addToSet: { blockedUsers: userIdToBlock },
-          $pull: { friends: userIdToBlock }
-        });
+        const { conversationId } = data;
+        const memberId = data.memberId?.toString();
 
-        await User.findByIdAndUpdate(userIdToBlock, {
-          $pull: { friends: userId }
-        });
+        const conversation = await getGroupForMember(conversationId, userId);
+        if (!conversation || !conversation.isAdmin(userId)) {
+          socket.emit('groupError', { message: 'Only group admins can remove members' });
+          return;
+        }
 
-        socket.emit('userBlocked', { userId: userIdToBlock });
-        console.log(`🚫 User ${userName} blocked ${userIdToBlock}`);
+        if (!memberId || memberId === userId || !conversation.isMember(memberId)) {
+          socket.emit('groupError', { message: 'Invalid member' });
+          return;
+        }
 
-      } catch (error) {
-        console.error('Error blocking user:', error);
-        socket.emit('blockUserError', { message: 'Failed to block user' });
-      }
-    });
+        const chatId = conversation._id.toString();
+        const kickedUser = await User.findById(memberId).select('name');
 
-    socket.on('unblockUser', async (data) => {
-      try {
-        const { userIdToUnblock } = data;
-        
-        await User.findByIdAndUpdate(userId, {
-          $pull: { blockedUsers: userIdToUnblock }
+        conversation.removeMember(memberId);
+        await conversation.save();
+
+        removeUserFromRoom(io, memberId, chatId);
+        emitToUsers(io, [memberId], 'removedFromGroup', {
+          conversationId: chatId,
+          title: conversation.title,
+          removedBy: userName
         });
 
-        socket.emit('userUnblocked', { userId: userIdToUnblock });
-        console.log(`✅ User ${userName} unblocked ${userIdToUnblock}`);
+        const group = await formatGroup(conversation);
+        emitToUsers(io, conversation.getMemberIds(), 'groupUpdated', group);
+
+        await postSystemMessage(io, conversation, userId, `${userName} removed ${kickedUser?.name || 'a member'}`);
+        console.log(`👥 [GROUP] ${userName} removed ${memberId} from ${chatId}`);
 
       } catch (error) {
-        console.error('Error unblocking user:', error);
-        socket.emit('unblockUserError', { message: 'Failed to unblock user' });
+        console.error('Error removing group member:', error);
+        socket.emit('groupError', { message: 'Failed to remove member' });
       }
     });
 
-    // ==================== REMOVE FRIEND ====================
-    
-    socket.on('removeFriend', async (data) => {
+    socket.on('setGroupAdmin', async (data = {}) => {
       try {
-        const { friendId } = data;
-        
-        await User.findByIdAndUpdate(userId, {
-          $pull: { friends: friendId }
-        });
+        const { conversationId } = data;
+        const memberId = data.memberId?.toString();
+        const isAdmin = !!data.isAdmin;
 
-        await User.findByIdAndUpdate(friendId, {
-          $pull: { friends: userId }
-        });
+        const conversation = await getGroupForMember(conversationId, userId);
+        if (!conversation || !conversation.isAdmin(userId)) {
+          socket.emit('groupError', { message: 'Only group admins can change roles' });
+          return;
+        }
 
-        socket.emit('friendRemoved', { userId: friendId });
-        
-        const friendSocketId = userSockets.get(friendId);
-        if (friendSocketId) {
-          io.to(friendSocketId).emit('friendRemoved', { userId });
+        if (!memberId || !conversation.isMember(memberId)) {
+          socket.emit('groupError', { message: 'Invalid member' });
+          return;
         }
 
-        console.log(`🔄 User ${userName} removed friend ${friendId}`);
+        if (isAdmin === conversation.isAdmin(memberId)) return;
 
-      } catch (error) {
-        console.error('Error removing friend:', error);
-        socket.emit('removeFriendError', { message: 'Failed to remove friend' });
-      }
-    });
+        if (isAdmin) {
+          conversation.admins.push(memberId);
+        } else {
+          if (conversation.admins.length === 1) {
+            socket.emit('groupError', { message: 'A group needs at least one admin' });
+            return;
+          }
+          conversation.admins = conversation.admins.filter(adminId => adminId.toString() !== memberId);
+        }
 
-    // ==================== MESSAGE HANDLERS ====================
+        await conversation.save();
+
+        const group = await formatGroup(conversation);
+        emitToUsers(io, conversation.getMemberIds(), 'groupUpdated', group);
+
+        const member = conversation.members.find(m => m._id.toString() === memberId);
+        const text = isAdmin
+          ? `${userName} made ${member?.name} an admin`
+          : `${userName} removed ${member?.name} as admin`;
+
+        await postSystemMessage(io, conversation, userId, text);
+        console.log(`👥 [GROUP] ${userName} set admin=${isAdmin} for ${memberId} in ${conversationId}`);
 
-    socket.on('joinChat', (chatId) => {
-      console.log(`📌 User ${userName} joined chat room ${chatId}`);
-      socket.join(chatId);
+      } catch (error) {
+        console.error('Error updating group admin:', error);
+        socket.emit('groupError', { message: 'Failed to update member role' });
+      }
     });
 
-    socket.on('loadMessages', async (data) => {
+    socket.on('updateGroup', async (data = {}) => {
       try {
-        const { otherUserId } = data;
-        const chatId = getChatId(userId, otherUserId);
-        
-        const areFriends = await areUsersFriends(userId, otherUserId);
-        if (!areFriends) {
-          socket.emit('messagesLoadError', { 
-            message: 'You must be friends to view messages',
-            requiresFriendship: true
-          });
-          return;
-        }
+        const { conversationId, title, avatar } = data;
 
-        const blocked = await isUserBlocked(userId, otherUserId);
-        const blockedBy = await isUserBlocked(otherUserId, userId);
-        
-        if (blocked || blockedBy) {
-          socket.emit('messagesLoadError', { 
-            message: 'Cannot load messages',
-            isBlocked: true
-          });
+        const conversation = await getGroupForMember(conversationId, userId);
+        if (!conversation || !conversation.isAdmin(userId)) {
+          socket.emit('groupError', { message: 'Only group admins can edit the group' });
           return;
         }
-        
-        console.log(`📚 Loading messages for chat: ${chatId}`);
-        
-        const messages = await Message.find({ chatId })
-          .populate('sender', 'name avatar')
-          .sort({ createdAt: 1 })
-          .limit(50);
 
-        const messagesWithStatus = messages.map(msg => ({
-          _id: msg._id,
-          sender: msg.sender,
-          chatId: msg.chatId,
-          messageType: msg.messageType,
-          content: msg.content,
-          createdAt: msg.createdAt,
-          isDelivered: msg.isDelivered || false,
-          isRead: msg.isRead || false,
-          deliveredAt: msg.deliveredAt,
-          readAt: msg.readAt
-        }));
+        const newTitle = title?.trim();
+        const titleChanged = !!newTitle && newTitle !== conversation.title;
 
-        socket.emit('messagesLoaded', {
-          chatId,
-          messages: messagesWithStatus
-        });
+        if (titleChanged) conversation.title = newTitle;
+        if (avatar !== undefined) conversation.avatar = avatar;
+
+        await conversation.save();
+
+        const group = await formatGroup(conversation);
+        emitToUsers(io, conversation.getMemberIds(), 'groupUpdated', group);
+
+        if (titleChanged) {
+          await postSystemMessage(io, conversation, userId, `${userName} renamed the group to "${newTitle}"`);
+        }
 
-        console.log(`📚 Sent ${messagesWithStatus.length} messages for chat ${chatId}`);
       } catch (error) {
-        console.error('Error loading messages:', error);
-        socket.emit('messagesLoadError', { message: 'Failed to load messages' });
+        console.error('Error updating group:', error);
+        socket.emit('groupError', { message: 'Failed to update group' });
       }
     });
 
-    socket.on('sendMessage', async (data) => {
-      console.log(`📨 Message from ${userName}:`, data);
-
-      if (userActivity.has(userId)) {
-        userActivity.get(userId).lastActivity = new Date();
-      }
+    // ==================== CALL SIGNALING ====================
 
+    socket.on('callUser', async (data) => {
       try {
-        const { receiverId, content, tempId, messageType = 'text' } = data;
-        if (!receiverId || !content) {
-          socket.emit('sendMessageError', { message: 'Invalid message data', tempId });
+        const { userToCall, signalData, callType = 'video' } = data;
+        if (!userToCall || !signalData) {
+          socket.emit('callError', { message: 'Invalid call data' });
           return;
         }
 
-        const areFriends = await areUsersFriends(userId, receiverId);
+        const areFriends = await areUsersFriends(userId, userToCall);
         if (!areFriends) {
-          socket.emit('sendMessageError', { 
-            message: 'You must be friends to send messages',
-            tempId,
+          socket.emit('callError', {
+            message: 'You must be friends to call this user',
             requiresFriendship: true
           });
           return;
         }
 
-        const blocked = await isUserBlocked(userId, receiverId);
-        const blockedBy = await isUserBlocked(receiverId, userId);
-        
+        const blocked = await isUserBlocked(userId, userToCall);
+        const blockedBy = await isUserBlocked(userToCall, userId);
+
         if (blocked || blockedBy) {
-          socket.emit('sendMessageError', { 
-            message: 'Cannot send message',
-            tempId,
+          socket.emit('callError', {
+            message: 'Cannot call this user',
             isBlocked: true
           });
           return;
         }
 
-        const chatId = getChatId(userId, receiverId);
-        
-        const receiverSocketId = userSockets.get(receiverId);
-        const isRecipientOnline = !!receiverSocketId;
+        if (userCalls.has(userId)) {
+          socket.emit('callError', { message: 'You are already in a call' });
+          return;
+        }
 
-        const message = await Message.create({
-          sender: userId,
+        const chatId = getChatId(userId, userToCall);
+        const isCalleeOnline = isOnline(userToCall);
+        const isCalleeBusy = userCalls.has(userToCall);
+
+        let initialStatus = 'ringing';
+        if (!isCalleeOnline) initialStatus = 'missed';
+        else if (isCalleeBusy) initialStatus = 'busy';
+
+        const callLog = await Call.create({
+          caller: userId,
+          callee: userToCall,
           chatId,
-          messageType: messageType,
-          content: content,
-          isDelivered: isRecipientOnline,
-          isRead: false,
-          deliveredAt: isRecipientOnline ? new Date() : null,
-          readAt: null
+          callType: callType === 'audio' ? 'audio' : 'video',
+          status: initialStatus,
+          endedAt: initialStatus === 'ringing' ? null : new Date(),
+          outcome: initialStatus === 'ringing' ? null : 'missed'
         });
+        const callId = callLog._id.toString();
 
-        await message.populate('sender', 'name avatar');
-
-        const messageObj = {
-          _id: message._id,
-          sender: message.sender,
-          chatId: chatId,
-          messageType: message.messageType,
-          content: message.content,
-          createdAt: message.createdAt,
-          tempId,
-          isDelivered: message.isDelivered,
-          isRead: message.isRead,
-          deliveredAt: message.deliveredAt,
-          readAt: message.readAt
-        };
-
-        io.to(chatId).emit('receiveMessage', messageObj);
-
-        if (receiverSocketId) {
-          const receiverPayload = {
-            ...messageObj,
-            receiverId: receiverId,
-            forSidebar: true,
-            isForReceiver: true,
-            isForSender: false
-          };
-          
-          io.to(receiverSocketId).emit('newMessageForSidebar', receiverPayload);
-        } else {
-          try {
-            const recipient = await User.findById(receiverId);
-            if (recipient && recipient.email) {
-              await sendNewMessageEmail(recipient.email, userName);
-            }
-          } catch (emailError) {
-            console.error('Email notification failed:', emailError);
-          }
+        if (initialStatus !== 'ringing') {
+          await postCallMessage(io, callLog);
         }
-        
-        const senderPayload = {
-          ...messageObj,
-          receiverId: receiverId,
-          forSidebar: true,
-          isForReceiver: false,
-          isForSender: true
-        };
-        
-        socket.emit('newMessageForSidebar', senderPayload);
-
-        socket.emit('messageSent', {
-          messageId: message._id,
-          tempId,
-          success: true,
-          isDelivered: message.isDelivered,
-          deliveredAt: message.deliveredAt
-        });
 
-        if (isRecipientOnline) {
-          socket.emit('messageDelivered', {
-            messageId: message._id,
-            deliveredAt: message.deliveredAt,
-            chatId: chatId
-          });
+        if (!isCalleeOnline) {
+          socket.emit('callUnavailable', { callId, to: userToCall, message: 'User is offline' });
+          console.log(`📞 [CALL] ${userName} called offline user ${userToCall}`);
+          return;
         }
 
-        // ✅ CHECK AND SCHEDULE INCOGNITO DELETION
-        const incognitoStatus = await getIncognitoStatus(userId, receiverId);
-        
-        if (incognitoStatus.enabled) {
-          const deleteAfterMs = new Date(incognitoStatus.expiresAt) - new Date();
-          
-          if (deleteAfterMs > 0) {
-            scheduleMessageDeletion(io, message._id, chatId, deleteAfterMs);
-            console.log(`🕵️ [INCOGNITO] Scheduled deletion for message ${message._id} in ${Math.round(deleteAfterMs / 1000 / 60)} minutes`);
-          }
+        if (isCalleeBusy) {
+          socket.emit('callBusy', { callId, to: userToCall, message: 'User is on another call' });
+          console.log(`📞 [CALL] ${userName} called busy user ${userToCall}`);
+          return;
         }
 
-      } catch (error) {
-        console.error('❌ Send message error:', error);
-        socket.emit('sendMessageError', {
-          message: 'Failed to send message: ' + error.message,
-          tempId: data.tempId
+        const ringTimer = setTimeout(async () => {
+          const call = activeCalls.get(callId);
+          if (!call || call.status !== 'ringing') return;
+
+          await finishCall(io, callId, 'missed');
+          emitToCallParties(io, call, 'callTimeout', { callId, chatId });
+        }, CALL_RING_TIMEOUT_MS);
+
+        activeCalls.set(callId, {
+          callId,
+          callerId: userId,
+          calleeId: userToCall,
+          callerSocketId: socket.id,
+          calleeSocketId: null,
+          chatId,
+          callType: callLog.callType,
+          status: 'ringing',
+          ringTimer
+        });
+        userCalls.set(userId, callId);
+        userCalls.set(userToCall, callId);
+
+        emitToUser(io, userToCall, 'callUser', {
+          callId,
+          from: userId,
+          name: userName,
+          avatar: socket.user.avatar,
+          callType: callLog.callType,
+          signal: signalData
         });
-      }
-    });
 
-    socket.on('typing', (data) => {
-      const { chatId } = data;
-      if (!chatId) return;
-      io.to(chatId).emit('typing', {
-        userId: userId,
-        userName: userName,
-        chatId: chatId
-      });
-    });
+        socket.emit('callRinging', { callId, to: userToCall });
+        console.log(`📞 [CALL] ${userName} is calling ${userToCall} (${callId})`);
 
-    socket.on('stopTyping', (data) => {
-      const { chatId } = data;
-      if (!chatId) return;
-      io.to(chatId).emit('stopTyping', {
-        userId: userId,
-        chatId: chatId
-      });
+      } catch (error) {
+        console.error('Error starting call:', error);
+        socket.emit('callError', { message: 'Failed to start call' });
+      }
     });
 
-    socket.on('markMessageAsRead', async (data) => {
+    socket.on('answerCall', async (data) => {
       try {
-        const { messageId } = data;
-        
-        const message = await Message.findById(messageId);
-        if (!message || !isUserInChat(message.chatId, userId)) return;
+        const { signal } = data;
+        const callId = data.callId || userCalls.get(userId);
+        const call = activeCalls.get(callId);
 
-        if (!message.isRead) {
-          const updatedMessage = await Message.findByIdAndUpdate(
-            messageId,
-            { isRead: true, readAt: new Date() },
-            { new: true }
-          );
+        if (!call || call.calleeId !== userId || call.status !== 'ringing') {
+          socket.emit('callError', { message: 'This call is no longer available' });
+          return;
+        }
 
-          if (updatedMessage) {
-            io.to(message.chatId).emit('messageRead', {
-              messageId,
-              readAt: updatedMessage.readAt,
-              chatId: message.chatId,
-              readBy: userId
-            });
-          }
+        clearTimeout(call.ringTimer);
+        call.status = 'accepted';
+        call.answeredAt = new Date();
+        call.calleeSocketId = socket.id;
+
+        await Call.findByIdAndUpdate(callId, {
+          status: 'accepted',
+          answeredAt: call.answeredAt
+        });
+
+        emitToCallParty(io, call, call.callerId, 'callAccepted', { callId, signal });
+
+        // Stop the ringing on the callee's other tabs and devices
+        const otherSocketIds = getUserSocketIds(userId).filter(id => id !== socket.id);
+        if (otherSocketIds.length > 0) {
+          io.to(otherSocketIds).emit('callAnsweredElsewhere', { callId });
         }
+
+        console.log(`📞 [CALL] ${userName} accepted call ${callId}`);
+
       } catch (error) {
-        console.error('❌ Error marking message as read:', error);
+        console.error('Error answering call:', error);
+        socket.emit('callError', { message: 'Failed to answer call' });
       }
     });
 
-    socket.on('markChatAsRead', async (data) => {
+    socket.on('declineCall', async (data = {}) => {
       try {
-        const { otherUserId } = data;
-        const chatId = getChatId(userId, otherUserId);
+        const callId = data.callId || userCalls.get(userId);
+        const call = activeCalls.get(callId);
 
-        const result = await Message.updateMany(
-          { chatId, sender: otherUserId, isRead: false },
-          { isRead: true, readAt: new Date() }
-        );
+        if (!call || call.calleeId !== userId || call.status !== 'ringing') return;
+
+        await finishCall(io, callId, 'declined', userId);
+        emitToCallParties(io, call, 'callDeclined', { callId, chatId: call.chatId });
 
-        if (result.modifiedCount > 0) {
-          io.to(chatId).emit('chatRead', {
-            chatId,
-            readAt: new Date(),
-            readCount: result.modifiedCount,
-            readBy: userId
-          });
-        }
       } catch (error) {
-        console.error('❌ Error marking chat as read:', error);
+        console.error('Error declining call:', error);
       }
     });
 
-    socket.on('clearChat', async (data) => {
+    // Relays SDP offers/answers (renegotiation) and ICE candidates between peers
+    socket.on('callSignal', (data = {}) => {
+      const callId = data.callId || userCalls.get(userId);
+      const call = activeCalls.get(callId);
+
+      if (!call || (call.callerId !== userId && call.calleeId !== userId) || !data.signal) return;
+
+      emitToCallParty(io, call, getOtherCallParty(call, userId), 'callSignal', {
+        callId,
+        from: userId,
+        signal: data.signal
+      });
+    });
+
+    socket.on('callEnded', async (data = {}) => {
       try {
-        const { otherUserId } = data;
-        const chatId = getChatId(userId, otherUserId);
-        
-        await Message.deleteMany({ chatId });
-        
-        io.to(chatId).emit('chatCleared', { chatId });
-        socket.emit('chatClearSuccess', { chatId });
-        
+        const callId = data.callId || userCalls.get(userId);
+        const call = activeCalls.get(callId);
+
+        if (!call || (call.callerId !== userId && call.calleeId !== userId)) return;
+
+        await finishCall(io, callId, getHangupStatus(call, userId), userId);
+        emitToCallParties(io, call, 'callEnded', {
+          callId,
+          chatId: call.chatId,
+          endedBy: userId
+        });
+
       } catch (error) {
-        console.error('Error clearing chat:', error);
-        socket.emit('chatClearError', { message: 'Failed to clear chat' });
+        console.error('Error ending call:', error);
       }
     });
 
@@ -911,11 +2629,32 @@ export const initializeSocket = (io) => {
 
     socket.on('disconnect', async () => {
       console.log(`❌ User disconnected: ${userName}`);
-      
-      const activity = userActivity.get(userId);
-      if (activity) userActivity.delete(userId);
 
-      userSockets.delete(userId);
+      const wasLastSocket = removeUserSocket(userId, socket.id);
+      if (wasLastSocket) userActivity.delete(userId);
+
+      const activeCallId = userCalls.get(userId);
+      if (activeCallId) {
+        const call = activeCalls.get(activeCallId);
+        // Only closing the tab that is in the call ends it (or the callee's last tab while it rings)
+        const isCallSocket = call && (
+          call.callerSocketId === socket.id ||
+          call.calleeSocketId === socket.id ||
+          (call.calleeId === userId && !call.calleeSocketId && wasLastSocket)
+        );
+        if (isCallSocket) {
+          await finishCall(io, activeCallId, getHangupStatus(call, userId), userId);
+          emitToCallParties(io, call, 'callEnded', {
+            callId: activeCallId,
+            chatId: call.chatId,
+            endedBy: userId,
+            reason: 'disconnected'
+          });
+        }
+      }
+
+      // Still online on another tab or device
+      if (!wasLastSocket) return;
 
       try {
         await User.findByIdAndUpdate(userId, {
@@ -45,7 +45,12 @@ const AppContent = () => {
       let otherUserId;
       let isReceived;
       
-      if (senderId === currentUserId) {
+      if (message.isGroup) {
+        // Group messages are keyed by the conversation id
+        otherUserId = message.chatId;
+        isReceived = senderId !== currentUserId;
+        console.log('👥 [APP] Group message for:', otherUserId);
+      } else if (senderId === currentUserId) {
         // I sent this message
         otherUserId = receiverId;
         isReceived = false;
@@ -170,14 +175,104 @@ const AppContent = () => {
       setLastMessageUpdate(prev => prev ? { ...prev, timestamp: Date.now() } : null);
     };
 
+    const handleGroupMessagesRead = (data) => {
+      console.log('👁️ [APP] Group messages read:', data);
+
+      const receipts = new Map(data.receipts.map(r => [r.messageId, r]));
+
+      // Group receipts are per member - mark read only once everyone has read
+      setMessagesMap(prev => {
+        const updated = { ...prev };
+        if (updated[data.chatId]) {
+          updated[data.chatId] = updated[data.chatId].map(msg => {
+            const receipt = receipts.get(msg._id);
+            if (!receipt) return msg;
+            return {
+              ...msg,
+              isRead: receipt.isRead,
+              readAt: receipt.readAt,
+              readBy: [...(msg.readBy || []), { user: data.readBy, readAt: data.readAt }]
+            };
+          });
+        }
+        return updated;
+      });
+
+      // Trigger sidebar re-render
+      setLastMessageUpdate(prev => prev ? { ...prev, timestamp: Date.now() } : null);
+    };
+
+    const handleMessageEdited = (data) => {
+      console.log('✏️ [APP] Message edited:', data);
+
+      setMessagesMap(prev => {
+        const updated = { ...prev };
+        Object.keys(updated).forEach(userId => {
+          updated[userId] = updated[userId].map(msg =>
+            msg._id === data.messageId
+              ? { ...msg, content: data.content, editedAt: data.editedAt, editHistory: data.editHistory }
+              : msg
+          );
+        });
+        return updated;
+      });
+
+      // Trigger sidebar re-render
+      setLastMessageUpdate(prev => prev ? { ...prev, timestamp: Date.now() } : null);
+    };
+
+    const handleMessageDeleted = (data) => {
+      console.log('🗑️ [APP] Message deleted:', data);
+
+      setMessagesMap(prev => {
+        const updated = { ...prev };
+        Object.keys(updated).forEach(userId => {
+          updated[userId] = data.scope === 'everyone'
+            ? updated[userId].map(msg =>
+                msg._id === data.messageId
+                  ? { ...msg, isDeleted: true, deletedAt: data.deletedAt, content: {} }
+                  : msg
+              )
+            : updated[userId].filter(msg => msg._id !== data.messageId);
+        });
+        return updated;
+      });
+
+      // Trigger sidebar re-render
+      setLastMessageUpdate(prev => prev ? { ...prev, timestamp: Date.now() } : null);
+    };
+
+    const handleChatCleared = (data) => {
+      console.log('🧹 [APP] Chat cleared:', data);
+
+      setMessagesMap(prev => {
+        const updated = { ...prev };
+        Object.keys(updated).forEach(userId => {
+          updated[userId] = updated[userId].filter(msg => msg.chatId !== data.chatId);
+        });
+        return updated;
+      });
+
+      // Trigger sidebar re-render
+      setLastMessageUpdate(prev => prev ? { ...prev, timestamp: Date.now() } : null);
+    };
+
     socket.on('messageDelivered', handleMessageDelivered);
     socket.on('messageRead', handleMessageRead);
     socket.on('chatRead', handleChatRead);
+    socket.on('groupMessagesRead', handleGroupMessagesRead);
+    socket.on('messageEdited', handleMessageEdited);
+    socket.on('messageDeleted', handleMessageDeleted);
+    socket.on('chatCleared', handleChatCleared);
 
     return () => {
       socket.off('messageDelivered', handleMessageDelivered);
       socket.off('messageRead', handleMessageRead);
       socket.off('chatRead', handleChatRead);
+      socket.off('groupMessagesRead', handleGroupMessagesRead);
+      socket.off('messageEdited', handleMessageEdited);
+      socket.off('messageDeleted', handleMessageDeleted);
+      socket.off('chatCleared', handleChatCleared);
     };
   }, [socket, user]);
 
@@ -0,0 +1,150 @@
+// src/components/ActiveSessions.jsx - SIGNED-IN DEVICES, WITH SIGN-OUT PER DEVICE
+import React, { useState, useEffect } from 'react';
+import { Monitor, Smartphone, LogOut } from 'lucide-react';
+import { useAuth } from '../contexts/AuthContext';
+import { authFetch } from '../services/authTokens';
+import './ActiveSessions.css';
+
+const SESSIONS_URL = 'https://lovebirds-mwyz.onrender.com/api/auth/sessions';
+
+const isMobileAgent = (userAgent = '') => /Android|iPhone|iPad|Mobile/i.test(userAgent);
+
+// A readable "Browser on OS" label from the user agent the device signed in with
+const describeDevice = (userAgent = '') => {
+    let browser = 'Unknown browser';
+    if (/Edg\//.test(userAgent)) browser = 'Edge';
+    else if (/OPR\//.test(userAgent)) browser = 'Opera';
+    else if (/Chrome\//.test(userAgent)) browser = 'Chrome';
+    else if (/Firefox\//.test(userAgent)) browser = 'Firefox';
+    else if (/Safari\//.test(userAgent)) browser = 'Safari';
+
+    let os = 'unknown device';
+    if (/Android/.test(userAgent)) os = 'Android';
+    else if (/iPhone|iPad/.test(userAgent)) os = 'iOS';
+    else if (/Windows/.test(userAgent)) os = 'Windows';
+    else if (/Mac OS X/.test(userAgent)) os = 'macOS';
+    else if (/Linux/.test(userAgent)) os = 'Linux';
+
+    return `${browser} on ${os}`;
+};
+
+const formatLastSeen = (session) => {
+    if (session.isConnected) return 'Active now';
+    return `Last active ${new Date(session.lastSeenAt).toLocaleString([], {
+        day: 'numeric',
+        month: 'short',
+        hour: '2-digit',
+        minute: '2-digit'
+    })}`;
+};
+
+const ActiveSessions = () => {
+    const { logout, logoutAllDevices } = useAuth();
+    const [sessions, setSessions] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState('');
+
+    const fetchSessions = async () => {
+        try {
+            const response = await authFetch(SESSIONS_URL);
+            if (!response.ok) throw new Error('Failed to load devices');
+
+            setSessions(await response.json());
+            setError('');
+        } catch (err) {
+            console.error('❌ Error loading sessions:', err);
+            setError('Could not load your signed-in devices');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    useEffect(() => {
+        fetchSessions();
+    }, []);
+
+    const handleSignOut = async (session) => {
+        const message = session.isCurrent
+            ? 'Sign out of this device?'
+            : `Sign out ${describeDevice(session.userAgent)}? It will have to log in again.`;
+        if (!window.confirm(message)) return;
+
+        try {
+            const response = await authFetch(`${SESSIONS_URL}/${session._id}`, {
+                method: 'DELETE'
+            });
+            if (!response.ok) {
+                const data = await response.json().catch(() => ({}));
+                throw new Error(data.message || 'Failed to sign out the device');
+            }
+
+            if (session.isCurrent) {
+                logout({ revokeSession: false });
+                return;
+            }
+            setSessions(prev => prev.filter(s => s._id !== session._id));
+        } catch (err) {
+            console.error('❌ Error signing out session:', err);
+            alert(err.message || 'Failed to sign out the device');
+        }
+    };
+
+    const handleLogoutAll = async () => {
+        if (!window.confirm('Log out of all devices, including this one?')) return;
+
+        try {
+            await logoutAllDevices();
+        } catch (err) {
+            console.error('❌ Error logging out of all devices:', err);
+            alert(err.message || 'Failed to log out of all devices');
+        }
+    };
+
+    return (
+        <div className="active-sessions">
+            <h3 className="active-sessions-title">Signed-in devices</h3>
+
+            {loading && <p className="active-sessions-hint">Loading devices...</p>}
+            {error && <p className="active-sessions-hint">{error}</p>}
+            {!loading && !error && sessions.length === 0 && (
+                <p className="active-sessions-hint">No signed-in devices found</p>
+            )}
+
+            <ul className="active-sessions-list">
+                {sessions.map(session => (
+                    <li key={session._id} className="active-session">
+                        <span className="active-session-icon">
+                            {isMobileAgent(session.userAgent) ? <Smartphone size={18} /> : <Monitor size={18} />}
+                        </span>
+                        <span className="active-session-details">
+                            <span className="active-session-name">
+                                {describeDevice(session.userAgent)}
+                                {session.isCurrent && <span className="active-session-current">This device</span>}
+                            </span>
+                            <span className="active-session-meta">
+                                {formatLastSeen(session)}
+                                {session.ipAddress && ` • ${session.ipAddress}`}
+                            </span>
+                        </span>
+                        <button
+                            type="button"
+                            className="active-session-signout"
+                            onClick={() => handleSignOut(session)}
+                            title="Sign out this device"
+                        >
+                            <LogOut size={16} />
+                        </button>
+                    </li>
+                ))}
+            </ul>
+
+            {sessions.length > 1 && (
+                <button type="button" className="active-sessions-logout-all" onClick={handleLogoutAll}>
+                    Log out of all devices
+                </button>
+            )}
+        </div>
+    );
+};
+
+export default ActiveSessions;
@@ -2,6 +2,7 @@
 import React, { useState, useEffect, useContext } from 'react';
 import { X, UserX, Shield } from 'lucide-react';
 import { SocketContext } from '../contexts/SocketContext';
+import { authFetch } from '../services/authTokens';
 import './BlockedUsersModal.css';
 
 const BlockedUsersModal = ({ isOpen, onClose }) => {
@@ -18,10 +19,8 @@ const BlockedUsersModal = ({ isOpen, onClose }) => {
     const fetchBlockedUsers = async () => {
         setLoading(true);
         try {
-            const token = localStorage.getItem('token');
-            const response = await fetch('https://lovebirds-mwyz.onrender.com/api/users/blocked/list', {
+            const response = await authFetch('https://lovebirds-mwyz.onrender.com/api/users/blocked/list', {
                 headers: {
-                    'Authorization': `Bearer ${token}`,
                     'Content-Type': 'application/json'
                 }
             });
@@ -3,8 +3,10 @@ import React, { useState, useEffect, useContext } from 'react';
 import { motion } from "framer-motion";
 import { useAuth } from "../contexts/AuthContext.jsx";
 import { SocketContext } from "../contexts/SocketContext.jsx";
+import { authFetch } from "../services/authTokens";
 import Sidebar from "./Sidebar.jsx";
 import ChatWindow from "./ChatWindow.jsx";
+import EmailVerificationBanner from "./EmailVerificationBanner.jsx";
 import "./ChatLayout.css";
 
 const LovebirdsIcon = () => (
@@ -13,9 +15,15 @@ const LovebirdsIcon = () => (
   </svg>
 );
 
+// Groups are selected like users, so give them a display name
+const toGroupChat = (group) => ({ ...group, isGroup: true, name: group.title });
+
 const ChatLayout = ({ messagesMap, lastMessageUpdate, onOptimisticMessage }) => {
   const [selectedUser, setSelectedUser] = useState(null);
+  const [jumpTarget, setJumpTarget] = useState(null);
   const [users, setUsers] = useState([]);
+  const [groups, setGroups] = useState([]);
+  const [chatSummaries, setChatSummaries] = useState({});
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [isSidebarVisible, setIsSidebarVisible] = useState(false);
@@ -41,9 +49,8 @@ const ChatLayout = ({ messagesMap, lastMessageUpdate, onOptimisticMessage }) =>
         }
 
         // Try to fetch friends list first
-        let response = await fetch('https://lovebirds-mwyz.onrender.com/api/users/friends/list', {
+        let response = await authFetch('https://lovebirds-mwyz.onrender.com/api/users/friends/list', {
           headers: {
-            'Authorization': `Bearer ${token}`,
             'Content-Type': 'application/json'
           }
         });
@@ -56,9 +63,8 @@ const ChatLayout = ({ messagesMap, lastMessageUpdate, onOptimisticMessage }) =>
         } else {
           // Fallback to all users if friends endpoint fails
           console.log('⚠️ [CHAT LAYOUT] Friends endpoint failed, fetching all users...');
-          response = await fetch('https://lovebirds-mwyz.onrender.com/api/users', {
+          response = await authFetch('https://lovebirds-mwyz.onrender.com/api/users', {
             headers: {
-              'Authorization': `Bearer ${token}`,
               'Content-Type': 'application/json'
             }
           });
@@ -101,6 +107,47 @@ const ChatLayout = ({ messagesMap, lastMessageUpdate, onOptimisticMessage }) =>
     }
   }, [user, authLoading]);
 
+  // ✅ Fetch conversations (groups + last message / unread count of every chat)
+  useEffect(() => {
+    const fetchConversations = async () => {
+      try {
+        const response = await authFetch('https://lovebirds-mwyz.onrender.com/api/conversations', {
+          headers: {
+            'Content-Type': 'application/json'
+          }
+        });
+
+        if (response.ok) {
+          const data = await response.json();
+          const summaries = {};
+
+          // Sidebar entries are keyed by the group id or the other user's id
+          data.forEach(conversation => {
+            const key = conversation.type === 'group' ? conversation._id : conversation.otherUser?._id;
+            if (!key) return;
+            summaries[key] = {
+              lastMessage: conversation.lastMessage,
+              lastMessageAt: conversation.lastMessageAt,
+              unreadCount: conversation.unreadCount
+            };
+          });
+
+          setGroups(data.filter(c => c.type === 'group').map(toGroupChat));
+          setChatSummaries(summaries);
+          console.log('✅ [CHAT LAYOUT] Loaded conversations:', data.length);
+        } else {
+          console.error('❌ [CHAT LAYOUT] Failed to fetch conversations');
+        }
+      } catch (err) {
+        console.error('❌ [CHAT LAYOUT] Error fetching conversations:', err);
+      }
+    };
+
+    if (!authLoading && user) {
+      fetchConversations();
+    }
+  }, [user, authLoading]);
+
   // ✅ Listen for user status updates via socket
   useEffect(() => {
     if (!socket) {
@@ -175,10 +222,86 @@ const ChatLayout = ({ messagesMap, lastMessageUpdate, onOptimisticMessage }) =>
       // For now, just log the event
     };
 
+    // ==================== GROUP CHATS ====================
+
+    const upsertGroup = (group) => {
+      const groupChat = toGroupChat(group);
+      setGroups(prev => [groupChat, ...prev.filter(g => g._id !== group._id)]);
+      return groupChat;
+    };
+
+    const handleGroupCreated = (group) => {
+      console.log('👥 [CHAT LAYOUT] Group created:', group.title);
+      const groupChat = upsertGroup(group);
+
+      // Open the new group for its creator
+      if (group.createdBy === user._id) {
+        setSelectedUser(groupChat);
+      }
+    };
+
+    const handleAddedToGroup = (group) => {
+      console.log('👥 [CHAT LAYOUT] Added to group:', group.title);
+      upsertGroup(group);
+      alert(`You were added to ${group.title}.`);
+    };
+
+    const handleGroupUpdated = (group) => {
+      console.log('👥 [CHAT LAYOUT] Group updated:', group.title);
+      const groupChat = toGroupChat(group);
+      setGroups(prev => prev.map(g => g._id === group._id ? groupChat : g));
+
+      if (selectedUser?._id === group._id) {
+        setSelectedUser(groupChat);
+      }
+    };
+
+    const removeGroup = (conversationId) => {
+      setGroups(prev => prev.filter(g => g._id !== conversationId));
+      if (selectedUser?._id === conversationId) {
+        setSelectedUser(null);
+      }
+    };
+
+    const handleLeftGroup = ({ conversationId }) => {
+      console.log('👋 [CHAT LAYOUT] Left group:', conversationId);
+      removeGroup(conversationId);
+    };
+
+    const handleRemovedFromGroup = ({ conversationId, title, removedBy }) => {
+      console.log('🚫 [CHAT LAYOUT] Removed from group:', conversationId);
+      removeGroup(conversationId);
+      alert(`${removedBy} removed you from ${title}.`);
+    };
+
+    // Clearing is per user - drop our cached preview for that chat
+    const handleChatCleared = ({ chatId }) => {
+      const chatKey = chatId.includes('_')
+        ? chatId.split('_').find(id => id !== user._id)
+        : chatId;
+
+      setChatSummaries(prev => {
+        const { [chatKey]: cleared, ...rest } = prev;
+        return rest;
+      });
+    };
+
+    const handleGroupError = (error) => {
+      console.error('❌ [CHAT LAYOUT] Group error:', error.message);
+      alert(error.message || 'Something went wrong with this group');
+    };
+
     socket.on('userStatus', handleUserStatus);
     socket.on('chatRequestAccepted', handleChatRequestAccepted);
     socket.on('userBlocked', handleUserBlocked);
     socket.on('userUnblocked', handleUserUnblocked);
+    socket.on('groupCreated', handleGroupCreated);
+    socket.on('addedToGroup', handleAddedToGroup);
+    socket.on('groupUpdated', handleGroupUpdated);
+    socket.on('leftGroup', handleLeftGroup);
+    socket.on('removedFromGroup', handleRemovedFromGroup);
+    socket.on('groupError', handleGroupError);
+    socket.on('chatCleared', handleChatCleared);
 
     return () => {
       console.log('🧹 [CHAT LAYOUT] Cleaning up socket listeners');
@@ -186,6 +309,13 @@ const ChatLayout = ({ messagesMap, lastMessageUpdate, onOptimisticMessage }) =>
       socket.off('chatRequestAccepted', handleChatRequestAccepted);
       socket.off('userBlocked', handleUserBlocked);
       socket.off('userUnblocked', handleUserUnblocked);
+      socket.off('groupCreated', handleGroupCreated);
+      socket.off('addedToGroup', handleAddedToGroup);
+      socket.off('groupUpdated', handleGroupUpdated);
+      socket.off('leftGroup', handleLeftGroup);
+      socket.off('removedFromGroup', handleRemovedFromGroup);
+      socket.off('groupError', handleGroupError);
+      socket.off('chatCleared', handleChatCleared);
     };
   }, [socket, user, selectedUser]);
 
@@ -194,6 +324,21 @@ const ChatLayout = ({ messagesMap, lastMessageUpdate, onOptimisticMessage }) =>
     setSelectedUser(user);
   };
 
+  // Open the chat a message belongs to (starred / search results) and scroll to the message
+  const handleOpenMessage = (chatSummary, message) => {
+    const chat = chatSummary.type === 'group'
+      ? groups.find(g => g._id === chatSummary._id)
+      : users.find(u => u._id === chatSummary._id);
+
+    if (!chat) {
+      alert('This chat is no longer available.');
+      return;
+    }
+
+    setSelectedUser(chat);
+    setJumpTarget({ chatId: message.chatId, messageId: message._id });
+  };
+
   // Show loading state while auth is being checked
   if (authLoading) {
     return (
@@ -256,6 +401,8 @@ const ChatLayout = ({ messagesMap, lastMessageUpdate, onOptimisticMessage }) =>
         <p className="logo-tagline">Connect & Share</p>
       </motion.div>
 
+      <EmailVerificationBanner />
+
       <motion.div
         initial={{ opacity: 0, y: 20 }}
         animate={{ opacity: 1, y: 0 }}
@@ -264,15 +411,22 @@ const ChatLayout = ({ messagesMap, lastMessageUpdate, onOptimisticMessage }) =>
       >
         <Sidebar 
           users={users} 
+          groups={groups}
+          chatSummaries={chatSummaries}
           selectedUser={selectedUser} 
           onSelectUser={handleSelectUser}
+          onOpenMessage={handleOpenMessage}
           messagesMap={messagesMap}
           lastMessageUpdate={lastMessageUpdate}
         />
         
         <ChatWindow 
           selectedUser={selectedUser}
+          friends={users}
+          groups={groups}
           onOptimisticMessage={onOptimisticMessage}
+          jumpTarget={jumpTarget}
+          onJumpHandled={() => setJumpTarget(null)}
         />
       </motion.div>
     </div>
@@ -1,19 +1,33 @@
 // src/components/ChatWindow.jsx - INCOGNITO WITH DURATION DROPDOWN
-import React, { useState, useEffect, useContext, useRef } from 'react';
-import MessageBubble from './MessageBubble';
+import React, { useState, useEffect, useLayoutEffect, useContext, useRef } from 'react';
+import MessageBubble, { getMessageSnippet } from './MessageBubble';
 import MessageInput from './MessageInput';
 import VideoCallModal from './VideoCallModal';
 import IncomingCallNotification from './IncomingCallNotification';
 import TypingIndicator from './TypingIndicator';
+import GroupModal from './GroupModal';
+import ForwardModal from './ForwardModal';
+import ViewOnceViewer from './ViewOnceViewer';
+import MessageSearchResults, { useMessageSearch } from './MessageSearchResults';
 import { SocketContext } from '../contexts/SocketContext';
 import { useAuth } from '../contexts/AuthContext.jsx';
 import { VideoCallContext } from '../contexts/VideoCallContext';
-import { Video, Send, Search, MoreVertical, Phone, Trash2, UserMinus, Ban, ChevronDown } from 'lucide-react';
+import { authFetch } from '../services/authTokens';
+import { Video, Send, Search, MoreVertical, Phone, Trash2, UserMinus, Ban, ChevronDown, Users, LogOut, Pin, X } from 'lucide-react';
 import './ChatWindow.css';
 
 const getChatId = (userA, userB) => [userA, userB].sort().join('_');
 
-const ChatWindow = ({ selectedUser, onOptimisticMessage }) => {
+// Group chats use the conversation id as their room
+const getRoomId = (userId, chat) => chat.isGroup ? chat._id : getChatId(userId, chat._id);
+
+// Socket payload identifying the chat: a group conversation or the other user
+const getChatTarget = (chat) => chat.isGroup ? { conversationId: chat._id } : { otherUserId: chat._id };
+
+// Load older messages once the user scrolls this close (px) to the top
+const LOAD_OLDER_THRESHOLD = 80;
+
+const ChatWindow = ({ selectedUser, friends = [], groups = [], onOptimisticMessage, jumpTarget, onJumpHandled }) => {
     const [messages, setMessages] = useState([]);
     const [searchTerm, setSearchTerm] = useState('');
     const [showSearch, setShowSearch] = useState(false);
@@ -24,7 +38,23 @@ const ChatWindow = ({ selectedUser, onOptimisticMessage }) => {
     const [incognitoEnabled, setIncognitoEnabled] = useState(false);
     const [incognitoExpiry, setIncognitoExpiry] = useState(null);
     const [incognitoDuration, setIncognitoDuration] = useState(3); // Default 3 hours
+    // Pending request to turn incognito on: { requestedBy, durationHours, requestedAt }
+    const [incognitoRequest, setIncognitoRequest] = useState(null);
     const [showDurationMenu, setShowDurationMenu] = useState(false);
+    // Incognito chats are blurred while the window is in the background
+    const [isContentHidden, setIsContentHidden] = useState(false);
+    const [showGroupInfo, setShowGroupInfo] = useState(false);
+    const [hasMoreMessages, setHasMoreMessages] = useState(false);
+    const [loadingOlder, setLoadingOlder] = useState(false);
+    const [editWindowMs, setEditWindowMs] = useState(0);
+    const [deleteWindowMs, setDeleteWindowMs] = useState(0);
+    const [replyingTo, setReplyingTo] = useState(null);
+    const [highlightedMessageId, setHighlightedMessageId] = useState(null);
+    const [forwardingMessage, setForwardingMessage] = useState(null);
+    const [pinnedMessages, setPinnedMessages] = useState([]);
+    const [activePinIndex, setActivePinIndex] = useState(0);
+    const [loadedChatId, setLoadedChatId] = useState(null);
+    const [openViewOnce, setOpenViewOnce] = useState(null);
     const typingTimeoutRef = useRef(null);
     const durationMenuRef = useRef(null);
 
@@ -32,12 +62,42 @@ const ChatWindow = ({ selectedUser, onOptimisticMessage }) => {
     const { user } = useAuth();
     const { callUser } = useContext(VideoCallContext);
     const messagesEndRef = useRef(null);
+    const messagesAreaRef = useRef(null);
+    const scrollAnchorRef = useRef(null);
+    const jumpToBottomRef = useRef(false);
+    const pendingJumpRef = useRef(null);
+    const highlightTimeoutRef = useRef(null);
+
+    // The loaded messages are filtered locally; the server finds matches further back in history
+    const { results: searchResults, searching: searchingMessages } = useMessageSearch(
+        showSearch ? searchTerm : '',
+        selectedUser && user ? getRoomId(user._id, selectedUser) : null
+    );
 
     const scrollToBottom = () => {
         messagesEndRef.current?.scrollIntoView({ behavior: "smooth" });
     };
 
-    useEffect(scrollToBottom, [messages, isTyping]);
+    useLayoutEffect(() => {
+        const area = messagesAreaRef.current;
+
+        // Older messages were prepended - keep the same messages in view
+        if (scrollAnchorRef.current && area) {
+            const { scrollHeight, scrollTop } = scrollAnchorRef.current;
+            area.scrollTop = area.scrollHeight - scrollHeight + scrollTop;
+            scrollAnchorRef.current = null;
+            return;
+        }
+
+        // First page of a chat - jump straight to the newest message
+        if (jumpToBottomRef.current && area) {
+            area.scrollTop = area.scrollHeight;
+            jumpToBottomRef.current = false;
+            return;
+        }
+
+        scrollToBottom();
+    }, [messages, isTyping]);
 
     // Close duration menu when clicking outside
     useEffect(() => {
@@ -54,7 +114,7 @@ const ChatWindow = ({ selectedUser, onOptimisticMessage }) => {
     useEffect(() => {
         if (!socket || !selectedUser || !user) return;
 
-        const chatId = getChatId(user._id, selectedUser._id);
+        const chatId = getRoomId(user._id, selectedUser);
 
         const handleReceiveMessage = (newMessage) => {
             if (!newMessage || !newMessage.sender?._id) return;
@@ -74,42 +134,135 @@ const ChatWindow = ({ selectedUser, onOptimisticMessage }) => {
         };
 
         const handleMessagesLoaded = (data) => {
-            if (data.chatId === chatId) {
-                setMessages(data.messages);
-                setLoading(false);
-
-                const unreadMessages = data.messages.filter(msg =>
-                    msg.sender._id !== user._id && !msg.isRead
-                );
+            if (data.chatId !== chatId) return;
 
-                if (unreadMessages.length > 0) {
-                    socket.emit('markChatAsRead', { otherUserId: selectedUser._id });
+            if (data.before) {
+                // Older page: prepend, skipping anything we already have, and remember
+                // where we are so the view doesn't jump
+                const area = messagesAreaRef.current;
+                if (area) {
+                    scrollAnchorRef.current = { scrollHeight: area.scrollHeight, scrollTop: area.scrollTop };
                 }
+                setMessages(prev => {
+                    const knownIds = new Set(prev.map(msg => msg._id));
+                    return [...data.messages.filter(msg => !knownIds.has(msg._id)), ...prev];
+                });
+                setHasMoreMessages(data.hasMore);
+                setLoadingOlder(false);
+                return;
+            }
+
+            jumpToBottomRef.current = true;
+            setMessages(data.messages);
+            setLoadedChatId(chatId);
+            setHasMoreMessages(data.hasMore);
+            setEditWindowMs(data.editWindowMs || 0);
+            setDeleteWindowMs(data.deleteWindowMs || 0);
+            setLoading(false);
+
+            const unreadMessages = data.messages.filter(msg =>
+                msg.sender._id !== user._id && !msg.isRead
+            );
+
+            if (unreadMessages.length > 0) {
+                socket.emit('markChatAsRead', getChatTarget(selectedUser));
             }
         };
 
         const handleMessagesLoadError = (error) => {
             setLoading(false);
+            setLoadingOlder(false);
             if (error.requiresFriendship) {
                 alert('You must be friends with this user to view messages. Send a chat request first!');
             } else if (error.isBlocked) {
                 alert('You cannot view messages from this user.');
+            } else if (error.notMember) {
+                alert('You are no longer a member of this group.');
             }
         };
 
         const handleChatCleared = (data) => {
             if (data.chatId === chatId) {
                 setMessages([]);
+                setPinnedMessages([]);
                 setShowMenu(false);
             }
         };
 
+        // Replies quoting a changed message show the change too
+        const updateQuotes = (list, messageId, changes) => list.map(msg => msg.replyTo?._id === messageId
+            ? { ...msg, replyTo: { ...msg.replyTo, ...changes } }
+            : msg
+        );
+
         const handleMessageDeleted = (data) => {
-            if (data.chatId === chatId) {
+            if (data.chatId !== chatId) return;
+
+            // Deleted for everyone stays as a tombstone, anything else disappears
+            if (data.scope === 'everyone') {
+                setMessages(prev => updateQuotes(prev.map(msg => msg._id === data.messageId
+                    ? { ...msg, isDeleted: true, deletedAt: data.deletedAt, content: {}, editedAt: null, editHistory: [] }
+                    : msg
+                ), data.messageId, { isDeleted: true, content: {} }));
+            } else {
                 setMessages(prev => prev.filter(msg => msg._id !== data.messageId));
+                // Expired messages are unpinned on the server without a separate pinsUpdated
+                setPinnedMessages(prev => prev.filter(pin => pin.message?._id !== data.messageId));
+            }
+        };
+
+        const handleReactionUpdated = (data) => {
+            if (data.chatId !== chatId) return;
+            setMessages(prev => prev.map(msg => msg._id === data.messageId
+                ? { ...msg, reactions: data.reactions }
+                : msg
+            ));
+        };
+
+        const handleReactionError = (error) => {
+            alert(error.message || 'Failed to update reaction');
+        };
+
+        const handlePinsUpdated = (data) => {
+            if (data.chatId !== chatId) return;
+            setPinnedMessages(data.pins);
+            setActivePinIndex(0);
+        };
+
+        const handlePinError = (error) => {
+            alert(error.message || 'Failed to update pinned messages');
+        };
+
+        const handleMessageForwarded = ({ results }) => {
+            setForwardingMessage(null);
+
+            const failed = results.filter(result => !result.success);
+            if (failed.length > 0) {
+                alert(`Forwarded to ${results.length - failed.length} of ${results.length} chats. ` +
+                    `Some chats could not receive it: ${failed.map(result => result.message).join(', ')}`);
             }
         };
 
+        const handleForwardMessageError = (error) => {
+            alert(error.message || 'Failed to forward message');
+        };
+
+        const handleDeleteMessageError = (error) => {
+            alert(error.message || 'Failed to delete message');
+        };
+
+        const handleMessageEdited = (data) => {
+            if (data.chatId !== chatId) return;
+            setMessages(prev => updateQuotes(prev.map(msg => msg._id === data.messageId
+                ? { ...msg, content: data.content, editedAt: data.editedAt, editHistory: data.editHistory }
+                : msg
+            ), data.messageId, { content: data.content }));
+        };
+
+        const handleEditMessageError = (error) => {
+            alert(error.message || 'Failed to edit message');
+        };
+
         const handleMessageDelivered = (data) => {
             const { messageId, deliveredAt } = data;
             setMessages(prev => prev.map(msg => {
@@ -142,12 +295,56 @@ const ChatWindow = ({ selectedUser, onOptimisticMessage }) => {
             }
         };
 
+        const handleGroupMessagesRead = (data) => {
+            if (data.chatId !== chatId) return;
+
+            const receipts = new Map(data.receipts.map(r => [r.messageId, r]));
+            setMessages(prev => prev.map(msg => {
+                const receipt = receipts.get(msg._id);
+                if (!receipt) return msg;
+                return {
+                    ...msg,
+                    isRead: receipt.isRead,
+                    readAt: receipt.readAt,
+                    readBy: [...(msg.readBy || []), { user: data.readBy, readAt: data.readAt }]
+                };
+            }));
+        };
+
+        // Disappearing timers start once a message is read; view-once messages once everyone opened them
+        const handleMessageTimersStarted = (data) => {
+            if (data.chatId !== chatId) return;
+
+            const timers = new Map(data.timers.map(timer => [timer.messageId, timer.expiresAt]));
+            setMessages(prev => prev.map(msg => timers.has(msg._id)
+                ? { ...msg, expiresAt: timers.get(msg._id) }
+                : msg
+            ));
+        };
+
+        const handleViewOnceViewed = (data) => {
+            if (data.chatId !== chatId) return;
+            setMessages(prev => prev.map(msg => msg._id === data.messageId
+                ? { ...msg, viewedBy: [...(msg.viewedBy || []), data.viewedBy] }
+                : msg
+            ));
+        };
+
+        const handleViewOnceOpened = (data) => {
+            if (data.chatId !== chatId) return;
+            setOpenViewOnce(data);
+        };
+
+        const handleViewOnceError = (error) => {
+            alert(error.message || 'Failed to open message');
+        };
+
         const handleTyping = (data) => {
             if (data?.userId === user._id) return;
-            if (data?.userId !== selectedUser._id) return;
+            if (!selectedUser.isGroup && data?.userId !== selectedUser._id) return;
             if (data?.chatId !== chatId) return;
             
-            setTypingUser(selectedUser.name);
+            setTypingUser(selectedUser.isGroup ? data.userName : selectedUser.name);
             setIsTyping(true);
             
             if (typingTimeoutRef.current) {
@@ -162,7 +359,7 @@ const ChatWindow = ({ selectedUser, onOptimisticMessage }) => {
         
         const handleStopTyping = (data) => {
             if (data?.userId === user._id) return;
-            if (data?.userId !== selectedUser._id) return;
+            if (!selectedUser.isGroup && data?.userId !== selectedUser._id) return;
             if (data?.chatId !== chatId) return;
             
             setIsTyping(false);
@@ -173,22 +370,7 @@ const ChatWindow = ({ selectedUser, onOptimisticMessage }) => {
             }
         };
 
-        const handleIncognitoEnabled = (data) => {
-            if (data.chatId === chatId) {
-                setIncognitoEnabled(true);
-                setIncognitoExpiry(new Date(data.expiresAt));
-                console.log('🕵️ Incognito mode enabled:', data);
-            }
-        };
-
-        const handleIncognitoDisabled = (data) => {
-            if (data.chatId === chatId) {
-                setIncognitoEnabled(false);
-                setIncognitoExpiry(null);
-                console.log('👁️ Incognito mode disabled:', data);
-            }
-        };
-
+        // Incognito is shared: both users get the same status whenever it changes
         const handleIncognitoStatus = (data) => {
             if (data.chatId === chatId) {
                 setIncognitoEnabled(data.enabled);
@@ -197,23 +379,41 @@ const ChatWindow = ({ selectedUser, onOptimisticMessage }) => {
                 } else {
                     setIncognitoExpiry(null);
                 }
-                console.log('🕵️ Incognito status loaded:', data);
+                setIncognitoRequest(data.request || null);
+                console.log('🕵️ Incognito status:', data);
             }
         };
 
+        const handleIncognitoError = (error) => {
+            alert(error.message || 'Failed to change incognito mode');
+        };
+
         socket.on('receiveMessage', handleReceiveMessage);
         socket.on('messagesLoaded', handleMessagesLoaded);
         socket.on('messagesLoadError', handleMessagesLoadError);
         socket.on('chatCleared', handleChatCleared);
         socket.on('messageDeleted', handleMessageDeleted);
+        socket.on('messageEdited', handleMessageEdited);
+        socket.on('editMessageError', handleEditMessageError);
+        socket.on('deleteMessageError', handleDeleteMessageError);
+        socket.on('reactionUpdated', handleReactionUpdated);
+        socket.on('reactionError', handleReactionError);
+        socket.on('pinsUpdated', handlePinsUpdated);
+        socket.on('pinError', handlePinError);
+        socket.on('messageForwarded', handleMessageForwarded);
+        socket.on('forwardMessageError', handleForwardMessageError);
         socket.on('messageDelivered', handleMessageDelivered);
         socket.on('messageRead', handleMessageRead);
         socket.on('chatRead', handleChatRead);
+        socket.on('groupMessagesRead', handleGroupMessagesRead);
+        socket.on('messageTimersStarted', handleMessageTimersStarted);
+        socket.on('viewOnceViewed', handleViewOnceViewed);
+        socket.on('viewOnceOpened', handleViewOnceOpened);
+        socket.on('viewOnceError', handleViewOnceError);
         socket.on('typing', handleTyping);
         socket.on('stopTyping', handleStopTyping);
-        socket.on('incognitoEnabled', handleIncognitoEnabled);
-        socket.on('incognitoDisabled', handleIncognitoDisabled);
         socket.on('incognitoStatus', handleIncognitoStatus);
+        socket.on('incognitoError', handleIncognitoError);
 
         socket.on('messageSent', (confirmation) => {
             if (confirmation?.success && confirmation.tempId) {
@@ -238,6 +438,8 @@ const ChatWindow = ({ selectedUser, onOptimisticMessage }) => {
                 alert('You must be friends to send messages. Send a chat request first!');
             } else if (error.isBlocked) {
                 alert('You cannot send messages to this user.');
+            } else if (error.notMember) {
+                alert('You are no longer a member of this group.');
             }
             
             if (error.tempId) {
@@ -255,7 +457,9 @@ const ChatWindow = ({ selectedUser, onOptimisticMessage }) => {
             }
         });
 
-        socket.emit('getIncognitoStatus', { otherUserId: selectedUser._id });
+        if (!selectedUser.isGroup) {
+            socket.emit('getIncognitoStatus', { otherUserId: selectedUser._id });
+        }
 
         return () => {
             socket.off('receiveMessage', handleReceiveMessage);
@@ -263,14 +467,27 @@ const ChatWindow = ({ selectedUser, onOptimisticMessage }) => {
             socket.off('messagesLoadError', handleMessagesLoadError);
             socket.off('chatCleared', handleChatCleared);
             socket.off('messageDeleted', handleMessageDeleted);
+            socket.off('messageEdited', handleMessageEdited);
+            socket.off('editMessageError', handleEditMessageError);
+            socket.off('deleteMessageError', handleDeleteMessageError);
+            socket.off('reactionUpdated', handleReactionUpdated);
+            socket.off('reactionError', handleReactionError);
+            socket.off('pinsUpdated', handlePinsUpdated);
+            socket.off('pinError', handlePinError);
+            socket.off('messageForwarded', handleMessageForwarded);
+            socket.off('forwardMessageError', handleForwardMessageError);
             socket.off('messageDelivered', handleMessageDelivered);
             socket.off('messageRead', handleMessageRead);
             socket.off('chatRead', handleChatRead);
+            socket.off('groupMessagesRead', handleGroupMessagesRead);
+            socket.off('messageTimersStarted', handleMessageTimersStarted);
+            socket.off('viewOnceViewed', handleViewOnceViewed);
+            socket.off('viewOnceOpened', handleViewOnceOpened);
+            socket.off('viewOnceError', handleViewOnceError);
             socket.off('typing', handleTyping);
             socket.off('stopTyping', handleStopTyping);
-            socket.off('incognitoEnabled', handleIncognitoEnabled);
-            socket.off('incognitoDisabled', handleIncognitoDisabled);
             socket.off('incognitoStatus', handleIncognitoStatus);
+            socket.off('incognitoError', handleIncognitoError);
             socket.off('messageSent');
             socket.off('sendMessageError');
             if (typingTimeoutRef.current) {
@@ -279,43 +496,53 @@ const ChatWindow = ({ selectedUser, onOptimisticMessage }) => {
         };
     }, [socket, selectedUser, user]);
 
-    const handleToggleIncognito = (hours = null) => {
+    const hasOwnIncognitoRequest = incognitoRequest?.requestedBy === user?._id;
+    const hasIncomingIncognitoRequest = !!incognitoRequest && !hasOwnIncognitoRequest;
+
+    // Switching on only asks the other user (or accepts their request); switching off
+    // ends incognito for both, or takes back our own request
+    const handleToggleIncognito = () => {
         if (!socket || !selectedUser) return;
-        
-        const newState = !incognitoEnabled;
-        const duration = hours || incognitoDuration;
-        
-        console.log('🔄 Toggling incognito mode:', newState, 'Duration:', duration, 'hours');
-        
+
+        const newState = !incognitoEnabled && !hasOwnIncognitoRequest;
+
+        console.log('🔄 Toggling incognito mode:', newState, 'Duration:', incognitoDuration, 'hours');
+
         socket.emit('toggleIncognito', {
             otherUserId: selectedUser._id,
             enabled: newState,
-            durationHours: duration
+            durationHours: incognitoDuration
         });
 
         setShowDurationMenu(false);
     };
 
+    const handleRespondToIncognito = (accept) => {
+        if (!socket || !selectedUser) return;
+        socket.emit('respondToIncognitoRequest', { otherUserId: selectedUser._id, accept });
+    };
+
+    // The duration applies to the next request
     const handleDurationSelect = (hours) => {
         setIncognitoDuration(hours);
-        if (incognitoEnabled) {
-            // If already enabled, restart with new duration
-            handleToggleIncognito(hours);
-        } else {
-            // If not enabled, just save the selection
-            setShowDurationMenu(false);
-        }
+        setShowDurationMenu(false);
     };
 
-    const handleSendMessage = async (content) => {
+    // `options` carries the disappearing settings: { disappearAfterSeconds } / { viewOnce }
+    const handleSendMessage = async (content, options = {}) => {
         if (!content.trim() || !selectedUser || !socket) return;
         const tempId = Date.now().toString();
-        const chatId = getChatId(user._id, selectedUser._id);
+        const chatId = getRoomId(user._id, selectedUser);
+        const target = selectedUser.isGroup
+            ? { conversationId: selectedUser._id }
+            : { receiverId: selectedUser._id };
 
         socket.emit('sendMessage', {
-            receiverId: selectedUser._id,
+            ...target,
             messageType: 'text',
             content: { text: content },
+            replyTo: replyingTo?._id,
+            ...options,
             tempId: tempId
         });
 
@@ -325,9 +552,11 @@ const ChatWindow = ({ selectedUser, onOptimisticMessage }) => {
             _id: tempId,
             tempId,
             chatId,
-            receiverId: selectedUser._id,
+            ...target,
             sender: { _id: user._id, name: user.name, avatar: user.avatar },
             content: { text: content },
+            replyTo: replyingTo,
+            ...options,
             messageType: 'text',
             createdAt: new Date().toISOString(),
             isOptimistic: true,
@@ -338,10 +567,11 @@ const ChatWindow = ({ selectedUser, onOptimisticMessage }) => {
         };
 
         setMessages(prev => [...prev, optimisticMessage]);
+        setReplyingTo(null);
 
         if (onOptimisticMessage) onOptimisticMessage(optimisticMessage, selectedUser._id);
 
-        if (!selectedUser.isOnline) {
+        if (!selectedUser.isGroup && !selectedUser.isOnline) {
             try {
                 await fetch('https://lovebirds-mwyz.onrender.com/api/send-email', {
                     method: 'POST',
@@ -357,14 +587,14 @@ const ChatWindow = ({ selectedUser, onOptimisticMessage }) => {
         }
     };
 
-    const handleSendFile = async (file) => {
+    const handleSendFile = async (file, options = {}) => {
         if (!file || !selectedUser || !socket) return;
         
         const formData = new FormData();
         formData.append('file', file);
         
         try {
-            const response = await fetch('https://lovebirds-mwyz.onrender.com/api/upload', {
+            const response = await authFetch('https://lovebirds-mwyz.onrender.com/api/upload', {
                 method: 'POST',
                 body: formData,
             });
@@ -387,15 +617,20 @@ const ChatWindow = ({ selectedUser, onOptimisticMessage }) => {
             }
             
             const tempId = Date.now().toString();
-            const chatId = getChatId(user._id, selectedUser._id);
+            const chatId = getRoomId(user._id, selectedUser);
+            const target = selectedUser.isGroup
+                ? { conversationId: selectedUser._id }
+                : { receiverId: selectedUser._id };
 
             socket.emit('sendMessage', {
-                receiverId: selectedUser._id,
+                ...target,
                 messageType,
                 content: { 
                     fileUrl, 
                     fileName: messageType === 'voice' ? `voice-message-${Date.now()}.webm` : fileName 
                 },
+                replyTo: replyingTo?._id,
+                ...options,
                 tempId: tempId
             });
 
@@ -403,12 +638,14 @@ const ChatWindow = ({ selectedUser, onOptimisticMessage }) => {
                 _id: tempId,
                 tempId,
                 chatId,
-                receiverId: selectedUser._id,
+                ...target,
                 sender: { _id: user._id, name: user.name, avatar: user.avatar },
                 content: { 
                     fileUrl, 
                     fileName: messageType === 'voice' ? `voice-message-${Date.now()}.webm` : fileName 
                 },
+                replyTo: replyingTo,
+                ...options,
                 messageType,
                 createdAt: new Date().toISOString(),
                 isOptimistic: true,
@@ -419,6 +656,7 @@ const ChatWindow = ({ selectedUser, onOptimisticMessage }) => {
             };
 
             setMessages(prev => [...prev, optimisticMessage]);
+            setReplyingTo(null);
             
         } catch (error) {
             console.error('❌ Error uploading and sending file:', error);
@@ -427,8 +665,9 @@ const ChatWindow = ({ selectedUser, onOptimisticMessage }) => {
     };
 
     const handleClearChat = () => {
-        if (window.confirm('Are you sure you want to clear this chat? This action cannot be undone.')) {
-            socket.emit('clearChat', { otherUserId: selectedUser._id });
+        const others = selectedUser.isGroup ? 'The other members' : selectedUser.name;
+        if (window.confirm(`Clear this chat? Its history will be removed for you only - ${others} will keep their copy.`)) {
+            socket.emit('clearChat', getChatTarget(selectedUser));
         }
         setShowMenu(false);
     };
@@ -459,6 +698,13 @@ const ChatWindow = ({ selectedUser, onOptimisticMessage }) => {
         }
     };
 
+    const handleLeaveGroup = () => {
+        if (window.confirm(`Are you sure you want to leave ${selectedUser.name}?`)) {
+            socket.emit('leaveGroup', { conversationId: selectedUser._id });
+        }
+        setShowMenu(false);
+    };
+
     useEffect(() => {
         if (!selectedUser) {
             setMessages([]);
@@ -471,20 +717,200 @@ const ChatWindow = ({ selectedUser, onOptimisticMessage }) => {
         setSearchTerm('');
         setShowSearch(false);
         setShowMenu(false);
+        setShowGroupInfo(false);
         setLoading(true);
+        setHasMoreMessages(false);
+        setLoadingOlder(false);
+        setReplyingTo(null);
+        setForwardingMessage(null);
+        setPinnedMessages([]);
+        setActivePinIndex(0);
+        setLoadedChatId(null);
+        pendingJumpRef.current = null;
         setIsTyping(false);
+        setIncognitoRequest(null);
+
+        if (selectedUser.isGroup) {
+            setIncognitoEnabled(false);
+            setIncognitoExpiry(null);
+        }
 
         if (socket) {
-            const roomId = getChatId(user._id, selectedUser._id);
+            const roomId = getRoomId(user._id, selectedUser);
             socket.emit('joinChat', roomId);
-            socket.emit('loadMessages', { otherUserId: selectedUser._id });
+            socket.emit('loadMessages', getChatTarget(selectedUser));
         }
-    }, [selectedUser, socket, user]);
+
+        fetchPinnedMessages(getRoomId(user._id, selectedUser));
+    }, [selectedUser?._id, socket, user]);
+
+    const fetchPinnedMessages = async (chatId) => {
+        try {
+            const response = await authFetch(`https://lovebirds-mwyz.onrender.com/api/messages/${chatId}/pins`, {
+                headers: {
+                    'Content-Type': 'application/json'
+                }
+            });
+
+            if (response.ok) {
+                setPinnedMessages(await response.json());
+            }
+        } catch (error) {
+            console.error('Failed to fetch pinned messages:', error);
+        }
+    };
+
+    const handleToggleStar = async (messageId, isStarred) => {
+        // Optimistic: flip it right away and put it back if the request fails
+        const setStarred = (value) => setMessages(prev => prev.map(msg => msg._id === messageId
+            ? { ...msg, isStarred: value }
+            : msg
+        ));
+        setStarred(!isStarred);
+
+        try {
+            const response = await authFetch(`https://lovebirds-mwyz.onrender.com/api/messages/${messageId}/star`, {
+                method: isStarred ? 'DELETE' : 'POST'
+            });
+
+            if (!response.ok) {
+                const errorData = await response.json();
+                throw new Error(errorData.message || 'Failed to update starred message');
+            }
+        } catch (error) {
+            setStarred(isStarred);
+            alert(error.message);
+        }
+    };
+
+    const handleOpenViewOnce = (messageId) => {
+        if (!socket) return;
+        socket.emit('openViewOnce', { messageId });
+    };
+
+    const handleTogglePin = (messageId, isPinned) => {
+        if (!socket) return;
+        socket.emit(isPinned ? 'unpinMessage' : 'pinMessage', { messageId });
+    };
+
+    // Jump to the shown pin and move the banner on to the next one
+    const handlePinnedBannerClick = () => {
+        const pin = pinnedMessages[activePinIndex];
+        if (!pin) return;
+
+        jumpToMessage(pin.message._id);
+        setActivePinIndex(prev => (prev + 1) % pinnedMessages.length);
+    };
+
+    const handleEditMessage = (messageId, text) => {
+        if (!socket) return;
+        socket.emit('editMessage', { messageId, text });
+    };
+
+    const handleDeleteMessage = (messageId, scope) => {
+        if (!socket) return;
+        if (scope === 'everyone' && !window.confirm('Delete this message for everyone?')) return;
+        socket.emit('deleteMessage', { messageId, scope });
+    };
+
+    const handleReact = (messageId, emoji) => {
+        if (!socket) return;
+        socket.emit('addReaction', { messageId, emoji });
+    };
+
+    const handleForwardMessage = (targets) => {
+        if (!socket || !forwardingMessage) return;
+        socket.emit('forwardMessage', { messageId: forwardingMessage._id, targets });
+    };
+
+    const handleRemoveReaction = (messageId) => {
+        if (!socket) return;
+        socket.emit('removeReaction', { messageId });
+    };
+
+    const canDeleteForEveryone = (msg) => (
+        isSenderMessage(msg) &&
+        !msg.isDeleted &&
+        Date.now() - new Date(msg.createdAt).getTime() < deleteWindowMs
+    );
+
+    // Only your own, already sent text messages inside the server's edit window
+    const canEditMessage = (msg) => (
+        isSenderMessage(msg) &&
+        (msg.messageType || 'text') === 'text' &&
+        !msg.isOptimistic && !msg.failed && !msg.isDeleted &&
+        Date.now() - new Date(msg.createdAt).getTime() < editWindowMs
+    );
+
+    const loadOlderMessages = () => {
+        if (!socket || !selectedUser || loading || loadingOlder || !hasMoreMessages) return false;
+
+        const oldestMessage = messages.find(msg => !msg.isOptimistic && !msg.failed);
+        if (!oldestMessage) return false;
+
+        setLoadingOlder(true);
+        socket.emit('loadMessages', { ...getChatTarget(selectedUser), before: oldestMessage._id });
+        return true;
+    };
+
+    const handleMessagesScroll = (e) => {
+        if (e.currentTarget.scrollTop > LOAD_OLDER_THRESHOLD) return;
+        loadOlderMessages();
+    };
+
+    // Scroll to a quoted message, paging back through history until it is loaded
+    const jumpToMessage = (messageId) => {
+        const element = document.getElementById(`message-${messageId}`);
+
+        if (element) {
+            element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+            setHighlightedMessageId(messageId);
+            clearTimeout(highlightTimeoutRef.current);
+            highlightTimeoutRef.current = setTimeout(() => setHighlightedMessageId(null), 1500);
+            return;
+        }
+
+        // Loaded but hidden by the search filter
+        if (messages.some(msg => msg._id === messageId)) {
+            pendingJumpRef.current = messageId;
+            setSearchTerm('');
+            setShowSearch(false);
+            return;
+        }
+
+        if (hasMoreMessages) {
+            pendingJumpRef.current = messageId;
+            if (!loadingOlder) loadOlderMessages();
+            return;
+        }
+
+        alert('The original message is no longer available.');
+    };
+
+    // Continue a pending jump once the next page (or the unfiltered list) has rendered
+    useEffect(() => {
+        const pendingMessageId = pendingJumpRef.current;
+        if (!pendingMessageId || loadingOlder) return;
+
+        pendingJumpRef.current = null;
+        jumpToMessage(pendingMessageId);
+    }, [messages, loadingOlder, searchTerm]);
+
+    // Opened from the starred panel: wait for the target chat's first page, then jump
+    useEffect(() => {
+        if (!jumpTarget || !user || !selectedUser || loading) return;
+        if (loadedChatId !== jumpTarget.chatId || loadedChatId !== getRoomId(user._id, selectedUser)) return;
+
+        onJumpHandled?.();
+        jumpToMessage(jumpTarget.messageId);
+    }, [jumpTarget, loadedChatId, loading]);
+
+    useEffect(() => () => clearTimeout(highlightTimeoutRef.current), []);
 
     useEffect(() => {
         const handleVisibilityChange = () => {
             if (!document.hidden && selectedUser && socket) {
-                socket.emit('markChatAsRead', { otherUserId: selectedUser._id });
+                socket.emit('markChatAsRead', getChatTarget(selectedUser));
             }
         };
 
@@ -497,6 +923,59 @@ const ChatWindow = ({ selectedUser, onOptimisticMessage }) => {
         };
     }, [selectedUser, socket]);
 
+    // Incognito chats discourage capture: the chat blurs while the window is in the background,
+    // and print / screenshot shortcuts are reported to the other member
+    useEffect(() => {
+        if (!incognitoEnabled || !selectedUser || selectedUser.isGroup || !socket) {
+            setIsContentHidden(false);
+            return;
+        }
+
+        const reportCapture = (kind) => {
+            socket.emit('captureAttempt', { otherUserId: selectedUser._id, kind });
+        };
+
+        const handleFocusChange = () => setIsContentHidden(document.hidden || !document.hasFocus());
+        const handleBeforePrint = () => reportCapture('print');
+
+        // PrintScreen only reliably fires keyup; macOS (Cmd+Shift+3/4/5) and Windows (Win+Shift+S)
+        // shortcuts fire keydown, if the OS lets the browser see them at all
+        const handleKeyUp = (event) => {
+            if (event.key === 'PrintScreen') {
+                setIsContentHidden(true);
+                reportCapture('screenshot');
+            }
+        };
+        const handleKeyDown = (event) => {
+            if (event.metaKey && event.shiftKey && ['3', '4', '5', 's'].includes(event.key?.toLowerCase())) {
+                setIsContentHidden(true);
+                reportCapture('screenshot');
+            }
+        };
+
+        handleFocusChange();
+        window.addEventListener('blur', handleFocusChange);
+        window.addEventListener('focus', handleFocusChange);
+        document.addEventListener('visibilitychange', handleFocusChange);
+        window.addEventListener('beforeprint', handleBeforePrint);
+        window.addEventListener('keyup', handleKeyUp);
+        window.addEventListener('keydown', handleKeyDown);
+
+        return () => {
+            window.removeEventListener('blur', handleFocusChange);
+            window.removeEventListener('focus', handleFocusChange);
+            document.removeEventListener('visibilitychange', handleFocusChange);
+            window.removeEventListener('beforeprint', handleBeforePrint);
+            window.removeEventListener('keyup', handleKeyUp);
+            window.removeEventListener('keydown', handleKeyDown);
+        };
+    }, [incognitoEnabled, selectedUser, socket]);
+
+    // No copying, cutting or context menu (save image as...) in incognito chats
+    const preventCapture = (event) => {
+        if (incognitoEnabled) event.preventDefault();
+    };
+
     if (!selectedUser) {
         return (
             <div className="chat-placeholder">
@@ -523,6 +1002,9 @@ const ChatWindow = ({ selectedUser, onOptimisticMessage }) => {
         ? messages.filter(msg => msg.content?.text?.toLowerCase().includes(searchTerm.toLowerCase()))
         : messages;
 
+    const pinnedMessageIds = new Set(pinnedMessages.map(pin => pin.message._id));
+    const activePin = pinnedMessages[activePinIndex] || pinnedMessages[0];
+
     const getRemainingTime = () => {
         if (!incognitoExpiry) return '';
         const now = new Date();
@@ -557,15 +1039,26 @@ const ChatWindow = ({ selectedUser, onOptimisticMessage }) => {
                     />
                     <div className="user-details">
                         <h3 className="header-name">{selectedUser.name}</h3>
-                        <p className="header-status">
-                            <span className={`status-indicator ${selectedUser.isOnline ? 'online' : 'offline'}`}></span>
-                            {isTyping ? `${selectedUser.name} is typing...` : selectedUser.isOnline ? 'Active now' : 'Offline'}
-                        </p>
+                        {selectedUser.isGroup ? (
+                            <p className="header-status">
+                                {isTyping ? `${typingUser} is typing...` : `${selectedUser.members?.length || 0} members`}
+                            </p>
+                        ) : (
+                            <p className="header-status">
+                                <span className={`status-indicator ${selectedUser.isOnline ? 'online' : 'offline'}`}></span>
+                                {isTyping ? `${selectedUser.name} is typing...` : selectedUser.isOnline ? 'Active now' : 'Offline'}
+                            </p>
+                        )}
                         {incognitoEnabled && incognitoExpiry && (
                             <p className="incognito-status">
                                 🕵️ Incognito mode • {getRemainingTime()}
                             </p>
                         )}
+                        {!incognitoEnabled && hasOwnIncognitoRequest && (
+                            <p className="incognito-status pending">
+                                🕵️ Waiting for {selectedUser.name} to accept incognito mode
+                            </p>
+                        )}
                     </div>
                 </div>
                 <div className="header-actions">
@@ -578,62 +1071,69 @@ const ChatWindow = ({ selectedUser, onOptimisticMessage }) => {
                     </button>
                     
                     {/* ✅ UPDATED: Incognito Toggle with Duration Dropdown */}
-                    <div className="incognito-toggle-container" ref={durationMenuRef}>
-                        <label className="incognito-toggle">
-                            <input
-                                type="checkbox"
-                                checked={incognitoEnabled}
-                                onChange={() => handleToggleIncognito()}
-                            />
-                            <span className="incognito-slider"></span>
-                        </label>
-                        <div className="incognito-controls">
-                            <span className="incognito-label">Incognito</span>
-                            <button
-                                className="incognito-duration-btn"
-                                onClick={() => setShowDurationMenu(!showDurationMenu)}
-                                title="Select duration"
-                            >
-                                {incognitoDuration}h <ChevronDown size={14} />
-                            </button>
-                        </div>
-                        
-                        {showDurationMenu && (
-                            <div className="incognito-duration-menu">
+                    {!selectedUser.isGroup && (
+                        <div className="incognito-toggle-container" ref={durationMenuRef}>
+                            <label className="incognito-toggle">
+                                <input
+                                    type="checkbox"
+                                    checked={incognitoEnabled || hasOwnIncognitoRequest}
+                                    onChange={() => handleToggleIncognito()}
+                                />
+                                <span className="incognito-slider"></span>
+                            </label>
+                            <div className="incognito-controls">
+                                <span className="incognito-label">Incognito</span>
                                 <button
-                                    className={`duration-option ${incognitoDuration === 1 ? 'active' : ''}`}
-                                    onClick={() => handleDurationSelect(1)}
+                                    className="incognito-duration-btn"
+                                    onClick={() => setShowDurationMenu(!showDurationMenu)}
+                                    title="Select duration"
+                                    disabled={incognitoEnabled || hasOwnIncognitoRequest}
                                 >
-                                    <span className="duration-icon">⏱️</span>
-                                    <span className="duration-text">1 Hour</span>
-                                    {incognitoDuration === 1 && <span className="check-icon">✓</span>}
-                                </button>
-                                <button
-                                    className={`duration-option ${incognitoDuration === 2 ? 'active' : ''}`}
-                                    onClick={() => handleDurationSelect(2)}
-                                >
-                                    <span className="duration-icon">⏱️</span>
-                                    <span className="duration-text">2 Hours</span>
-                                    {incognitoDuration === 2 && <span className="check-icon">✓</span>}
-                                </button>
-                                <button
-                                    className={`duration-option ${incognitoDuration === 3 ? 'active' : ''}`}
-                                    onClick={() => handleDurationSelect(3)}
-                                >
-                                    <span className="duration-icon">⏱️</span>
-                                    <span className="duration-text">3 Hours</span>
-                                    {incognitoDuration === 3 && <span className="check-icon">✓</span>}
+                                    {incognitoDuration}h <ChevronDown size={14} />
                                 </button>
                             </div>
-                        )}
-                    </div>
+                        
+                            {showDurationMenu && (
+                                <div className="incognito-duration-menu">
+                                    <button
+                                        className={`duration-option ${incognitoDuration === 1 ? 'active' : ''}`}
+                                        onClick={() => handleDurationSelect(1)}
+                                    >
+                                        <span className="duration-icon">⏱️</span>
+                                        <span className="duration-text">1 Hour</span>
+                                        {incognitoDuration === 1 && <span className="check-icon">✓</span>}
+                                    </button>
+                                    <button
+                                        className={`duration-option ${incognitoDuration === 2 ? 'active' : ''}`}
+                                        onClick={() => handleDurationSelect(2)}
+                                    >
+                                        <span className="duration-icon">⏱️</span>
+                                        <span className="duration-text">2 Hours</span>
+                                        {incognitoDuration === 2 && <span className="check-icon">✓</span>}
+                                    </button>
+                                    <button
+                                        className={`duration-option ${incognitoDuration === 3 ? 'active' : ''}`}
+                                        onClick={() => handleDurationSelect(3)}
+                                    >
+                                        <span className="duration-icon">⏱️</span>
+                                        <span className="duration-text">3 Hours</span>
+                                        {incognitoDuration === 3 && <span className="check-icon">✓</span>}
+                                    </button>
+                                </div>
+                            )}
+                        </div>
+                    )}
                     
-                    <button onClick={() => callUser(selectedUser._id)} className="header-btn" title="Video call">
-                        <Video size={20} />
-                    </button>
-                    <button className="header-btn" title="Voice call">
-                        <Phone size={20} />
-                    </button>
+                    {!selectedUser.isGroup && (
+                        <>
+                            <button onClick={() => callUser(selectedUser._id)} className="header-btn" title="Video call">
+                                <Video size={20} />
+                            </button>
+                            <button className="header-btn" title="Voice call">
+                                <Phone size={20} />
+                            </button>
+                        </>
+                    )}
                     <div className="menu-container">
                         <button
                             className="header-btn"
@@ -642,7 +1142,30 @@ const ChatWindow = ({ selectedUser, onOptimisticMessage }) => {
                         >
                             <MoreVertical size={20} />
                         </button>
-                        {showMenu && (
+                        {showMenu && selectedUser.isGroup && (
+                            <div className="dropdown-menu">
+                                <button
+                                    className="dropdown-item"
+                                    onClick={() => {
+                                        setShowGroupInfo(true);
+                                        setShowMenu(false);
+                                    }}
+                                >
+                                    <Users size={16} /> Group Info
+                                </button>
+
+                                <div className="dropdown-divider"></div>
+
+                                <button className="dropdown-item danger" onClick={handleClearChat}>
+                                    <Trash2 size={16} /> Clear Chat
+                                </button>
+
+                                <button className="dropdown-item danger" onClick={handleLeaveGroup}>
+                                    <LogOut size={16} /> Leave Group
+                                </button>
+                            </div>
+                        )}
+                        {showMenu && !selectedUser.isGroup && (
                             <div className="dropdown-menu">
                                 <button className="dropdown-item warning" onClick={handleRemoveFriend}>
                                     <UserMinus size={16} /> Remove Friend
@@ -678,10 +1201,67 @@ const ChatWindow = ({ selectedUser, onOptimisticMessage }) => {
                             <button onClick={() => setSearchTerm('')} className="clear-search">×</button>
                         )}
                     </div>
+                    {(searchResults || searchingMessages) && (
+                        <div className="chat-search-results">
+                            <MessageSearchResults
+                                results={searchResults}
+                                searching={searchingMessages}
+                                showChat={false}
+                                onSelect={(result) => jumpToMessage(result._id)}
+                            />
+                        </div>
+                    )}
                 </div>
             )}
-            <div className="messages-area" onClick={() => setShowMenu(false)}>
+            {hasIncomingIncognitoRequest && !incognitoEnabled && (
+                <div className="incognito-request-banner">
+                    <span className="incognito-request-text">
+                        🕵️ {selectedUser.name} wants to turn on incognito mode for {incognitoRequest.durationHours}h.
+                        Messages in this chat will disappear for both of you.
+                    </span>
+                    <div className="incognito-request-actions">
+                        <button className="incognito-request-decline" onClick={() => handleRespondToIncognito(false)}>
+                            Decline
+                        </button>
+                        <button className="incognito-request-accept" onClick={() => handleRespondToIncognito(true)}>
+                            Accept
+                        </button>
+                    </div>
+                </div>
+            )}
+            {activePin && (
+                <div className="pinned-banner">
+                    <button className="pinned-banner-content" onClick={handlePinnedBannerClick}>
+                        <Pin size={16} className="pinned-banner-icon" />
+                        <span className="pinned-banner-text">
+                            <span className="pinned-banner-label">
+                                Pinned message{pinnedMessages.length > 1 && ` ${activePinIndex + 1} of ${pinnedMessages.length}`}
+                            </span>
+                            <span className="pinned-banner-snippet">{getMessageSnippet(activePin.message)}</span>
+                        </span>
+                    </button>
+                    <button
+                        className="pinned-banner-unpin"
+                        onClick={() => handleTogglePin(activePin.message._id, true)}
+                        title="Unpin message"
+                    >
+                        <X size={16} />
+                    </button>
+                </div>
+            )}
+            <div
+                className={`messages-area ${incognitoEnabled ? 'capture-protected' : ''} ${isContentHidden ? 'capture-hidden' : ''}`}
+                ref={messagesAreaRef}
+                onScroll={handleMessagesScroll}
+                onClick={() => setShowMenu(false)}
+                onCopy={preventCapture}
+                onCut={preventCapture}
+                onContextMenu={preventCapture}
+            >
                 <div className="messages-list">
+                    {loadingOlder && (
+                        <div className="loading-older-messages"><p>Loading earlier messages...</p></div>
+                    )}
                     {loading ? (
                         <div className="loading-messages"><p>Loading messages...</p></div>
                     ) : filteredMessages.length === 0 ? (
@@ -707,6 +1287,23 @@ const ChatWindow = ({ selectedUser, onOptimisticMessage }) => {
                                 key={msg._id || msg.tempId || index}
                                 message={msg}
                                 isSender={isSenderMessage(msg)}
+                                isGroup={selectedUser.isGroup}
+                                canEdit={canEditMessage(msg)}
+                                onEdit={handleEditMessage}
+                                canDeleteForEveryone={canDeleteForEveryone(msg)}
+                                onDelete={handleDeleteMessage}
+                                currentUserId={user._id}
+                                onReact={handleReact}
+                                onRemoveReaction={handleRemoveReaction}
+                                onReply={setReplyingTo}
+                                onQuoteClick={jumpToMessage}
+                                onForward={setForwardingMessage}
+                                isPinned={pinnedMessageIds.has(msg._id)}
+                                onTogglePin={handleTogglePin}
+                                onToggleStar={handleToggleStar}
+                                onOpenViewOnce={handleOpenViewOnce}
+                                isHighlighted={highlightedMessageId === msg._id}
+                                isProtected={incognitoEnabled}
                             />
                         ))
                     )}
@@ -719,7 +1316,29 @@ const ChatWindow = ({ selectedUser, onOptimisticMessage }) => {
                 onSendFile={handleSendFile}
                 socket={socket}
                 selectedUser={selectedUser}
+                replyingTo={replyingTo}
+                onCancelReply={() => setReplyingTo(null)}
             />
+
+            <ViewOnceViewer viewOnce={openViewOnce} onClose={() => setOpenViewOnce(null)} />
+
+            <ForwardModal
+                isOpen={!!forwardingMessage}
+                onClose={() => setForwardingMessage(null)}
+                message={forwardingMessage}
+                friends={friends}
+                groups={groups}
+                onForward={handleForwardMessage}
+            />
+
+            {selectedUser.isGroup && (
+                <GroupModal
+                    isOpen={showGroupInfo}
+                    onClose={() => setShowGroupInfo(false)}
+                    group={selectedUser}
+                    friends={friends}
+                />
+            )}
         </div>
     );
 };
@@ -0,0 +1,45 @@
+// src/components/EmailVerificationBanner.jsx - REMINDER TO VERIFY THE SIGN-UP EMAIL, WITH RESEND
+import React, { useState } from 'react';
+import { MailWarning } from 'lucide-react';
+import { useAuth } from '../contexts/AuthContext';
+import './EmailVerificationBanner.css';
+
+const EmailVerificationBanner = () => {
+    const { user, resendVerificationEmail } = useAuth();
+    const [sending, setSending] = useState(false);
+    const [notice, setNotice] = useState('');
+
+    if (!user || user.isEmailVerified) return null;
+
+    const handleResend = async () => {
+        setSending(true);
+        try {
+            const message = await resendVerificationEmail();
+            setNotice(message || 'Verification link sent');
+        } catch (err) {
+            console.error('❌ Error resending verification email:', err);
+            alert(err.message || 'Failed to send verification email');
+        } finally {
+            setSending(false);
+        }
+    };
+
+    return (
+        <div className="email-verification-banner">
+            <MailWarning size={18} className="email-verification-icon" />
+            <span className="email-verification-text">
+                {notice || <>Verify <strong>{user.email}</strong> to start sending chat requests. Check your inbox for the link.</>}
+            </span>
+            <button
+                type="button"
+                className="email-verification-resend"
+                onClick={handleResend}
+                disabled={sending}
+            >
+                {sending ? 'Sending...' : 'Resend email'}
+            </button>
+        </div>
+    );
+};
+
+export default EmailVerificationBanner;
@@ -0,0 +1,127 @@
+// src/components/ForwardModal.jsx - FORWARD A MESSAGE TO OTHER CHATS
+import React, { useState, useEffect } from 'react';
+import { X, Forward, Users, Check, Search } from 'lucide-react';
+import { getMessageSnippet } from './MessageBubble';
+import './ForwardModal.css';
+
+// Must match MAX_FORWARD_TARGETS on the server
+const MAX_FORWARD_TARGETS = 10;
+
+const ForwardModal = ({ isOpen, onClose, message, friends = [], groups = [], onForward }) => {
+    const [selectedIds, setSelectedIds] = useState([]);
+    const [searchTerm, setSearchTerm] = useState('');
+
+    useEffect(() => {
+        if (isOpen) {
+            setSelectedIds([]);
+            setSearchTerm('');
+        }
+    }, [isOpen, message?._id]);
+
+    const getAvatarUrl = (chat) => {
+        if (chat?.avatar) {
+            if (chat.avatar.startsWith('http')) return chat.avatar;
+            return `${window.location.origin}/uploads/${chat.avatar}`;
+        }
+        return `https://ui-avatars.com/api/?name=${encodeURIComponent(chat?.name || 'Chat')}&background=random`;
+    };
+
+    const chats = [...groups, ...friends];
+
+    const toggleSelected = (chatId) => {
+        setSelectedIds(prev => {
+            if (prev.includes(chatId)) return prev.filter(id => id !== chatId);
+            if (prev.length >= MAX_FORWARD_TARGETS) {
+                alert(`You can forward to at most ${MAX_FORWARD_TARGETS} chats at once.`);
+                return prev;
+            }
+            return [...prev, chatId];
+        });
+    };
+
+    const handleForward = () => {
+        if (selectedIds.length === 0) return;
+
+        const targets = chats
+            .filter(chat => selectedIds.includes(chat._id))
+            .map(chat => chat.isGroup ? { conversationId: chat._id } : { receiverId: chat._id });
+
+        onForward(targets);
+    };
+
+    if (!isOpen || !message) return null;
+
+    const filteredChats = chats.filter(chat =>
+        chat.name?.toLowerCase().includes(searchTerm.toLowerCase())
+    );
+
+    return (
+        <div className="modal-overlay" onClick={onClose}>
+            <div className="modal-content forward-modal" onClick={(e) => e.stopPropagation()}>
+                <div className="modal-header">
+                    <div className="modal-header-title">
+                        <Forward size={24} />
+                        <h2>Forward Message</h2>
+                    </div>
+                    <button onClick={onClose} className="modal-close-button">
+                        <X size={20} />
+                    </button>
+                </div>
+
+                <div className="modal-body forward-modal-body">
+                    <div className="forward-preview">{getMessageSnippet(message)}</div>
+
+                    <div className="forward-search">
+                        <Search size={16} />
+                        <input
+                            type="text"
+                            value={searchTerm}
+                            placeholder="Search chats..."
+                            onChange={(e) => setSearchTerm(e.target.value)}
+                        />
+                    </div>
+
+                    {filteredChats.length === 0 ? (
+                        <p className="forward-empty-hint">No chats found.</p>
+                    ) : (
+                        <div className="forward-chat-list">
+                            {filteredChats.map(chat => {
+                                const isSelected = selectedIds.includes(chat._id);
+                                return (
+                                    <button
+                                        key={chat._id}
+                                        className={`forward-chat-item ${isSelected ? 'selected' : ''}`}
+                                        onClick={() => toggleSelected(chat._id)}
+                                    >
+                                        {chat.isGroup ? (
+                                            <span className="forward-chat-avatar group"><Users size={18} /></span>
+                                        ) : (
+                                            <img src={getAvatarUrl(chat)} alt={chat.name} className="forward-chat-avatar" />
+                                        )}
+                                        <span className="forward-chat-name">{chat.name}</span>
+                                        <span className="forward-select-check">{isSelected && <Check size={14} />}</span>
+                                    </button>
+                                );
+                            })}
+                        </div>
+                    )}
+                </div>
+
+                <div className="forward-modal-footer">
+                    <button
+                        className="forward-send-button"
+                        onClick={handleForward}
+                        disabled={selectedIds.length === 0}
+                    >
+                        <Forward size={16} />
+                        {selectedIds.length > 0
+                            ? `Forward to ${selectedIds.length} chat${selectedIds.length > 1 ? 's' : ''}`
+                            : 'Select chats'}
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default ForwardModal;
@@ -0,0 +1,230 @@
+// src/components/GroupModal.jsx - CREATE & MANAGE GROUP CHATS
+import React, { useState, useEffect, useContext } from 'react';
+import { X, Users, Crown, UserMinus, UserPlus, LogOut, Check } from 'lucide-react';
+import { SocketContext } from '../contexts/SocketContext';
+import { useAuth } from '../contexts/AuthContext.jsx';
+import './GroupModal.css';
+
+// Without a `group` the modal creates a new group, otherwise it manages that group
+const GroupModal = ({ isOpen, onClose, friends = [], group = null }) => {
+    const [title, setTitle] = useState('');
+    const [selectedIds, setSelectedIds] = useState([]);
+    const socket = useContext(SocketContext);
+    const { user } = useAuth();
+
+    const isManaging = !!group;
+    const memberIds = (group?.members || []).map(m => m._id);
+    const adminIds = (group?.admins || []).map(a => a._id || a);
+    const isAdmin = isManaging && adminIds.includes(user?._id);
+
+    // Friends that can still be added to the group
+    const availableFriends = friends.filter(f => !memberIds.includes(f._id));
+
+    useEffect(() => {
+        if (isOpen) {
+            setTitle(group?.title || '');
+            setSelectedIds([]);
+        }
+    }, [isOpen, group?._id]);
+
+    const getAvatarUrl = (userObj) => {
+        if (userObj?.avatar) {
+            if (userObj.avatar.startsWith('http')) return userObj.avatar;
+            return `${window.location.origin}/uploads/${userObj.avatar}`;
+        }
+        return `https://ui-avatars.com/api/?name=${encodeURIComponent(userObj?.name || 'User')}&background=random`;
+    };
+
+    const toggleSelected = (friendId) => {
+        setSelectedIds(prev => prev.includes(friendId)
+            ? prev.filter(id => id !== friendId)
+            : [...prev, friendId]
+        );
+    };
+
+    const handleCreate = () => {
+        if (!title.trim()) {
+            alert('Please enter a group name.');
+            return;
+        }
+        if (selectedIds.length === 0) {
+            alert('Select at least one friend.');
+            return;
+        }
+
+        console.log('👥 Creating group:', title, selectedIds);
+        socket.emit('createGroup', { title: title.trim(), memberIds: selectedIds });
+        onClose();
+    };
+
+    const handleRename = () => {
+        if (!title.trim() || title.trim() === group.title) return;
+        socket.emit('updateGroup', { conversationId: group._id, title: title.trim() });
+    };
+
+    const handleAddMembers = () => {
+        if (selectedIds.length === 0) return;
+        socket.emit('inviteToGroup', { conversationId: group._id, memberIds: selectedIds });
+        setSelectedIds([]);
+    };
+
+    const handleKick = (member) => {
+        if (window.confirm(`Remove ${member.name} from ${group.title}?`)) {
+            socket.emit('kickFromGroup', { conversationId: group._id, memberId: member._id });
+        }
+    };
+
+    const handleToggleAdmin = (member) => {
+        socket.emit('setGroupAdmin', {
+            conversationId: group._id,
+            memberId: member._id,
+            isAdmin: !adminIds.includes(member._id)
+        });
+    };
+
+    const handleLeave = () => {
+        if (window.confirm(`Are you sure you want to leave ${group.title}?`)) {
+            socket.emit('leaveGroup', { conversationId: group._id });
+            onClose();
+        }
+    };
+
+    if (!isOpen) return null;
+
+    const renderFriendPicker = () => (
+        availableFriends.length === 0 ? (
+            <p className="group-empty-hint">
+                {isManaging ? 'All your friends are already in this group.' : 'Add some friends first to start a group.'}
+            </p>
+        ) : (
+            <div className="group-member-list">
+                {availableFriends.map(friend => {
+                    const isSelected = selectedIds.includes(friend._id);
+                    return (
+                        <button
+                            key={friend._id}
+                            className={`group-member-item selectable ${isSelected ? 'selected' : ''}`}
+                            onClick={() => toggleSelected(friend._id)}
+                        >
+                            <img src={getAvatarUrl(friend)} alt={friend.name} className="group-member-avatar" />
+                            <span className="group-member-name">{friend.name}</span>
+                            <span className="group-select-check">{isSelected && <Check size={14} />}</span>
+                        </button>
+                    );
+                })}
+            </div>
+        )
+    );
+
+    return (
+        <div className="modal-overlay" onClick={onClose}>
+            <div className="modal-content group-modal" onClick={(e) => e.stopPropagation()}>
+                <div className="modal-header">
+                    <div className="modal-header-title">
+                        <Users size={24} />
+                        <h2>{isManaging ? 'Group Info' : 'New Group'}</h2>
+                    </div>
+                    <button onClick={onClose} className="modal-close-button">
+                        <X size={20} />
+                    </button>
+                </div>
+
+                <div className="modal-body group-modal-body">
+                    <div className="group-section">
+                        <label className="group-label" htmlFor="group-title">Group name</label>
+                        <div className="group-title-row">
+                            <input
+                                id="group-title"
+                                type="text"
+                                className="group-title-input"
+                                value={title}
+                                maxLength={100}
+                                placeholder="e.g. Weekend plans"
+                                disabled={isManaging && !isAdmin}
+                                onChange={(e) => setTitle(e.target.value)}
+                            />
+                            {isManaging && isAdmin && (
+                                <button
+                                    className="group-secondary-button"
+                                    onClick={handleRename}
+                                    disabled={!title.trim() || title.trim() === group.title}
+                                >
+                                    Save
+                                </button>
+                            )}
+                        </div>
+                    </div>
+
+                    {isManaging && (
+                        <div className="group-section">
+                            <h3 className="group-section-title">{group.members.length} members</h3>
+                            <div className="group-member-list">
+                                {group.members.map(member => {
+                                    const memberIsAdmin = adminIds.includes(member._id);
+                                    const isMe = member._id === user?._id;
+                                    return (
+                                        <div key={member._id} className="group-member-item">
+                                            <img src={getAvatarUrl(member)} alt={member.name} className="group-member-avatar" />
+                                            <span className="group-member-name">
+                                                {isMe ? 'You' : member.name}
+                                            </span>
+                                            {memberIsAdmin && (
+                                                <span className="group-admin-badge"><Crown size={12} /> Admin</span>
+                                            )}
+                                            {isAdmin && !isMe && (
+                                                <div className="group-member-actions">
+                                                    <button
+                                                        className="group-icon-button"
+                                                        title={memberIsAdmin ? 'Remove as admin' : 'Make admin'}
+                                                        onClick={() => handleToggleAdmin(member)}
+                                                    >
+                                                        <Crown size={16} />
+                                                    </button>
+                                                    <button
+                                                        className="group-icon-button danger"
+                                                        title="Remove from group"
+                                                        onClick={() => handleKick(member)}
+                                                    >
+                                                        <UserMinus size={16} />
+                                                    </button>
+                                                </div>
+                                            )}
+                                        </div>
+                                    );
+                                })}
+                            </div>
+                        </div>
+                    )}
+
+                    {(!isManaging || isAdmin) && (
+                        <div className="group-section">
+                            <h3 className="group-section-title">
+                                {isManaging ? 'Add members' : 'Choose members'}
+                            </h3>
+                            {renderFriendPicker()}
+                            {isManaging && selectedIds.length > 0 && (
+                                <button className="group-primary-button" onClick={handleAddMembers}>
+                                    <UserPlus size={16} /> Add {selectedIds.length} member{selectedIds.length > 1 ? 's' : ''}
+                                </button>
+                            )}
+                        </div>
+                    )}
+                </div>
+
+                <div className="group-modal-footer">
+                    {isManaging ? (
+                        <button className="group-danger-button" onClick={handleLeave}>
+                            <LogOut size={16} /> Leave Group
+                        </button>
+                    ) : (
+                        <button className="group-primary-button" onClick={handleCreate}>
+                            <Users size={16} /> Create Group
+                        </button>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default GroupModal;
@@ -18,6 +18,12 @@ const LoginPage = () => {
     const [otpData, setOtpData] = useState({ otp: '', newPassword: '', confirmPassword: '' });
     const [otpSent, setOtpSent] = useState(false);
     const [otpVerified, setOtpVerified] = useState(false);
+    // Single-use token from /verify-otp that authorizes the password change
+    const [resetToken, setResetToken] = useState('');
+
+    // Two-factor step: challenge token from /auth/login, traded for a session with a code
+    const [twoFactorToken, setTwoFactorToken] = useState('');
+    const [twoFactorCode, setTwoFactorCode] = useState('');
     
     const { login } = useAuth();
 
@@ -56,23 +62,40 @@ const LoginPage = () => {
         }
     };
 
+    // Send a fresh code (the previous one stops working)
+    const handleResendOtp = async () => {
+        setLoading(true);
+        setError('');
+
+        try {
+            await api.post('/auth/forgot-password', { email: forgotPasswordData.email });
+            setOtpData(prev => ({ ...prev, otp: '' }));
+            setError('A new code has been sent to your email.');
+        } catch (error) {
+            setError(error.response?.data?.message || 'Failed to send OTP');
+        } finally {
+            setLoading(false);
+        }
+    };
+
     // Handle OTP Verification
     const handleVerifyOtp = async (e) => {
         e.preventDefault();
         setLoading(true);
         setError('');
 
-        if (otpData.otp.length !== 4) {
-            setError('OTP must be 4 digits');
+        if (!/^\d{6}$/.test(otpData.otp)) {
+            setError('OTP must be 6 digits');
             setLoading(false);
             return;
         }
 
         try {
-            await api.post('/auth/verify-otp', {
+            const { data } = await api.post('/auth/verify-otp', {
                 email: forgotPasswordData.email,
                 otp: otpData.otp
             });
+            setResetToken(data.resetToken);
             setOtpVerified(true);
             setError('');
         } catch (error) {
@@ -103,7 +126,7 @@ const LoginPage = () => {
         try {
             await api.post('/auth/reset-password', {
                 email: forgotPasswordData.email,
-                otp: otpData.otp,
+                resetToken,
                 newPassword: otpData.newPassword
             });
             
@@ -113,6 +136,7 @@ const LoginPage = () => {
             setOtpVerified(false);
             setForgotPasswordData({ email: '' });
             setOtpData({ otp: '', newPassword: '', confirmPassword: '' });
+            setResetToken('');
             setError('Password reset successfully! Please login with your new password.');
         } catch (error) {
             setError(error.response?.data?.message || 'Failed to reset password');
@@ -155,11 +179,15 @@ const LoginPage = () => {
                         'Content-Type': 'multipart/form-data',
                     },
                 });
-                login(data.token, data.user);
+                login(data.token, data.user, data.refreshToken);
             } else {
                 const payload = {email: loginData.email, password: loginData.password};
                 const { data } = await api.post('/auth/login', payload);
-                login(data.token, data.user);
+                if (data.twoFactorRequired) {
+                    setTwoFactorToken(data.twoFactorToken);
+                    return;
+                }
+                login(data.token, data.user, data.refreshToken);
             }
         } catch (error) {
             console.error('Login error:', error);
@@ -169,6 +197,33 @@ const LoginPage = () => {
         }
     };
 
+    // Finish a login that needs a code from the authenticator app (or a backup code)
+    const handleTwoFactorLogin = async (e) => {
+        e.preventDefault();
+        setLoading(true);
+        setError('');
+
+        try {
+            const { data } = await api.post('/auth/2fa/login', { twoFactorToken, code: twoFactorCode });
+            if (data.backupCodesRemaining !== undefined) {
+                alert(`You used a backup code - ${data.backupCodesRemaining} left. You can create new ones in your profile.`);
+            }
+            login(data.token, data.user, data.refreshToken);
+        } catch (error) {
+            // An expired challenge means starting over from the password
+            if (error.response?.status === 401) cancelTwoFactor();
+            setError(error.response?.data?.message || 'Invalid code');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const cancelTwoFactor = () => {
+        setTwoFactorToken('');
+        setTwoFactorCode('');
+        setError('');
+    };
+
     const handleInputChange = (e) => {
         setLoginData({
             ...loginData,
@@ -219,6 +274,9 @@ const LoginPage = () => {
         setOtpVerified(false);
         setForgotPasswordData({ email: '' });
         setOtpData({ otp: '', newPassword: '', confirmPassword: '' });
+        setResetToken('');
+        setTwoFactorToken('');
+        setTwoFactorCode('');
     };
 
     const goBackToLogin = () => {
@@ -227,6 +285,7 @@ const LoginPage = () => {
         setOtpVerified(false);
         setForgotPasswordData({ email: '' });
         setOtpData({ otp: '', newPassword: '', confirmPassword: '' });
+        setResetToken('');
         setError('');
     };
 
@@ -275,7 +334,7 @@ const LoginPage = () => {
             return (
                 <motion.div initial={{ opacity: 0, y: 30 }} animate={{ opacity: 1, y: 0 }} className="login-card">
                     <h2 className="card-title">Verify OTP</h2>
-                    <p className="card-subtitle">Enter the 4-digit code sent to {forgotPasswordData.email}</p>
+                    <p className="card-subtitle">Enter the 6-digit code sent to {forgotPasswordData.email}</p>
                     
                     {error && <div className="error-message">{error}</div>}
                     
@@ -285,12 +344,25 @@ const LoginPage = () => {
                             name="otp" 
                             value={otpData.otp} 
                             onChange={handleOtpChange} 
-                            placeholder="Enter 4-digit OTP" 
+                            placeholder="Enter 6-digit OTP" 
                             className="input-field" 
-                            maxLength="4"
+                            maxLength="6"
+                            inputMode="numeric"
+                            autoComplete="one-time-code"
                             required 
                             disabled={loading}
                         />
+
+                        <div className="forgot-password-link">
+                            <button
+                                type="button"
+                                onClick={handleResendOtp}
+                                className="forgot-password-btn"
+                                disabled={loading}
+                            >
+                                Resend code
+                            </button>
+                        </div>
                         
                         <div className="button-group">
                             <button type="button" className="cancel-button" onClick={goBackToLogin} disabled={loading}>
@@ -349,6 +421,41 @@ const LoginPage = () => {
         }
     };
 
+    // Render Two-Factor Step
+    const renderTwoFactorStep = () => (
+        <motion.div initial={{ opacity: 0, y: 30 }} animate={{ opacity: 1, y: 0 }} className="login-card">
+            <h2 className="card-title">Two-Factor Authentication</h2>
+            <p className="card-subtitle">Enter the 6-digit code from your authenticator app, or one of your backup codes</p>
+
+            {error && <div className="error-message">{error}</div>}
+
+            <form className="login-form" onSubmit={handleTwoFactorLogin}>
+                <input
+                    type="text"
+                    name="twoFactorCode"
+                    value={twoFactorCode}
+                    onChange={(e) => setTwoFactorCode(e.target.value)}
+                    placeholder="Authentication code"
+                    className="input-field"
+                    maxLength="9"
+                    autoComplete="one-time-code"
+                    autoFocus
+                    required
+                    disabled={loading}
+                />
+
+                <div className="button-group">
+                    <button type="button" className="cancel-button" onClick={cancelTwoFactor} disabled={loading}>
+                        Back to Login
+                    </button>
+                    <button type="submit" className="submit-button" disabled={loading}>
+                        {loading ? 'Verifying...' : 'Verify'}
+                    </button>
+                </div>
+            </form>
+        </motion.div>
+    );
+
     // Render Main Login/Signup Form
     const renderMainForm = () => (
         <motion.div initial={{ opacity: 0, y: 30 }} animate={{ opacity: 1, y: 0 }} transition={{ duration: 0.7, delay: 0.2 }} className="login-card">
@@ -462,7 +569,9 @@ const LoginPage = () => {
                 <p className="logo-tagline">Connect & Share</p>
             </motion.div>
 
-            {showForgotPassword ? renderForgotPassword() : renderMainForm()}
+            {showForgotPassword
+                ? renderForgotPassword()
+                : twoFactorToken ? renderTwoFactorStep() : renderMainForm()}
         </div>
     );
 };
@@ -1,16 +1,170 @@
-import React from 'react';
-import { Check, CheckCheck, Download, Mic } from 'lucide-react';
+import React, { useState, useEffect, useRef } from 'react';
+import EmojiPicker from 'emoji-picker-react';
+import { Ban, Check, CheckCheck, Download, Eye, Forward, Mic, Pencil, Phone, PhoneMissed, Pin, PinOff, Plus, Reply, Smile, Star, StarOff, Timer, Trash2, Video } from 'lucide-react';
 import './MessageBubble.css';
 
-const MessageBubble = ({ message, isSender }) => {
+const VIEW_ONCE_LABELS = { image: 'Photo', video: 'Video', audio: 'Voice message', voice: 'Voice message' };
+
+// One-line preview of a message, used for reply quotes
+export const getMessageSnippet = (msg) => {
+    if (!msg) return '';
+    if (msg.isDeleted) return '🚫 Deleted message';
+    if (msg.viewOnce) return `👁️ View-once ${(VIEW_ONCE_LABELS[msg.messageType] || 'message').toLowerCase()}`;
+
+    switch (msg.messageType) {
+        case 'image':
+            return '📷 Photo';
+        case 'video':
+            return '🎬 Video';
+        case 'voice':
+            return '🎙️ Voice message';
+        case 'file':
+            return `📎 ${msg.content?.fileName || 'File'}`;
+        case 'call':
+            return '📞 Call';
+        default:
+            return msg.content?.text || '...';
+    }
+};
+
+// Call log label, worded from the viewer's side - shared with the sidebar preview
+export const getCallLabel = (call = {}, isSender) => {
+    const kind = call.callType === 'audio' ? 'voice call' : 'video call';
+    const Kind = call.callType === 'audio' ? 'Voice call' : 'Video call';
+    if (call.outcome === 'completed') return `${isSender ? 'Outgoing' : 'Incoming'} ${kind}`;
+    if (call.outcome === 'declined') return isSender ? `${Kind} declined` : `Declined ${kind}`;
+    return isSender ? `${Kind} not answered` : `Missed ${kind}`;
+};
+
+// Short label of a disappearing timer (seconds): 30s, 5m, 1h, 1d
+export const formatDisappearingTimer = (seconds) => {
+    if (seconds >= 86400) return `${Math.round(seconds / 86400)}d`;
+    if (seconds >= 3600) return `${Math.round(seconds / 3600)}h`;
+    if (seconds >= 60) return `${Math.round(seconds / 60)}m`;
+    return `${seconds}s`;
+};
+
+// Time left until `expiresAt` in ms (ticking every second), or null when the message doesn't expire
+const useTimeLeft = (expiresAt) => {
+    const [now, setNow] = useState(Date.now());
+
+    useEffect(() => {
+        if (!expiresAt) return;
+        const interval = setInterval(() => setNow(Date.now()), 1000);
+        return () => clearInterval(interval);
+    }, [expiresAt]);
+
+    return expiresAt ? Math.max(new Date(expiresAt).getTime() - now, 0) : null;
+};
+
+// Countdown label: 1d, 3h, 12:05, 0:09
+const formatTimeLeft = (ms) => {
+    const totalSeconds = Math.ceil(ms / 1000);
+    if (totalSeconds >= 86400) return `${Math.floor(totalSeconds / 86400)}d`;
+    if (totalSeconds >= 3600) return `${Math.floor(totalSeconds / 3600)}h`;
+    return `${Math.floor(totalSeconds / 60)}:${(totalSeconds % 60).toString().padStart(2, '0')}`;
+};
+
+const QUICK_REACTIONS = ['👍', '❤️', '😂', '😮', '😢', '🙏'];
+const LONG_PRESS_MS = 500;
+
+// Group reactions by emoji: [{ emoji, count, names, mine }]
+const aggregateReactions = (reactions = [], currentUserId) => {
+    const groups = new Map();
+    reactions.forEach(({ user, emoji }) => {
+        const group = groups.get(emoji) || { emoji, count: 0, names: [], mine: false };
+        group.count += 1;
+        group.names.push(user?._id === currentUserId ? 'You' : user?.name || 'Someone');
+        group.mine = group.mine || user?._id === currentUserId;
+        groups.set(emoji, group);
+    });
+    return [...groups.values()];
+};
+
+const formatTime = (date) => new Date(date).toLocaleTimeString([], {
+    hour: '2-digit',
+    minute: '2-digit'
+});
+
+const MessageBubble = ({
+    message,
+    isSender,
+    isGroup = false,
+    canEdit = false,
+    onEdit,
+    canDeleteForEveryone = false,
+    onDelete,
+    currentUserId,
+    onReact,
+    onRemoveReaction,
+    onReply,
+    onQuoteClick,
+    onForward,
+    isPinned = false,
+    onTogglePin,
+    onToggleStar,
+    onOpenViewOnce,
+    isHighlighted = false,
+    isProtected = false
+}) => {
+    const [isEditing, setIsEditing] = useState(false);
+    const [draft, setDraft] = useState('');
+    const [showHistory, setShowHistory] = useState(false);
+    const [showDeleteMenu, setShowDeleteMenu] = useState(false);
+    const [showReactionBar, setShowReactionBar] = useState(false);
+    const [showReactionPicker, setShowReactionPicker] = useState(false);
+    const reactionBarRef = useRef(null);
+    const longPressTimerRef = useRef(null);
+
+    // Close the reaction bar when clicking anywhere else
+    useEffect(() => {
+        if (!showReactionBar) return;
+
+        const handleClickOutside = (event) => {
+            if (reactionBarRef.current && !reactionBarRef.current.contains(event.target)) {
+                setShowReactionBar(false);
+                setShowReactionPicker(false);
+            }
+        };
+
+        document.addEventListener('mousedown', handleClickOutside);
+        document.addEventListener('touchstart', handleClickOutside);
+        return () => {
+            document.removeEventListener('mousedown', handleClickOutside);
+            document.removeEventListener('touchstart', handleClickOutside);
+        };
+    }, [showReactionBar]);
+
+    useEffect(() => () => clearTimeout(longPressTimerRef.current), []);
+
+    const timeLeft = useTimeLeft(message?.expiresAt);
+
+    // The server deletes expired messages shortly after - hide them right away
+    if (timeLeft === 0) return null;
+
     const timestamp = message?.createdAt ? new Date(message.createdAt).toLocaleTimeString([], {
         hour: '2-digit',
         minute: '2-digit'
     }) : '';
 
-    const wrapperClasses = `message-bubble-wrapper ${isSender ? 'sender' : 'receiver'}`;
+    const wrapperClasses = `message-bubble-wrapper ${isSender ? 'sender' : 'receiver'} ${isHighlighted ? 'highlighted' : ''}`;
     const bubbleClasses = `message-bubble ${isSender ? 'sender' : 'receiver'}`;
 
+    // Group activity (member added, left, ...) is shown as a centered note
+    if (message?.messageType === 'system') {
+        return (
+            <div className="message-system-wrapper">
+                <span className="message-system">{message.content?.text}</span>
+            </div>
+        );
+    }
+
+    const formatCallDuration = (seconds = 0) => {
+        const mins = Math.floor(seconds / 60);
+        const secs = seconds % 60;
+        return `${mins}:${secs.toString().padStart(2, '0')}`;
+    };
+
     // Handle file download
     const handleDownload = (fileUrl, fileName) => {
         const link = document.createElement('a');
@@ -21,10 +175,32 @@ const MessageBubble = ({ message, isSender }) => {
         document.body.removeChild(link);
     };
 
+    // Incognito chats keep the button in place but switch it off
+    const renderDownloadButton = (fileUrl, fileName, title) => (
+        <button
+            className="download-btn"
+            onClick={() => handleDownload(fileUrl, fileName)}
+            title={isProtected ? 'Downloads are turned off in incognito mode' : title}
+            disabled={isProtected}
+        >
+            <Download size={16} />
+        </button>
+    );
+
     const renderMessageContent = () => {
+        if (message.isDeleted) {
+            return (
+                <div className="message-text message-deleted">
+                    <Ban size={14} /> {isSender ? 'You deleted this message' : 'This message was deleted'}
+                </div>
+            );
+        }
+
         const messageType = message.messageType || 'text';
         const { content } = message;
 
+        if (message.viewOnce) return renderViewOnce();
+
         switch (messageType) {
             case 'image':
                 return (
@@ -33,14 +209,9 @@ const MessageBubble = ({ message, isSender }) => {
                             src={content.fileUrl} 
                             alt={content.fileName || 'image attachment'} 
                             className="message-image" 
+                            draggable={!isProtected}
                         />
-                        <button
-                            className="download-btn"
-                            onClick={() => handleDownload(content.fileUrl, content.fileName || 'image.jpg')}
-                            title="Download image"
-                        >
-                            <Download size={16} />
-                        </button>
+                        {renderDownloadButton(content.fileUrl, content.fileName || 'image.jpg', 'Download image')}
                     </div>
                 );
             case 'video':
@@ -49,15 +220,11 @@ const MessageBubble = ({ message, isSender }) => {
                         <video 
                             src={content.fileUrl} 
                             controls 
+                            controlsList={isProtected ? 'nodownload' : undefined}
+                            disablePictureInPicture={isProtected}
                             className="message-video"
                         />
-                        <button
-                            className="download-btn"
-                            onClick={() => handleDownload(content.fileUrl, content.fileName || 'video.mp4')}
-                            title="Download video"
-                        >
-                            <Download size={16} />
-                        </button>
+                        {renderDownloadButton(content.fileUrl, content.fileName || 'video.mp4', 'Download video')}
                     </div>
                 );
             case 'voice':
@@ -67,15 +234,10 @@ const MessageBubble = ({ message, isSender }) => {
                         <audio 
                             src={content.fileUrl} 
                             controls 
+                            controlsList={isProtected ? 'nodownload' : undefined}
                             className="message-audio"
                         />
-                        <button
-                            className="download-btn"
-                            onClick={() => handleDownload(content.fileUrl, content.fileName || 'voice.mp3')}
-                            title="Download voice message"
-                        >
-                            <Download size={16} />
-                        </button>
+                        {renderDownloadButton(content.fileUrl, content.fileName || 'voice.mp3', 'Download voice message')}
                     </div>
                 );
             case 'file':
@@ -89,23 +251,237 @@ const MessageBubble = ({ message, isSender }) => {
                         >
                             📄 <span>{content.fileName || 'View File'}</span>
                         </a>
-                        <button
-                            className="download-btn"
-                            onClick={() => handleDownload(content.fileUrl, content.fileName || 'file')}
-                            title="Download file"
-                        >
-                            <Download size={16} />
-                        </button>
+                        {renderDownloadButton(content.fileUrl, content.fileName || 'file', 'Download file')}
+                    </div>
+                );
+            case 'call': {
+                const call = message.call || {};
+                const isCompleted = call.outcome === 'completed';
+                const label = getCallLabel(call, isSender);
+                const CallIcon = !isCompleted ? PhoneMissed : call.callType === 'audio' ? Phone : Video;
+
+                return (
+                    <div className={`message-call-container ${isCompleted ? 'completed' : 'missed'}`}>
+                        <CallIcon size={20} className="call-icon" />
+                        <div className="call-details">
+                            <span className="call-label">{label}</span>
+                            {isCompleted && (
+                                <span className="call-duration">{formatCallDuration(call.duration)}</span>
+                            )}
+                        </div>
                     </div>
                 );
+            }
             default: // 'text'
                 return <div className="message-text">{content.text}</div>;
         }
     };
 
+    // View-once content is never part of the message - recipients get it once from the server
+    const renderViewOnce = () => {
+        const label = VIEW_ONCE_LABELS[message.messageType] || 'Message';
+        const viewedBy = message.viewedBy || [];
+
+        if (isSender) {
+            const opened = isGroup ? `Opened by ${viewedBy.length}` : 'Opened';
+            return (
+                <div className="message-text message-view-once">
+                    <Eye size={16} /> {label}
+                    <span className="message-view-once-status">{viewedBy.length > 0 ? opened : 'View once'}</span>
+                </div>
+            );
+        }
+
+        if (viewedBy.includes(currentUserId)) {
+            return (
+                <div className="message-text message-view-once opened">
+                    <Eye size={16} /> Opened
+                </div>
+            );
+        }
+
+        return (
+            <button
+                type="button"
+                className="message-text message-view-once"
+                onClick={() => onOpenViewOnce?.(message._id)}
+                disabled={!isPersisted}
+            >
+                <Eye size={16} /> {label}
+                <span className="message-view-once-status">Tap to view once</span>
+            </button>
+        );
+    };
+
+    const startEditing = () => {
+        setDraft(message.content?.text || '');
+        setIsEditing(true);
+    };
+
+    const handleSaveEdit = () => {
+        const text = draft.trim();
+        if (text && text !== message.content?.text) {
+            onEdit?.(message._id, text);
+        }
+        setIsEditing(false);
+    };
+
+    const handleEditKeyDown = (e) => {
+        if (e.key === 'Enter' && !e.shiftKey) {
+            e.preventDefault();
+            handleSaveEdit();
+        } else if (e.key === 'Escape') {
+            setIsEditing(false);
+        }
+    };
+
+    const handleDelete = (scope) => {
+        setShowDeleteMenu(false);
+        onDelete?.(message._id, scope);
+    };
+
+    const renderDeleteMenu = () => (
+        <div className="message-delete-menu" onMouseLeave={() => setShowDeleteMenu(false)}>
+            <button type="button" onClick={() => handleDelete('me')}>Delete for me</button>
+            {canDeleteForEveryone && (
+                <button type="button" className="danger" onClick={() => handleDelete('everyone')}>
+                    Delete for everyone
+                </button>
+            )}
+        </div>
+    );
+
+    // Optimistic / failed messages don't exist on the server yet
+    const isPersisted = !message.isOptimistic && !message.failed;
+    const canDelete = !!onDelete && isPersisted && message.messageType !== 'call';
+    const canReact = !!onReact && isPersisted && !message.isDeleted;
+    const canReply = !!onReply && isPersisted && !message.isDeleted;
+    const canForward = !!onForward && isPersisted && !message.isDeleted &&
+        !['call', 'system'].includes(message.messageType) && !message.viewOnce && !message.disappearAfterSeconds && !message.expiresAt;
+    const canPin = !!onTogglePin && isPersisted && !message.isDeleted && !message.viewOnce && message.messageType !== 'system';
+    const canStar = !!onToggleStar && isPersisted && !message.isDeleted && !message.viewOnce && message.messageType !== 'system';
+
+    // Unopened view-once messages wait up to two weeks - only the short timers are worth showing
+    const showTimer = !message.isDeleted && (!!message.disappearAfterSeconds || (!!timeLeft && !message.viewOnce));
+
+    const myReaction = message.reactions?.find(r => r.user?._id === currentUserId)?.emoji;
+
+    // Picking the emoji you already reacted with takes the reaction back
+    const handleReact = (emoji) => {
+        setShowReactionBar(false);
+        setShowReactionPicker(false);
+        if (emoji === myReaction) {
+            onRemoveReaction?.(message._id);
+        } else {
+            onReact?.(message._id, emoji);
+        }
+    };
+
+    // Long-press opens the reaction bar on touch screens
+    const handleTouchStart = () => {
+        if (!canReact) return;
+        longPressTimerRef.current = setTimeout(() => setShowReactionBar(true), LONG_PRESS_MS);
+    };
+
+    const cancelLongPress = () => clearTimeout(longPressTimerRef.current);
+
+    const renderReactionBar = () => (
+        <div className="message-reaction-bar" ref={reactionBarRef}>
+            {QUICK_REACTIONS.map(emoji => (
+                <button
+                    key={emoji}
+                    type="button"
+                    className={`reaction-option ${emoji === myReaction ? 'selected' : ''}`}
+                    onClick={() => handleReact(emoji)}
+                >
+                    {emoji}
+                </button>
+            ))}
+            <button
+                type="button"
+                className="reaction-option more"
+                onClick={() => setShowReactionPicker(prev => !prev)}
+                title="More reactions"
+            >
+                <Plus size={16} />
+            </button>
+            {showReactionPicker && (
+                <div className="reaction-picker-wrapper">
+                    <EmojiPicker
+                        onEmojiClick={(emojiObject) => handleReact(emojiObject.emoji)}
+                        theme="light"
+                        height={350}
+                        width={300}
+                    />
+                </div>
+            )}
+        </div>
+    );
+
+    // The original may have been deleted after the reply was written
+    const renderQuote = () => {
+        const quoted = message.replyTo;
+        const author = quoted.sender?._id === currentUserId ? 'You' : quoted.sender?.name || 'Someone';
+
+        return (
+            <button type="button" className="message-quote" onClick={() => onQuoteClick?.(quoted._id)}>
+                <span className="message-quote-author">{author}</span>
+                <span className="message-quote-text">{getMessageSnippet(quoted)}</span>
+            </button>
+        );
+    };
+
+    const renderReactions = () => (
+        <div className="message-reactions">
+            {aggregateReactions(message.reactions, currentUserId).map(({ emoji, count, names, mine }) => (
+                <button
+                    key={emoji}
+                    type="button"
+                    className={`reaction-chip ${mine ? 'mine' : ''}`}
+                    title={names.join(', ')}
+                    onClick={() => canReact && handleReact(emoji)}
+                >
+                    <span>{emoji}</span>
+                    {count > 1 && <span className="reaction-count">{count}</span>}
+                </button>
+            ))}
+        </div>
+    );
+
+    const renderEditForm = () => (
+        <div className="message-edit-form">
+            <textarea
+                className="message-edit-input"
+                value={draft}
+                onChange={(e) => setDraft(e.target.value)}
+                onKeyDown={handleEditKeyDown}
+                rows={Math.min(6, draft.split('\n').length)}
+                autoFocus
+            />
+            <div className="message-edit-actions">
+                <button type="button" onClick={() => setIsEditing(false)}>Cancel</button>
+                <button type="button" className="primary" onClick={handleSaveEdit} disabled={!draft.trim()}>
+                    Save
+                </button>
+            </div>
+        </div>
+    );
+
+    // Earlier versions of an edited message, newest first
+    const renderEditHistory = () => (
+        <div className="message-edit-history">
+            {[...message.editHistory].reverse().map((revision, index) => (
+                <div key={index} className="message-revision">
+                    <span className="message-revision-text">{revision.text}</span>
+                    <span className="message-revision-time">replaced {formatTime(revision.replacedAt)}</span>
+                </div>
+            ))}
+        </div>
+    );
+
     const renderMessageStatus = () => {
         // Only show status for sender's messages
-        if (!isSender) return null;
+        if (!isSender || message.messageType === 'call') return null;
 
         // Handle different message states
         if (message?.isOptimistic) {
@@ -120,17 +496,23 @@ const MessageBubble = ({ message, isSender }) => {
         const isDelivered = message?.isDelivered === true;
         const isRead = message?.isRead === true;
 
+        // Group messages count as read once every member has read them
+        const readCount = message?.readBy?.length || 0;
+
         if (isRead) {
             // Read: Double tick (green)
             return (
-                <span className="message-status-icon read" title="Read">
+                <span className="message-status-icon read" title={isGroup ? 'Read by everyone' : 'Read'}>
                     <CheckCheck size={16} />
                 </span>
             );
         } else if (isDelivered) {
             // Delivered but not read: Double tick (grey)
             return (
-                <span className="message-status-icon delivered" title="Delivered">
+                <span
+                    className="message-status-icon delivered"
+                    title={isGroup && readCount > 0 ? `Read by ${readCount}` : 'Delivered'}
+                >
                     <CheckCheck size={16} />
                 </span>
             );
@@ -145,11 +527,103 @@ const MessageBubble = ({ message, isSender }) => {
     };
 
     return (
-        <div className={wrapperClasses}>
-            <div className={bubbleClasses}>
-                {renderMessageContent()}
+        <div className={wrapperClasses} id={message._id ? `message-${message._id}` : undefined}>
+            <div
+                className={bubbleClasses}
+                onTouchStart={handleTouchStart}
+                onTouchEnd={cancelLongPress}
+                onTouchMove={cancelLongPress}
+            >
+                {isGroup && !isSender && (
+                    <span className="message-sender-name">{message.sender?.name}</span>
+                )}
+                {message.isForwarded && !message.isDeleted && (
+                    <span className="message-forwarded"><Forward size={12} /> Forwarded</span>
+                )}
+                {message.replyTo && !message.isDeleted && renderQuote()}
+                {isEditing ? renderEditForm() : renderMessageContent()}
+                {!isEditing && (canEdit || canDelete || canReact || canReply || canForward || canPin || canStar) && (
+                    <div className="message-actions">
+                        {canReply && (
+                            <button className="message-action-btn" onClick={() => onReply(message)} title="Reply">
+                                <Reply size={14} />
+                            </button>
+                        )}
+                        {canForward && (
+                            <button className="message-action-btn" onClick={() => onForward(message)} title="Forward">
+                                <Forward size={14} />
+                            </button>
+                        )}
+                        {canPin && (
+                            <button
+                                className="message-action-btn"
+                                onClick={() => onTogglePin(message._id, isPinned)}
+                                title={isPinned ? 'Unpin message' : 'Pin message'}
+                            >
+                                {isPinned ? <PinOff size={14} /> : <Pin size={14} />}
+                            </button>
+                        )}
+                        {canStar && (
+                            <button
+                                className="message-action-btn"
+                                onClick={() => onToggleStar(message._id, !!message.isStarred)}
+                                title={message.isStarred ? 'Unstar message' : 'Star message'}
+                            >
+                                {message.isStarred ? <StarOff size={14} /> : <Star size={14} />}
+                            </button>
+                        )}
+                        {canReact && (
+                            <button
+                                className="message-action-btn"
+                                onClick={() => setShowReactionBar(prev => !prev)}
+                                title="React"
+                            >
+                                <Smile size={14} />
+                            </button>
+                        )}
+                        {canEdit && (
+                            <button className="message-action-btn" onClick={startEditing} title="Edit message">
+                                <Pencil size={14} />
+                            </button>
+                        )}
+                        {canDelete && (
+                            <button
+                                className="message-action-btn"
+                                onClick={() => setShowDeleteMenu(prev => !prev)}
+                                title="Delete message"
+                            >
+                                <Trash2 size={14} />
+                            </button>
+                        )}
+                    </div>
+                )}
             </div>
+            {showReactionBar && renderReactionBar()}
+            {showDeleteMenu && renderDeleteMenu()}
+            {message.reactions?.length > 0 && renderReactions()}
+            {showHistory && message.editHistory?.length > 0 && renderEditHistory()}
             <div className="message-meta">
+                {message.editedAt && (
+                    <button
+                        className="message-edited"
+                        onClick={() => setShowHistory(prev => !prev)}
+                        title={`Edited ${formatTime(message.editedAt)} - click to see earlier versions`}
+                    >
+                        edited
+                    </button>
+                )}
+                {message.isStarred && !message.isDeleted && (
+                    <Star size={11} className="message-starred" fill="currentColor" />
+                )}
+                {showTimer && (
+                    <span
+                        className="message-timer"
+                        title={timeLeft ? `Disappears at ${formatTime(message.expiresAt)}` : `Disappears ${formatDisappearingTimer(message.disappearAfterSeconds)} after it is read`}
+                    >
+                        <Timer size={11} />
+                        {timeLeft ? formatTimeLeft(timeLeft) : formatDisappearingTimer(message.disappearAfterSeconds)}
+                    </span>
+                )}
                 <span className="message-time">{timestamp}</span>
                 {renderMessageStatus()}
             </div>
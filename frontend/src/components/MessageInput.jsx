@@ -1,10 +1,15 @@
 // src/components/MessageInput.jsx - COMPLETE FIXED VERSION
 import React, { useState, useEffect, useRef } from 'react';
-import { Send, Paperclip, Smile, Image, Camera, Video, File, Mic, Square } from 'lucide-react';
+import { Send, Paperclip, Smile, Image, Camera, Video, File, Mic, Square, Reply, X, Clock, Pencil, ChevronDown, ChevronUp, Timer, Eye, Check } from 'lucide-react';
 import EmojiPicker from 'emoji-picker-react';
 import { useAuth } from '../contexts/AuthContext';
+import { authFetch } from '../services/authTokens';
+import { getMessageSnippet, formatDisappearingTimer } from './MessageBubble';
 import './MessageInput.css';
 
+// Must match DISAPPEARING_TIMER_OPTIONS on the server (seconds after the message is read)
+const DISAPPEARING_TIMER_OPTIONS = [10, 30, 60, 5 * 60, 60 * 60, 24 * 60 * 60];
+
 /* ---------- Click Outside Hook ---------- */
 const useOnClickOutside = (ref, handler) => {
     useEffect(() => {
@@ -331,13 +336,105 @@ const VoiceRecorder = ({ onRecordingComplete, onCancel }) => {
     );
 };
 
+/* ---------- Scheduled Messages ---------- */
+const SCHEDULED_API_URL = 'https://lovebirds-mwyz.onrender.com/api/scheduled-messages';
+
+const scheduledRequest = async (path = '', options = {}) => {
+    const response = await authFetch(`${SCHEDULED_API_URL}${path}`, {
+        ...options,
+        headers: {
+            'Content-Type': 'application/json'
+        }
+    });
+
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.message || 'Scheduled message request failed');
+    return data;
+};
+
+// <input type="datetime-local"> works in local time without a timezone suffix
+const toLocalInputValue = (date) => {
+    const d = new Date(date);
+    return new Date(d.getTime() - d.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+};
+
+const formatSendAt = (date) => new Date(date).toLocaleString([], {
+    weekday: 'short',
+    day: 'numeric',
+    month: 'short',
+    hour: '2-digit',
+    minute: '2-digit'
+});
+
+const ScheduledMessageItem = ({ scheduled, onSave, onCancel }) => {
+    const [isEditing, setIsEditing] = useState(false);
+    const [text, setText] = useState(scheduled.content.text);
+    const [sendAt, setSendAt] = useState(toLocalInputValue(scheduled.sendAt));
+
+    const handleSave = async (e) => {
+        e.preventDefault();
+        const saved = await onSave(scheduled._id, { text, sendAt: new Date(sendAt).toISOString() });
+        if (saved) setIsEditing(false);
+    };
+
+    if (isEditing) {
+        return (
+            <form className="scheduled-item editing" onSubmit={handleSave}>
+                <input
+                    value={text}
+                    onChange={(e) => setText(e.target.value)}
+                    className="scheduled-edit-text"
+                    autoFocus
+                />
+                <input
+                    type="datetime-local"
+                    value={sendAt}
+                    min={toLocalInputValue(new Date())}
+                    onChange={(e) => setSendAt(e.target.value)}
+                    className="schedule-datetime-input"
+                />
+                <div className="scheduled-edit-actions">
+                    <button type="button" onClick={() => setIsEditing(false)} className="schedule-secondary-button">Cancel</button>
+                    <button type="submit" className="schedule-primary-button" disabled={!text.trim() || !sendAt}>Save</button>
+                </div>
+            </form>
+        );
+    }
+
+    return (
+        <div className={`scheduled-item ${scheduled.status === 'failed' ? 'failed' : ''}`}>
+            <div className="scheduled-item-content">
+                <span className="scheduled-item-text">{scheduled.content.text}</span>
+                <span className="scheduled-item-time">
+                    {scheduled.status === 'failed'
+                        ? `Not sent: ${scheduled.failureReason || 'unknown error'}`
+                        : formatSendAt(scheduled.sendAt)}
+                </span>
+            </div>
+            <button type="button" onClick={() => setIsEditing(true)} className="scheduled-item-button" title="Edit">
+                <Pencil size={14} />
+            </button>
+            <button type="button" onClick={() => onCancel(scheduled._id)} className="scheduled-item-button" title="Cancel scheduled message">
+                <X size={14} />
+            </button>
+        </div>
+    );
+};
+
 /* ---------- MAIN MESSAGE INPUT ---------- */
-const MessageInput = ({ onSendMessage, onSendFile, selectedUser, socket }) => {
+const MessageInput = ({ onSendMessage, onSendFile, selectedUser, socket, replyingTo = null, onCancelReply }) => {
     const [message, setMessage] = useState('');
     const [showEmojiPicker, setShowEmojiPicker] = useState(false);
     const [showAttachmentMenu, setShowAttachmentMenu] = useState(false);
     const [showCamera, setShowCamera] = useState(false);
     const [showVoiceRecorder, setShowVoiceRecorder] = useState(false);
+    const [showSchedulePicker, setShowSchedulePicker] = useState(false);
+    const [scheduleAt, setScheduleAt] = useState('');
+    const [scheduledMessages, setScheduledMessages] = useState([]);
+    const [showScheduledList, setShowScheduledList] = useState(false);
+    const [showTimerMenu, setShowTimerMenu] = useState(false);
+    const [disappearAfter, setDisappearAfter] = useState(null);
+    const [viewOnce, setViewOnce] = useState(false);
 
     const typingTimeoutRef = useRef(null);
     const lastTypingEmitRef = useRef(0);
@@ -349,12 +446,19 @@ const MessageInput = ({ onSendMessage, onSendFile, selectedUser, socket }) => {
     const imageInputRef = useRef(null);
     const videoInputRef = useRef(null);
     const fileInputRef = useRef(null);
+    const schedulePickerRef = useRef(null);
+    const timerMenuRef = useRef(null);
 
     useOnClickOutside(emojiPickerRef, () => setShowEmojiPicker(false));
     useOnClickOutside(attachmentMenuRef, () => setShowAttachmentMenu(false));
+    useOnClickOutside(schedulePickerRef, () => setShowSchedulePicker(false));
+    useOnClickOutside(timerMenuRef, () => setShowTimerMenu(false));
 
     const getChatId = (userA, userB) => [userA, userB].sort().join('_');
 
+    // Group chats use the conversation id as their room
+    const getRoomId = () => selectedUser.isGroup ? selectedUser._id : getChatId(user._id, selectedUser._id);
+
     /* ---------- Optimized Typing Handler ---------- */
     const handleTyping = (e) => {
         const newMessage = e.target.value;
@@ -362,7 +466,7 @@ const MessageInput = ({ onSendMessage, onSendFile, selectedUser, socket }) => {
 
         if (!socket || !selectedUser || !user) return;
 
-        const chatId = getChatId(user._id, selectedUser._id);
+        const chatId = getRoomId();
         const hasText = newMessage.trim().length > 0;
         const now = Date.now();
 
@@ -388,17 +492,118 @@ const MessageInput = ({ onSendMessage, onSendFile, selectedUser, socket }) => {
         e.preventDefault();
         if (!message.trim()) return;
 
-        const chatId = getChatId(user._id, selectedUser._id);
+        const chatId = getRoomId();
         socket.emit('stopTyping', { chatId });
         lastTypingEmitRef.current = 0;
 
-        onSendMessage(message.trim());
+        onSendMessage(message.trim(), getSendOptions());
         setMessage('');
         setShowEmojiPicker(false);
 
         if (typingTimeoutRef.current) clearTimeout(typingTimeoutRef.current);
     };
 
+    /* ---------- Disappearing Messages ---------- */
+    useEffect(() => {
+        setDisappearAfter(null);
+        setViewOnce(false);
+        setShowTimerMenu(false);
+    }, [selectedUser?._id]);
+
+    // View-once only applies to photos, videos and voice messages, and only to the next one sent
+    const getSendOptions = (file = null) => {
+        const options = disappearAfter ? { disappearAfterSeconds: disappearAfter } : {};
+        if (viewOnce && file && /^(image|video|audio)\//.test(file.type)) {
+            options.viewOnce = true;
+            setViewOnce(false);
+        }
+        return options;
+    };
+
+    /* ---------- Scheduled Messages ---------- */
+    useEffect(() => {
+        setScheduledMessages([]);
+        setShowScheduledList(false);
+        setShowSchedulePicker(false);
+        if (!selectedUser || !user) return;
+
+        scheduledRequest(`?chatId=${getRoomId()}`)
+            .then(setScheduledMessages)
+            .catch(error => console.error('❌ Error fetching scheduled messages:', error));
+    }, [selectedUser?._id, user]);
+
+    // The server reports when a scheduled message was sent (it then arrives like any other) or failed
+    useEffect(() => {
+        if (!socket) return;
+
+        const handleScheduledMessageUpdated = (update) => {
+            setScheduledMessages(prev => update.status === 'sent'
+                ? prev.filter(s => s._id !== update._id)
+                : prev.map(s => s._id === update._id ? { ...s, ...update } : s)
+            );
+        };
+
+        socket.on('scheduledMessageUpdated', handleScheduledMessageUpdated);
+        return () => socket.off('scheduledMessageUpdated', handleScheduledMessageUpdated);
+    }, [socket]);
+
+    const openSchedulePicker = () => {
+        // Suggest an hour from now
+        setScheduleAt(toLocalInputValue(Date.now() + 60 * 60 * 1000));
+        setShowSchedulePicker(prev => !prev);
+    };
+
+    const handleSchedule = async () => {
+        if (!message.trim() || !scheduleAt) return;
+
+        try {
+            const scheduled = await scheduledRequest('', {
+                method: 'POST',
+                body: JSON.stringify({
+                    ...(selectedUser.isGroup ? { conversationId: selectedUser._id } : { receiverId: selectedUser._id }),
+                    text: message.trim(),
+                    sendAt: new Date(scheduleAt).toISOString()
+                })
+            });
+
+            setScheduledMessages(prev => [...prev, scheduled].sort((a, b) => new Date(a.sendAt) - new Date(b.sendAt)));
+            setMessage('');
+            setShowSchedulePicker(false);
+            socket?.emit('stopTyping', { chatId: getRoomId() });
+        } catch (error) {
+            alert(error.message);
+        }
+    };
+
+    const handleUpdateScheduled = async (id, changes) => {
+        try {
+            const updated = await scheduledRequest(`/${id}`, { method: 'PATCH', body: JSON.stringify(changes) });
+            setScheduledMessages(prev => prev
+                .map(s => s._id === id ? updated : s)
+                .sort((a, b) => new Date(a.sendAt) - new Date(b.sendAt)));
+            return true;
+        } catch (error) {
+            alert(error.message);
+            return false;
+        }
+    };
+
+    const handleCancelScheduled = async (id) => {
+        if (!window.confirm('Cancel this scheduled message?')) return;
+
+        try {
+            await scheduledRequest(`/${id}`, { method: 'DELETE' });
+            setScheduledMessages(prev => prev.filter(s => s._id !== id));
+        } catch (error) {
+            alert(error.message);
+        }
+    };
+
+    // Start typing the reply right away
+    useEffect(() => {
+        if (replyingTo) inputRef.current?.focus();
+    }, [replyingTo]);
+
     const handleEmojiClick = (emojiObject) => {
         setMessage(prev => prev + emojiObject.emoji);
         inputRef.current.focus();
@@ -407,7 +612,7 @@ const MessageInput = ({ onSendMessage, onSendFile, selectedUser, socket }) => {
     const handleFileSelect = (e) => {
         const file = e.target.files[0];
         if (file) {
-            onSendFile(file);
+            onSendFile(file, getSendOptions(file));
         }
         e.target.value = '';
         setShowAttachmentMenu(false);
@@ -427,7 +632,7 @@ const MessageInput = ({ onSendMessage, onSendFile, selectedUser, socket }) => {
                     file.name = fileName;
                     file.lastModified = Date.now();
                 }
-                onSendFile(file);
+                onSendFile(file, getSendOptions(file));
             });
     };
 
@@ -440,7 +645,7 @@ const MessageInput = ({ onSendMessage, onSendFile, selectedUser, socket }) => {
             });
             
             // Send the voice file directly
-            await onSendFile(audioFile);
+            await onSendFile(audioFile, getSendOptions(audioFile));
             setShowVoiceRecorder(false);
             console.log('✅ Voice message sent successfully');
         } catch (error) {
@@ -453,7 +658,7 @@ const MessageInput = ({ onSendMessage, onSendFile, selectedUser, socket }) => {
         return () => {
             if (typingTimeoutRef.current) clearTimeout(typingTimeoutRef.current);
             if (socket && selectedUser && user) {
-                const chatId = getChatId(user._id, selectedUser._id);
+                const chatId = getRoomId();
                 socket.emit('stopTyping', { chatId });
             }
         };
@@ -492,6 +697,93 @@ const MessageInput = ({ onSendMessage, onSendFile, selectedUser, socket }) => {
                     <button onClick={() => fileInputRef.current.click()} className="attachment-menu-item">
                         <File size={20} /> File
                     </button>
+                    <button
+                        onClick={() => setViewOnce(prev => !prev)}
+                        className={`attachment-menu-item view-once-toggle ${viewOnce ? 'active' : ''}`}
+                        title="The next photo, video or voice message can only be opened once"
+                    >
+                        <Eye size={20} /> View once
+                        {viewOnce && <Check size={16} className="view-once-check" />}
+                    </button>
+                </div>
+            )}
+
+            {showTimerMenu && (
+                <div ref={timerMenuRef} className="disappearing-menu">
+                    <span className="schedule-picker-title">Disappear after being read</span>
+                    {[null, ...DISAPPEARING_TIMER_OPTIONS].map(seconds => (
+                        <button
+                            key={seconds || 'off'}
+                            type="button"
+                            className={`disappearing-option ${disappearAfter === seconds ? 'active' : ''}`}
+                            onClick={() => {
+                                setDisappearAfter(seconds);
+                                setShowTimerMenu(false);
+                            }}
+                        >
+                            {seconds ? formatDisappearingTimer(seconds) : 'Off'}
+                            {disappearAfter === seconds && <Check size={14} />}
+                        </button>
+                    ))}
+                </div>
+            )}
+
+            {showSchedulePicker && (
+                <div ref={schedulePickerRef} className="schedule-picker">
+                    <span className="schedule-picker-title">Send this message later</span>
+                    <input
+                        type="datetime-local"
+                        value={scheduleAt}
+                        min={toLocalInputValue(new Date())}
+                        onChange={(e) => setScheduleAt(e.target.value)}
+                        className="schedule-datetime-input"
+                    />
+                    <button
+                        type="button"
+                        onClick={handleSchedule}
+                        className="schedule-primary-button"
+                        disabled={!message.trim() || !scheduleAt}
+                    >
+                        <Clock size={16} /> Schedule
+                    </button>
+                    {!message.trim() && <span className="schedule-picker-hint">Type a message first</span>}
+                </div>
+            )}
+
+            {scheduledMessages.length > 0 && (
+                <div className="scheduled-messages">
+                    <button type="button" className="scheduled-toggle" onClick={() => setShowScheduledList(prev => !prev)}>
+                        <Clock size={14} />
+                        {scheduledMessages.length} scheduled message{scheduledMessages.length > 1 ? 's' : ''}
+                        {showScheduledList ? <ChevronDown size={14} /> : <ChevronUp size={14} />}
+                    </button>
+                    {showScheduledList && (
+                        <div className="scheduled-list">
+                            {scheduledMessages.map(scheduled => (
+                                <ScheduledMessageItem
+                                    key={scheduled._id}
+                                    scheduled={scheduled}
+                                    onSave={handleUpdateScheduled}
+                                    onCancel={handleCancelScheduled}
+                                />
+                            ))}
+                        </div>
+                    )}
+                </div>
+            )}
+
+            {replyingTo && (
+                <div className="reply-preview">
+                    <Reply size={18} className="reply-preview-icon" />
+                    <div className="reply-preview-content">
+                        <span className="reply-preview-author">
+                            Replying to {replyingTo.sender?._id === user?._id ? 'yourself' : replyingTo.sender?.name}
+                        </span>
+                        <span className="reply-preview-text">{getMessageSnippet(replyingTo)}</span>
+                    </div>
+                    <button type="button" onClick={onCancelReply} className="reply-preview-close" title="Cancel reply">
+                        <X size={18} />
+                    </button>
                 </div>
             )}
 
@@ -517,6 +809,20 @@ const MessageInput = ({ onSendMessage, onSendFile, selectedUser, socket }) => {
                     />
                 </div>
 
+                <button
+                    type="button"
+                    onClick={() => setShowTimerMenu(prev => !prev)}
+                    className={`message-input-button timer-button ${disappearAfter ? 'active' : ''}`}
+                    title={disappearAfter ? `Messages disappear ${formatDisappearingTimer(disappearAfter)} after being read` : 'Disappearing messages'}
+                >
+                    <Timer size={20} />
+                    {disappearAfter && <span className="timer-button-label">{formatDisappearingTimer(disappearAfter)}</span>}
+                </button>
+
+                <button type="button" onClick={openSchedulePicker} className="message-input-button schedule-button" title="Schedule message">
+                    <Clock size={20} />
+                </button>
+
                 <button type="submit" className="message-input-button send-button" disabled={!message.trim()}>
                     <Send size={20} />
                 </button>
@@ -0,0 +1,132 @@
+// src/components/MessageSearchResults.jsx - SERVER-SIDE MESSAGE SEARCH RESULTS
+import React, { useState, useEffect } from 'react';
+import { Users } from 'lucide-react';
+import { authFetch } from '../services/authTokens';
+import './MessageSearchResults.css';
+
+const SEARCH_URL = 'https://lovebirds-mwyz.onrender.com/api/messages/search';
+const MIN_QUERY_LENGTH = 2;
+const SEARCH_DEBOUNCE_MS = 300;
+
+/**
+ * Search messages on the server as the user types. Pass `chatId` to search a single chat.
+ * Resolves to null while the query is too short to search.
+ */
+export const useMessageSearch = (query, chatId = null) => {
+    const [results, setResults] = useState(null);
+    const [searching, setSearching] = useState(false);
+
+    useEffect(() => {
+        const q = query.trim();
+        if (q.length < MIN_QUERY_LENGTH) {
+            setResults(null);
+            setSearching(false);
+            return;
+        }
+
+        let cancelled = false;
+        setSearching(true);
+
+        const timeout = setTimeout(async () => {
+            try {
+                const params = new URLSearchParams({ q });
+                if (chatId) params.set('chatId', chatId);
+
+                const response = await authFetch(`${SEARCH_URL}?${params}`, {
+                    headers: {
+                        'Content-Type': 'application/json'
+                    }
+                });
+
+                if (!response.ok) throw new Error('Search failed');
+                const data = await response.json();
+                if (!cancelled) setResults(data.results);
+            } catch (error) {
+                console.error('❌ Error searching messages:', error);
+                if (!cancelled) setResults([]);
+            } finally {
+                if (!cancelled) setSearching(false);
+            }
+        }, SEARCH_DEBOUNCE_MS);
+
+        return () => {
+            cancelled = true;
+            clearTimeout(timeout);
+        };
+    }, [query, chatId]);
+
+    return { results, searching };
+};
+
+// Split the snippet on the server's [start, end) highlight ranges
+const renderSnippet = ({ snippet, highlights = [] }) => {
+    const parts = [];
+    let cursor = 0;
+
+    highlights.forEach(([start, end]) => {
+        if (start > cursor) parts.push(snippet.slice(cursor, start));
+        parts.push(<mark key={start}>{snippet.slice(start, end)}</mark>);
+        cursor = end;
+    });
+    if (cursor < snippet.length) parts.push(snippet.slice(cursor));
+
+    return parts;
+};
+
+const formatDate = (date) => {
+    const d = new Date(date);
+    return d.toDateString() === new Date().toDateString()
+        ? d.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+        : d.toLocaleDateString([], { day: 'numeric', month: 'short' });
+};
+
+const MessageSearchResults = ({ results, searching, onSelect, showChat = true }) => {
+    const getAvatarUrl = (chat) => {
+        if (chat?.avatar) {
+            if (chat.avatar.startsWith('http')) return chat.avatar;
+            return `${window.location.origin}/uploads/${chat.avatar}`;
+        }
+        return `https://ui-avatars.com/api/?name=${encodeURIComponent(chat?.name || 'Chat')}&background=random`;
+    };
+
+    if (searching && !results) {
+        return <p className="message-search-hint">Searching messages...</p>;
+    }
+
+    if (!results) return null;
+
+    if (results.length === 0) {
+        return <p className="message-search-hint">No messages found</p>;
+    }
+
+    return (
+        <div className="message-search-results">
+            {results.map(result => (
+                <button key={result._id} className="message-search-item" onClick={() => onSelect(result)}>
+                    {showChat && (
+                        result.chat.type === 'group' ? (
+                            <span className="message-search-avatar group"><Users size={16} /></span>
+                        ) : (
+                            <img src={getAvatarUrl(result.chat)} alt={result.chat.name} className="message-search-avatar" />
+                        )
+                    )}
+                    <span className="message-search-text">
+                        <span className="message-search-header">
+                            <span className="message-search-title">
+                                {showChat ? result.chat.name : result.sender?.name}
+                            </span>
+                            <span className="message-search-date">{formatDate(result.createdAt)}</span>
+                        </span>
+                        <span className="message-search-snippet">
+                            {showChat && result.chat.type === 'group' && `${result.sender?.name}: `}
+                            {result.messageType === 'file' && '📎 '}
+                            {renderSnippet(result)}
+                        </span>
+                    </span>
+                </button>
+            ))}
+        </div>
+    );
+};
+
+export default MessageSearchResults;
@@ -2,6 +2,9 @@
 import React, { useState, useRef, useEffect } from 'react';
 import { useAuth } from '../contexts/AuthContext';
 import { X, Camera, User } from 'lucide-react';
+import SignInMethods from './SignInMethods';
+import TwoFactorSettings from './TwoFactorSettings';
+import ActiveSessions from './ActiveSessions';
 import './ProfileModal.css';
 
 const ProfileModal = ({ isOpen, onClose }) => {
@@ -144,6 +147,10 @@ const ProfileModal = ({ isOpen, onClose }) => {
             </button>
           </div>
         </form>
+
+        <SignInMethods />
+        <TwoFactorSettings />
+        <ActiveSessions />
       </div>
     </div>
   );
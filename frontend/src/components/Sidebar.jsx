@@ -2,15 +2,19 @@
 import React, { useState, useEffect, useCallback, useRef, useContext } from 'react';
 import { useAuth } from '../contexts/AuthContext';
 import { SocketContext } from '../contexts/SocketContext';
-import { Search, Plus, LogOut, Settings, Bell, Moon, Sun, Users, UserPlus, Shield, Menu, X } from 'lucide-react';
+import { Search, Plus, LogOut, Settings, Bell, Moon, Sun, Users, UserPlus, Shield, Menu, X, MessageSquarePlus, Star } from 'lucide-react';
 import ProfileModal from './ProfileModal';
 import UserSearchModal from './UserSearchModal';
 import ChatRequestModal from './ChatRequestModal';
 import BlockedUsersModal from './BlockedUsersModal';
+import GroupModal from './GroupModal';
+import StarredMessagesModal from './StarredMessagesModal';
+import MessageSearchResults, { useMessageSearch } from './MessageSearchResults';
+import { getCallLabel } from './MessageBubble';
 import './Sidebar.css';
 
 
-const Sidebar = ({ users, selectedUser, onSelectUser, messagesMap = {}, lastMessageUpdate }) => {
+const Sidebar = ({ users, groups = [], chatSummaries = {}, selectedUser, onSelectUser, onOpenMessage, messagesMap = {}, lastMessageUpdate }) => {
   const { user, logout } = useAuth();
   const socket = useContext(SocketContext);
   
@@ -20,6 +24,9 @@ const Sidebar = ({ users, selectedUser, onSelectUser, messagesMap = {}, lastMess
   const [showUserSearch, setShowUserSearch] = useState(false);
   const [showChatRequests, setShowChatRequests] = useState(false);
   const [showBlockedUsers, setShowBlockedUsers] = useState(false);
+  const [showCreateGroup, setShowCreateGroup] = useState(false);
+  const [showStarred, setShowStarred] = useState(false);
+  const { results: messageResults, searching: searchingMessages } = useMessageSearch(searchTerm);
   const [chatRequests, setChatRequests] = useState({ received: [], sent: [] });
   const [unreadRequestCount, setUnreadRequestCount] = useState(0);
   
@@ -69,31 +76,19 @@ const Sidebar = ({ users, selectedUser, onSelectUser, messagesMap = {}, lastMess
   // ==================== EXISTING UNREAD LOGIC (PRESERVED) ====================
 
 
-  // Load saved unread counts on mount
+  // Seed unread counts from the server (conversation unread counters)
   useEffect(() => {
-    if (user?._id) {
-      const saved = localStorage.getItem(`unreadCounts_${user._id}`);
-      if (saved) {
-        try {
-          unreadCountsRef.current = JSON.parse(saved);
-          setLocalUnreadCounts({ ...unreadCountsRef.current });
-          console.log('💾 [SIDEBAR] Loaded unread counts from storage:', unreadCountsRef.current);
-        } catch (e) {
-          console.error('❌ [SIDEBAR] Failed to parse saved unread counts');
-          unreadCountsRef.current = {};
-        }
+    const serverCounts = {};
+    Object.entries(chatSummaries).forEach(([chatKey, summary]) => {
+      if (summary.unreadCount > 0 && chatKey !== currentChatUserIdRef.current) {
+        serverCounts[chatKey] = summary.unreadCount;
       }
-    }
-  }, [user]);
-
+    });
 
-  // Save unread counts to localStorage whenever they change
-  useEffect(() => {
-    if (user?._id) {
-      localStorage.setItem(`unreadCounts_${user._id}`, JSON.stringify(unreadCountsRef.current));
-      console.log('💾 [SIDEBAR] Saved unread counts to storage:', unreadCountsRef.current);
-    }
-  }, [localUnreadCounts, user]);
+    unreadCountsRef.current = serverCounts;
+    setLocalUnreadCounts({ ...serverCounts });
+    console.log('📊 [SIDEBAR] Loaded unread counts from server:', serverCounts);
+  }, [chatSummaries]);
 
 
   // Track currently selected chat and clear its unread count
@@ -382,7 +377,13 @@ const Sidebar = ({ users, selectedUser, onSelectUser, messagesMap = {}, lastMess
 
 
     const unreadCount = localUnreadCounts[userId] || 0;
-    const lastMessage = sortedMessages[sortedMessages.length - 1];
+
+    // Prefer whichever is newer: the live socket messages or the server summary
+    const summaryMessage = chatSummaries[userId]?.lastMessage;
+    const liveMessage = sortedMessages[sortedMessages.length - 1];
+    const lastMessage = summaryMessage && (!liveMessage || new Date(summaryMessage.createdAt) > new Date(liveMessage.createdAt))
+      ? summaryMessage
+      : liveMessage;
 
 
     let lastMessageText = 'No messages yet';
@@ -395,7 +396,10 @@ const Sidebar = ({ users, selectedUser, onSelectUser, messagesMap = {}, lastMess
     if (lastMessage) {
       // Handle different message types
       let text = '';
-      switch (lastMessage.messageType) {
+      switch (lastMessage.isDeleted ? 'deleted' : lastMessage.messageType) {
+        case 'deleted':
+          text = '🚫 This message was deleted';
+          break;
         case 'image':
           text = '📷 Photo';
           break;
@@ -408,6 +412,9 @@ const Sidebar = ({ users, selectedUser, onSelectUser, messagesMap = {}, lastMess
         case 'file':
           text = '📎 File';
           break;
+        case 'call':
+          text = `📞 ${getCallLabel(lastMessage.call, lastMessage.sender?._id === user?._id)}`;
+          break;
         default:
           text = lastMessage.content?.text || lastMessage.content || '...';
       }
@@ -416,7 +423,16 @@ const Sidebar = ({ users, selectedUser, onSelectUser, messagesMap = {}, lastMess
       isLastMessageDelivered = lastMessage.isDelivered;
       isLastMessageRead = lastMessage.isRead;
       
-      lastMessageText = isLastMessageFromCurrentUser ? `You: ${text}` : text;
+      if (lastMessage.messageType === 'system') {
+        lastMessageText = text;
+      } else if (isLastMessageFromCurrentUser) {
+        lastMessageText = `You: ${text}`;
+      } else if (otherUser.isGroup) {
+        // Group previews show who sent the last message
+        lastMessageText = `${lastMessage.sender?.name?.split(' ')[0] || 'Someone'}: ${text}`;
+      } else {
+        lastMessageText = text;
+      }
       lastMessageTime = lastMessage.createdAt
         ? new Date(lastMessage.createdAt).toLocaleTimeString([], {
             hour: '2-digit',
@@ -428,7 +444,7 @@ const Sidebar = ({ users, selectedUser, onSelectUser, messagesMap = {}, lastMess
 
     // Add delivery status indicators
     let deliveryStatus = '';
-    if (isLastMessageFromCurrentUser) {
+    if (isLastMessageFromCurrentUser && lastMessage?.messageType !== 'system') {
       if (isLastMessageRead) {
         deliveryStatus = ' ✓✓'; // Read (double checkmark)
       } else if (isLastMessageDelivered) {
@@ -441,16 +457,26 @@ const Sidebar = ({ users, selectedUser, onSelectUser, messagesMap = {}, lastMess
       unreadCount,
       lastMessageText: lastMessageText + deliveryStatus,
       lastMessageTime,
-      hasMessages: sortedMessages.length > 0,
+      hasMessages: !!lastMessage,
+      lastActivity: lastMessage?.createdAt ? new Date(lastMessage.createdAt).getTime() : 0,
       isLastMessageFromCurrentUser
     };
-  }, [messagesMap, localUnreadCounts, user]);
+  }, [messagesMap, chatSummaries, localUnreadCounts, user]);
 
 
   const filteredUsers = users.filter((u) =>
     u.name.toLowerCase().includes(searchTerm.toLowerCase())
   );
 
+  const filteredGroups = groups.filter((g) =>
+    g.name.toLowerCase().includes(searchTerm.toLowerCase())
+  );
+
+  // Most recently active chats first (groups and friends mixed)
+  const chatItems = [...filteredGroups, ...filteredUsers].sort(
+    (a, b) => getUserMessageInfo(b).lastActivity - getUserMessageInfo(a).lastActivity
+  );
+
 
   console.log('🎨 [SIDEBAR] Rendering - Unread counts:', localUnreadCounts);
   console.log('📬 [SIDEBAR] Chat requests state:', {
@@ -522,6 +548,32 @@ const Sidebar = ({ users, selectedUser, onSelectUser, messagesMap = {}, lastMess
               </div>
 
 
+              {/* New Group Button with Label */}
+              <div className="action-button-wrapper">
+                <button 
+                  className="action-button" 
+                  title="New Group"
+                  onClick={() => setShowCreateGroup(true)}
+                >
+                  <MessageSquarePlus size={18} />
+                </button>
+                <span className="action-button-label">New Group</span>
+              </div>
+
+
+              {/* Starred Messages Button with Label */}
+              <div className="action-button-wrapper">
+                <button 
+                  className="action-button" 
+                  title="Starred Messages"
+                  onClick={() => setShowStarred(true)}
+                >
+                  <Star size={18} />
+                </button>
+                <span className="action-button-label">Starred</span>
+              </div>
+
+
               {/* Blocked Users Button with Label */}
               <div className="action-button-wrapper">
                 <button 
@@ -539,7 +591,7 @@ const Sidebar = ({ users, selectedUser, onSelectUser, messagesMap = {}, lastMess
             <Search size={18} className="search-icon" />
             <input
               type="text"
-              placeholder="Search conversations..."
+              placeholder="Search chats and messages..."
               className="search-input"
               value={searchTerm}
               onChange={(e) => setSearchTerm(e.target.value)}
@@ -550,7 +602,7 @@ const Sidebar = ({ users, selectedUser, onSelectUser, messagesMap = {}, lastMess
 
         {/* User List */}
         <div className="user-list">
-          {filteredUsers.map((u) => {
+          {chatItems.map((u) => {
             const isActive = selectedUser?._id === u._id;
             const { 
               unreadCount, 
@@ -580,11 +632,13 @@ const Sidebar = ({ users, selectedUser, onSelectUser, messagesMap = {}, lastMess
                       )}&background=random`;
                     }}
                   />
-                  <div
-                    className={`user-status-dot ${
-                      u.isOnline ? 'online' : 'offline'
-                    }`}
-                  />
+                  {!u.isGroup && (
+                    <div
+                      className={`user-status-dot ${
+                        u.isOnline ? 'online' : 'offline'
+                      }`}
+                    />
+                  )}
                   {unreadCount > 0 && (
                     <span className="user-unread-badge">
                       {unreadCount > 99 ? '99+' : unreadCount}
@@ -593,7 +647,10 @@ const Sidebar = ({ users, selectedUser, onSelectUser, messagesMap = {}, lastMess
                 </div>
                 <div className="user-details">
                   <div className="user-details-top">
-                    <h3 className="user-name">{u.name}</h3>
+                    <h3 className="user-name">
+                      {u.isGroup && <Users size={14} className="user-group-icon" />}
+                      {u.name}
+                    </h3>
                     {hasMessages && (
                       <span className="user-last-time">{lastMessageTime}</span>
                     )}
@@ -624,11 +681,26 @@ const Sidebar = ({ users, selectedUser, onSelectUser, messagesMap = {}, lastMess
           })}
 
 
-          {filteredUsers.length === 0 && (
+          {chatItems.length === 0 && (
             <div className="no-users-message">
               <p>No users found</p>
             </div>
           )}
+
+          {/* Messages matching the search, from every chat */}
+          {(messageResults || searchingMessages) && (
+            <div className="sidebar-message-search">
+              <h3 className="sidebar-section-title">Messages</h3>
+              <MessageSearchResults
+                results={messageResults}
+                searching={searchingMessages}
+                onSelect={(result) => {
+                  setIsMobileMenuOpen(false);
+                  onOpenMessage?.(result.chat, result);
+                }}
+              />
+            </div>
+          )}
         </div>
 
 
@@ -710,6 +782,26 @@ const Sidebar = ({ users, selectedUser, onSelectUser, messagesMap = {}, lastMess
           isOpen={showBlockedUsers}
           onClose={() => setShowBlockedUsers(false)}
         />
+
+
+        {/* Starred Messages Modal */}
+        <StarredMessagesModal
+          isOpen={showStarred}
+          onClose={() => setShowStarred(false)}
+          onOpenMessage={(item) => {
+            setShowStarred(false);
+            setIsMobileMenuOpen(false);
+            onOpenMessage?.(item.chat, item.message);
+          }}
+        />
+
+
+        {/* Create Group Modal */}
+        <GroupModal
+          isOpen={showCreateGroup}
+          onClose={() => setShowCreateGroup(false)}
+          friends={users}
+        />
       </div>
     </>
   );
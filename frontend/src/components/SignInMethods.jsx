@@ -0,0 +1,234 @@
+// src/components/SignInMethods.jsx - PASSWORD AND GOOGLE SIGN-IN FOR THE ACCOUNT, LINK/UNLINK AND SET PASSWORD
+import React, { useState, useEffect } from 'react';
+import { GoogleLogin } from '@react-oauth/google';
+import { KeyRound, Chrome } from 'lucide-react';
+import { useAuth } from '../contexts/AuthContext';
+import { authFetch } from '../services/authTokens';
+import './SignInMethods.css';
+
+const AUTH_URL = 'https://lovebirds-mwyz.onrender.com/api/auth';
+
+const requestAuth = async (path, { method = 'GET', body } = {}) => {
+    const response = await authFetch(`${AUTH_URL}${path}`, {
+        method,
+        headers: {
+            'Content-Type': 'application/json'
+        },
+        body: body ? JSON.stringify(body) : undefined
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) throw new Error(data.message || 'Request failed');
+    return data;
+};
+
+const EMPTY_PASSWORD_FORM = { currentPassword: '', newPassword: '', confirmPassword: '' };
+
+const SignInMethods = () => {
+    const { syncEmailVerification } = useAuth();
+    const [methods, setMethods] = useState(null);
+    const [error, setError] = useState('');
+    const [showPasswordForm, setShowPasswordForm] = useState(false);
+    const [passwordForm, setPasswordForm] = useState(EMPTY_PASSWORD_FORM);
+    const [busy, setBusy] = useState(false);
+
+    const fetchMethods = async () => {
+        try {
+            setMethods(await requestAuth('/sign-in-methods'));
+            setError('');
+        } catch (err) {
+            console.error('❌ Error loading sign-in methods:', err);
+            setError('Could not load your sign-in methods');
+        }
+    };
+
+    useEffect(() => {
+        fetchMethods();
+    }, []);
+
+    const runAction = async (action) => {
+        setBusy(true);
+        try {
+            await action();
+            await fetchMethods();
+        } catch (err) {
+            console.error('❌ Sign-in method update failed:', err);
+            alert(err.message || 'Something went wrong');
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const handlePasswordChange = (e) => {
+        setPasswordForm(prev => ({ ...prev, [e.target.name]: e.target.value }));
+    };
+
+    // A first password needs a fresh Google sign-in (googleToken) instead of the current password
+    const savePassword = (googleToken) => {
+        if (passwordForm.newPassword !== passwordForm.confirmPassword) {
+            alert('Passwords do not match');
+            return;
+        }
+
+        runAction(async () => {
+            const { message } = await requestAuth('/password', {
+                method: 'POST',
+                body: {
+                    currentPassword: passwordForm.currentPassword,
+                    newPassword: passwordForm.newPassword,
+                    googleToken
+                }
+            });
+            setPasswordForm(EMPTY_PASSWORD_FORM);
+            setShowPasswordForm(false);
+            alert(message);
+        });
+    };
+
+    const handlePasswordSubmit = (e) => {
+        e.preventDefault();
+        if (!methods.hasPassword) {
+            alert('Confirm with Google to set your password');
+            return;
+        }
+        savePassword();
+    };
+
+    const handleGoogleLink = ({ credential }) => runAction(async () => {
+        await requestAuth('/google/link', { method: 'POST', body: { token: credential } });
+        // Google vouches for the address, so linking also verifies it
+        syncEmailVerification();
+    });
+
+    const handleGoogleUnlink = () => {
+        if (!window.confirm('Unlink Google? You will log in with your email and password only.')) return;
+        runAction(() => requestAuth('/google/link', { method: 'DELETE' }));
+    };
+
+    const closePasswordForm = () => {
+        setPasswordForm(EMPTY_PASSWORD_FORM);
+        setShowPasswordForm(false);
+    };
+
+    const renderPasswordForm = () => (
+        <form className="sign-in-password-form" onSubmit={handlePasswordSubmit}>
+            {methods.hasPassword && (
+                <input
+                    type="password"
+                    name="currentPassword"
+                    value={passwordForm.currentPassword}
+                    onChange={handlePasswordChange}
+                    placeholder="Current password"
+                    autoComplete="current-password"
+                    required
+                    disabled={busy}
+                />
+            )}
+            <input
+                type="password"
+                name="newPassword"
+                value={passwordForm.newPassword}
+                onChange={handlePasswordChange}
+                placeholder="New password"
+                autoComplete="new-password"
+                required
+                disabled={busy}
+            />
+            <input
+                type="password"
+                name="confirmPassword"
+                value={passwordForm.confirmPassword}
+                onChange={handlePasswordChange}
+                placeholder="Confirm new password"
+                autoComplete="new-password"
+                required
+                disabled={busy}
+            />
+            <p className="sign-in-methods-hint">
+                8+ characters with uppercase, lowercase, number & special character. Other devices will be signed out.
+                {!methods.hasPassword && ' Confirm with your Google account to save it.'}
+            </p>
+            <div className="sign-in-password-actions">
+                <button type="button" className="sign-in-method-btn" onClick={closePasswordForm} disabled={busy}>
+                    Cancel
+                </button>
+                {methods.hasPassword ? (
+                    <button type="submit" className="sign-in-method-btn primary" disabled={busy}>
+                        {busy ? 'Saving...' : 'Save password'}
+                    </button>
+                ) : (
+                    <GoogleLogin
+                        onSuccess={({ credential }) => savePassword(credential)}
+                        onError={() => alert('Google sign-in failed')}
+                        text="continue_with"
+                        size="medium"
+                    />
+                )}
+            </div>
+        </form>
+    );
+
+    const renderMethods = () => {
+        if (error) return <p className="sign-in-methods-hint">{error}</p>;
+        if (!methods) return <p className="sign-in-methods-hint">Loading...</p>;
+
+        return (
+            <ul className="sign-in-methods-list">
+                <li className="sign-in-method">
+                    <span className="sign-in-method-icon"><KeyRound size={18} /></span>
+                    <span className="sign-in-method-details">
+                        <span className="sign-in-method-name">Password</span>
+                        <span className="sign-in-method-meta">
+                            {methods.hasPassword ? `Log in with ${methods.email}` : 'Not set'}
+                        </span>
+                    </span>
+                    {!showPasswordForm && (
+                        <button
+                            type="button"
+                            className="sign-in-method-btn"
+                            onClick={() => setShowPasswordForm(true)}
+                            disabled={busy}
+                        >
+                            {methods.hasPassword ? 'Change' : 'Set password'}
+                        </button>
+                    )}
+                </li>
+                {showPasswordForm && <li>{renderPasswordForm()}</li>}
+
+                <li className="sign-in-method">
+                    <span className="sign-in-method-icon"><Chrome size={18} /></span>
+                    <span className="sign-in-method-details">
+                        <span className="sign-in-method-name">Google</span>
+                        <span className="sign-in-method-meta">{methods.hasGoogle ? 'Linked' : 'Not linked'}</span>
+                    </span>
+                    {methods.hasGoogle ? (
+                        <button
+                            type="button"
+                            className="sign-in-method-btn"
+                            onClick={handleGoogleUnlink}
+                            disabled={busy || !methods.hasPassword}
+                            title={methods.hasPassword ? 'Unlink Google' : 'Set a password before unlinking Google'}
+                        >
+                            Unlink
+                        </button>
+                    ) : (
+                        <GoogleLogin
+                            onSuccess={handleGoogleLink}
+                            onError={() => alert('Google sign-in failed')}
+                            text="continue_with"
+                            size="medium"
+                        />
+                    )}
+                </li>
+            </ul>
+        );
+    };
+
+    return (
+        <div className="sign-in-methods">
+            <h3 className="sign-in-methods-title">Sign-in methods</h3>
+            {renderMethods()}
+        </div>
+    );
+};
+
+export default SignInMethods;
@@ -0,0 +1,148 @@
+// src/components/StarredMessagesModal.jsx - STARRED MESSAGES FROM ALL CHATS
+import React, { useState, useEffect } from 'react';
+import { X, Star, StarOff, Users } from 'lucide-react';
+import { authFetch } from '../services/authTokens';
+import { getMessageSnippet } from './MessageBubble';
+import './StarredMessagesModal.css';
+
+const API_URL = 'https://lovebirds-mwyz.onrender.com/api/messages';
+
+const StarredMessagesModal = ({ isOpen, onClose, onOpenMessage }) => {
+    const [starred, setStarred] = useState([]);
+    const [nextCursor, setNextCursor] = useState(null);
+    const [loading, setLoading] = useState(false);
+
+    useEffect(() => {
+        if (isOpen) {
+            setStarred([]);
+            setNextCursor(null);
+            fetchStarred();
+        }
+    }, [isOpen]);
+
+    const fetchStarred = async (before = null) => {
+        setLoading(true);
+        try {
+            const query = before ? `?before=${before}` : '';
+            const response = await authFetch(`${API_URL}/starred${query}`, {
+                headers: {
+                    'Content-Type': 'application/json'
+                }
+            });
+
+            if (response.ok) {
+                const data = await response.json();
+                setStarred(prev => before ? [...prev, ...data.starred] : data.starred);
+                setNextCursor(data.hasMore ? data.nextCursor : null);
+            } else {
+                console.error('❌ Failed to fetch starred messages');
+            }
+        } catch (error) {
+            console.error('❌ Error fetching starred messages:', error);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const handleUnstar = async (e, item) => {
+        e.stopPropagation();
+        try {
+            const response = await authFetch(`${API_URL}/${item.message._id}/star`, {
+                method: 'DELETE'
+            });
+
+            if (!response.ok) throw new Error('Failed to unstar message');
+            setStarred(prev => prev.filter(s => s._id !== item._id));
+        } catch (error) {
+            alert(error.message);
+        }
+    };
+
+    const getAvatarUrl = (chat) => {
+        if (chat?.avatar) {
+            if (chat.avatar.startsWith('http')) return chat.avatar;
+            return `${window.location.origin}/uploads/${chat.avatar}`;
+        }
+        return `https://ui-avatars.com/api/?name=${encodeURIComponent(chat?.name || 'Chat')}&background=random`;
+    };
+
+    const formatDate = (date) => new Date(date).toLocaleDateString([], {
+        day: 'numeric',
+        month: 'short',
+        year: 'numeric'
+    });
+
+    if (!isOpen) return null;
+
+    return (
+        <div className="modal-overlay" onClick={onClose}>
+            <div className="modal-content starred-modal" onClick={(e) => e.stopPropagation()}>
+                <div className="modal-header">
+                    <div className="modal-header-title">
+                        <Star size={24} />
+                        <h2>Starred Messages</h2>
+                    </div>
+                    <button onClick={onClose} className="modal-close-button">
+                        <X size={20} />
+                    </button>
+                </div>
+
+                <div className="modal-body starred-modal-body">
+                    {starred.length === 0 && loading ? (
+                        <div className="loading-state">
+                            <div className="spinner"></div>
+                            <p>Loading starred messages...</p>
+                        </div>
+                    ) : starred.length === 0 ? (
+                        <div className="empty-state">
+                            <Star size={48} className="empty-icon" />
+                            <h3>No Starred Messages</h3>
+                            <p>Star a message in any chat to find it here later.</p>
+                        </div>
+                    ) : (
+                        <div className="starred-list">
+                            {starred.map(item => (
+                                <div key={item._id} className="starred-item" onClick={() => onOpenMessage(item)}>
+                                    <div className="starred-item-header">
+                                        {item.chat.type === 'group' ? (
+                                            <span className="starred-chat-avatar group"><Users size={14} /></span>
+                                        ) : (
+                                            <img src={getAvatarUrl(item.chat)} alt={item.chat.name} className="starred-chat-avatar" />
+                                        )}
+                                        <span className="starred-chat-name">
+                                            {item.message.sender?.name}
+                                            {item.chat.type === 'group' && ` in ${item.chat.name}`}
+                                        </span>
+                                        <span className="starred-date">{formatDate(item.message.createdAt)}</span>
+                                    </div>
+                                    <div className="starred-item-body">
+                                        <span className="starred-snippet">{getMessageSnippet(item.message)}</span>
+                                        <button
+                                            className="starred-unstar-button"
+                                            onClick={(e) => handleUnstar(e, item)}
+                                            title="Unstar message"
+                                        >
+                                            <StarOff size={14} />
+                                        </button>
+                                    </div>
+                                </div>
+                            ))}
+
+                            {nextCursor && (
+                                <button
+                                    className="starred-load-more"
+                                    onClick={() => fetchStarred(nextCursor)}
+                                    disabled={loading}
+                                >
+                                    {loading ? 'Loading...' : 'Load more'}
+                                </button>
+                            )}
+                        </div>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default StarredMessagesModal;
@@ -0,0 +1,207 @@
+// src/components/TwoFactorSettings.jsx - TURN AUTHENTICATOR-APP 2FA ON/OFF AND MANAGE BACKUP CODES
+import React, { useState, useEffect } from 'react';
+import { ShieldCheck, ShieldOff, Copy } from 'lucide-react';
+import { authFetch } from '../services/authTokens';
+import './TwoFactorSettings.css';
+
+const TWO_FACTOR_URL = 'https://lovebirds-mwyz.onrender.com/api/auth/2fa';
+
+const requestTwoFactor = async (path, body) => {
+    const response = await authFetch(`${TWO_FACTOR_URL}${path}`, {
+        method: body ? 'POST' : 'GET',
+        headers: {
+            'Content-Type': 'application/json'
+        },
+        body: body ? JSON.stringify(body) : undefined
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) throw new Error(data.message || 'Request failed');
+    return data;
+};
+
+const TwoFactorSettings = () => {
+    const [status, setStatus] = useState(null);
+    const [error, setError] = useState('');
+    // { qrCode, secret } while enrolling
+    const [setup, setSetup] = useState(null);
+    const [code, setCode] = useState('');
+    // Plain codes, shown once right after they're created
+    const [backupCodes, setBackupCodes] = useState(null);
+    const [busy, setBusy] = useState(false);
+
+    const fetchStatus = async () => {
+        try {
+            setStatus(await requestTwoFactor(''));
+            setError('');
+        } catch (err) {
+            console.error('❌ Error loading 2FA status:', err);
+            setError('Could not load two-factor settings');
+        }
+    };
+
+    useEffect(() => {
+        fetchStatus();
+    }, []);
+
+    // Shared by every action: run it, then clear the code field
+    const runAction = async (action) => {
+        setBusy(true);
+        try {
+            await action();
+            setCode('');
+        } catch (err) {
+            console.error('❌ 2FA action failed:', err);
+            alert(err.message || 'Something went wrong');
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const handleStartSetup = () => runAction(async () => {
+        const { qrCode, secret } = await requestTwoFactor('/setup', {});
+        setSetup({ qrCode, secret });
+    });
+
+    const handleEnable = (e) => {
+        e.preventDefault();
+        runAction(async () => {
+            const data = await requestTwoFactor('/enable', { code });
+            setSetup(null);
+            setBackupCodes(data.backupCodes);
+            await fetchStatus();
+        });
+    };
+
+    const handleRegenerate = () => {
+        if (!window.confirm('Create new backup codes? The old ones will stop working.')) return;
+        runAction(async () => {
+            const data = await requestTwoFactor('/backup-codes', { code });
+            setBackupCodes(data.backupCodes);
+            await fetchStatus();
+        });
+    };
+
+    const handleDisable = () => {
+        if (!window.confirm('Turn off two-factor authentication?')) return;
+        runAction(async () => {
+            await requestTwoFactor('/disable', { code });
+            await fetchStatus();
+        });
+    };
+
+    const handleCopyCodes = async () => {
+        try {
+            await navigator.clipboard.writeText(backupCodes.join('\n'));
+            alert('Backup codes copied');
+        } catch (err) {
+            console.error('❌ Error copying backup codes:', err);
+            alert('Could not copy - please write the codes down');
+        }
+    };
+
+    const renderCodeInput = (placeholder = '6-digit code or backup code') => (
+        <input
+            type="text"
+            className="two-factor-code-input"
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            placeholder={placeholder}
+            autoComplete="one-time-code"
+            disabled={busy}
+        />
+    );
+
+    const renderBody = () => {
+        if (error) return <p className="two-factor-hint">{error}</p>;
+        if (!status) return <p className="two-factor-hint">Loading...</p>;
+
+        if (backupCodes) {
+            return (
+                <>
+                    <p className="two-factor-hint">
+                        Save these backup codes somewhere safe. Each one signs you in once if you lose your phone.
+                        They won't be shown again.
+                    </p>
+                    <ul className="two-factor-backup-codes">
+                        {backupCodes.map(backupCode => <li key={backupCode}>{backupCode}</li>)}
+                    </ul>
+                    <div className="two-factor-actions">
+                        <button type="button" className="two-factor-btn" onClick={handleCopyCodes}>
+                            <Copy size={14} /> Copy
+                        </button>
+                        <button type="button" className="two-factor-btn primary" onClick={() => setBackupCodes(null)}>
+                            Done
+                        </button>
+                    </div>
+                </>
+            );
+        }
+
+        if (status.enabled) {
+            return (
+                <>
+                    <p className="two-factor-state on">
+                        <ShieldCheck size={16} /> On • {status.backupCodesRemaining} backup codes left
+                    </p>
+                    <p className="two-factor-hint">Enter a current code to change these settings.</p>
+                    {renderCodeInput()}
+                    <div className="two-factor-actions">
+                        <button type="button" className="two-factor-btn" onClick={handleRegenerate} disabled={busy || !code}>
+                            New backup codes
+                        </button>
+                        <button type="button" className="two-factor-btn danger" onClick={handleDisable} disabled={busy || !code}>
+                            Turn off
+                        </button>
+                    </div>
+                </>
+            );
+        }
+
+        if (setup) {
+            return (
+                <form onSubmit={handleEnable}>
+                    <p className="two-factor-hint">
+                        Scan this QR code with an authenticator app (Google Authenticator, Authy, 1Password...),
+                        then enter the 6-digit code it shows.
+                    </p>
+                    <img src={setup.qrCode} alt="Two-factor QR code" className="two-factor-qr" />
+                    <p className="two-factor-hint">
+                        Can't scan it? Enter this key instead: <code className="two-factor-secret">{setup.secret}</code>
+                    </p>
+                    {renderCodeInput('6-digit code from the app')}
+                    <div className="two-factor-actions">
+                        <button type="button" className="two-factor-btn" onClick={() => setSetup(null)} disabled={busy}>
+                            Cancel
+                        </button>
+                        <button type="submit" className="two-factor-btn primary" disabled={busy || !code}>
+                            {busy ? 'Checking...' : 'Turn on'}
+                        </button>
+                    </div>
+                </form>
+            );
+        }
+
+        return (
+            <>
+                <p className="two-factor-state">
+                    <ShieldOff size={16} /> Off
+                </p>
+                <p className="two-factor-hint">
+                    Ask for a code from an authenticator app whenever you log in, on top of your password or Google account.
+                </p>
+                <button type="button" className="two-factor-btn primary" onClick={handleStartSetup} disabled={busy}>
+                    {busy ? 'Preparing...' : 'Set up two-factor authentication'}
+                </button>
+            </>
+        );
+    };
+
+    return (
+        <div className="two-factor-settings">
+            <h3 className="two-factor-title">Two-factor authentication</h3>
+            {renderBody()}
+        </div>
+    );
+};
+
+export default TwoFactorSettings;
@@ -3,6 +3,7 @@ import React, { useState, useEffect, useContext } from 'react';
 import { X, Search, UserPlus, Loader, Ban, CheckCircle, AlertCircle, Clock } from 'lucide-react';
 import { SocketContext } from '../contexts/SocketContext';
 import { useAuth } from '../contexts/AuthContext';
+import { authFetch } from '../services/authTokens';
 import './UserSearchModal.css';
 
 const UserSearchModal = ({ isOpen, onClose, currentFriends = [] }) => {
@@ -107,11 +108,10 @@ const UserSearchModal = ({ isOpen, onClose, currentFriends = [] }) => {
       console.log('🔍 Searching for:', searchQuery);
       
       // Try the main endpoint first
-      let response = await fetch(
+      let response = await authFetch(
         `https://lovebirds-mwyz.onrender.com/api/users/search?q=${encodeURIComponent(searchQuery)}`,
         {
           headers: { 
-            'Authorization': `Bearer ${token}`,
             'Content-Type': 'application/json'
           }
         }
@@ -0,0 +1,40 @@
+// src/components/ViewOnceViewer.jsx - SHOW A VIEW-ONCE PHOTO / VIDEO / VOICE MESSAGE A SINGLE TIME
+import React from 'react';
+import { X, Eye } from 'lucide-react';
+import './ViewOnceViewer.css';
+
+// `viewOnce` is the server's viewOnceOpened payload: { messageId, messageType, content }.
+// The content isn't kept anywhere else, so closing the viewer is final.
+const ViewOnceViewer = ({ viewOnce, onClose }) => {
+    if (!viewOnce) return null;
+
+    const { messageType, content = {} } = viewOnce;
+
+    const renderMedia = () => {
+        switch (messageType) {
+            case 'image':
+                return <img src={content.fileUrl} alt="View-once attachment" className="view-once-media" />;
+            case 'video':
+                return <video src={content.fileUrl} controls autoPlay className="view-once-media" />;
+            default: // 'voice' / 'audio'
+                return <audio src={content.fileUrl} controls autoPlay className="view-once-audio" />;
+        }
+    };
+
+    return (
+        <div className="modal-overlay view-once-overlay" onClick={onClose}>
+            <div className="view-once-viewer" onClick={(e) => e.stopPropagation()} onContextMenu={(e) => e.preventDefault()}>
+                <div className="view-once-header">
+                    <span className="view-once-title"><Eye size={16} /> View once</span>
+                    <button onClick={onClose} className="modal-close-button" title="Close">
+                        <X size={20} />
+                    </button>
+                </div>
+                {renderMedia()}
+                <p className="view-once-hint">You won't be able to open this again after closing it.</p>
+            </div>
+        </div>
+    );
+};
+
+export default ViewOnceViewer;
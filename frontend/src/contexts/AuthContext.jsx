@@ -1,5 +1,18 @@
 // src/contexts/AuthContext.jsx - FIXED VERSION
 import React, { createContext, useState, useContext, useEffect } from 'react';
+import { authFetch, getAccessTokenTtl, refreshAccessToken } from '../services/authTokens';
+import api from '../services/api';
+
+const AUTH_URL = 'https://lovebirds-mwyz.onrender.com/api/auth';
+// Refresh the access token this long before it expires
+const REFRESH_MARGIN_SECONDS = 60;
+const REFRESH_RETRY_MS = 30 * 1000;
+
+const clearStoredAuth = () => {
+  localStorage.removeItem('token');
+  localStorage.removeItem('refreshToken');
+  localStorage.removeItem('user');
+};
 
 const AuthContext = createContext();
 
@@ -18,28 +31,30 @@ export const AuthProvider = ({ children }) => {
   useEffect(() => {
     console.log('🔍 AuthContext: Checking stored auth data...');
     const token = localStorage.getItem('token');
+    const refreshToken = localStorage.getItem('refreshToken');
     const userData = localStorage.getItem('user');
     
     console.log('🔍 AuthContext: Token exists:', !!token);
     console.log('🔍 AuthContext: User data exists:', !!userData);
     
-    if (token && userData) {
+    // Logins from before refresh tokens can't be kept alive - they have to log in again
+    if (token && refreshToken && userData) {
       try {
         const parsedUser = JSON.parse(userData);
         console.log('✅ AuthContext: Loaded user from storage:', parsedUser);
         setUser(parsedUser);
       } catch (e) {
         console.error('❌ AuthContext: Error parsing user data:', e);
-        localStorage.removeItem('token');
-        localStorage.removeItem('user');
+        clearStoredAuth();
       }
     } else {
       console.log('⚠️ AuthContext: No valid auth data found');
+      clearStoredAuth();
     }
     setLoading(false);
   }, []);
 
-  const login = (token, userData) => {
+  const login = (token, userData, refreshToken) => {
     console.log('🔑 AuthContext: Login called with:', { userData: userData?.name, token: !!token });
     
     if (!userData || !token) {
@@ -49,21 +64,161 @@ export const AuthProvider = ({ children }) => {
     
     localStorage.setItem('token', token);
     localStorage.setItem('user', JSON.stringify(userData));
+    if (refreshToken) localStorage.setItem('refreshToken', refreshToken);
     setUser(userData);
     
     console.log('✅ AuthContext: User logged in successfully:', userData.name);
   };
 
-  const logout = () => {
+  // revokeSession: false when the server already ended the session (e.g. signed out remotely)
+  const logout = ({ revokeSession = true } = {}) => {
     console.log('🚪 AuthContext: Logging out user');
-    localStorage.removeItem('token');
-    localStorage.removeItem('user');
+    const token = localStorage.getItem('token');
+
+    if (revokeSession && token) {
+      // Best effort - the local logout doesn't wait for it
+      fetch(`${AUTH_URL}/logout`, {
+        method: 'POST',
+        headers: { 'Authorization': `Bearer ${token}` }
+      }).catch(error => console.error('❌ AuthContext: Logout request failed:', error));
+    }
+
+    clearStoredAuth();
+    setUser(null);
+  };
+
+  const logoutAllDevices = async () => {
+    const response = await authFetch(`${AUTH_URL}/logout-all`, { method: 'POST' });
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      throw new Error(data.message || 'Failed to log out of all devices');
+    }
+
+    console.log('🚪 AuthContext: Logged out of all devices');
+    clearStoredAuth();
     setUser(null);
   };
 
+  // Keep the short-lived access token fresh while logged in
+  useEffect(() => {
+    if (!user) return;
+
+    let timer;
+
+    const runRefresh = async () => {
+      try {
+        const token = await refreshAccessToken();
+        if (!token) {
+          logout({ revokeSession: false });
+          return;
+        }
+      } catch (error) {
+        console.error('❌ AuthContext: Token refresh failed, retrying:', error);
+        timer = setTimeout(runRefresh, REFRESH_RETRY_MS);
+        return;
+      }
+      scheduleRefresh();
+    };
+
+    const scheduleRefresh = () => {
+      clearTimeout(timer);
+      const ttl = getAccessTokenTtl() ?? 0;
+      timer = setTimeout(runRefresh, Math.max(ttl - REFRESH_MARGIN_SECONDS, 0) * 1000);
+    };
+
+    // Background tabs throttle timers - catch up when the tab is shown again
+    const handleVisibilityChange = () => {
+      if (!document.hidden) scheduleRefresh();
+    };
+
+    // Another tab refreshed the token, or logged out
+    const handleStorage = (event) => {
+      if (event.key !== 'token') return;
+      if (event.newValue) {
+        scheduleRefresh();
+      } else {
+        clearTimeout(timer);
+        setUser(null);
+      }
+    };
+
+    scheduleRefresh();
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    window.addEventListener('storage', handleStorage);
+
+    return () => {
+      clearTimeout(timer);
+      document.removeEventListener('visibilitychange', handleVisibilityChange);
+      window.removeEventListener('storage', handleStorage);
+    };
+  }, [user]);
+
+  // Flip the stored user to verified - only if it's the account that was verified
+  const markEmailVerified = (userId) => {
+    setUser(prev => {
+      if (!prev || prev._id !== userId || prev.isEmailVerified) return prev;
+      const updatedUser = { ...prev, isEmailVerified: true };
+      localStorage.setItem('user', JSON.stringify(updatedUser));
+      return updatedUser;
+    });
+  };
+
+  const confirmEmailVerification = async (verifyToken) => {
+    try {
+      const response = await fetch(`${AUTH_URL}/verify-email`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ token: verifyToken })
+      });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) throw new Error(data.message || 'Verification link is invalid or has expired');
+
+      console.log('✉️ AuthContext: Email verified');
+      markEmailVerified(data.userId);
+      alert('✅ Your email address is verified. You can now send chat requests.');
+    } catch (error) {
+      console.error('❌ AuthContext: Email verification failed:', error);
+      alert(error.message || 'Failed to verify your email');
+    }
+  };
+
+  // The address may have been verified from another device since this login was stored
+  const syncEmailVerification = async () => {
+    try {
+      const { data } = await api.get('/users/profile');
+      if (data.isEmailVerified) markEmailVerified(data._id);
+    } catch (error) {
+      console.error('❌ AuthContext: Could not check email verification:', error);
+    }
+  };
+
+  // Opened from the emailed verification link: confirm it and drop the token from the address bar
+  useEffect(() => {
+    if (loading) return;
+
+    const params = new URLSearchParams(window.location.search);
+    const verifyToken = params.get('verifyEmail');
+    if (verifyToken) {
+      params.delete('verifyEmail');
+      const query = params.toString();
+      window.history.replaceState(null, '', `${window.location.pathname}${query ? `?${query}` : ''}`);
+      confirmEmailVerification(verifyToken);
+    } else if (user && !user.isEmailVerified) {
+      syncEmailVerification();
+    }
+  }, [loading]);
+
+  const resendVerificationEmail = async () => {
+    const response = await authFetch(`${AUTH_URL}/resend-verification`, { method: 'POST' });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(data.message || 'Failed to send verification email');
+    }
+    return data.message;
+  };
+
   const updateProfile = async (profileData) => {
     try {
-      const token = localStorage.getItem('token');
       const formData = new FormData();
       formData.append('name', profileData.name);
       if (profileData.avatar) {
@@ -76,12 +231,9 @@ export const AuthProvider = ({ children }) => {
       });
 
       // ✅ FIXED: Correct API endpoint URL
-      const response = await fetch('https://lovebirds-mwyz.onrender.com/api/users/profile', {
+      // Don't set Content-Type for FormData - let browser set it with boundary
+      const response = await authFetch('https://lovebirds-mwyz.onrender.com/api/users/profile', {
         method: 'PATCH',
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          // Don't set Content-Type for FormData - let browser set it with boundary
-        },
         body: formData,
       });
 
@@ -117,6 +269,9 @@ export const AuthProvider = ({ children }) => {
     user,
     login,
     logout,
+    logoutAllDevices,
+    resendVerificationEmail,
+    syncEmailVerification,
     updateProfile,
     loading,
   };
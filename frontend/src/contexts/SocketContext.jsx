@@ -2,6 +2,9 @@
 import React, { createContext, useContext, useEffect, useState } from 'react';
 import io from 'socket.io-client';
 import { useAuth } from './AuthContext.jsx';
+import { refreshAccessToken } from '../services/authTokens';
+
+const TOKEN_RETRY_MS = 5000;
 
 export const SocketContext = createContext(null);
 
@@ -29,7 +32,8 @@ export const SocketProvider = ({ children }) => {
       }
 
       const newSocket = io('https://lovebirds-mwyz.onrender.com', {
-        auth: { token },
+        // Read on every (re)connect, so a refreshed access token is picked up
+        auth: (cb) => cb({ token: localStorage.getItem('token') }),
         reconnection: true,
         reconnectionDelay: 1000,
         reconnectionDelayMax: 5000,
@@ -47,12 +51,27 @@ export const SocketProvider = ({ children }) => {
 
       newSocket.on('connect_error', (error) => {
         console.error('❌ [SOCKET CONTEXT] Socket connection error:', error);
+        if (error.message === 'Token expired') {
+          refreshAccessToken()
+            .then(newToken => {
+              if (newToken) newSocket.connect();
+              else logout({ revokeSession: false });
+            })
+            .catch(() => setTimeout(() => newSocket.connect(), TOKEN_RETRY_MS));
+          return;
+        }
         if (error.message?.includes('Authentication') || error.message?.includes('jwt')) {
           console.error('❌ [SOCKET CONTEXT] JWT authentication failed, logging out...');
           logout();
         }
       });
 
+      // This device was signed out from another one
+      newSocket.on('sessionRevoked', () => {
+        console.log('🔒 [SOCKET CONTEXT] Session signed out remotely, logging out...');
+        logout({ revokeSession: false });
+      });
+
       newSocket.on('recentChatsLoaded', (chats) => {
         console.log('📚 [SOCKET CONTEXT] Recent chats loaded:', chats);
         if (Array.isArray(chats)) setRecentChats(chats);
@@ -11,14 +11,27 @@ export const VideoCallProvider = ({ children }) => {
   const [callEnded, setCallEnded] = useState(false);
   const [stream, setStream] = useState();
   const [name, setName] = useState('');
-  
+
   const myVideo = useRef();
   const userVideo = useRef();
   const connectionRef = useRef();
-  
+  const callIdRef = useRef(null);
+  const otherUserIdRef = useRef(null);
+
   const socket = useContext(SocketContext);
   const { user } = useAuth(); // 👈 CORRECTED: Use the custom hook
 
+  // Tear down the peer without reloading, used when a call never connects
+  const resetCall = (message = null) => {
+    connectionRef.current?.destroy();
+    connectionRef.current = null;
+    callIdRef.current = null;
+    otherUserIdRef.current = null;
+    setCall({});
+    setCallAccepted(false);
+    if (message) alert(message);
+  };
+
   useEffect(() => {
     navigator.mediaDevices.getUserMedia({ video: true, audio: true })
       .then((currentStream) => {
@@ -28,8 +41,34 @@ export const VideoCallProvider = ({ children }) => {
 
     if (socket && user) { // Also check if the user object exists
         setName(user.name);
-        socket.on('callUser', ({ from, name: callerName, signal }) => {
-            setCall({ isReceivingCall: true, from, name: callerName, signal });
+        socket.on('callUser', ({ callId, from, name: callerName, avatar, callType, signal }) => {
+            callIdRef.current = callId;
+            otherUserIdRef.current = from;
+            setCall({ isReceivingCall: true, callId, from, name: callerName, avatar, callType, signal });
+        });
+        socket.on('callRinging', ({ callId }) => {
+            callIdRef.current = callId;
+        });
+        socket.on('callAccepted', ({ callId, signal }) => {
+            if (callId !== callIdRef.current) return;
+            setCallAccepted(true);
+            connectionRef.current?.signal(signal);
+        });
+        socket.on('callSignal', ({ callId, signal }) => {
+            if (callId !== callIdRef.current) return;
+            connectionRef.current?.signal(signal);
+        });
+        // Picked up on another tab or device - just stop ringing here
+        socket.on('callAnsweredElsewhere', ({ callId }) => {
+            if (callId === callIdRef.current) resetCall();
+        });
+        socket.on('callDeclined', () => resetCall('Call declined.'));
+        socket.on('callBusy', () => resetCall('User is on another call.'));
+        socket.on('callTimeout', () => resetCall('No answer.'));
+        socket.on('callUnavailable', () => resetCall('User is offline.'));
+        socket.on('callError', (error) => {
+            console.error('❌ Call error:', error.message);
+            resetCall(error.message || 'Call failed');
         });
         socket.on('callEnded', () => {
             // Ensure leaveCall logic doesn't rely on stale state
@@ -39,6 +78,15 @@ export const VideoCallProvider = ({ children }) => {
     }
     return () => {
         socket?.off('callUser');
+        socket?.off('callRinging');
+        socket?.off('callAccepted');
+        socket?.off('callSignal');
+        socket?.off('callAnsweredElsewhere');
+        socket?.off('callDeclined');
+        socket?.off('callBusy');
+        socket?.off('callTimeout');
+        socket?.off('callUnavailable');
+        socket?.off('callError');
         socket?.off('callEnded');
     }
   }, [socket, user]);
@@ -46,20 +94,37 @@ export const VideoCallProvider = ({ children }) => {
   const answerCall = () => {
     setCallAccepted(true);
     const peer = new Peer({ initiator: false, trickle: false, stream });
-    peer.on('signal', (data) => socket.emit('answerCall', { signal: data, to: call.from }));
+    let answered = false;
+    peer.on('signal', (data) => {
+      // The first signal is the SDP answer, anything after that is renegotiation
+      if (!answered) {
+        answered = true;
+        socket.emit('answerCall', { signal: data, to: call.from, callId: call.callId });
+      } else {
+        socket.emit('callSignal', { signal: data, callId: call.callId });
+      }
+    });
     peer.on('stream', (currentStream) => { if(userVideo.current) userVideo.current.srcObject = currentStream; });
     peer.signal(call.signal);
     connectionRef.current = peer;
   };
 
-  const callUser = (idToCall) => {
+  const declineCall = () => {
+    socket.emit('declineCall', { callId: call.callId });
+    resetCall();
+  };
+
+  const callUser = (idToCall, callType = 'video') => {
+    otherUserIdRef.current = idToCall;
     const peer = new Peer({ initiator: true, trickle: false, stream });
-    peer.on('signal', (data) => socket.emit('callUser', { userToCall: idToCall, signalData: data, from: user._id, name }));
-    peer.on('stream', (currentStream) => { if(userVideo.current) userVideo.current.srcObject = currentStream; });
-    socket.on('callAccepted', (signal) => {
-      setCallAccepted(true);
-      peer.signal(signal);
+    peer.on('signal', (data) => {
+      if (!callIdRef.current) {
+        socket.emit('callUser', { userToCall: idToCall, signalData: data, from: user._id, name, callType });
+      } else {
+        socket.emit('callSignal', { signal: data, callId: callIdRef.current });
+      }
     });
+    peer.on('stream', (currentStream) => { if(userVideo.current) userVideo.current.srcObject = currentStream; });
     connectionRef.current = peer;
     setCall({ ...call, from: user._id });
   };
@@ -67,7 +132,7 @@ export const VideoCallProvider = ({ children }) => {
   const leaveCall = () => {
     setCallEnded(true);
     setCallAccepted(false);
-    
+
     if (stream) {
       stream.getTracks().forEach(track => track.stop());
     }
@@ -75,18 +140,17 @@ export const VideoCallProvider = ({ children }) => {
       connectionRef.current.destroy();
     }
     // Notify the other user that the call has ended
-    if (call.from || callAccepted) {
-        const otherUserId = call.from === user._id ? /* logic to get other user's id */ null : call.from;
-        if(otherUserId) socket.emit('callEnded', { to: otherUserId });
+    if (callIdRef.current) {
+        socket.emit('callEnded', { to: otherUserIdRef.current, callId: callIdRef.current });
     }
-    
+
     setCall({}); // Reset call state
     window.location.reload(); // Reload to reset state and get a new media stream
   };
 
   return (
-    <VideoCallContext.Provider value={{ call, callAccepted, myVideo, userVideo, stream, name, callEnded, callUser, leaveCall, answerCall }}>
+    <VideoCallContext.Provider value={{ call, callAccepted, myVideo, userVideo, stream, name, callEnded, callUser, leaveCall, answerCall, declineCall }}>
       {children}
     </VideoCallContext.Provider>
   );
-};
\ No newline at end of file
+};
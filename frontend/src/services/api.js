@@ -1,4 +1,5 @@
 import axios from 'axios';
+import { refreshAccessToken } from './authTokens';
 
 // Create an instance of axios
 const api = axios.create({
@@ -17,4 +18,19 @@ api.interceptors.request.use(config => {
   return config;
 });
 
+// An expired access token gets one refresh and retry (login and the other /auth calls excluded)
+api.interceptors.response.use(null, async (error) => {
+  const { config, response } = error;
+  if (response?.status !== 401 || !config || config._retried || config.url?.startsWith('/auth/')) {
+    return Promise.reject(error);
+  }
+
+  const token = await refreshAccessToken().catch(() => null);
+  if (!token) return Promise.reject(error);
+
+  config._retried = true;
+  config.headers.Authorization = `Bearer ${token}`;
+  return api(config);
+});
+
 export default api;
@@ -0,0 +1,82 @@
+// src/services/authTokens.js - REFRESH THE SHORT-LIVED ACCESS TOKEN (SHARED BY HTTP CALLS AND THE SOCKET)
+
+const REFRESH_URL = 'https://lovebirds-mwyz.onrender.com/api/auth/refresh';
+// How long to wait for another tab that refreshed with the same token to store its result
+const OTHER_TAB_WAIT_MS = 1000;
+
+let refreshPromise = null;
+
+/**
+ * Seconds until the access token expires (negative once it has), or null if it can't be read
+ */
+export const getAccessTokenTtl = (token = localStorage.getItem('token')) => {
+    try {
+        const payload = JSON.parse(atob(token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/')));
+        return payload.exp - Date.now() / 1000;
+    } catch (error) {
+        return null;
+    }
+};
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const requestNewTokens = async () => {
+    const usedRefreshToken = localStorage.getItem('refreshToken');
+    if (!usedRefreshToken) return null;
+
+    const response = await fetch(REFRESH_URL, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ refreshToken: usedRefreshToken })
+    });
+
+    if (response.ok) {
+        const { token, refreshToken } = await response.json();
+        localStorage.setItem('token', token);
+        localStorage.setItem('refreshToken', refreshToken);
+        console.log('🔄 Access token refreshed');
+        return token;
+    }
+
+    // Tabs share the refresh token: if another one rotated it first, use what it stored
+    const { message } = await response.json().catch(() => ({}));
+    if (message === 'Refresh token was already used') await wait(OTHER_TAB_WAIT_MS);
+
+    const storedRefreshToken = localStorage.getItem('refreshToken');
+    if (storedRefreshToken && storedRefreshToken !== usedRefreshToken) {
+        return localStorage.getItem('token');
+    }
+
+    console.log('🔒 Session has ended:', message);
+    return null;
+};
+
+/**
+ * Get a new access token. Resolves to the token, or null when the session has ended
+ * (log out then); rejects on network errors. Concurrent calls share one request.
+ */
+export const refreshAccessToken = () => {
+    if (!refreshPromise) {
+        refreshPromise = requestNewTokens().finally(() => {
+            refreshPromise = null;
+        });
+    }
+    return refreshPromise;
+};
+
+/**
+ * fetch() with the stored access token. A 401 gets one refresh and retry, the same as the
+ * axios instance in api.js - for calls that aren't made through it.
+ */
+export const authFetch = async (url, options = {}) => {
+    const send = (token) => fetch(url, {
+        ...options,
+        headers: { ...options.headers, 'Authorization': `Bearer ${token}` }
+    });
+
+    const response = await send(localStorage.getItem('token'));
+    if (response.status !== 401) return response;
+
+    const token = await refreshAccessToken().catch(() => null);
+    return token ? send(token) : response;
+};